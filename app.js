@@ -6,19 +6,19 @@
  * ARCHITECTURE OVERVIEW:
  * ----------------------
  * This application monitors a solar power system via MQTT and provides:
- * 1. Real-time dashboard with live data (updates every 3 seconds)
+ * 1. Real-time dashboard with live data (pushed over SSE, 3-second polling fallback)
  * 2. Historical data tracking and visualization (365 days retention)
  * 3. Email alerts for battery thresholds
- * 4. Automatic battery charger control via IFTTT webhooks
+ * 4. Automatic battery charger control (IFTTT, webhook, Shelly/Tasmota relay or MQTT)
  * 5. Weather integration for solar production correlation
  * 
  * DATA FLOW:
  * ----------
  * MQTT Messages → cachedData (in-memory) → historicalData (time-series)
  *                     ↓                           ↓
- *              REST API (/data)          Periodic disk save
+ *      REST API (/data, /data/stream)    Periodic disk append
  *                     ↓                           ↓
- *           Browser Dashboard              data_history.json
+ *           Browser Dashboard         data_history/ (day segments)
  * 
  * KEY DEPENDENCIES:
  * -----------------
@@ -30,9 +30,9 @@
  * CRITICAL STATE MANAGEMENT:
  * --------------------------
  * - cachedData: Latest MQTT value for each topic (real-time display)
- * - historicalData: Time-series arrays for charting (memory + disk)
+ * - historicalData: Recent time-series arrays for charting (hot cache of the on-disk store)
  * - dailyStats: Daily energy totals and peak power tracking
- * - chargerState: IFTTT smart plug state (persists across restarts)
+ * - chargerState: Charger smart plug state (persists across restarts)
  */
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -45,9 +45,11 @@ const fs = require('fs');                 // File system operations
 const mqtt = require('mqtt');             // MQTT client for SolarAssistant data
 const path = require('path');             // Path utilities
 const sgMail = require('@sendgrid/mail'); // Email alerts via SendGrid API
+const nodemailer = require('nodemailer'); // Email alerts via plain SMTP
 const jwt = require('jsonwebtoken');      // JWT for authentication
 const bcrypt = require('bcryptjs');       // Password hashing
 const cookieParser = require('cookie-parser'); // Parse cookies for JWT
+const crypto = require('crypto');         // Constant-time token comparison
 
 // Load environment variables from .env file
 require('dotenv').config();
@@ -61,30 +63,82 @@ app.use(cookieParser()); // Parse cookies
 // ═══════════════════════════════════════════════════════════════════════════
 
 const PORT = process.env.PORT || 3434;                              // HTTP server port
-const MQTT_BROKER = process.env.MQTT_BROKER || 'mqtt://192.168.1.228:1883';  // SolarAssistant MQTT broker
-const MQTT_TOPIC = 'solar_assistant/#';                             // Subscribe to all SolarAssistant topics
+const DEFAULT_MQTT_BROKER = process.env.MQTT_BROKER || 'mqtt://192.168.1.228:1883';  // Used until System Configuration sets a broker
+const DEFAULT_MQTT_TOPIC = 'solar_assistant/#';                     // Subscribe to all SolarAssistant topics (see getMqttTopic)
+
+// MQTT authentication / TLS from .env - System Configuration overrides these (see getMqttConnectionSettings)
+const MQTT_ENV_OPTIONS = {
+  username: process.env.MQTT_USERNAME || '',
+  password: process.env.MQTT_PASSWORD || '',
+  clientId: process.env.MQTT_CLIENT_ID || '',
+  caFile: process.env.MQTT_CA_FILE || '',                // CA certificate (PEM) for mqtts:// / wss://
+  certFile: process.env.MQTT_CERT_FILE || '',            // Client certificate (PEM)
+  keyFile: process.env.MQTT_KEY_FILE || '',              // Client private key (PEM)
+  rejectUnauthorized: process.env.MQTT_REJECT_UNAUTHORIZED !== 'false' // false allows self-signed broker certificates
+};
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;            // Bearer token for /metrics (endpoint disabled if unset)
+const DASHBOARD_URL = (process.env.DASHBOARD_URL || `https://localhost:${PORT}`).replace(/\/+$/, ''); // Base of links in notifications
+const ALERT_LINK_SECRET = process.env.ALERT_LINK_SECRET || process.env.JWT_SECRET || 'default-secret-change-me'; // Signs acknowledge/snooze links
 
 // File paths for data persistence (survives app restarts)
-const HISTORY_FILE = path.join(__dirname, 'data_history.json');      // Time-series data for charts
+const HISTORY_FILE = path.join(__dirname, 'data_history.json');      // Legacy time-series blob (migrated on startup)
+const HISTORY_DIR = path.join(__dirname, 'data_history');           // Segmented time-series store for charts
+const ROLLUP_STATE_FILE = path.join(HISTORY_DIR, 'rollup_state.json'); // Rollup progress per tier/topic
 const SETTINGS_FILE = path.join(__dirname, 'alert_settings.json');   // User-configurable alert settings
 const DAILY_STATS_FILE = path.join(__dirname, 'daily_stats.json');   // Daily energy production/consumption
+const SOLAR_CALIBRATION_FILE = path.join(__dirname, 'solar_calibration.json'); // PV output vs. irradiance samples
+const ALERT_LOG_DIR = path.join(__dirname, 'alert_log');            // Alert/charger/report event log (monthly JSON-lines segments)
+const ALERT_STATE_FILE = path.join(__dirname, 'alert_state.json');  // Active alerts, quiet hours digest, alert/peak discharge state
+const REPORTS_DIR = path.join(__dirname, 'reports');                // Archived summary reports (HTML + stats JSON per report)
+const ENERGY_LEDGER_DIR = path.join(__dirname, 'energy_ledger');    // Per-day energy records (one JSON file per month)
 
 // Timing configuration
 const SAVE_INTERVAL = 60000;            // Save to disk every 60 seconds
 const DATA_RETENTION_DAYS = 365;        // Keep 1 year of historical data
 const ARCHIVE_INTERVAL = 60000;         // Archive new data points every 60 seconds
+const HOT_CACHE_HOURS = 48;             // Keep this much recent history in memory (older data is read from disk)
+const ALERT_LOG_RETENTION_DAYS = 730;   // Keep 2 years of alert log entries
+const ALERT_HISTORY_CACHE_SIZE = 50;    // Newest alert log entries kept in memory for the dashboard
+const ENERGY_LEDGER_CATCHUP_DAYS = 14;  // Finished days the energy ledger fills in after downtime
+const LEDGER_WEATHER_TIMEOUT = 15000;   // Open-Meteo request timeout for a ledger day's weather
+
+// History rollup tiers - raw points are aggregated in the background so long
+// chart ranges stay small and survive after raw data expires
+// RELATIONSHIP: Each tier is built from its `source` tier (raw → 5m → 1h → 1d)
+// IMPACT: /data/history picks a tier automatically based on the requested range
+const HISTORY_RAW_RETENTION_DAYS = parseInt(process.env.HISTORY_RAW_RETENTION_DAYS) || 14;
+const HISTORY_TIERS = {
+  raw:  { bucketMs: ARCHIVE_INTERVAL, retentionDays: HISTORY_RAW_RETENTION_DAYS, segment: 'day' },
+  '5m': { bucketMs: 5 * 60 * 1000, retentionDays: 90, segment: 'month', source: 'raw' },
+  '1h': { bucketMs: 60 * 60 * 1000, retentionDays: DATA_RETENTION_DAYS, segment: 'month', source: '5m' },
+  '1d': { bucketMs: 24 * 60 * 60 * 1000, retentionDays: 5 * 365, segment: 'year', source: '1h' }
+};
+const ROLLUP_INTERVAL = 300000;         // Build rollup buckets every 5 minutes
+const ROLLUP_MAX_CATCHUP_DAYS = 7;      // Max source range rolled up per topic per run
+const HISTORY_MAX_POINTS = 3000;        // Max points per topic /data/history returns before using a coarser tier
+const HISTORY_MAX_BUCKETS = 20000;      // Hard limit per topic for explicit /data/history resolutions
 const lastArchivedTime = {};            // Track last archive time per topic to prevent duplicates
 
+// Live update stream (Server-Sent Events on /data/stream)
+const LIVE_PUSH_INTERVAL = 1000;        // Batch changed topics and push once per second
+const LIVE_TOPIC_REFRESH = 30000;       // Re-send unchanged topics this often so "Updated" times stay fresh
+const LIVE_HEARTBEAT_INTERVAL = 25000;  // Comment line keeps proxies from closing idle streams
+const LIVE_EVENT_BUFFER_SIZE = 500;     // Events kept for Last-Event-ID resume after a reconnect
+
 // Weather API configuration (Open-Meteo - free, no API key needed)
 // Used to correlate solar production with weather conditions
-const WEATHER_LAT = 33.2487;            // Queen Creek, AZ (zip 85142)
-const WEATHER_LON = -111.6343;
+// NOTE: Defaults only - the live location is alertSettings.systemSettings (see getWeatherLocation)
+const DEFAULT_WEATHER_LAT = 33.2487;    // Queen Creek, AZ (zip 85142)
+const DEFAULT_WEATHER_LON = -111.6343;
 const WEATHER_UPDATE_INTERVAL = 300000; // Update weather every 5 minutes
+const SOLAR_CALIBRATION_DAYS = 14;      // PV vs. irradiance samples kept for the forecast scale factor
+const SOLAR_CALIBRATION_MIN_SAMPLES = 12; // Samples needed before the learned scale factor is trusted
 
-// Topics to track for historical charts
-// IMPACT: Only these topics are stored in time-series format for charting
-// NOTE: Adding topics here increases memory usage and disk space
-const TRACKED_TOPICS = [
+// Default topics to track for historical charts
+// IMPACT: Seeds alertSettings.trackedTopics - the live list is managed from the
+//         Settings page / /settings/tracked-topics API (see getTrackedTopics)
+// NOTE: More topics increase memory usage and disk space
+const DEFAULT_TRACKED_TOPICS = [
   'solar_assistant/inverter_1/pv_power/state',        // Total solar production
   'solar_assistant/inverter_1/pv_power_1/state',      // Solar array 1 production
   'solar_assistant/inverter_1/pv_power_2/state',      // Solar array 2 production
@@ -121,11 +175,12 @@ const TRACKED_TOPICS = [
 // UPDATED BY: MQTT message handler (client.on('message'))
 let cachedData = {};
 
-// TIME-SERIES DATA STORE: Historical values for charting
+// TIME-SERIES HOT CACHE: Last HOT_CACHE_HOURS of historical values for charting
 // STRUCTURE: { 'topic/name': [{timestamp: ISO8601, value: number}, ...] }
-// USED BY: /data/history endpoint, chart rendering
-// LOADED FROM: HISTORY_FILE on startup
-// SAVED TO: HISTORY_FILE every SAVE_INTERVAL
+// USED BY: /data/history endpoint, chart rendering, daily stats
+// LOADED FROM: HISTORY_DIR segments on startup
+// SAVED TO: HISTORY_DIR (appended every SAVE_INTERVAL, see saveHistoricalData)
+// NOTE: Use readHistoryRange() for anything older than the hot cache
 let historicalData = {};
 
 // Metadata for monitoring
@@ -145,10 +200,24 @@ let weatherData = {
   lastUpdate: null 
 };
 
+// Hourly irradiance forecast (updated with the weather, kept out of weatherData to keep /data small)
+// STRUCTURE: hourly: [{ time: epoch ms (end of hour), solarRadiation: W/m² mean over the hour, cloudCover }]
+// USED BY: getSolarOutlook() → decideChargerAction()
+let solarForecast = {
+  hourly: [],
+  lastUpdate: null
+};
+
+// Learned PV output vs. irradiance (persisted to SOLAR_CALIBRATION_FILE)
+// STRUCTURE: samples: [{ time, radiation: W/m², pvPower: W }]
+let solarCalibration = {
+  samples: []
+};
+
 // ═══════════════════════════════════════════════════════════════════════════
 // ALERT SYSTEM STATE
 // ═══════════════════════════════════════════════════════════════════════════
-// IMPACT: Controls email alerts and automatic charger via IFTTT
+// IMPACT: Controls email alerts and automatic charger control
 // LOADED FROM: SETTINGS_FILE on startup (user-configurable via dashboard)
 // SAVED TO: SETTINGS_FILE when modified via /settings POST endpoint
 
@@ -159,17 +228,80 @@ let alertSettings = {
   toEmail: 'john@crowninternet.com',
   lowThreshold: 50,                // Battery % - send alert when dropping below
   highThreshold: 80,               // Battery % - send recovery alert when above
+  criticalThreshold: null,         // Battery % - critical alert (escalates, see ALERT ESCALATION); null = off
   
-  // Automatic Charger Control (IFTTT Smart Plug Integration)
-  // RELATIONSHIP: Uses battery SOC to automatically trigger IFTTT webhooks
-  // IMPACT: Sends 'battery_low' or 'battery_charged' events to IFTTT
+  // Automatic Charger Control (smart plug / relay integration)
+  // RELATIONSHIP: Uses battery SOC to switch the charger through a driver (see CHARGER_DRIVERS)
+  // IMPACT: IFTTT sends 'battery_low' / 'battery_charged' events; other drivers talk to the device directly
   chargerControl: {
     enabled: false,                // Enable automatic charger control
+    driver: 'ifttt',               // 'ifttt' | 'webhook' | 'relay' | 'mqtt'
     iftttWebhookKey: process.env.IFTTT_WEBHOOK_KEY || '',  // Loaded from environment variables
     lowThreshold: 45,              // Turn charger ON when battery drops below this
     highThreshold: 85,             // Turn charger OFF when battery reaches this
     plugName: 'Battery Charger',   // Displayed in emails
-    maxTemp: 110                   // Future: temperature safety cutoff
+    maxTemp: 110,                  // Future: temperature safety cutoff
+    
+    // Generic HTTP webhook - url/body support {{state}}, {{action}}, {{soc}}, {{plugName}}, {{time}}
+    webhook: {
+      method: 'POST',
+      url: '',
+      headers: {},
+      bodyTemplate: '{"state": "{{state}}", "soc": {{soc}}}'
+    },
+    
+    // Local HTTP relay (works without internet)
+    relay: {
+      type: 'shelly',              // 'shelly' (Gen1), 'shelly-gen2' (Plus/Pro) or 'tasmota'
+      host: '',                    // IP or hostname, e.g. 192.168.1.50
+      channel: 0,                  // Relay index (Shelly id / Tasmota Power index - 1)
+      username: '',
+      password: ''
+    },
+    
+    // Command topic on the same MQTT broker
+    mqtt: {
+      topic: '',
+      onPayload: 'ON',
+      offPayload: 'OFF',
+      stateTopic: '',              // Optional topic the plug reports its state on (enables verification by query)
+      qos: 1,
+      retain: false
+    },
+    
+    // Check that the charger really is in the state chargerState says (see verifyChargerState)
+    verification: {
+      enabled: true,
+      graceMinutes: 3,             // Wait this long after a command before checking
+      powerTopic: '',              // Optional topic with the charger's own power draw in W (e.g. a smart plug meter)
+      chargingWatts: 150,          // Charger power above this means the charger is ON
+      pvIdleWatts: 50,             // Without a power topic, inference only runs while PV is below this
+      offDischargeWatts: null,     // Without a power topic, battery discharging faster than this with PV idle = OFF (null = never infer OFF from the battery)
+      maxRetries: 3                // Re-send attempts (backoff 1, 2, 4... min) before adopting the observed state
+    },
+    
+    // Time-of-use rules evaluated with the SOC thresholds (see decideChargerAction)
+    // Days are 0 = Sunday ... 6 = Saturday in the configured timezone; windows may cross midnight
+    schedule: {
+      enabled: false,
+      chargeWindows: [],           // [{ days, start: 'HH:MM', end: 'HH:MM', targetSoc }] - cheap rates, charge up to targetSoc
+      blackoutWindows: [],         // [{ days, start, end }] - never charge (peak rates)
+      targetSoc: null,             // "Charge to targetSoc% before targetTime" - null disables
+      targetTime: '06:00',
+      targetDays: [0, 1, 2, 3, 4, 5, 6],
+      chargeRatePerHour: 10,       // SOC % gained per hour of charging - used to work out when to start
+      maxRunMinutes: 0,            // Longest continuous run, 0 = no limit
+      restMinutes: 30              // Charger stays OFF this long after hitting maxRunMinutes
+    },
+    
+    // Skip grid charging when the rest of today's solar forecast will refill the battery
+    forecast: {
+      enabled: false,
+      minSoc: 25,                  // Never defer at or below this SOC
+      coverageFactor: 0.8,         // Only trust this share of the forecast surplus
+      batteryCapacityWh: 14400,    // 300Ah @ 48V
+      systemWatts: null            // Array size, used until enough calibration samples are collected
+    }
   },
   
   // Peak Discharge Alert - Monitors discharge during peak sunlight hours
@@ -178,40 +310,167 @@ let alertSettings = {
     durationMinutes: 30
   },
   
-  // Daily Summary Reports
+  // Stale Data Watchdog - SolarAssistant stopped publishing (see checkStaleData)
+  // NOTE: Dashboard cards are flagged stale after `minutes` whether or not alerts are on
+  staleData: {
+    enabled: true,                 // Email/record when data stops and when it recovers
+    minutes: 10,                   // No data for this long = stale
+    watchTopics: [                 // Going stale alerts even while other topics still arrive
+      'solar_assistant/total/battery_state_of_charge/state',
+      'solar_assistant/total/battery_power/state'
+    ]
+  },
+  
+  // Where alerts and reports are delivered (see NOTIFICATION CHANNELS)
+  // NOTE: SendGrid uses fromEmail/toEmail above; SMTP falls back to them when from/to are empty
+  notifications: {
+    channels: {
+      sendgrid: { enabled: true },
+      smtp: { enabled: false, host: '', port: 587, secure: false, username: '', password: '', from: '', to: '' },
+      webhook: { enabled: false, url: '', headers: {} },
+      push: { enabled: false, service: 'ntfy', server: 'https://ntfy.sh', topic: '', token: '' },  // service: 'ntfy' | 'gotify'
+      mqtt: { enabled: false, topic: 'solar_assistant_dashboard/alerts', qos: 1, retain: false }
+    },
+    routing: {}                    // { category: ['smtp', 'push'] } - categories not listed use every enabled channel
+  },
+  
+  // Non-critical notifications are held and sent as one digest when quiet hours end
+  // NOTE: Same window format as the charger schedule, in the configured timezone
+  quietHours: {
+    enabled: false,
+    days: [0, 1, 2, 3, 4, 5, 6],
+    start: '22:00',
+    end: '07:00'
+  },
+  
+  // Acknowledge / snooze from the dashboard and email links (see ALERT ACKNOWLEDGEMENT)
+  alertActions: {
+    snoozeMinutes: 60,             // Default snooze length
+    linkValidHours: 24             // Signed email links stop working after this
+  },
+  
+  // Re-notify unresolved critical alerts (see ALERT ESCALATION)
+  // STRUCTURE: tiers [{ afterMinutes, channels: [names], recipients: [emails] }] - afterMinutes ascending
+  escalation: {
+    enabled: false,
+    tiers: [
+      { afterMinutes: 15, channels: [], recipients: [] },
+      { afterMinutes: 60, channels: [], recipients: [] }
+    ]
+  },
+  
+  // Per-pack safety alerts (see BATTERY PACK PROTECTION)
+  // NOTE: Temperatures are °F like the rest of the dashboard
+  batteryProtection: {
+    enabled: true,
+    maxTemp: 113,                  // Any pack above this = over-temperature (45°C)
+    minTemp: 32,                   // Any pack below this = too cold to charge (0°C)
+    maxCellSpreadMv: 150,          // Highest minus lowest cell voltage in a pack
+    maxSocDivergence: 15,          // Highest minus lowest pack SOC (% points)
+    forceChargerOff: false         // Turn/keep the charger OFF while any pack is too hot, too cold or imbalanced
+  },
+  
+  // User-defined threshold alerts (see ALERT RULES ENGINE)
+  // STRUCTURE: [{ id, name, enabled, source, condition, threshold, thresholdHigh,
+  //              rateWindowMinutes, sustainMinutes, hysteresis, cooldownMinutes,
+  //              severity, recipients, window }]
+  alertRules: [],
+  
+  // Daily Summary Reports (scheduled by the 'daily_summary' job, see JOB SCHEDULER)
+  // NOTE: `enabled` only controls the email - reports are always archived (see REPORT ARCHIVE)
   dailySummary: {
     enabled: true,                 // Enable daily summary emails
     sendTime: '20:00',            // Send at 8:00 PM (24-hour format)
-    timezone: 'America/Phoenix'   // Timezone for scheduling
+    schedule: null,               // Cron expression instead of sendTime, e.g. '0 20 * * 1-5' (null = daily at sendTime)
+    timezone: 'America/Phoenix'   // Only used when System Configuration has no timezone
+  },
+  
+  // Weekly / monthly summary reports (see PERIOD SUMMARY REPORTS)
+  // NOTE: Each report covers the last complete period before it runs
+  weeklySummary: {
+    enabled: false,                // Email the report (it is archived either way)
+    schedule: '0 8 * * 1'          // Mondays 08:00 - the previous Monday-Sunday
+  },
+  monthlySummary: {
+    enabled: false,                // Email the report (it is archived either way)
+    schedule: '0 8 1 * *'          // 1st of the month 08:00 - the previous calendar month
+  },
+  
+  // Report archive retention (see REPORT ARCHIVE), applied by pruneOldData()
+  reportArchive: {
+    retentionDays: 730             // Delete reports whose period started longer ago (null = keep forever)
+  },
+  
+  // System Configuration - applied live by applySystemSettings()
+  // NOTE: mqttBroker and the MQTT auth/TLS fields use null for "take it from .env"
+  systemSettings: {
+    mqttBroker: null,
+    mqttTopic: DEFAULT_MQTT_TOPIC,
+    mqttUsername: null,
+    mqttPassword: null,
+    mqttClientId: null,
+    mqttCaFile: null,              // Paths on this server, e.g. /etc/ssl/mqtt-ca.pem
+    mqttCertFile: null,
+    mqttKeyFile: null,
+    mqttRejectUnauthorized: null,
+    zipCode: '85142',
+    latitude: DEFAULT_WEATHER_LAT,
+    longitude: DEFAULT_WEATHER_LON,
+    locationName: 'Queen Creek, AZ',
+    timezone: 'America/Phoenix'
+  },
+  
+  // Topics archived to the history store for charts
+  // STRUCTURE: [{ topic, archiveIntervalSeconds, retentionDays }]
+  // NOTE: retentionDays null = tier defaults (see HISTORY_TIERS); a number caps every tier
+  trackedTopics: DEFAULT_TRACKED_TOPICS.map(topic => ({
+    topic: topic,
+    archiveIntervalSeconds: ARCHIVE_INTERVAL / 1000,
+    retentionDays: null
+  })),
+  
+  // Inverters/batteries found in the MQTT topics (see DEVICE DISCOVERY)
+  // NOTE: trackedDevices lists devices whose topics were already auto-tracked -
+  //       the defaults above cover inverter 1 and batteries 1-3
+  deviceDiscovery: {
+    autoTrack: true,
+    trackedDevices: ['inverter_1', 'battery_1', 'battery_2', 'battery_3']
   }
 };
 
 // ALERT STATE TRACKING - Prevents duplicate alerts
-// UPDATED BY: checkAlerts() function when thresholds crossed
-// USED BY: sendEmailAlert() to implement cooldown logic
+// UPDATED BY: checkBatteryAlerts() when thresholds are crossed
+// PERSISTED: ALERT_STATE_FILE (see saveAlertState) so a restart doesn't re-send the low alert
 let alertState = {
   belowThreshold: false,  // True if battery is currently below low threshold
+  belowCritical: false,   // True if battery is currently below criticalThreshold
   lastAlertTime: null,    // Timestamp of last alert sent (prevents spam)
   lastAlertType: null     // 'low' or 'recovered' - prevents duplicate alerts
 };
 
-// CHARGER STATE - Tracks IFTTT smart plug status
+// CHARGER STATE - Tracks charger smart plug status
 // CRITICAL: Persists across app restarts via DAILY_STATS_FILE
-// IMPACT: Prevents duplicate IFTTT triggers when app restarts
+// IMPACT: Prevents duplicate charger commands when app restarts
 // UPDATED BY: controlBatteryCharger() function
 let chargerState = {
-  isOn: false,           // Current charger state (synced with IFTTT plug)
+  isOn: false,           // Current charger state (synced with the charger plug)
   lastAction: null,      // 'ON' or 'OFF'
-  lastActionTime: null,  // Timestamp of last IFTTT trigger
-  lastSOC: null          // Battery SOC when last action taken
+  lastActionTime: null,  // Timestamp of last charger command
+  lastSOC: null,         // Battery SOC when last action taken
+  lastActionReason: null,
+  onSince: null,         // When the current ON run started (maxRunMinutes)
+  onRule: null,          // decideChargerAction() rule that turned it ON
+  decision: null         // Latest { action, rule, reason, since, updatedAt } from decideChargerAction()
 };
 
-// Alert history for dashboard display (last 50 alerts)
-// RELATIONSHIP: Displayed in Settings modal on dashboard
+// Newest alert log entries for dashboard display (see ALERT EVENT LOG)
+// RELATIONSHIP: Displayed in Settings modal on dashboard, pushed over the live stream
+// LOADED FROM: ALERT_LOG_DIR on startup - add entries with recordAlertEvent()
 let alertHistory = [];
 
 // PEAK DISCHARGE MONITORING - Tracks battery discharge during peak sunlight hours
 // PURPOSE: Alert when battery is discharging during high solar production times
+// PERSISTED: ALERT_STATE_FILE (see saveAlertState)
 let peakDischargeState = {
   isDischarging: false,
   dischargeStartTime: null,
@@ -223,19 +482,17 @@ let peakDischargeState = {
 // DAILY STATISTICS TRACKING
 // ═══════════════════════════════════════════════════════════════════════════
 // PURPOSE: Calculate daily energy production/consumption deltas
-// RESETS: Every day at midnight (checked by checkDayRollover function)
+// RESETS: Every day at midnight in the configured timezone (checked by checkDayRollover function)
 // PERSISTED: DAILY_STATS_FILE (survives app restarts during same day)
 // IMPACT: Used by dashboard to show "today's" energy statistics
 
 let dailyStats = {
-  date: new Date().toDateString(),
+  date: null,                    // 'YYYY-MM-DD' in the configured timezone (set by checkDayRollover)
   
-  // Starting values (captured at start of day or app startup)
-  // RELATIONSHIP: Compared with current cumulative values to get daily totals
-  pvEnergyStart: null,           // kWh - solar energy at day start
-  loadEnergyStart: null,         // kWh - load consumption at day start
-  batteryEnergyInStart: null,    // kWh - battery charge at day start
-  batteryEnergyOutStart: null,   // kWh - battery discharge at day start
+  // Energy counter accounting - { date, accounts: { pv: { kwh, last, lastAt, start, snapshot, resets }, ... }, previousDay }
+  // RELATIONSHIP: Kept up to date by recordEnergyCounter(), read through getDailyEnergyAccounts()
+  // NOTE: Has its own date - the last readings of a closed day carry over as the next day's midnight snapshot
+  energy: null,
   
   // Peak tracking
   peakPower: { value: 0, time: null },  // Highest solar power today
@@ -251,7 +508,7 @@ let dailyStats = {
 /**
  * Load daily stats from file
  * RELATIONSHIP: Loads dailyStats and chargerState from disk
- * IMPACT: Preserves charger state across app restarts (prevents duplicate IFTTT triggers)
+ * IMPACT: Preserves charger state across app restarts (prevents duplicate charger commands)
  * CALLED BY: Startup sequence (bottom of file)
  */
 function loadDailyStats() {
@@ -260,9 +517,16 @@ function loadDailyStats() {
       const data = fs.readFileSync(DAILY_STATS_FILE, 'utf8');
       const savedStats = JSON.parse(data);
       
-      // Only load if it's the same day
-      if (savedStats.date === new Date().toDateString()) {
-        dailyStats = savedStats;
+      // Energy accounting keeps its own date - a previous day's readings become the midnight snapshot
+      if (savedStats.energy) {
+        dailyStats.energy = savedStats.energy;
+      }
+      
+      // Only load if it's the same day (files from before zoned dates used toDateString())
+      if (savedStats.date === getZonedDateKey() || savedStats.date === new Date().toDateString()) {
+        dailyStats.date = getZonedDateKey();
+        dailyStats.peakPower = savedStats.peakPower || dailyStats.peakPower;
+        dailyStats.peakPowerHourly = savedStats.peakPowerHourly || {};
         console.log('📊 Loaded daily stats from file');
         
         // Load charger state (persists across app restarts)
@@ -306,6 +570,19 @@ function saveDailyStats() {
  * Load alert settings from file
  */
 function loadAlertSettings() {
+  const defaultChargerControl = alertSettings.chargerControl;
+  const defaultSystemSettings = alertSettings.systemSettings;
+  const defaultDeviceDiscovery = alertSettings.deviceDiscovery;
+  const defaultStaleData = alertSettings.staleData;
+  const defaultBatteryProtection = alertSettings.batteryProtection;
+  const defaultNotifications = alertSettings.notifications;
+  const defaultQuietHours = alertSettings.quietHours;
+  const defaultAlertActions = alertSettings.alertActions;
+  const defaultEscalation = alertSettings.escalation;
+  const defaultDailySummary = alertSettings.dailySummary;
+  const defaultWeeklySummary = alertSettings.weeklySummary;
+  const defaultMonthlySummary = alertSettings.monthlySummary;
+  const defaultReportArchive = alertSettings.reportArchive;
   try {
     if (fs.existsSync(SETTINGS_FILE)) {
       const data = fs.readFileSync(SETTINGS_FILE, 'utf8');
@@ -314,6 +591,36 @@ function loadAlertSettings() {
       // Merge saved settings with defaults
       alertSettings = { ...alertSettings, ...savedSettings };
       
+      alertSettings.deviceDiscovery = { ...defaultDeviceDiscovery, ...savedSettings.deviceDiscovery };
+      alertSettings.staleData = { ...defaultStaleData, ...savedSettings.staleData };
+      alertSettings.batteryProtection = { ...defaultBatteryProtection, ...savedSettings.batteryProtection };
+      alertSettings.quietHours = { ...defaultQuietHours, ...savedSettings.quietHours };
+      alertSettings.alertActions = { ...defaultAlertActions, ...savedSettings.alertActions };
+      alertSettings.escalation = { ...defaultEscalation, ...savedSettings.escalation };
+      alertSettings.dailySummary = { ...defaultDailySummary, ...savedSettings.dailySummary };
+      alertSettings.weeklySummary = { ...defaultWeeklySummary, ...savedSettings.weeklySummary };
+      alertSettings.monthlySummary = { ...defaultMonthlySummary, ...savedSettings.monthlySummary };
+      alertSettings.reportArchive = { ...defaultReportArchive, ...savedSettings.reportArchive };
+      
+      // Settings files from before notification channels only know SendGrid
+      const savedChannels = savedSettings.notifications?.channels || {};
+      alertSettings.notifications = {
+        channels: Object.fromEntries(Object.keys(defaultNotifications.channels).map(name => (
+          [name, { ...defaultNotifications.channels[name], ...savedChannels[name] }]
+        ))),
+        routing: { ...savedSettings.notifications?.routing }
+      };
+      
+      if (!Array.isArray(alertSettings.alertRules)) alertSettings.alertRules = [];
+      
+      if (!Array.isArray(alertSettings.trackedTopics)) {
+        alertSettings.trackedTopics = DEFAULT_TRACKED_TOPICS.map(topic => ({
+          topic: topic,
+          archiveIntervalSeconds: ARCHIVE_INTERVAL / 1000,
+          retentionDays: null
+        }));
+      }
+      
       // Always prioritize environment variables for API keys (security)
       if (process.env.SENDGRID_API_KEY) {
         alertSettings.sendgridApiKey = process.env.SENDGRID_API_KEY;
@@ -322,6 +629,19 @@ function loadAlertSettings() {
         alertSettings.chargerControl.iftttWebhookKey = process.env.IFTTT_WEBHOOK_KEY;
       }
       
+      // Settings files from before charger drivers existed only know IFTTT
+      alertSettings.chargerControl = {
+        ...defaultChargerControl,
+        ...alertSettings.chargerControl,
+        webhook: { ...defaultChargerControl.webhook, ...alertSettings.chargerControl?.webhook },
+        relay: { ...defaultChargerControl.relay, ...alertSettings.chargerControl?.relay },
+        mqtt: { ...defaultChargerControl.mqtt, ...alertSettings.chargerControl?.mqtt },
+        verification: { ...defaultChargerControl.verification, ...alertSettings.chargerControl?.verification },
+        schedule: { ...defaultChargerControl.schedule, ...alertSettings.chargerControl?.schedule },
+        forecast: { ...defaultChargerControl.forecast, ...alertSettings.chargerControl?.forecast }
+      };
+      alertSettings.systemSettings = { ...defaultSystemSettings, ...alertSettings.systemSettings };
+      
       console.log('📧 Loaded alert settings from file');
     }
   } catch (error) {
@@ -355,1538 +675,6908 @@ function saveAlertSettings() {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// EMAIL ALERT SYSTEM
+// NOTIFICATION CHANNELS
 // ═══════════════════════════════════════════════════════════════════════════
-// PURPOSE: Send notifications for battery thresholds and IFTTT events
-// DEPENDENCIES: SendGrid API (requires valid API key in alertSettings)
+// PURPOSE: Deliver alerts and reports through SendGrid, plain SMTP, an outbound
+//          webhook, ntfy/Gotify push or an MQTT alert topic, so a dead SendGrid
+//          key or internet outage doesn't silence everything
+// SETTINGS: alertSettings.notifications { channels: { <name>: config }, routing: { <category>: [names] } }
+// INTERFACE: Each channel has
+//   label                        - Shown in settings
+//   validate(config)             - Returns an error string if it can't be used yet, else null
+//   send(config, notification)   - Resolves { ok, detail }; throws on network errors
+//   actionLinks                  - Optional; true to get the signed acknowledge/snooze
+//                                  links appended to `message` (see sendToChannel)
+// NOTE: notification is { category, severity, subject, message, html, to, cc, escalationLevel,
+//       actions: [{ label, url }], timestamp }
+// RULE: Action links only go to channels that opt in - webhook payloads, MQTT
+//       topics and ntfy topics may be read by others
+
+const NOTIFICATION_TIMEOUT = 15000;
+
+// What a notification is about - routing picks channels per category
+const NOTIFICATION_CATEGORIES = {
+  battery: 'Battery low / recovered',
+  charger: 'Charger actions, failures and desync',
+  peak_discharge: 'Peak hours discharge',
+  stale_data: 'Stale data watchdog',
+  battery_protection: 'Battery pack protection',
+  alert_rules: 'Alert rules',
+  daily_summary: 'Daily summary report',
+  weekly_summary: 'Weekly summary report',
+  monthly_summary: 'Monthly summary report',
+  digest: 'Quiet hours digest',
+  test: 'Test messages'
+};
+
+const NOTIFICATION_SEVERITIES = ['info', 'warning', 'critical'];
 
 /**
- * Send email alert via SendGrid
- * USED BY: checkAlerts(), controlBatteryCharger(), test charger endpoint
- * IMPACT: Sends formatted HTML/text email to configured address
- * @param {string} subject - Email subject line
- * @param {string} message - Plain text message body (converted to HTML)
- * @returns {boolean} - True if email sent successfully
+ * HTML body shared by the email channels
  */
-async function sendEmailAlert(subject, message) {
-  if (!alertSettings.enabled || !alertSettings.sendgridApiKey) {
-    console.log('📧 Alerts disabled or no API key configured');
-    return false;
-  }
-
-  try {
-    sgMail.setApiKey(alertSettings.sendgridApiKey);
-    
-    const msg = {
-      to: alertSettings.toEmail,
-      from: alertSettings.fromEmail,
-      subject: subject,
-      text: message,
-      html: `<div style="font-family: Arial, sans-serif; padding: 20px;">
+function buildNotificationHtml(subject, message) {
+  const escaped = String(message).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/(https?:\/\/[^\s<]+)/g, '<a href="$1">$1</a>')
+    .replace(/\n/g, '<br>');
+  return `<div style="font-family: Arial, sans-serif; padding: 20px;">
         <h2 style="color: #667eea;">${subject}</h2>
-        <p style="font-size: 16px;">${message}</p>
+        <p style="font-size: 16px;">${escaped}</p>
         <hr style="margin: 20px 0; border: none; border-top: 1px solid #e0e0e0;">
         <p style="color: #999; font-size: 12px;">SolarAssistant Dashboard Alert System</p>
-      </div>`
-    };
-    
-    await sgMail.send(msg);
-    console.log(`📧 Alert sent: ${subject}`);
-    return true;
-  } catch (error) {
-    console.error('❌ Error sending email alert:', error.message);
-    return false;
-  }
+      </div>`;
 }
 
 /**
- * Check battery SOC and send alerts if thresholds are crossed
+ * JSON body for the webhook and MQTT channels
  */
-async function checkBatteryAlerts(soc) {
-  if (!alertSettings.enabled) return;
+function buildNotificationPayload(notification) {
+  return {
+    source: 'solarassistant-dashboard',
+    category: notification.category,
+    severity: notification.severity,
+    subject: notification.subject,
+    message: notification.message,
+    ...(notification.escalationLevel && { escalationLevel: notification.escalationLevel }),
+    timestamp: notification.timestamp
+  };
+}
+
+/**
+ * Extra addresses to copy on an email, minus anyone already in `to`
+ * NOTE: SendGrid rejects a message that lists the same address twice
+ */
+function getNotificationCc(notification, to) {
+  const primary = [].concat(to).map(email => String(email).toLowerCase());
+  return (notification.cc || []).filter(email => !primary.includes(email.toLowerCase()));
+}
+
+const NOTIFICATION_CHANNELS = {
+  sendgrid: {
+    label: 'SendGrid Email',
+    actionLinks: true,
+    validate: () => alertSettings.sendgridApiKey ? null : 'SendGrid API key is not configured (SENDGRID_API_KEY in .env).',
+    send: async (config, notification) => {
+      sgMail.setApiKey(alertSettings.sendgridApiKey);
+      const to = notification.to && notification.to.length ? notification.to : alertSettings.toEmail;
+      await sgMail.send({
+        to: to,
+        cc: getNotificationCc(notification, to),
+        from: alertSettings.fromEmail,
+        subject: notification.subject,
+        text: notification.message,
+        html: notification.html || buildNotificationHtml(notification.subject, notification.message)
+      });
+      return { ok: true, detail: 'Sent via SendGrid' };
+    }
+  },
   
-  const socValue = parseFloat(soc);
-  if (isNaN(socValue)) return;
+  smtp: {
+    label: 'SMTP Email',
+    actionLinks: true,
+    validate: (config) => config.host ? null : 'SMTP host is not configured.',
+    send: async (config, notification) => {
+      const transport = nodemailer.createTransport({
+        host: config.host,
+        port: parseInt(config.port, 10) || 587,
+        secure: !!config.secure,
+        auth: config.username ? { user: config.username, pass: config.password || '' } : undefined,
+        connectionTimeout: NOTIFICATION_TIMEOUT,
+        socketTimeout: NOTIFICATION_TIMEOUT
+      });
+      const to = notification.to && notification.to.length ? notification.to : (config.to || alertSettings.toEmail);
+      const info = await transport.sendMail({
+        to: to,
+        cc: getNotificationCc(notification, to),
+        from: config.from || alertSettings.fromEmail,
+        subject: notification.subject,
+        text: notification.message,
+        html: notification.html || buildNotificationHtml(notification.subject, notification.message)
+      });
+      return { ok: true, detail: `SMTP accepted (${info.response || info.messageId})` };
+    }
+  },
   
-  // Check if SOC dropped below low threshold
-  if (!alertState.belowThreshold && socValue < alertSettings.lowThreshold) {
-    alertState.belowThreshold = true;
-    alertState.lastAlertTime = new Date();
-    alertState.lastAlertType = 'low';
-    
-    // Add to alert history
-    alertHistory.unshift({
-      type: 'low',
-      message: `Battery dropped to ${socValue}%`,
-      threshold: alertSettings.lowThreshold,
-      value: socValue,
-      timestamp: new Date().toISOString()
-    });
-    if (alertHistory.length > 50) alertHistory.pop();
-    
-    await sendEmailAlert(
-      '⚠️ Low Battery Alert',
-      `Battery State of Charge has dropped to ${socValue}% (below ${alertSettings.lowThreshold}% threshold).\\n\\nTime: ${new Date().toLocaleString()}`
-    );
-    
-    console.log(`⚠️ LOW BATTERY ALERT: SOC at ${socValue}%`);
-  }
+  webhook: {
+    label: 'Webhook (JSON)',
+    validate: (config) => /^https?:\/\//.test(config.url || '') ? null : 'Webhook URL must start with http:// or https://',
+    send: async (config, notification) => {
+      const response = await fetch(config.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(config.headers || {}) },
+        body: JSON.stringify(buildNotificationPayload(notification)),
+        signal: AbortSignal.timeout(NOTIFICATION_TIMEOUT)
+      });
+      return { ok: response.ok, detail: `Webhook responded with status ${response.status}` };
+    }
+  },
   
-  // Check if SOC recovered above high threshold
-  if (alertState.belowThreshold && socValue > alertSettings.highThreshold) {
-    alertState.belowThreshold = false;
-    alertState.lastAlertTime = new Date();
-    alertState.lastAlertType = 'recovered';
-    
-    // Add to alert history
-    alertHistory.unshift({
-      type: 'recovered',
-      message: `Battery recovered to ${socValue}%`,
-      threshold: alertSettings.highThreshold,
-      value: socValue,
-      timestamp: new Date().toISOString()
-    });
-    if (alertHistory.length > 50) alertHistory.pop();
-    
-    await sendEmailAlert(
-      '✅ Battery Recovered',
-      `Battery State of Charge has recovered to ${socValue}% (above ${alertSettings.highThreshold}% threshold).\\n\\nTime: ${new Date().toLocaleString()}`
-    );
-    
-    console.log(`✅ BATTERY RECOVERED: SOC at ${socValue}%`);
+  push: {
+    label: 'Push (ntfy / Gotify)',
+    validate: (config) => {
+      if (!/^https?:\/\//.test(config.server || '')) return 'Push server must start with http:// or https://';
+      if (config.service === 'gotify' && !config.token) return 'Gotify needs an application token.';
+      if (config.service !== 'gotify' && !config.topic) return 'ntfy topic is not configured.';
+      return null;
+    },
+    send: async (config, notification) => {
+      const server = config.server.replace(/\/+$/, '');
+      const level = NOTIFICATION_SEVERITIES.indexOf(notification.severity);
+      let url;
+      let body;
+      const headers = { 'Content-Type': 'application/json' };
+      
+      // JSON publishing keeps emoji subjects out of HTTP headers
+      if (config.service === 'gotify') {
+        url = `${server}/message`;
+        headers['X-Gotify-Key'] = config.token;
+        body = { title: notification.subject, message: notification.message, priority: [4, 6, 9][level] };
+      } else {
+        url = server;
+        if (config.token) headers.Authorization = `Bearer ${config.token}`;
+        body = { topic: config.topic, title: notification.subject, message: notification.message, priority: [3, 4, 5][level], tags: [notification.category] };
+      }
+      
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(NOTIFICATION_TIMEOUT)
+      });
+      return { ok: response.ok, detail: `${config.service === 'gotify' ? 'Gotify' : 'ntfy'} responded with status ${response.status}` };
+    }
+  },
+  
+  mqtt: {
+    label: 'MQTT Alert Topic',
+    validate: (config) => {
+      if (!config.topic) return 'MQTT alert topic is not configured.';
+      if (/[#+]/.test(config.topic)) return 'MQTT alert topic cannot contain wildcards.';
+      return null;
+    },
+    send: (config, notification) => new Promise((resolve, reject) => {
+      if (!client || !client.connected) {
+        return reject(new Error('MQTT broker is not connected'));
+      }
+      client.publish(config.topic, JSON.stringify(buildNotificationPayload(notification)), {
+        qos: parseInt(config.qos, 10) || 0,
+        retain: !!config.retain
+      }, (err) => {
+        if (err) return reject(err);
+        resolve({ ok: true, detail: `Published to ${config.topic}` });
+      });
+    })
   }
+};
+
+/**
+ * Channels a category is routed to
+ * RULE: routing[category] lists channel names; categories without an entry
+ *       go to every enabled channel. Disabled channels are always skipped.
+ */
+function getNotificationRoute(category) {
+  const { channels, routing } = alertSettings.notifications;
+  const names = Array.isArray(routing[category]) ? routing[category] : Object.keys(NOTIFICATION_CHANNELS);
+  return names.filter(name => NOTIFICATION_CHANNELS[name] && channels[name]?.enabled);
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// DAILY SUMMARY REPORT SYSTEM
-// ═══════════════════════════════════════════════════════════════════════════
-// PURPOSE: Send comprehensive daily summary reports via email
-// SCHEDULED: Daily at 8:00 PM (configurable in alertSettings.dailySummary)
+/**
+ * Send one notification through one channel
+ * RETURNS: { channel, ok, detail }
+ * NOTE: Never throws - failures are logged and returned
+ */
+async function sendToChannel(name, config, notification) {
+  const channel = NOTIFICATION_CHANNELS[name];
+  const error = channel.validate(config);
+  if (error) {
+    console.log(`📧 ${channel.label} skipped: ${error}`);
+    return { channel: name, ok: false, detail: error };
+  }
+  if (channel.actionLinks && notification.actions?.length) {
+    const links = notification.actions.map(action => `${action.label}: ${action.url}`).join('\n');
+    notification = { ...notification, message: `${notification.message}\n\n${links}` };
+  }
+  try {
+    const result = await channel.send(config, notification);
+    return { channel: name, ...result };
+  } catch (err) {
+    console.error(`❌ ${channel.label} failed:`, err.message);
+    return { channel: name, ok: false, detail: err.message };
+  }
+}
 
 /**
- * Calculate daily energy statistics from historical data
+ * Send an alert or report through the channels routed for its category
+ * USED BY: battery/charger/peak/stale/pack alerts, alert rules, daily summary, test endpoints
+ * @param {string} category - Key of NOTIFICATION_CATEGORIES
+ * @param {string} subject - Subject / title
+ * @param {string} message - Plain text body (converted to HTML for email)
+ * @param {Object} options - { severity, html, to: [emails] (email channels; empty = configured address),
+ *                            alertKey (active alert this is about - adds acknowledge/snooze links),
+ *                            repeat (deliberate re-send for that alert, e.g. a snooze reminder),
+ *                            actions: [{ label, url }] (links for the channels that show them),
+ *                            channels: [names] (enabled channels to add to the route),
+ *                            cc: [emails] (copied on the email channels), escalationLevel }
+ * @returns {boolean} - True if at least one channel delivered it (or it was held for the quiet hours digest)
+ * RULE: alertSettings.enabled is the master switch for every channel
+ * RULE: Acknowledged/snoozed alerts are not sent; an alert already notified is
+ *       only sent again with `repeat` (see ALERT ACKNOWLEDGEMENT). It only
+ *       counts as notified once a channel delivered it or the digest holds it.
  */
-function calculateDailyStats() {
-  const today = new Date();
-  const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000);
-  
-  const stats = {
-    date: today.toDateString(),
-    solarEnergy: { total: 0, array1: 0, array2: 0 },
-    loadEnergy: 0,
-    batteryEnergy: { in: 0, out: 0, net: 0 },
-    peakPower: { solar: 0, load: 0, solarTime: null, loadTime: null },
-    batterySOC: { start: null, end: null, peak: 0, low: 100 },
-    weather: weatherData,
-    systemHealth: {
-      uptime: 0,
-      dataPoints: 0,
-      connectionStatus: connectionStatus
-    },
-    efficiency: 0
-  };
+async function sendNotification(category, subject, message, options = {}) {
+  if (!alertSettings.enabled) {
+    console.log('📧 Alerts disabled');
+    return false;
+  }
   
-  // Calculate energy from power data (integrate over time)
-  TRACKED_TOPICS.forEach(topic => {
-    if (!historicalData[topic]) return;
-    
-    const data = historicalData[topic].filter(point => {
-      const pointTime = new Date(point.timestamp);
-      return pointTime >= startOfDay && pointTime < endOfDay;
-    });
-    
-    if (data.length === 0) return;
-    
-    // Calculate energy by integrating power over time
-    let energy = 0;
-    let peakPower = 0;
-    let peakTime = null;
-    
-    for (let i = 1; i < data.length; i++) {
-      const prevPoint = data[i - 1];
-      const currPoint = data[i];
-      const timeDiff = (new Date(currPoint.timestamp) - new Date(prevPoint.timestamp)) / 3600000; // hours
-      const avgPower = (parseFloat(prevPoint.value) + parseFloat(currPoint.value)) / 2;
-      
-      energy += avgPower * timeDiff / 1000; // Convert to kWh
-      
-      if (parseFloat(currPoint.value) > peakPower) {
-        peakPower = parseFloat(currPoint.value);
-        peakTime = currPoint.timestamp;
-      }
+  const severity = options.severity || 'warning';
+  const actions = [...(options.actions || [])];
+  const alert = options.alertKey ? activeAlerts[options.alertKey] : null;
+  if (alert) {
+    if (isAlertSilenced(alert)) {
+      console.log(`🔕 Not sent (alert ${alert.acknowledgedAt ? 'acknowledged' : 'snoozed'}): ${subject}`);
+      return false;
     }
-    
-    // Assign to appropriate category
-    if (topic.includes('pv_power/state') && !topic.includes('pv_power_1') && !topic.includes('pv_power_2')) {
-      stats.solarEnergy.total = Math.round(energy * 100) / 100;
-      stats.peakPower.solar = Math.round(peakPower);
-      stats.peakPower.solarTime = peakTime;
-    } else if (topic.includes('pv_power_1/state')) {
-      stats.solarEnergy.array1 = Math.round(energy * 100) / 100;
-    } else if (topic.includes('pv_power_2/state')) {
-      stats.solarEnergy.array2 = Math.round(energy * 100) / 100;
-    } else if (topic.includes('load_power/state')) {
-      stats.loadEnergy = Math.round(energy * 100) / 100;
-      stats.peakPower.load = Math.round(peakPower);
-      stats.peakPower.loadTime = peakTime;
-    } else if (topic.includes('battery_state_of_charge/state')) {
-      // Get battery SOC data
-      if (data.length > 0) {
-        stats.batterySOC.start = Math.round(parseFloat(data[0].value));
-        stats.batterySOC.end = Math.round(parseFloat(data[data.length - 1].value));
-        
-        data.forEach(point => {
-          const soc = parseFloat(point.value);
-          if (soc > stats.batterySOC.peak) stats.batterySOC.peak = Math.round(soc);
-          if (soc < stats.batterySOC.low) stats.batterySOC.low = Math.round(soc);
-        });
-      }
+    if (alert.notifiedAt && !options.repeat) {
+      console.log(`🔕 Not sent (already notified for this alert): ${subject}`);
+      return false;
     }
-  });
+    actions.push(
+      { label: 'Acknowledge', url: buildAlertActionUrl(alert.key, 'ack') },
+      { label: `Snooze ${alertSettings.alertActions.snoozeMinutes} min`, url: buildAlertActionUrl(alert.key, 'snooze') }
+    );
+  }
   
-  // Calculate net energy balance
-  const netBalance = stats.solarEnergy.total - stats.loadEnergy;
-  stats.netBalance = Math.round(netBalance * 100) / 100;
+  if (severity !== 'critical' && !QUIET_HOURS_EXEMPT.includes(category) && isQuietHours()) {
+    quietDigest.push({ category: category, severity: severity, subject: subject, message: message, actions: actions, timestamp: new Date().toISOString() });
+    if (alert) alert.notifiedAt = new Date().toISOString();
+    saveAlertState();
+    console.log(`🌙 Quiet hours - held for the digest: ${subject}`);
+    return true;
+  }
   
-  // Calculate efficiency
-  if (stats.loadEnergy > 0) {
-    stats.efficiency = Math.round((stats.solarEnergy.total / stats.loadEnergy) * 100);
+  const extraChannels = (options.channels || []).filter(name => alertSettings.notifications.channels[name]?.enabled);
+  const names = [...new Set([...getNotificationRoute(category), ...extraChannels])];
+  if (names.length === 0) {
+    console.log(`📧 No enabled notification channel for ${category}`);
+    return false;
   }
   
-  // Calculate system uptime (approximate from data points)
-  stats.systemHealth.dataPoints = Object.values(historicalData).reduce((total, topicData) => {
-    return total + (topicData ? topicData.length : 0);
-  }, 0);
+  const notification = {
+    category: category,
+    severity: severity,
+    subject: subject,
+    message: message,
+    html: options.html || null,
+    to: options.to || [],
+    cc: options.cc || [],
+    escalationLevel: options.escalationLevel || null,
+    actions: actions,
+    timestamp: new Date().toISOString()
+  };
+  const results = await Promise.all(names.map(name => sendToChannel(name, alertSettings.notifications.channels[name], notification)));
+  const delivered = results.filter(result => result.ok).map(result => result.channel);
   
-  return stats;
+  if (delivered.length > 0) {
+    console.log(`📧 Alert sent: ${subject} (${delivered.join(', ')})`);
+    if (alert && activeAlerts[alert.key] === alert) {
+      alert.notifiedAt = new Date().toISOString();
+      saveAlertState();
+    }
+  }
+  return delivered.length > 0;
 }
 
 /**
- * Generate HTML content for daily summary email
+ * Validate a notifications block from POST /settings/alerts
+ * RETURNS: { error } or { values } - the full merged { channels, routing }
+ * NOTE: A blank or '***' SMTP password / push token / webhook header value keeps the saved one
  */
-function generateDailySummaryHTML(stats) {
-  const date = new Date().toLocaleDateString('en-US', { 
-    weekday: 'long', 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
-  });
-  
-  const weatherIcon = getWeatherIcon(stats.weather?.weatherCode || 0);
-  const weatherDesc = getWeatherDescription(stats.weather?.weatherCode || 0);
+function validateNotificationSettings(input) {
+  const current = alertSettings.notifications;
+  const channels = {};
   
-  const socChange = stats.batterySOC.end - stats.batterySOC.start;
-  const socChangeText = socChange > 0 ? `+${socChange}%` : `${socChange}%`;
-  const socChangeColor = socChange > 0 ? '#27ae60' : socChange < 0 ? '#e74c3c' : '#3498db';
+  for (const name of Object.keys(NOTIFICATION_CHANNELS)) {
+    const sent = input.channels?.[name] || {};
+    const config = { ...current.channels[name], ...sent };
+    if (sent.enabled !== undefined) config.enabled = !!sent.enabled;
+    
+    if (name === 'smtp') {
+      if (!sent.password || sent.password === '***') config.password = current.channels.smtp.password;
+      config.port = parseInt(config.port, 10);
+      if (isNaN(config.port) || config.port < 1 || config.port > 65535) return { error: 'SMTP port must be between 1 and 65535' };
+      config.secure = !!config.secure;
+    }
+    if (name === 'push') {
+      if (!sent.token || sent.token === '***') config.token = current.channels.push.token;
+      if (!['ntfy', 'gotify'].includes(config.service)) return { error: 'Push service must be ntfy or gotify' };
+    }
+    if (name === 'webhook') {
+      if (typeof config.headers !== 'object' || Array.isArray(config.headers) || config.headers === null) {
+        return { error: 'Webhook headers must be an object of name: value pairs' };
+      }
+      config.headers = restoreMaskedHeaders(config.headers, current.channels.webhook.headers);
+    }
+    if (name === 'mqtt') {
+      config.qos = parseInt(config.qos, 10);
+      if (![0, 1, 2].includes(config.qos)) return { error: 'MQTT alert QoS must be 0, 1 or 2' };
+      config.retain = !!config.retain;
+    }
+    
+    // SendGrid may stay enabled without a key (it's the default); others must be usable
+    if (config.enabled && name !== 'sendgrid') {
+      const error = NOTIFICATION_CHANNELS[name].validate(config);
+      if (error) return { error: `${NOTIFICATION_CHANNELS[name].label}: ${error}` };
+    }
+    channels[name] = config;
+  }
   
-  const efficiencyColor = stats.efficiency >= 100 ? '#27ae60' : stats.efficiency >= 80 ? '#f39c12' : '#e74c3c';
-  const efficiencyText = stats.efficiency >= 100 ? 'Excellent' : stats.efficiency >= 80 ? 'Good' : 'Needs Improvement';
+  const routing = { ...current.routing };
+  for (const [category, names] of Object.entries(input.routing || {})) {
+    if (!NOTIFICATION_CATEGORIES[category]) return { error: `Unknown notification category "${category}"` };
+    if (names === null) {
+      delete routing[category];
+      continue;
+    }
+    if (!Array.isArray(names) || names.some(name => !NOTIFICATION_CHANNELS[name])) {
+      return { error: `Routing for ${category} must be a list of ${Object.keys(NOTIFICATION_CHANNELS).join(', ')} (or null for all)` };
+    }
+    routing[category] = [...new Set(names)];
+  }
   
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Daily Solar Summary - ${date}</title>
-    </head>
-    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
-        <h1 style="margin: 0; font-size: 28px;">☀️ Solar Assistant</h1>
-        <h2 style="margin: 10px 0 0 0; font-size: 20px; opacity: 0.9;">Daily Summary Report</h2>
-        <p style="margin: 15px 0 0 0; font-size: 16px; opacity: 0.8;">${date}</p>
-      </div>
-      
-      <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e9ecef;">
-        
-        <!-- Quick Stats Summary -->
-        <div style="background: white; padding: 25px; border-radius: 8px; margin-bottom: 25px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-          <h3 style="margin-top: 0; color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 10px;">📊 Today's Summary</h3>
-          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-top: 20px;">
-            <div style="text-align: center; padding: 15px; background: #e8f5e8; border-radius: 8px;">
-              <div style="font-size: 24px; font-weight: bold; color: #27ae60;">${stats.solarEnergy.total} kWh</div>
-              <div style="color: #666; font-size: 14px;">☀️ Solar Generated</div>
-            </div>
-            <div style="text-align: center; padding: 15px; background: #e3f2fd; border-radius: 8px;">
-              <div style="font-size: 24px; font-weight: bold; color: #3498db;">${stats.loadEnergy} kWh</div>
-              <div style="color: #666; font-size: 14px;">⚡ Energy Consumed</div>
-            </div>
-            <div style="text-align: center; padding: 15px; background: #fff3e0; border-radius: 8px;">
-              <div style="font-size: 24px; font-weight: bold; color: #f39c12;">${stats.netBalance > 0 ? '+' : ''}${stats.netBalance} kWh</div>
-              <div style="color: #666; font-size: 14px;">⚖️ Net Balance</div>
-            </div>
-            <div style="text-align: center; padding: 15px; background: #fce4ec; border-radius: 8px;">
-              <div style="font-size: 24px; font-weight: bold; color: ${efficiencyColor};">${stats.efficiency}%</div>
-              <div style="color: #666; font-size: 14px;">🎯 Efficiency</div>
-            </div>
-          </div>
-        </div>
-        
-        <!-- Solar Performance -->
-        <div style="background: white; padding: 25px; border-radius: 8px; margin-bottom: 25px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-          <h3 style="margin-top: 0; color: #f39c12; border-bottom: 2px solid #f39c12; padding-bottom: 10px;">☀️ Solar Performance</h3>
-          <div style="margin-top: 20px;">
-            <p><strong>Total Solar Energy:</strong> ${stats.solarEnergy.total} kWh</p>
-            <p><strong>Array 1:</strong> ${stats.solarEnergy.array1} kWh</p>
-            <p><strong>Array 2:</strong> ${stats.solarEnergy.array2} kWh</p>
-            <p><strong>Peak Power:</strong> ${stats.peakPower.solar} W ${stats.peakPower.solarTime ? 'at ' + new Date(stats.peakPower.solarTime).toLocaleTimeString() : ''}</p>
-          </div>
-        </div>
-        
-        <!-- Battery Status -->
-        <div style="background: white; padding: 25px; border-radius: 8px; margin-bottom: 25px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-          <h3 style="margin-top: 0; color: #27ae60; border-bottom: 2px solid #27ae60; padding-bottom: 10px;">🔋 Battery Status</h3>
-          <div style="margin-top: 20px;">
-            <p><strong>Starting SOC:</strong> ${stats.batterySOC.start || 'N/A'}%</p>
-            <p><strong>Ending SOC:</strong> ${stats.batterySOC.end || 'N/A'}%</p>
-            <p><strong>Daily Change:</strong> <span style="color: ${socChangeColor}; font-weight: bold;">${socChangeText}</span></p>
-            <p><strong>Peak SOC:</strong> ${stats.batterySOC.peak}%</p>
-            <p><strong>Lowest SOC:</strong> ${stats.batterySOC.low}%</p>
-          </div>
-        </div>
-        
-        <!-- Weather & System Health -->
-        <div style="background: white; padding: 25px; border-radius: 8px; margin-bottom: 25px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-          <h3 style="margin-top: 0; color: #3498db; border-bottom: 2px solid #3498db; padding-bottom: 10px;">🌤️ Weather & System Health</h3>
-          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-top: 20px;">
-            <div>
-              <h4 style="color: #667eea; margin-bottom: 10px;">Weather Conditions</h4>
-              <p><strong>Conditions:</strong> ${weatherIcon} ${weatherDesc}</p>
-              ${stats.weather ? `
-                <p><strong>Temperature:</strong> ${stats.weather.temperature}°F</p>
-                <p><strong>Humidity:</strong> ${stats.weather.humidity}%</p>
-                <p><strong>Solar Irradiance:</strong> ${stats.weather.solarRadiation} W/m²</p>
-              ` : '<p>Weather data unavailable</p>'}
-            </div>
-            <div>
-              <h4 style="color: #667eea; margin-bottom: 10px;">System Status</h4>
-              <p><strong>Connection:</strong> <span style="color: ${stats.systemHealth.connectionStatus === 'Connected' ? '#27ae60' : '#e74c3c'}">${stats.systemHealth.connectionStatus}</span></p>
-              <p><strong>Data Points:</strong> ${stats.systemHealth.dataPoints.toLocaleString()}</p>
-              <p><strong>Efficiency Rating:</strong> <span style="color: ${efficiencyColor}; font-weight: bold;">${efficiencyText}</span></p>
-            </div>
-          </div>
-        </div>
-        
-        <!-- Insights & Recommendations -->
-        <div style="background: white; padding: 25px; border-radius: 8px; margin-bottom: 25px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-          <h3 style="margin-top: 0; color: #8e44ad; border-bottom: 2px solid #8e44ad; padding-bottom: 10px;">💡 Insights & Recommendations</h3>
-          <div style="margin-top: 20px;">
-            ${generateDailyInsights(stats)}
-          </div>
-        </div>
-        
-        <!-- Dashboard Link -->
-        <div style="text-align: center; margin-top: 30px;">
-          <a href="https://localhost:3434" style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">View Full Dashboard</a>
-        </div>
-        
-      </div>
-      
-      <div style="text-align: center; margin-top: 30px; padding: 20px; color: #666; font-size: 12px;">
-        <p>Solar Assistant Dashboard - Automated Daily Report</p>
-        <p>Generated at ${new Date().toLocaleString()}</p>
-      </div>
-    </body>
-    </html>
-  `;
+  return { values: { channels: channels, routing: routing } };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// ALERT EVENT LOG
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Durable record of alerts, charger actions and reports that survives
+//          restarts and can be filtered, paged and exported
+// STORAGE: ALERT_LOG_DIR/YYYY-MM.jsonl - one JSON entry per line, appended as
+//          events happen; whole months are deleted after ALERT_LOG_RETENTION_DAYS
+// IN MEMORY: alertHistory keeps the newest ALERT_HISTORY_CACHE_SIZE entries for
+//            the dashboard and the live stream (loaded from disk on startup)
+// ENTRY: { id, timestamp, type, category, severity, message, details }
+
+// Every event type written to the log
+// RELATIONSHIP: category matches NOTIFICATION_CATEGORIES so filters line up with routing
+// NOTE: severity is the default - callers may pass a stricter one (e.g. alert rules);
+//       a null category is taken from options.category
+const ALERT_EVENT_TYPES = {
+  low:                        { category: 'battery', severity: 'warning', label: 'Battery low' },
+  battery_critical:           { category: 'battery', severity: 'critical', label: 'Battery critical' },
+  battery_critical_cleared:   { category: 'battery', severity: 'info', label: 'Battery above critical' },
+  recovered:                  { category: 'battery', severity: 'info', label: 'Battery recovered' },
+  charger_on:                 { category: 'charger', severity: 'info', label: 'Charger ON' },
+  charger_off:                { category: 'charger', severity: 'info', label: 'Charger OFF' },
+  charger_failed:             { category: 'charger', severity: 'critical', label: 'Charger command failed' },
+  charger_deferred:           { category: 'charger', severity: 'info', label: 'Charging deferred to solar' },
+  charger_desync:             { category: 'charger', severity: 'warning', label: 'Charger desync' },
+  charger_resynced:           { category: 'charger', severity: 'info', label: 'Charger back in sync' },
+  charger_reconciled:         { category: 'charger', severity: 'warning', label: 'Charger state reconciled' },
+  charger_manual:             { category: 'charger', severity: 'info', label: 'Charger manual command' },
+  peak_discharge:             { category: 'peak_discharge', severity: 'warning', label: 'Peak hours discharge' },
+  stale_data:                 { category: 'stale_data', severity: 'warning', label: 'Data stopped' },
+  stale_data_recovered:       { category: 'stale_data', severity: 'info', label: 'Data recovered' },
+  battery_protection:         { category: 'battery_protection', severity: 'warning', label: 'Pack protection' },
+  battery_protection_cleared: { category: 'battery_protection', severity: 'info', label: 'Pack protection cleared' },
+  rule_triggered:             { category: 'alert_rules', severity: 'warning', label: 'Rule triggered' },
+  rule_cleared:               { category: 'alert_rules', severity: 'info', label: 'Rule cleared' },
+  daily_summary:              { category: 'daily_summary', severity: 'info', label: 'Daily summary sent' },
+  daily_summary_failed:       { category: 'daily_summary', severity: 'warning', label: 'Daily summary not delivered' },
+  weekly_summary:             { category: 'weekly_summary', severity: 'info', label: 'Weekly summary sent' },
+  weekly_summary_failed:      { category: 'weekly_summary', severity: 'warning', label: 'Weekly summary not delivered' },
+  monthly_summary:            { category: 'monthly_summary', severity: 'info', label: 'Monthly summary sent' },
+  monthly_summary_failed:     { category: 'monthly_summary', severity: 'warning', label: 'Monthly summary not delivered' },
+  alert_acknowledged:         { category: null, severity: 'info', label: 'Alert acknowledged' },   // Category of the alert
+  alert_snoozed:              { category: null, severity: 'info', label: 'Alert snoozed' },
+  alert_escalated:            { category: null, severity: 'critical', label: 'Alert escalated' },
+  alert_escalation_resolved:  { category: null, severity: 'info', label: 'Escalated alert resolved' },
+  quiet_hours_digest:         { category: 'digest', severity: 'info', label: 'Quiet hours digest' }
+};
+
 /**
- * Generate daily insights and recommendations
+ * Get the log segment file an event time belongs to
+ * @param {number} ms - Epoch milliseconds
  */
-function generateDailyInsights(stats) {
-  const insights = [];
+function getAlertLogFile(ms) {
+  return path.join(ALERT_LOG_DIR, `${new Date(ms).toISOString().slice(0, 7)}.jsonl`);
+}
+
+/**
+ * Record an event in alertHistory and append it to the alert log
+ * CALLED BY: Battery alerts, charger control/verification, peak discharge,
+ *            stale data watchdog, alert rules, pack protection, daily summary
+ * IMPACT: The live stream pushes it to open dashboards (see flushLiveUpdates)
+ * @param {string} type - Key of ALERT_EVENT_TYPES
+ * @param {Object} options - { severity, category, timestamp } overrides
+ * @returns {Object} - The stored entry
+ */
+function recordAlertEvent(type, message, details = {}, options = {}) {
+  const eventType = ALERT_EVENT_TYPES[type];
+  const timestamp = options.timestamp ? new Date(options.timestamp) : new Date();
+  const entry = {
+    id: 'evt_' + timestamp.getTime().toString(36) + Math.random().toString(36).slice(2, 6),
+    timestamp: timestamp.toISOString(),
+    type: type,
+    category: options.category || eventType.category,
+    severity: options.severity || eventType.severity,
+    message: message,
+    details: details
+  };
   
-  // Efficiency insights
-  if (stats.efficiency >= 120) {
-    insights.push('🎉 Excellent efficiency! Your solar system is generating significantly more than you\'re consuming.');
-  } else if (stats.efficiency >= 100) {
-    insights.push('✅ Great efficiency! You\'re generating as much or more than you\'re consuming.');
-  } else if (stats.efficiency >= 80) {
-    insights.push('👍 Good efficiency. Consider optimizing load timing to better utilize solar production.');
-  } else {
-    insights.push('⚠️ Lower efficiency detected. Consider reviewing your energy consumption patterns.');
-  }
+  alertHistory.unshift(entry);
+  if (alertHistory.length > ALERT_HISTORY_CACHE_SIZE) alertHistory.pop();
   
-  // Battery insights
-  if (stats.batterySOC.end > stats.batterySOC.start) {
-    insights.push('🔋 Battery charged throughout the day - great solar utilization!');
-  } else if (stats.batterySOC.end < stats.batterySOC.start) {
-    insights.push('⚡ Battery discharged during the day. Consider reducing evening consumption.');
+  try {
+    fs.mkdirSync(ALERT_LOG_DIR, { recursive: true });
+    fs.appendFileSync(getAlertLogFile(timestamp.getTime()), JSON.stringify(entry) + '\n');
+  } catch (error) {
+    console.error('❌ Error writing alert log:', error.message);
   }
   
-  // Weather insights
-  if (stats.weather && stats.weather.solarRadiation > 800) {
-    insights.push('☀️ Excellent solar conditions today with high irradiance.');
-  } else if (stats.weather && stats.weather.solarRadiation < 400) {
-    insights.push('☁️ Cloudy conditions reduced solar production. Tomorrow should be better!');
-  }
+  return entry;
+}
+
+/**
+ * List log segments, newest first
+ * @returns {Array} - [{ month: 'YYYY-MM', file }]
+ */
+function listAlertLogSegments() {
+  if (!fs.existsSync(ALERT_LOG_DIR)) return [];
+  return fs.readdirSync(ALERT_LOG_DIR)
+    .filter(name => /^\d{4}-\d{2}\.jsonl$/.test(name))
+    .sort()
+    .reverse()
+    .map(name => ({ month: name.slice(0, 7), file: path.join(ALERT_LOG_DIR, name) }));
+}
+
+/**
+ * Parse a log segment into entries, newest first
+ * NOTE: Skips partially written lines (e.g. power loss mid-append)
+ */
+function readAlertLogSegment(filePath) {
+  const entries = [];
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
   
-  // Peak power insights
-  if (stats.peakPower.solar > 2000) {
-    insights.push('🚀 Outstanding peak power generation! Your panels are performing excellently.');
+  for (const line of lines) {
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Ignore the broken line, keep the rest of the month
+    }
   }
   
-  return insights.map(insight => `<p style="margin: 10px 0;">${insight}</p>`).join('');
+  return entries.reverse();
 }
 
 /**
- * Get weather description from weather code
+ * Query the alert log
+ * USED BY: GET /settings/alerts/history
+ * @param {Object} filter - { types: [], categories: [], severities: [], from: ms, to: ms } - empty/missing = any
+ * @returns {Array} - Matching entries, newest first
  */
-function getWeatherDescription(weatherCode) {
-  const descriptions = {
-    0: 'Clear sky',
-    1: 'Mainly clear',
-    2: 'Partly cloudy',
-    3: 'Overcast',
-    45: 'Fog',
-    48: 'Depositing rime fog',
-    51: 'Light drizzle',
-    53: 'Moderate drizzle',
-    55: 'Dense drizzle',
-    61: 'Slight rain',
-    63: 'Moderate rain',
-    65: 'Heavy rain',
-    71: 'Slight snow',
-    73: 'Moderate snow',
-    75: 'Heavy snow',
-    77: 'Snow grains',
-    80: 'Slight rain showers',
-    81: 'Moderate rain showers',
-    82: 'Violent rain showers',
-    85: 'Slight snow showers',
-    86: 'Heavy snow showers',
-    95: 'Thunderstorm',
-    96: 'Thunderstorm with slight hail',
-    99: 'Thunderstorm with heavy hail'
-  };
-  return descriptions[weatherCode] || 'Unknown';
+function queryAlertLog(filter = {}) {
+  const fromMonth = filter.from ? new Date(filter.from).toISOString().slice(0, 7) : null;
+  const toMonth = filter.to ? new Date(filter.to).toISOString().slice(0, 7) : null;
+  const matches = [];
+  
+  listAlertLogSegments().forEach(segment => {
+    if ((fromMonth && segment.month < fromMonth) || (toMonth && segment.month > toMonth)) return;
+    
+    readAlertLogSegment(segment.file).forEach(entry => {
+      const ms = new Date(entry.timestamp).getTime();
+      if (filter.from && ms < filter.from) return;
+      if (filter.to && ms > filter.to) return;
+      if (filter.types && filter.types.length > 0 && !filter.types.includes(entry.type)) return;
+      if (filter.categories && filter.categories.length > 0 && !filter.categories.includes(entry.category)) return;
+      if (filter.severities && filter.severities.length > 0 && !filter.severities.includes(entry.severity)) return;
+      matches.push(entry);
+    });
+  });
+  
+  return matches;
 }
 
 /**
- * Send daily summary report
+ * Load the newest log entries into alertHistory
+ * CALLED BY: Startup sequence (bottom of file)
  */
-async function sendDailySummaryReport() {
-  if (!alertSettings.dailySummary.enabled || !alertSettings.enabled) {
-    console.log('📧 Daily summary disabled or alerts disabled');
-    return false;
-  }
-  
+function loadAlertHistory() {
   try {
-    console.log('📊 Generating daily summary report...');
-    
-    const stats = calculateDailyStats();
-    const htmlContent = generateDailySummaryHTML(stats);
-    const subject = `📊 Daily Solar Summary - ${stats.date}`;
-    
-    // Send the email
-    if (alertSettings.sendgridApiKey) {
-      sgMail.setApiKey(alertSettings.sendgridApiKey);
-      
-      const msg = {
-        to: alertSettings.toEmail,
-        from: alertSettings.fromEmail,
-        subject: subject,
-        html: htmlContent
-      };
-      
-      await sgMail.send(msg);
-      console.log('✅ Daily summary report sent successfully');
-      
-      // Add to alert history
-      alertHistory.unshift({
-        type: 'daily_summary',
-        message: `Daily summary sent for ${stats.date}`,
-        timestamp: new Date().toISOString()
-      });
-      if (alertHistory.length > 50) alertHistory.pop();
-      
-      return true;
-    } else {
-      console.log('❌ No SendGrid API key configured for daily summary');
-      return false;
+    const segments = listAlertLogSegments();
+    for (const segment of segments) {
+      alertHistory.push(...readAlertLogSegment(segment.file));
+      if (alertHistory.length >= ALERT_HISTORY_CACHE_SIZE) break;
+    }
+    alertHistory = alertHistory.slice(0, ALERT_HISTORY_CACHE_SIZE);
+    if (alertHistory.length > 0) {
+      console.log(`📜 Loaded ${alertHistory.length} recent alert log entries`);
     }
   } catch (error) {
-    console.error('❌ Error sending daily summary report:', error.message);
-    return false;
+    console.error('❌ Error loading alert log:', error.message);
   }
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// AUTOMATIC CHARGER CONTROL (IFTTT INTEGRATION)
-// ═══════════════════════════════════════════════════════════════════════════
-// PURPOSE: Automatically turn charger ON/OFF based on battery SOC
-// FLOW: MQTT SOC update → This function → IFTTT webhook → Smart Plug → Charger
-// IMPACT: Prevents battery over-discharge by automatically charging
-// 
-// DEPENDENCY CHAIN:
-// 1. MQTT message: 'solar_assistant/total/battery_state_of_charge/state'
-// 2. → archiveData() function calls this
-// 3. → HTTP POST to https://maker.ifttt.com/trigger/{event}/with/key/{key}
-// 4. → IFTTT applet turns TP-Link smart plug ON/OFF
-// 5. → Email alert sent via sendEmailAlert()
-// 
-// STATE MANAGEMENT:
-// - chargerState tracks ON/OFF to prevent duplicate triggers
-// - Uses hysteresis (different ON/OFF thresholds) to prevent rapid cycling
-// - State persists across app restarts via dailyStats.chargerState
-
 /**
- * Control battery charger via IFTTT webhook
- * @param {number} soc - Battery State of Charge percentage (0-100)
- * CALLED BY: archiveData() when SOC topic is updated
- * TRIGGERS: IFTTT 'battery_low' or 'battery_charged' webhook events
+ * Delete log months that ended more than ALERT_LOG_RETENTION_DAYS ago
+ * CALLED BY: Startup sequence and the periodic save interval
  */
-async function controlBatteryCharger(soc) {
-  if (!alertSettings.chargerControl?.enabled || !alertSettings.chargerControl?.iftttWebhookKey) {
-    return;
-  }
-
-  const { lowThreshold, highThreshold, iftttWebhookKey, plugName, maxTemp } = alertSettings.chargerControl;
-  const socValue = parseFloat(soc);
-  const now = Date.now();
+function pruneAlertLog() {
+  const cutoffMonth = new Date(Date.now() - ALERT_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 7);
   
-  if (isNaN(socValue)) return;
-  
-  // Check battery temperature - disable charging if too hot
-  const batteryTemp = parseFloat(cachedData['solar_assistant/total/battery_temperature/state']?.value);
-  if (!isNaN(batteryTemp) && batteryTemp > maxTemp) {
-    if (chargerState.isOn) {
-      console.log(`🌡️ Battery temperature too high (${batteryTemp}°F > ${maxTemp}°F) - keeping charger OFF for safety`);
-    }
-    return;
-  }
-  
-  // Prevent rapid toggling (minimum 5 minutes between actions)
-  if (chargerState.lastActionTime && (now - chargerState.lastActionTime) < 300000) {
-    return;
-  }
-  
-  // Hysteresis: Add 2% buffer to prevent oscillation
-  const effectiveLowThreshold = lowThreshold;
-  const effectiveHighThreshold = highThreshold;
-
-  try {
-    // Turn ON charger when SOC is low
-    if (socValue <= effectiveLowThreshold && !chargerState.isOn) {
-      const response = await fetch(`https://maker.ifttt.com/trigger/battery_low/with/key/${iftttWebhookKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          value1: socValue,
-          value2: plugName,
-          value3: new Date().toLocaleString()
-        })
-      });
-      
-      if (response.ok) {
-        chargerState.isOn = true;
-        chargerState.lastAction = 'ON';
-        chargerState.lastActionTime = now;
-        chargerState.lastSOC = socValue;
-        console.log(`🔌 CHARGER TURNED ON - Battery at ${socValue}% (threshold: ${effectiveLowThreshold}%)`);
-        
-        // Send email notification
-        await sendEmailAlert(
-          '🔌 Battery Charger Activated',
-          `Your battery charger has been automatically turned ON via IFTTT.\n\nIFTTT Trigger Event: battery_low\nCurrent Battery SOC: ${socValue}%\nLow Threshold: ${effectiveLowThreshold}%\nPlug: ${plugName}\nTime: ${new Date().toLocaleString()}\n\nThe charger will automatically turn off when battery reaches ${effectiveHighThreshold}%.`
-        );
-      } else {
-        console.error(`❌ Failed to turn ON charger - IFTTT responded with status ${response.status}`);
-        await sendEmailAlert(
-          '⚠️ Battery Charger Control Failed',
-          `Failed to turn ON the battery charger via IFTTT.\n\nIFTTT Trigger Event: battery_low\nHTTP Status: ${response.status}\nCurrent Battery SOC: ${socValue}%\nLow Threshold: ${effectiveLowThreshold}%\nTime: ${new Date().toLocaleString()}\n\nPlease check your IFTTT configuration and webhook key.`
-        );
-      }
-    }
-    
-    // Turn OFF charger when SOC is high enough
-    else if (socValue >= effectiveHighThreshold && chargerState.isOn) {
-      const response = await fetch(`https://maker.ifttt.com/trigger/battery_charged/with/key/${iftttWebhookKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          value1: socValue,
-          value2: plugName,
-          value3: new Date().toLocaleString()
-        })
-      });
-      
-      if (response.ok) {
-        chargerState.isOn = false;
-        chargerState.lastAction = 'OFF';
-        chargerState.lastActionTime = now;
-        chargerState.lastSOC = socValue;
-        console.log(`🔌 CHARGER TURNED OFF - Battery at ${socValue}% (threshold: ${effectiveHighThreshold}%)`);
-        
-        // Send email notification
-        await sendEmailAlert(
-          '✅ Battery Charger Deactivated',
-          `Your battery charger has been automatically turned OFF via IFTTT.\n\nIFTTT Trigger Event: battery_charged\nCurrent Battery SOC: ${socValue}%\nHigh Threshold: ${effectiveHighThreshold}%\nPlug: ${plugName}\nTime: ${new Date().toLocaleString()}\n\nBattery is now fully charged.`
-        );
-      } else {
-        console.error(`❌ Failed to turn OFF charger - IFTTT responded with status ${response.status}`);
-        await sendEmailAlert(
-          '⚠️ Battery Charger Control Failed',
-          `Failed to turn OFF the battery charger via IFTTT.\n\nIFTTT Trigger Event: battery_charged\nHTTP Status: ${response.status}\nCurrent Battery SOC: ${socValue}%\nHigh Threshold: ${effectiveHighThreshold}%\nTime: ${new Date().toLocaleString()}\n\nPlease check your IFTTT configuration and webhook key.`
-        );
+  listAlertLogSegments().forEach(segment => {
+    if (segment.month < cutoffMonth) {
+      try {
+        fs.unlinkSync(segment.file);
+        console.log(`🗑️ Removed alert log ${segment.month}`);
+      } catch (error) {
+        console.error('❌ Error pruning alert log:', error.message);
       }
     }
-  } catch (error) {
-    console.error('❌ Error controlling charger via IFTTT:', error.message);
-    await sendEmailAlert(
-      '❌ Battery Charger Control Error',
-      `An error occurred while trying to control the battery charger via IFTTT.\n\nError: ${error.message}\nCurrent Battery SOC: ${soc}%\nTime: ${new Date().toLocaleString()}\n\nPlease check your network connection and IFTTT configuration.`
-    );
-  }
+  });
 }
 
-// Monitor battery discharge during peak sunlight hours
-async function monitorPeakDischarge(batteryPower) {
-  if (!alertSettings.peakDischargeAlert?.enabled) return;
-  
-  const now = Date.now();
-  const batteryPowerValue = parseFloat(batteryPower);
-  if (isNaN(batteryPowerValue)) return;
+/**
+ * Format log entries as CSV for download
+ * COLUMNS: timestamp, type, category, severity, message, details (JSON)
+ */
+function formatAlertLogCsv(entries) {
+  const quote = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  };
   
-  const inPeakHours = isWithinPeakHours();
-  const peakHours = getSeasonalPeakHours();
-  const isDischarging = batteryPowerValue < -50;
+  const rows = ['timestamp,type,category,severity,message,details'];
+  entries.forEach(entry => {
+    rows.push([
+      entry.timestamp,
+      entry.type,
+      entry.category,
+      entry.severity,
+      entry.message,
+      entry.details && Object.keys(entry.details).length > 0 ? JSON.stringify(entry.details) : ''
+    ].map(quote).join(','));
+  });
   
-  if (inPeakHours && isDischarging) {
-    if (!peakDischargeState.isDischarging) {
-      peakDischargeState.isDischarging = true;
-      peakDischargeState.dischargeStartTime = now;
-      peakDischargeState.alertSent = false;
-      console.log('⚠️ PEAK DISCHARGE STARTED: Battery discharging during peak hours');
-    } else {
-      const dischargeDuration = now - peakDischargeState.dischargeStartTime;
-      const durationMinutes = Math.floor(dischargeDuration / 60000);
-      
-      if (durationMinutes >= 30 && !peakDischargeState.alertSent) {
-        peakDischargeState.alertSent = true;
-        peakDischargeState.lastAlertTime = now;
-        
-        const solarPower = parseFloat(cachedData['solar_assistant/inverter_1/pv_power/state']?.value) || 0;
-        const loadPower = parseFloat(cachedData['solar_assistant/inverter_1/load_power/state']?.value) || 0;
-        const batterySOC = parseFloat(cachedData['solar_assistant/total/battery_soc/state']?.value) || 0;
-        
-        const startTimeStr = new Date(peakDischargeState.dischargeStartTime).toLocaleTimeString();
-        const peakStartTime = formatHour(peakHours.startHour);
-        const peakEndTime = formatHour(peakHours.endHour);
-        
-        console.log('🚨 PEAK DISCHARGE ALERT: Battery discharging for ' + durationMinutes + ' minutes during peak hours');
-        
-        let msg = 'Your battery has been discharging for ' + durationMinutes + ' minutes during peak sunlight hours.\n\n';
-        msg += '⏰ Discharge Period:\n';
-        msg += '• Started: ' + startTimeStr + '\n';
-        msg += '• Duration: ' + durationMinutes + ' minutes\n\n';
-        msg += '☀️ Peak Hours (' + peakHours.season + '): ' + peakStartTime + ' - ' + peakEndTime + '\n\n';
-        msg += '📊 Current Status:\n';
-        msg += '• Battery Discharge: ' + Math.abs(Math.round(batteryPowerValue)) + 'W\n';
-        msg += '• Solar Production: ' + Math.round(solarPower) + 'W\n';
-        msg += '• Load: ' + Math.round(loadPower) + 'W\n';
-        msg += '• Battery SOC: ' + batterySOC + '%\n\n';
-        msg += '💡 Possible Causes:\n';
-        if (solarPower < 500) msg += '• Low solar production - check panels\n';
-        if (loadPower > solarPower + 1000) msg += '• High load exceeding production\n';
-        if (weatherData.cloudCover > 70) msg += '• Heavy cloud cover\n';
-        msg += '\nTime: ' + new Date().toLocaleString();
-        
-        await sendEmailAlert('⚠️ Battery Discharging During Peak Hours', msg);
-        
-        alertHistory.unshift({
-          type: 'peak_discharge',
-          message: 'Battery discharged for ' + durationMinutes + 'min during peak hours',
-          time: new Date().toISOString(),
-          details: {
-            dischargePower: Math.round(batteryPowerValue),
-            solarPower: Math.round(solarPower),
-            loadPower: Math.round(loadPower),
-            duration: durationMinutes
-          }
-        });
-        if (alertHistory.length > 50) alertHistory.pop();
-      }
-    }
-  } else {
-    if (peakDischargeState.isDischarging) {
-      peakDischargeState.isDischarging = false;
-      peakDischargeState.dischargeStartTime = null;
-      peakDischargeState.alertSent = false;
-    }
-  }
+  return rows.join('\n') + '\n';
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// DAILY STATISTICS & UTILITY FUNCTIONS
+// ALERT ACKNOWLEDGEMENT, SNOOZE & QUIET HOURS
 // ═══════════════════════════════════════════════════════════════════════════
-// PURPOSE: Track daily energy totals and calculate dashboard metrics
-// RELATIONSHIP: Uses cachedData and historicalData to compute stats
+// PURPOSE: Let an active alert be acknowledged or snoozed (dashboard or a
+//          signed email link), hold non-critical notifications during quiet
+//          hours for a single digest, and keep all of it - plus alertState and
+//          peakDischargeState - across restarts so alerts aren't sent twice
+// FLOW: Detector raises an alert → raiseActiveAlert(key) → sendNotification(..., { alertKey })
+//       → skipped if acknowledged, snoozed or already notified
+//       → queued in quietDigest if non-critical during quiet hours
+//       Detector clears → clearActiveAlert(key)
+//       checkActiveAlerts() every ALERT_CHECK_INTERVAL: snooze reminders, digest flush
+// KEYS: 'battery_low', 'battery_critical', 'peak_discharge', 'stale_data', 'charger_failed',
+//       'charger_desync', 'rule:<id>', 'pack:<battery_N|bank>:<check>'
+// PERSISTED: ALERT_STATE_FILE
+
+const ALERT_CHECK_INTERVAL = 60000;
+const ACTIVE_ALERT_RESTORE_GRACE = 10 * 60 * 1000; // Detectors that start fresh get this long to raise a restored alert again
+const REEVALUATED_ALERT_PREFIXES = ['rule:', 'pack:', 'stale_data']; // Their state isn't persisted - see checkActiveAlerts
+const QUIET_HOURS_EXEMPT = ['daily_summary', 'weekly_summary', 'monthly_summary', 'test', 'digest']; // Always delivered right away
+const alertStateLoadedAt = Date.now();
+
+// Alerts currently raised
+// STRUCTURE: { key: { key, type, category, severity, message, since, notifiedAt,
+//                     acknowledgedAt, acknowledgedBy, snoozedUntil, restored,
+//                     escalationLevel, escalatedAt } }
+let activeAlerts = {};
+
+// Notifications held back during quiet hours
+// STRUCTURE: [{ category, severity, subject, message, timestamp }]
+let quietDigest = [];
 
 /**
- * Update daily statistics (energy totals, peak power)
- * CALLED BY: archiveData() when tracked topics receive new values
- * IMPACT: Updates dailyStats which is displayed on dashboard
- * @param {string} topic - MQTT topic name
- * @param {number} value - Topic value (watts or percentage)
+ * Load active alerts, the digest, alertState and peakDischargeState
+ * CALLED BY: Startup sequence (bottom of file)
+ * NOTE: Alerts from detectors that start fresh are marked restored - they are
+ *       dropped unless raised again within ACTIVE_ALERT_RESTORE_GRACE
  */
-function updateDailyStats(topic, value) {
-  const today = new Date().toDateString();
-  
-  // Reset stats if it's a new day
-  if (dailyStats.date !== today) {
-    dailyStats = {
-      date: today,
-      pvEnergyStart: null,
-      loadEnergyStart: null,
-      batteryEnergyInStart: null,
-      batteryEnergyOutStart: null,
-      peakPower: { value: 0, time: null },
-      peakPowerHourly: {}
-    };
-  }
-  
-  // Track energy baselines (cumulative values from MQTT)
-  if (topic === 'solar_assistant/total/pv_energy/state' && dailyStats.pvEnergyStart === null) {
-    dailyStats.pvEnergyStart = parseFloat(value);
-  }
-  if (topic === 'solar_assistant/total/load_energy/state' && dailyStats.loadEnergyStart === null) {
-    dailyStats.loadEnergyStart = parseFloat(value);
-  }
-  if (topic === 'solar_assistant/total/battery_energy_in/state' && dailyStats.batteryEnergyInStart === null) {
-    dailyStats.batteryEnergyInStart = parseFloat(value);
-  }
-  if (topic === 'solar_assistant/total/battery_energy_out/state' && dailyStats.batteryEnergyOutStart === null) {
-    dailyStats.batteryEnergyOutStart = parseFloat(value);
-  }
-  
-  // Track peak solar power
-  if (topic === 'solar_assistant/inverter_1/pv_power/state') {
-    const power = parseFloat(value);
-    if (power > dailyStats.peakPower.value) {
-      dailyStats.peakPower.value = power;
-      dailyStats.peakPower.time = new Date();
-    }
+function loadAlertState() {
+  try {
+    if (!fs.existsSync(ALERT_STATE_FILE)) return;
+    const saved = JSON.parse(fs.readFileSync(ALERT_STATE_FILE, 'utf8'));
     
-    // Track hourly peaks
-    const hour = new Date().getHours();
-    if (!dailyStats.peakPowerHourly[hour] || power > dailyStats.peakPowerHourly[hour]) {
-      dailyStats.peakPowerHourly[hour] = power;
-    }
+    Object.assign(alertState, saved.alertState);
+    Object.assign(peakDischargeState, saved.peakDischargeState);
+    activeAlerts = saved.activeAlerts || {};
+    quietDigest = Array.isArray(saved.quietDigest) ? saved.quietDigest : [];
+    
+    Object.values(activeAlerts).forEach(alert => {
+      if (REEVALUATED_ALERT_PREFIXES.some(prefix => alert.key.startsWith(prefix))) alert.restored = true;
+    });
+    
+    console.log(`🔔 Loaded alert state (${Object.keys(activeAlerts).length} active, ${quietDigest.length} in digest)`);
+  } catch (error) {
+    console.error('❌ Error loading alert state:', error.message);
   }
 }
 
 /**
- * Get daily energy produced (kWh)
+ * Save active alerts, the digest, alertState and peakDischargeState
  */
-function getDailyEnergyProduced() {
-  const currentEnergy = cachedData['solar_assistant/total/pv_energy/state']?.value;
-  if (currentEnergy) {
-    const currentValue = parseFloat(currentEnergy);
-    
-    // Initialize baseline if not set
-    if (dailyStats.pvEnergyStart === null) {
-      // Try to find the earliest value from today in historical data
-      const topic = 'solar_assistant/inverter_1/pv_power/state';
-      if (historicalData[topic] && historicalData[topic].length > 0) {
-        const today = new Date().toDateString();
-        const todayData = historicalData[topic].filter(point => {
-          return new Date(point.timestamp).toDateString() === today;
-        });
-        
-        if (todayData.length > 0) {
-          // Estimate energy from power data (integrate power over time)
-          let totalEnergy = 0;
-          for (let i = 1; i < todayData.length; i++) {
-            const timeDiff = (new Date(todayData[i].timestamp) - new Date(todayData[i-1].timestamp)) / 3600000; // hours
-            const avgPower = (todayData[i].value + todayData[i-1].value) / 2; // watts
-            totalEnergy += (avgPower * timeDiff) / 1000; // kWh
-          }
-          
-          // Set baseline to current minus calculated
-          dailyStats.pvEnergyStart = currentValue - totalEnergy;
-          console.log(`📊 Estimated daily baseline: ${dailyStats.pvEnergyStart.toFixed(2)} kWh (today's production: ${totalEnergy.toFixed(2)} kWh)`);
-        } else {
-          dailyStats.pvEnergyStart = currentValue;
-        }
-      } else {
-        dailyStats.pvEnergyStart = currentValue;
-      }
-    }
-    
-    return Math.max(0, currentValue - dailyStats.pvEnergyStart).toFixed(2);
+function saveAlertState() {
+  try {
+    fs.writeFileSync(ALERT_STATE_FILE, JSON.stringify({
+      alertState: alertState,
+      peakDischargeState: peakDischargeState,
+      activeAlerts: activeAlerts,
+      quietDigest: quietDigest
+    }, null, 2));
+  } catch (error) {
+    console.error('❌ Error saving alert state:', error.message);
   }
-  return '0.00';
 }
 
 /**
- * Get daily energy consumed (kWh) - cumulative since dashboard start
+ * Mark an alert as active (or refresh it if it already is)
+ * NOTE: An existing alert keeps its acknowledgement, snooze and notifiedAt -
+ *       that is what stops a restart from sending it again
+ * @param {Object} info - { type, category, severity, message }
  */
-function getDailyEnergyConsumed() {
-  const currentEnergy = cachedData['solar_assistant/total/load_energy/state']?.value;
-  if (currentEnergy) {
-    // Initialize baseline if not set
-    if (dailyStats.loadEnergyStart === null) {
-      dailyStats.loadEnergyStart = parseFloat(currentEnergy);
-      return '0.00';
-    }
-    return (parseFloat(currentEnergy) - dailyStats.loadEnergyStart).toFixed(2);
+function raiseActiveAlert(key, info) {
+  const existing = activeAlerts[key];
+  
+  if (existing) {
+    existing.severity = info.severity;
+    existing.message = info.message;
+    delete existing.restored;
+  } else {
+    activeAlerts[key] = {
+      key: key,
+      type: info.type,
+      category: info.category,
+      severity: info.severity,
+      message: info.message,
+      since: new Date().toISOString(),
+      notifiedAt: null,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      snoozedUntil: null,
+      escalationLevel: 0,
+      escalatedAt: null
+    };
   }
-  return '0.00';
+  
+  saveAlertState();
+  return activeAlerts[key];
 }
 
 /**
- * Calculate estimated battery runtime based on power balance
- * FORMULA: (Battery Capacity * Voltage * SOC) / Net Discharge Rate = Hours
- * USED BY: Dashboard to show "X hours remaining" estimate
- * @returns {string} - Formatted runtime (e.g., "5h 23m") or "N/A"
+ * Remove an alert once its condition has cleared
+ * IMPACT: An escalated alert tells the escalation recipients it is resolved
+ * @returns {boolean} - True if it was active
  */
-function getBatteryRuntime() {
-  const soc = parseFloat(cachedData['solar_assistant/total/battery_state_of_charge/state']?.value);
-  const solarPower = parseFloat(cachedData['solar_assistant/inverter_1/pv_power/state']?.value);
-  const loadPower = parseFloat(cachedData['solar_assistant/inverter_1/load_power/state']?.value);
-  const batteryPower = parseFloat(cachedData['solar_assistant/total/battery_power/state']?.value);
-  const batteryCapacity = 300; // Total capacity in Ah (3 x 100Ah batteries)
-  const batteryVoltage = parseFloat(cachedData['solar_assistant/inverter_1/battery_voltage/state']?.value) || 48;
-  
-  if (!isNaN(soc) && !isNaN(solarPower) && !isNaN(loadPower)) {
-    // Calculate power balance (solar + external charger - load)
-    const isExternalChargerOn = chargerState && chargerState.isOn;
-    const externalChargerPower = (isExternalChargerOn && batteryPower > 0) ? batteryPower : 0;
-    const powerBalance = solarPower + externalChargerPower - loadPower;
-    
-    // Calculate available energy in battery
-    const availableEnergy = (batteryCapacity * batteryVoltage * soc) / 100;
-    
-    // If power balance is positive (charging), show indefinite runtime
-    if (powerBalance > 0) {
-      return 'Indefinite';
-    }
-    // If power balance is negative (discharging), calculate time to empty
-    else if (powerBalance < 0) {
-      const runtimeHours = availableEnergy / Math.abs(powerBalance);
-      
-      if (runtimeHours < 1) {
-        return `${Math.round(runtimeHours * 60)} min`;
-      } else if (runtimeHours < 24) {
-        return `${runtimeHours.toFixed(1)} hrs`;
-      } else {
-        return `${(runtimeHours / 24).toFixed(1)} days`;
-      }
-    }
-    // If power balance is zero (balanced), theoretically infinite runtime
-    else {
-      return 'Infinite';
-    }
+function clearActiveAlert(key) {
+  const alert = activeAlerts[key];
+  if (!alert) return false;
+  delete activeAlerts[key];
+  saveAlertState();
+  // Not awaited - detectors clear alerts from synchronous code paths
+  if (alert.escalationLevel > 0) {
+    notifyEscalationResolved(alert).catch(error => console.error('❌ Error sending the escalation resolved notice:', error.message));
   }
-  return 'N/A';
+  return true;
 }
 
 /**
- * Get power balance (solar - load)
- * IMPACT: Positive = battery charging, Negative = battery discharging
- * USED BY: Power Balance card on dashboard (shows with colored arrows)
- * @returns {number|string} - Power balance in watts or "N/A"
+ * Check whether notifications for an alert are held back
  */
-function getPowerBalance() {
-  const solarPower = parseFloat(cachedData['solar_assistant/inverter_1/pv_power/state']?.value);
-  const loadPower = parseFloat(cachedData['solar_assistant/inverter_1/load_power/state']?.value);
-  const batteryPower = parseFloat(cachedData['solar_assistant/total/battery_power/state']?.value);
-  
-  if (!isNaN(solarPower) && !isNaN(loadPower)) {
-    // Calculate total power input: Solar + External Charger (if IFTTT triggered it ON)
-    const isExternalChargerOn = chargerState && chargerState.isOn;
-    const externalChargerPower = (isExternalChargerOn && batteryPower > 0) ? batteryPower : 0;
-    const totalPowerInput = solarPower + externalChargerPower;
-    
-    return Math.round(totalPowerInput - loadPower);
-  }
-  return 'N/A';
+function isAlertSilenced(alert, now = Date.now()) {
+  return !!alert.acknowledgedAt || (!!alert.snoozedUntil && now < new Date(alert.snoozedUntil).getTime());
 }
 
 /**
- * Get percentage of total solar power for a specific array
- * USED BY: Solar array chart on dashboard
- * @param {string} arrayType - 'array1' or 'array2'
- * @returns {number} - Percentage (0-100)
+ * Acknowledge an alert - no more notifications until it clears and is raised again
+ * CALLED BY: POST /alerts/acknowledge, signed email link
+ * @param {string} by - Who acknowledged, e.g. the username or 'email link'
+ * @returns {Object|null} - The alert, or null if it is no longer active
  */
-function getArrayPercentage(arrayType) {
-  const array1Power = parseFloat(cachedData['solar_assistant/inverter_1/pv_power_1/state']?.value) || 0;
-  const array2Power = parseFloat(cachedData['solar_assistant/inverter_1/pv_power_2/state']?.value) || 0;
-  const totalPower = array1Power + array2Power;
-  
-  if (totalPower === 0) return 0;
+function acknowledgeAlert(key, by) {
+  const alert = activeAlerts[key];
+  if (!alert) return null;
   
-  if (arrayType === 'array1') {
-    return Math.round((array1Power / totalPower) * 100);
-  } else if (arrayType === 'array2') {
-    return Math.round((array2Power / totalPower) * 100);
-  }
+  alert.acknowledgedAt = new Date().toISOString();
+  alert.acknowledgedBy = by;
+  alert.snoozedUntil = null;
+  saveAlertState();
   
-  return 0;
+  console.log(`👍 ALERT ACKNOWLEDGED by ${by}: ${alert.message}`);
+  recordAlertEvent('alert_acknowledged', `Acknowledged by ${by}: ${alert.message}`, { key: key, by: by }, { category: alert.category });
+  return alert;
 }
 
 /**
- * Get peak power for a specific array in the past 24 hours
- * USED BY: Array performance charts
- * @param {string} arrayType - 'array1' or 'array2'
- * @returns {number} - Peak power in watts
+ * Snooze an alert - one reminder is sent when the snooze ends if it is still active
+ * CALLED BY: POST /alerts/snooze, signed email link
+ * @returns {Object|null} - The alert, or null if it is no longer active
  */
-function getArray24HourPeak(arrayType) {
-  const topic = arrayType === 'array1' 
-    ? 'solar_assistant/inverter_1/pv_power_1/state'
-    : 'solar_assistant/inverter_1/pv_power_2/state';
+function snoozeAlert(key, minutes, by) {
+  const alert = activeAlerts[key];
+  if (!alert) return null;
   
-  if (!historicalData[topic] || historicalData[topic].length === 0) {
-    return 0;
-  }
+  alert.snoozedUntil = new Date(Date.now() + minutes * 60000).toISOString();
+  saveAlertState();
   
-  const twentyFourHoursAgo = Date.now() - (24 * 60 * 60 * 1000);
-  const recentData = historicalData[topic].filter(point => 
-    new Date(point.timestamp).getTime() > twentyFourHoursAgo
+  console.log(`💤 ALERT SNOOZED ${minutes} min by ${by}: ${alert.message}`);
+  recordAlertEvent('alert_snoozed', `Snoozed ${minutes} min by ${by}: ${alert.message}`,
+    { key: key, by: by, minutes: minutes, until: alert.snoozedUntil },
+    { category: alert.category }
   );
-  
-  if (recentData.length === 0) {
-    return 0;
-  }
-  
-  return Math.max(...recentData.map(point => parseFloat(point.value) || 0));
+  return alert;
 }
 
 /**
- * Get percentage of current power vs 24-hour peak for a specific array
- * USED BY: Array performance charts
- * @param {string} arrayType - 'array1' or 'array2'
- * @returns {number} - Percentage (0-100)
+ * Check whether quiet hours are in effect (configured timezone)
  */
-function getArrayPerformancePercentage(arrayType) {
-  const topic = arrayType === 'array1' 
-    ? 'solar_assistant/inverter_1/pv_power_1/state'
-    : 'solar_assistant/inverter_1/pv_power_2/state';
-  
-  const currentPower = parseFloat(cachedData[topic]?.value) || 0;
-  const peakPower = getArray24HourPeak(arrayType);
-  
-  if (peakPower === 0) return 0;
-  
-  return Math.round((currentPower / peakPower) * 100);
+function isQuietHours(now = Date.now()) {
+  const quietHours = alertSettings.quietHours;
+  return !!quietHours.enabled && isInScheduleWindow(quietHours, getZonedTimeParts(new Date(now), getConfiguredTimezone()));
 }
 
 /**
- * Get peak solar production power and time
- * SEARCHES: historicalData for pv_power/state topic
- * USED BY: Dashboard "Peak Production" card
- * @param {number|null} timeRangeHours - Limit search to recent hours (null = all-time)
- * @returns {string} - Formatted peak (e.g., "2.5 kW at 12:34 PM") or "N/A"
+ * Sign an email action link
+ * NOTE: The link itself is the credential - anyone holding it can act on that
+ *       one alert until it expires, nothing else
  */
-function getPeakPerformance(timeRangeHours = null) {
-  const topic = 'solar_assistant/inverter_1/pv_power/state';
-  
-  if (!historicalData[topic] || historicalData[topic].length === 0) {
-    return 'N/A';
-  }
-  
-  let dataPoints = historicalData[topic];
-  
-  // Filter by time range if specified
-  if (timeRangeHours !== null) {
-    const now = new Date();
-    const startTime = new Date(now - timeRangeHours * 3600000);
-    dataPoints = dataPoints.filter(point => new Date(point.timestamp) >= startTime);
-  }
-  
-  if (dataPoints.length === 0) {
-    return 'N/A';
-  }
-  
-  // Find peak value and timestamp
-  let peakValue = 0;
-  let peakTimestamp = null;
-  
-  for (const point of dataPoints) {
-    const value = parseFloat(point.value);
-    if (value > peakValue) {
-      peakValue = value;
-      peakTimestamp = point.timestamp;
-    }
-  }
-  
-  if (peakTimestamp) {
-    const date = new Date(peakTimestamp);
-    const timeStr = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
-    const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-    return `${Math.round(peakValue)}W @ ${timeStr} (${dateStr})`;
-  }
-  
-  return 'N/A';
+function signAlertAction(key, action, expires) {
+  return crypto.createHmac('sha256', ALERT_LINK_SECRET).update(`${key}|${action}|${expires}`).digest('hex');
 }
 
 /**
- * Fetch weather data from Open-Meteo API
+ * Build a signed link to the acknowledge/snooze confirmation page
+ * @param {string} action - 'ack' or 'snooze'
  */
-async function fetchWeatherData() {
-  try {
-    const response = await fetch(`https://api.open-meteo.com/v1/forecast?latitude=${WEATHER_LAT}&longitude=${WEATHER_LON}&current=temperature_2m,weather_code,relative_humidity_2m,wind_speed_10m,cloud_cover,shortwave_radiation&temperature_unit=fahrenheit&wind_speed_unit=mph`);
-    const data = await response.json();
-    
-    if (data.current) {
-      weatherData = {
-        temperature: Math.round(data.current.temperature_2m),
-        weatherCode: data.current.weather_code,
-        humidity: data.current.relative_humidity_2m,
-        windSpeed: Math.round(data.current.wind_speed_10m * 10) / 10,
-        cloudCover: data.current.cloud_cover,
-        solarRadiation: Math.round(data.current.shortwave_radiation),
-        lastUpdate: new Date()
-      };
-      console.log(`🌤️ Weather updated: ${weatherData.temperature}°F, humidity: ${weatherData.humidity}%, wind: ${weatherData.windSpeed}mph, clouds: ${weatherData.cloudCover}%, solar: ${weatherData.solarRadiation}W/m²`);
-    }
-  } catch (error) {
-    console.error('❌ Error fetching weather data:', error.message);
-  }
+function buildAlertActionUrl(key, action) {
+  const expires = Date.now() + alertSettings.alertActions.linkValidHours * 60 * 60 * 1000;
+  const params = new URLSearchParams({ key: key, action: action, expires: String(expires), sig: signAlertAction(key, action, expires) });
+  return `${DASHBOARD_URL}/alerts/action?${params}`;
 }
 
 /**
- * Get weather icon based on weather code
+ * Check a signed action link
+ * RETURNS: Error message, or null if the link is valid
  */
-function getWeatherIcon(weatherCode) {
-  const iconMap = {
-    0: '☀️', // Clear sky
-    1: '🌤️', // Mainly clear
-    2: '⛅', // Partly cloudy
-    3: '☁️', // Overcast
-    45: '🌫️', // Fog
-    48: '🌫️', // Depositing rime fog
-    51: '🌦️', // Light drizzle
-    53: '🌦️', // Moderate drizzle
-    55: '🌧️', // Dense drizzle
-    61: '🌧️', // Slight rain
-    63: '🌧️', // Moderate rain
-    65: '🌧️', // Heavy rain
-    71: '🌨️', // Slight snow
-    73: '🌨️', // Moderate snow
-    75: '🌨️', // Heavy snow
-    77: '🌨️', // Snow grains
-    80: '🌦️', // Slight rain showers
-    81: '🌧️', // Moderate rain showers
-    82: '🌧️', // Violent rain showers
-    85: '🌨️', // Slight snow showers
-    86: '🌨️', // Heavy snow showers
-    95: '⛈️', // Thunderstorm
-    96: '⛈️', // Thunderstorm with slight hail
-    99: '⛈️'  // Thunderstorm with heavy hail
-  };
-  return iconMap[weatherCode] || '🌤️';
-}
-
-// Calculate seasonal peak sunlight hours based on date and location
-function getSeasonalPeakHours() {
-  const now = new Date();
-  const month = now.getMonth();
-  const solarNoon = 12;
+function verifyAlertAction({ key, action, expires, sig }) {
+  if (!key || !['ack', 'snooze'].includes(action)) return 'This link is incomplete.';
+  const expiresMs = parseInt(expires, 10);
+  if (isNaN(expiresMs) || Date.now() > expiresMs) return 'This link has expired.';
   
-  let peakDuration;
-  if (month >= 5 && month <= 7) {
-    peakDuration = 5; // Summer: 10 AM - 3 PM
-  } else if (month >= 3 && month <= 4 || month >= 8 && month <= 9) {
-    peakDuration = 4.5; // Spring/Fall: 9:45 AM - 2:15 PM
-  } else {
-    peakDuration = 4; // Winter: 10 AM - 2 PM
+  const expected = Buffer.from(signAlertAction(key, action, expiresMs));
+  const actual = Buffer.from(String(sig || ''));
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return 'This link is not valid.';
   }
-  
-  return {
-    startHour: solarNoon - (peakDuration / 2),
-    endHour: solarNoon + (peakDuration / 2),
-    solarNoon: solarNoon,
-    season: month >= 5 && month <= 7 ? 'Summer' : (month >= 3 && month <= 4 || month >= 8 && month <= 9 ? 'Spring/Fall' : 'Winter')
-  };
-}
-
-// Check if current time is within peak sunlight hours
-function isWithinPeakHours() {
-  const now = new Date();
-  const currentHour = now.getHours() + (now.getMinutes() / 60);
-  const peakHours = getSeasonalPeakHours();
-  return currentHour >= peakHours.startHour && currentHour <= peakHours.endHour;
-}
-
-// Format hour in 12-hour format with AM/PM
-function formatHour(hour) {
-  const h = Math.floor(hour);
-  const m = Math.round((hour - h) * 60);
-  const ampm = h >= 12 ? 'PM' : 'AM';
-  const displayHour = h > 12 ? h - 12 : (h === 0 ? 12 : h);
-  return displayHour + ':' + (m < 10 ? '0' : '') + m + ' ' + ampm;
+  return null;
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// HISTORICAL DATA MANAGEMENT
-// ═══════════════════════════════════════════════════════════════════════════
-// PURPOSE: Store time-series data for charts (up to 365 days)
-// STRUCTURE: { 'topic': [{timestamp: ISO8601, value: number}, ...] }
-// PERSISTENCE: Saved to HISTORY_FILE every SAVE_INTERVAL (60 seconds)
-
 /**
- * Load historical data from file
- * CALLED BY: Startup sequence (bottom of file)
- * IMPACT: Restores chart data from previous sessions
- * NOTE: Only loads data for topics in TRACKED_TOPICS array
+ * Send the quiet hours digest once quiet hours are over
+ * CALLED BY: checkActiveAlerts()
  */
-function loadHistoricalData() {
-  try {
-    if (fs.existsSync(HISTORY_FILE)) {
-      const data = fs.readFileSync(HISTORY_FILE, 'utf8');
-      historicalData = JSON.parse(data);
-      console.log(`📂 Loaded historical data from ${HISTORY_FILE}`);
-      
-      // Clean up old data
-      pruneOldData();
-    } else {
-      // Initialize with empty arrays for tracked topics
-      TRACKED_TOPICS.forEach(topic => {
-        historicalData[topic] = [];
-      });
-      console.log('📂 No historical data file found, starting fresh');
-    }
-  } catch (error) {
-    console.error('✗ Error loading historical data:', error.message);
-    // Initialize with empty arrays
-    TRACKED_TOPICS.forEach(topic => {
-      historicalData[topic] = [];
-    });
-  }
+async function flushQuietDigest(now) {
+  if (quietDigest.length === 0 || isQuietHours(now)) return;
+  
+  const items = quietDigest;
+  quietDigest = [];
+  saveAlertState();
+  
+  const text = items.map(item =>
+    `${new Date(item.timestamp).toLocaleString()} - ${item.subject}\n${item.message}`
+  ).join('\n\n──────────\n\n');
+  
+  console.log(`🌙 Sending quiet hours digest (${items.length} notifications)`);
+  recordAlertEvent('quiet_hours_digest', `Quiet hours digest with ${items.length} notification${items.length === 1 ? '' : 's'}`, {
+    subjects: items.map(item => item.subject)
+  });
+  const actions = items.flatMap(item => (item.actions || []).map(action => ({ label: `${item.subject} - ${action.label}`, url: action.url })));
+  await sendNotification('digest', `🌙 Quiet Hours Digest - ${items.length} notification${items.length === 1 ? '' : 's'}`,
+    `These notifications were held during quiet hours:\n\n${text}`,
+    { severity: 'info', actions: actions }
+  );
 }
 
 /**
- * Save historical data to file
- * CALLED BY: setInterval (every 60 seconds)
- * IMPACT: Persists chart data across app restarts
- * WARNING: Can be slow with large datasets (consider async for production)
+ * How long restored alerts wait to be raised again
+ * RULE: At least as long as the slowest detector needs after a restart
+ *       (stale data minutes, longest rule sustain time)
  */
-function saveHistoricalData() {
-  try {
-    fs.writeFileSync(HISTORY_FILE, JSON.stringify(historicalData, null, 2));
-    console.log(`💾 Saved historical data (${Object.values(historicalData).reduce((sum, arr) => sum + arr.length, 0)} data points)`);
-  } catch (error) {
-    console.error('✗ Error saving historical data:', error.message);
-  }
+function getRestoreGraceMs() {
+  const sustainMinutes = alertSettings.alertRules.map(rule => rule.sustainMinutes || 0);
+  return Math.max(ACTIVE_ALERT_RESTORE_GRACE, (Math.max(alertSettings.staleData.minutes, ...sustainMinutes) + 1) * 60000);
 }
 
 /**
- * Prune data older than DATA_RETENTION_DAYS
+ * Periodic alert housekeeping
+ * CALLED BY: setInterval (every ALERT_CHECK_INTERVAL)
+ * IMPACT: Drops restored alerts nobody raised again, sends a reminder when a
+ *         snooze ends on a still-active alert, flushes the quiet hours digest
  */
-function pruneOldData() {
-  const cutoffTime = Date.now() - (DATA_RETENTION_DAYS * 24 * 60 * 60 * 1000);
-  let prunedCount = 0;
-  
-  for (const topic in historicalData) {
-    const originalLength = historicalData[topic].length;
-    historicalData[topic] = historicalData[topic].filter(entry => 
-      new Date(entry.timestamp).getTime() > cutoffTime
-    );
-    prunedCount += originalLength - historicalData[topic].length;
-  }
+async function checkActiveAlerts() {
+  const now = Date.now();
   
-  if (prunedCount > 0) {
-    console.log(`🧹 Pruned ${prunedCount} old data points (older than ${DATA_RETENTION_DAYS} days)`);
-  }
-}
-
-/**
- * Add a data point to historical tracking (throttled to ARCHIVE_INTERVAL)
- */
-function addHistoricalDataPoint(topic, value, timestamp) {
-  if (TRACKED_TOPICS.includes(topic)) {
-    const now = Date.now();
-    const lastArchived = lastArchivedTime[topic] || 0;
-    
-    // Only archive if 60 seconds have passed since last archive for this topic
-    if (now - lastArchived < ARCHIVE_INTERVAL) {
-      return; // Skip archiving, but data is still in cachedData for real-time display
+  for (const alert of Object.values(activeAlerts)) {
+    if (alert.restored && now - alertStateLoadedAt > getRestoreGraceMs()) {
+      console.log(`🔕 Dropping restored alert that did not recur: ${alert.message}`);
+      clearActiveAlert(alert.key);
+      continue;
     }
     
-    if (!historicalData[topic]) {
-      historicalData[topic] = [];
+    if (alert.snoozedUntil && !alert.acknowledgedAt && now >= new Date(alert.snoozedUntil).getTime()) {
+      alert.snoozedUntil = null;
+      saveAlertState();
+      await sendNotification(alert.category, `⏰ Still Active: ${alert.message}`,
+        `This alert was snoozed and is still active.\n\n${alert.message}\nActive since: ${new Date(alert.since).toLocaleString()}\nTime: ${new Date(now).toLocaleString()}`,
+        { severity: alert.severity, alertKey: alert.key, repeat: true }
+      );
     }
     
-    // Only add if value is numeric
-    const numValue = parseFloat(value);
-    if (!isNaN(numValue)) {
-      historicalData[topic].push({
-        timestamp: timestamp,
-        value: numValue
-      });
-      
-      // Update last archived time
-      lastArchivedTime[topic] = now;
-      
-      // Keep only last 10000 points per topic to prevent memory issues
-      if (historicalData[topic].length > 10000) {
-        historicalData[topic].shift();
-      }
-    }
+    const level = getDueEscalationLevel(alert, now);
+    if (level) await escalateAlert(alert, level);
   }
+  
+  await flushQuietDigest(now);
 }
 
-// Load historical data on startup
-loadHistoricalData();
-
-// Load daily stats on startup
-loadDailyStats();
-
-// Load alert settings on startup
-loadAlertSettings();
-
-// Fetch initial weather data
-fetchWeatherData();
-
-// Periodically save historical data and daily stats
-setInterval(() => {
-  pruneOldData();
-  saveHistoricalData();
-  saveDailyStats();
-}, SAVE_INTERVAL);
-
-// Periodically update weather data
-setInterval(() => {
-  fetchWeatherData();
-}, WEATHER_UPDATE_INTERVAL);
-
 // ═══════════════════════════════════════════════════════════════════════════
-// DAILY SUMMARY SCHEDULING
+// ALERT ESCALATION
 // ═══════════════════════════════════════════════════════════════════════════
-// PURPOSE: Schedule daily summary emails at 8:00 PM
+// PURPOSE: A critical alert nobody acknowledges (critical SOC, charger command
+//          failure, unsafe pack, critical alert rules) is sent again after each
+//          tier's delay, to that tier's extra channels and recipients
+// SETTINGS: alertSettings.escalation { enabled, tiers: [{ afterMinutes, channels, recipients }] }
+// FLOW: checkActiveAlerts() → getDueEscalationLevel() → escalateAlert()
+//       → 'alert_escalated' in the alert log + critical notification
+//       clearActiveAlert() → notifyEscalationResolved() → 'alert_escalation_resolved'
+// RULE: Acknowledging stops escalation; a snooze pauses it until the snooze ends
+// NOTE: Tiers count from when the alert was raised, not from the previous tier
+
+const ESCALATION_MAX_TIERS = 3;
 
 /**
- * Calculate milliseconds until next 8:00 PM
+ * Next escalation tier an alert is due for
+ * RETURNS: Tier number (1-based) or null
+ * NOTE: One tier per check - overdue tiers (e.g. after a restart) follow a minute apart
  */
-function getMillisecondsUntilNext8PM() {
-  const now = new Date();
-  const tomorrow8PM = new Date(now);
-  tomorrow8PM.setDate(tomorrow8PM.getDate() + 1);
-  tomorrow8PM.setHours(20, 0, 0, 0); // 8:00 PM
+function getDueEscalationLevel(alert, now) {
+  const escalation = alertSettings.escalation;
+  if (!escalation.enabled || alert.severity !== 'critical' || alert.restored || isAlertSilenced(alert, now)) return null;
   
-  const today8PM = new Date(now);
-  today8PM.setHours(20, 0, 0, 0); // 8:00 PM today
+  const level = alert.escalationLevel || 0;
+  const tier = escalation.tiers[level];
+  if (!tier || now - new Date(alert.since).getTime() < tier.afterMinutes * 60000) return null;
+  return level + 1;
+}
+
+/**
+ * Re-notify an unresolved critical alert at the next tier
+ * CALLED BY: checkActiveAlerts()
+ */
+async function escalateAlert(alert, level) {
+  const tier = alertSettings.escalation.tiers[level - 1];
+  alert.escalationLevel = level;
+  alert.escalatedAt = new Date().toISOString();
+  saveAlertState();
   
-  // If it's before 8 PM today, schedule for today
-  if (now < today8PM) {
-    return today8PM.getTime() - now.getTime();
-  } else {
-    // Otherwise, schedule for tomorrow
-    return tomorrow8PM.getTime() - now.getTime();
-  }
+  const minutes = Math.round((Date.now() - new Date(alert.since).getTime()) / 60000);
+  const extras = [...tier.channels, ...tier.recipients];
+  console.log(`🚨 ALERT ESCALATED (tier ${level}): ${alert.message}${extras.length ? ` → ${extras.join(', ')}` : ''}`);
+  recordAlertEvent('alert_escalated', `Escalated to tier ${level} after ${minutes} min: ${alert.message}`,
+    { key: alert.key, level: level, afterMinutes: tier.afterMinutes, channels: tier.channels, recipients: tier.recipients },
+    { category: alert.category }
+  );
+  
+  await sendNotification(alert.category, `🚨 ESCALATION (tier ${level}): ${alert.message}`,
+    `This critical alert has not been acknowledged or resolved for ${minutes} minutes.\n\n` +
+    `${alert.message}\nActive since: ${new Date(alert.since).toLocaleString()}\nTime: ${new Date().toLocaleString()}`,
+    { severity: 'critical', alertKey: alert.key, repeat: true, channels: tier.channels, cc: tier.recipients, escalationLevel: level }
+  );
 }
 
 /**
- * Schedule the next daily summary
+ * Tell everyone an alert was escalated to that it has cleared
+ * CALLED BY: clearActiveAlert()
  */
-function scheduleNextDailySummary() {
-  const msUntilNext = getMillisecondsUntilNext8PM();
-  const nextSendTime = new Date(Date.now() + msUntilNext);
+async function notifyEscalationResolved(alert) {
+  const tiers = alertSettings.escalation.tiers.slice(0, alert.escalationLevel);
+  const channels = [...new Set(tiers.flatMap(tier => tier.channels))];
+  const recipients = [...new Set(tiers.flatMap(tier => tier.recipients))];
   
-  console.log(`📅 Next daily summary scheduled for: ${nextSendTime.toLocaleString()}`);
+  console.log(`✅ ESCALATED ALERT RESOLVED: ${alert.message}`);
+  recordAlertEvent('alert_escalation_resolved', `Resolved after escalation to tier ${alert.escalationLevel}: ${alert.message}`,
+    { key: alert.key, level: alert.escalationLevel },
+    { category: alert.category }
+  );
   
-  setTimeout(async () => {
-    await sendDailySummaryReport();
-    // Schedule the next one
-    scheduleNextDailySummary();
-  }, msUntilNext);
+  await sendNotification(alert.category, `✅ Resolved: ${alert.message}`,
+    `This escalated alert has cleared.\n\n${alert.message}\nActive since: ${new Date(alert.since).toLocaleString()}\nResolved: ${new Date().toLocaleString()}`,
+    { severity: 'info', channels: channels, cc: recipients }
+  );
 }
 
-// Start the daily summary scheduling
-scheduleNextDailySummary();
+/**
+ * Validate an escalation block from POST /settings/alerts
+ * RETURNS: { error } or { values }
+ */
+function validateEscalationSettings(input) {
+  const values = { ...alertSettings.escalation };
+  if (input.enabled !== undefined) values.enabled = !!input.enabled;
+  if (input.tiers === undefined) return { values: values };
+  
+  if (!Array.isArray(input.tiers) || input.tiers.length > ESCALATION_MAX_TIERS) {
+    return { error: `escalation.tiers must be a list of up to ${ESCALATION_MAX_TIERS} tiers` };
+  }
+  let previous = 0;
+  values.tiers = [];
+  for (const [index, tier] of input.tiers.entries()) {
+    const label = `Escalation tier ${index + 1}`;
+    const afterMinutes = parseFloat(tier.afterMinutes);
+    if (isNaN(afterMinutes) || afterMinutes < 1 || afterMinutes > 10080) return { error: `${label}: minutes must be between 1 and 10080` };
+    if (afterMinutes <= previous) return { error: `${label}: minutes must be later than the tier before it` };
+    previous = afterMinutes;
+    
+    const channels = Array.isArray(tier.channels) ? tier.channels : [];
+    const badChannel = channels.find(name => !NOTIFICATION_CHANNELS[name]);
+    if (badChannel) return { error: `${label}: unknown channel "${badChannel}"` };
+    
+    const list = Array.isArray(tier.recipients) ? tier.recipients : String(tier.recipients || '').split(',');
+    const recipients = list.map(email => String(email).trim()).filter(email => email);
+    const badEmail = recipients.find(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email));
+    if (badEmail) return { error: `${label}: invalid email "${badEmail}"` };
+    
+    values.tiers.push({ afterMinutes: afterMinutes, channels: [...new Set(channels)], recipients: [...new Set(recipients)] });
+  }
+  return { values: values };
+}
 
 // ═══════════════════════════════════════════════════════════════════════════
-// MQTT CLIENT - CORE DATA INGESTION
+// BATTERY SOC ALERTS
 // ═══════════════════════════════════════════════════════════════════════════
-// PURPOSE: Subscribe to SolarAssistant MQTT broker for real-time data
-// IMPACT: This is the PRIMARY DATA SOURCE for the entire application
-// 
-// DATA FLOW:
-// 1. SolarAssistant publishes sensor data to MQTT broker
-// 2. → client.on('message') receives updates
-// 3. → cachedData[topic] stores latest value
-// 4. → TRACKED_TOPICS are added to historicalData arrays
-// 5. → Triggers charger control and alerts
-// 6. → Dashboard polls /data endpoint for updates
-//
-// TOPICS: solar_assistant/# (wildcard subscribes to all SolarAssistant topics)
-// Examples: solar_assistant/inverter_1/pv_power/state
-//           solar_assistant/total/battery_state_of_charge/state
-//           solar_assistant/battery_1/temperature/state
-
-console.log(`🔌 Connecting to MQTT broker at ${MQTT_BROKER}...`);
-console.log(`📡 Subscribing to topic: ${MQTT_TOPIC}\n`);
-
-const client = mqtt.connect(MQTT_BROKER, {
-  reconnectPeriod: 5000,    // Auto-reconnect every 5 seconds if disconnected
-  connectTimeout: 10000,    // Wait 10 seconds before timing out
-});
-
-// MQTT connection events
-client.on('connect', () => {
-  connectionStatus = 'Connected';
-  console.log('✓ Connected to MQTT broker');
-  
-  // Subscribe to all SolarAssistant topics
-  client.subscribe(MQTT_TOPIC, (err) => {
-    if (err) {
-      console.error('✗ Failed to subscribe to topic:', err.message);
-      connectionStatus = 'Subscription failed';
-    } else {
-      console.log(`✓ Subscribed to ${MQTT_TOPIC}`);
-      console.log('📊 Waiting for messages...\n');
-    }
-  });
-});
+// PURPOSE: Notify when the bank SOC drops below lowThreshold (and criticalThreshold)
+//          and when it recovers
 
 /**
- * MQTT Message Handler - PRIMARY DATA INGESTION POINT
- * CALLED BY: MQTT client when broker publishes to subscribed topics
- * IMPACT: Updates cachedData, historicalData, triggers alerts and charger control
- * FREQUENCY: Every time a sensor value changes (typically every 1-5 seconds)
- * 
- * CRITICAL FLOW:
- * 1. Parse incoming message (JSON or string)
- * 2. Update cachedData[topic] with latest value
- * 3. If topic is tracked → add to historicalData for charts
- * 4. If topic is battery SOC → trigger charger control
- * 5. Dashboard polls /data endpoint to get updated cachedData
+ * Check battery SOC and send alerts if thresholds are crossed
  */
-client.on('message', async (topic, message) => {
-  try {
-    messageCount++;
-    const messageStr = message.toString();
-    const timestamp = new Date().toISOString();
-    
-    // Try to parse as JSON, otherwise store as string
-    let value;
-    try {
-      value = JSON.parse(messageStr);
-    } catch (e) {
-      value = messageStr;
-    }
+async function checkBatteryAlerts(soc) {
+  if (!alertSettings.enabled) return;
+  
+  const socValue = parseFloat(soc);
+  if (isNaN(socValue)) return;
+  
+  // Check if SOC dropped below low threshold
+  if (!alertState.belowThreshold && socValue < alertSettings.lowThreshold) {
+    alertState.belowThreshold = true;
+    alertState.lastAlertTime = new Date();
+    alertState.lastAlertType = 'low';
     
-    // Store in cache using topic as key
-    // IMPACT: This is what /data endpoint returns to dashboard
-    cachedData[topic] = {
-      value: value,
-      timestamp: timestamp,
-      raw: messageStr
-    };
+    // Add to alert history
+    recordAlertEvent('low', `Battery dropped to ${socValue}%`, {
+      threshold: alertSettings.lowThreshold,
+      value: socValue
+    });
+    raiseActiveAlert('battery_low', { type: 'low', category: 'battery', severity: 'warning', message: `Battery low at ${socValue}%` });
     
-    // Add to historical data if it's a tracked topic
-    addHistoricalDataPoint(topic, value, timestamp);
+    await sendNotification('battery',
+      '⚠️ Low Battery Alert',
+      `Battery State of Charge has dropped to ${socValue}% (below ${alertSettings.lowThreshold}% threshold).\n\nTime: ${new Date().toLocaleString()}`,
+      { alertKey: 'battery_low' }
+    );
     
-    // Update daily statistics
-    updateDailyStats(topic, value);
+    console.log(`⚠️ LOW BATTERY ALERT: SOC at ${socValue}%`);
+  }
+  
+  // Critical threshold - clears once SOC is back above the low threshold
+  const criticalThreshold = alertSettings.criticalThreshold;
+  if (!alertState.belowCritical && criticalThreshold !== null && socValue < criticalThreshold) {
+    alertState.belowCritical = true;
+    recordAlertEvent('battery_critical', `Battery dropped to ${socValue}% (critical)`, {
+      threshold: criticalThreshold,
+      value: socValue
+    });
+    raiseActiveAlert('battery_critical', { type: 'battery_critical', category: 'battery', severity: 'critical', message: `Battery critical at ${socValue}%` });
     
-    // Check for battery alerts and charger control
-    if (topic === 'solar_assistant/total/battery_state_of_charge/state') {
-      await checkBatteryAlerts(value);
-      await controlBatteryCharger(value);
-    }
+    await sendNotification('battery',
+      '🚨 Critical Battery Alert',
+      `Battery State of Charge has dropped to ${socValue}% (below the ${criticalThreshold}% critical threshold).\n\nTime: ${new Date().toLocaleString()}`,
+      { severity: 'critical', alertKey: 'battery_critical' }
+    );
     
-    // Monitor peak discharge
-    if (topic === 'solar_assistant/total/battery_power/state') {
-      await monitorPeakDischarge(value);
-    }
+    console.log(`🚨 CRITICAL BATTERY ALERT: SOC at ${socValue}%`);
+  } else if (alertState.belowCritical && (criticalThreshold === null || socValue > alertSettings.lowThreshold)) {
+    alertState.belowCritical = false;
+    recordAlertEvent('battery_critical_cleared', `Battery back to ${socValue}% (above critical)`, {
+      threshold: criticalThreshold,
+      value: socValue
+    });
+    clearActiveAlert('battery_critical');
+    saveAlertState();
+  }
+  
+  // Check if SOC recovered above high threshold
+  if (alertState.belowThreshold && socValue > alertSettings.highThreshold) {
+    alertState.belowThreshold = false;
+    alertState.lastAlertTime = new Date();
+    alertState.lastAlertType = 'recovered';
     
-    lastUpdate = new Date();
+    // Add to alert history
+    recordAlertEvent('recovered', `Battery recovered to ${socValue}%`, {
+      threshold: alertSettings.highThreshold,
+      value: socValue
+    });
+    clearActiveAlert('battery_low');
+    saveAlertState();
     
-    // Log message (limit console spam by only showing every 10th message details)
-    if (messageCount % 10 === 1) {
-      console.log(`✓ Message #${messageCount} - Topic: ${topic}`);
-      console.log(`  Value: ${messageStr.substring(0, 100)}${messageStr.length > 100 ? '...' : ''}`);
-    }
+    await sendNotification('battery',
+      '✅ Battery Recovered',
+      `Battery State of Charge has recovered to ${socValue}% (above ${alertSettings.highThreshold}% threshold).\n\nTime: ${new Date().toLocaleString()}`,
+      { severity: 'info' }
+    );
     
-  } catch (error) {
-    console.error(`✗ Error processing message from ${topic}:`, error.message);
+    console.log(`✅ BATTERY RECOVERED: SOC at ${socValue}%`);
   }
-});
-
-client.on('error', (error) => {
-  connectionStatus = `Error: ${error.message}`;
-  console.error('✗ MQTT connection error:', error.message);
-});
-
-client.on('offline', () => {
-  connectionStatus = 'Offline - Reconnecting...';
-  console.log('⚠ MQTT client offline, attempting to reconnect...');
-});
-
-client.on('reconnect', () => {
-  connectionStatus = 'Reconnecting...';
-  console.log('🔄 Reconnecting to MQTT broker...');
-});
+}
 
 // ═══════════════════════════════════════════════════════════════════════════
-// AUTHENTICATION MIDDLEWARE & ENDPOINTS
+// DAILY SUMMARY REPORT SYSTEM
 // ═══════════════════════════════════════════════════════════════════════════
-// PURPOSE: JWT-based authentication to protect dashboard access
-// SECURITY: All routes except /login and /api/auth/* require valid JWT
-
-/**
- * Authentication Middleware (for API endpoints)
- * Verifies JWT token from cookie
- * Protects routes from unauthorized access
- */
-function authenticateToken(req, res, next) {
-  const token = req.cookies.token;
-  
-  if (!token) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  
-  try {
-    const user = jwt.verify(token, process.env.JWT_SECRET || 'default-secret-change-me');
-    req.user = user;
-    next();
-  } catch (error) {
-    return res.status(403).json({ error: 'Invalid or expired token' });
-  }
-}
+// PURPOSE: Send comprehensive daily summary reports via email
+// SCHEDULED: 'daily_summary' job at dailySummary.sendTime (see JOB SCHEDULER)
 
 /**
- * Authentication Middleware (for HTML pages)
- * Redirects to /login if not authenticated
+ * Calculate daily energy statistics from historical data
  */
-function requireAuth(req, res, next) {
-  const token = req.cookies.token;
+function calculateDailyStats() {
+  const today = new Date();
+  const startOfDay = new Date(getZonedMidnight(getZonedDateKey(today.getTime())));
+  const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000);
   
-  if (!token) {
-    return res.redirect('/login');
-  }
+  const stats = {
+    date: today.toDateString(),
+    solarEnergy: { total: 0, array1: 0, array2: 0 },
+    loadEnergy: 0,
+    batteryEnergy: { in: 0, out: 0, net: 0 },
+    peakPower: { solar: 0, load: 0, solarTime: null, loadTime: null },
+    batterySOC: { start: null, end: null, peak: 0, low: 100 },
+    weather: weatherData,
+    systemHealth: {
+      uptime: 0,
+      dataPoints: 0,
+      connectionStatus: connectionStatus
+    },
+    efficiency: 0
+  };
   
-  try {
-    const user = jwt.verify(token, process.env.JWT_SECRET || 'default-secret-change-me');
-    req.user = user;
-    next();
-  } catch (error) {
-    return res.redirect('/login');
-  }
-}
-
-/**
- * POST /api/auth/login - User login
- * Validates credentials and issues JWT token
- */
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    
-    if (!username || !password) {
-      return res.status(400).json({ error: 'Username and password required' });
-    }
+  // Calculate energy from power data (integrate over time)
+  getTrackedTopics().forEach(topic => {
+    if (!historicalData[topic]) return;
     
-    // Check credentials against environment variables
-    const validUsername = process.env.ADMIN_USERNAME || 'admin';
-    const validPasswordHash = process.env.ADMIN_PASSWORD_HASH;
+    const data = historicalData[topic].filter(point => {
+      const pointTime = new Date(point.timestamp);
+      return pointTime >= startOfDay && pointTime < endOfDay;
+    });
     
-    if (username !== validUsername) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+    if (data.length === 0) return;
     
-    // Verify password
-    const passwordMatch = await bcrypt.compare(password, validPasswordHash);
+    // Calculate energy by integrating power over time
+    let energy = 0;
+    let peakPower = 0;
+    let peakTime = null;
     
-    if (!passwordMatch) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    for (let i = 1; i < data.length; i++) {
+      const prevPoint = data[i - 1];
+      const currPoint = data[i];
+      const timeDiff = (new Date(currPoint.timestamp) - new Date(prevPoint.timestamp)) / 3600000; // hours
+      const avgPower = (parseFloat(prevPoint.value) + parseFloat(currPoint.value)) / 2;
+      
+      energy += avgPower * timeDiff / 1000; // Convert to kWh
+      
+      if (parseFloat(currPoint.value) > peakPower) {
+        peakPower = parseFloat(currPoint.value);
+        peakTime = currPoint.timestamp;
+      }
     }
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { username: username },
-      process.env.JWT_SECRET || 'default-secret-change-me',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-    
-    // Set HTTP-only cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      sameSite: 'strict'
-    });
-    
-    res.json({ 
-      success: true, 
-      message: 'Login successful',
-      username: username
-    });
-    
-    console.log(`✅ User logged in: ${username}`);
-    
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    // Assign to appropriate category
+    if (topic.includes('pv_power/state') && !topic.includes('pv_power_1') && !topic.includes('pv_power_2')) {
+      stats.solarEnergy.total = Math.round(energy * 100) / 100;
+      stats.peakPower.solar = Math.round(peakPower);
+      stats.peakPower.solarTime = peakTime;
+    } else if (topic.includes('pv_power_1/state')) {
+      stats.solarEnergy.array1 = Math.round(energy * 100) / 100;
+    } else if (topic.includes('pv_power_2/state')) {
+      stats.solarEnergy.array2 = Math.round(energy * 100) / 100;
+    } else if (topic.includes('load_power/state')) {
+      stats.loadEnergy = Math.round(energy * 100) / 100;
+      stats.peakPower.load = Math.round(peakPower);
+      stats.peakPower.loadTime = peakTime;
+    } else if (topic.includes('battery_state_of_charge/state')) {
+      // Get battery SOC data
+      if (data.length > 0) {
+        stats.batterySOC.start = Math.round(parseFloat(data[0].value));
+        stats.batterySOC.end = Math.round(parseFloat(data[data.length - 1].value));
+        
+        data.forEach(point => {
+          const soc = parseFloat(point.value);
+          if (soc > stats.batterySOC.peak) stats.batterySOC.peak = Math.round(soc);
+          if (soc < stats.batterySOC.low) stats.batterySOC.low = Math.round(soc);
+        });
+      }
+    }
+  });
+  
+  // Day totals from the energy accounting (cumulative counters, see ENERGY ACCOUNTING)
+  const accounts = getDailyEnergyAccounts().accounts;
+  if (accounts.pv.kwh !== null) stats.solarEnergy.total = accounts.pv.kwh;
+  if (accounts.load.kwh !== null) stats.loadEnergy = accounts.load.kwh;
+  stats.batteryEnergy.in = accounts.batteryIn.kwh || 0;
+  stats.batteryEnergy.out = accounts.batteryOut.kwh || 0;
+  stats.batteryEnergy.net = Math.round((stats.batteryEnergy.in - stats.batteryEnergy.out) * 100) / 100;
+  
+  // Calculate net energy balance
+  const netBalance = stats.solarEnergy.total - stats.loadEnergy;
+  stats.netBalance = Math.round(netBalance * 100) / 100;
+  
+  // Calculate efficiency
+  if (stats.loadEnergy > 0) {
+    stats.efficiency = Math.round((stats.solarEnergy.total / stats.loadEnergy) * 100);
   }
-});
-
+  
+  // Calculate system uptime (approximate from data points)
+  stats.systemHealth.dataPoints = Object.values(historicalData).reduce((total, topicData) => {
+    return total + (topicData ? topicData.length : 0);
+  }, 0);
+  
+  return stats;
+}
+
 /**
- * POST /api/auth/logout - User logout
- * Clears JWT token cookie
+ * Generate HTML content for daily summary email
  */
-app.post('/api/auth/logout', (req, res) => {
-  res.clearCookie('token');
-  res.json({ success: true, message: 'Logged out successfully' });
-  console.log('✅ User logged out');
-});
+function generateDailySummaryHTML(stats) {
+  const date = new Date().toLocaleDateString('en-US', { 
+    weekday: 'long', 
+    year: 'numeric', 
+    month: 'long', 
+    day: 'numeric' 
+  });
+  
+  const weatherIcon = getWeatherIcon(stats.weather?.weatherCode || 0);
+  const weatherDesc = getWeatherDescription(stats.weather?.weatherCode || 0);
+  
+  const socChange = stats.batterySOC.end - stats.batterySOC.start;
+  const socChangeText = socChange > 0 ? `+${socChange}%` : `${socChange}%`;
+  const socChangeColor = socChange > 0 ? '#27ae60' : socChange < 0 ? '#e74c3c' : '#3498db';
+  
+  const efficiencyColor = stats.efficiency >= 100 ? '#27ae60' : stats.efficiency >= 80 ? '#f39c12' : '#e74c3c';
+  const efficiencyText = stats.efficiency >= 100 ? 'Excellent' : stats.efficiency >= 80 ? 'Good' : 'Needs Improvement';
+  
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Daily Solar Summary - ${date}</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
+        <h1 style="margin: 0; font-size: 28px;">☀️ Solar Assistant</h1>
+        <h2 style="margin: 10px 0 0 0; font-size: 20px; opacity: 0.9;">Daily Summary Report</h2>
+        <p style="margin: 15px 0 0 0; font-size: 16px; opacity: 0.8;">${date}</p>
+      </div>
+      
+      <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e9ecef;">
+        
+        <!-- Quick Stats Summary -->
+        <div style="background: white; padding: 25px; border-radius: 8px; margin-bottom: 25px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <h3 style="margin-top: 0; color: #667eea; border-bottom: 2px solid #667eea; padding-bottom: 10px;">📊 Today's Summary</h3>
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-top: 20px;">
+            <div style="text-align: center; padding: 15px; background: #e8f5e8; border-radius: 8px;">
+              <div style="font-size: 24px; font-weight: bold; color: #27ae60;">${stats.solarEnergy.total} kWh</div>
+              <div style="color: #666; font-size: 14px;">☀️ Solar Generated</div>
+            </div>
+            <div style="text-align: center; padding: 15px; background: #e3f2fd; border-radius: 8px;">
+              <div style="font-size: 24px; font-weight: bold; color: #3498db;">${stats.loadEnergy} kWh</div>
+              <div style="color: #666; font-size: 14px;">⚡ Energy Consumed</div>
+            </div>
+            <div style="text-align: center; padding: 15px; background: #fff3e0; border-radius: 8px;">
+              <div style="font-size: 24px; font-weight: bold; color: #f39c12;">${stats.netBalance > 0 ? '+' : ''}${stats.netBalance} kWh</div>
+              <div style="color: #666; font-size: 14px;">⚖️ Net Balance</div>
+            </div>
+            <div style="text-align: center; padding: 15px; background: #fce4ec; border-radius: 8px;">
+              <div style="font-size: 24px; font-weight: bold; color: ${efficiencyColor};">${stats.efficiency}%</div>
+              <div style="color: #666; font-size: 14px;">🎯 Efficiency</div>
+            </div>
+          </div>
+        </div>
+        
+        <!-- Solar Performance -->
+        <div style="background: white; padding: 25px; border-radius: 8px; margin-bottom: 25px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <h3 style="margin-top: 0; color: #f39c12; border-bottom: 2px solid #f39c12; padding-bottom: 10px;">☀️ Solar Performance</h3>
+          <div style="margin-top: 20px;">
+            <p><strong>Total Solar Energy:</strong> ${stats.solarEnergy.total} kWh</p>
+            <p><strong>Array 1:</strong> ${stats.solarEnergy.array1} kWh</p>
+            <p><strong>Array 2:</strong> ${stats.solarEnergy.array2} kWh</p>
+            <p><strong>Peak Power:</strong> ${stats.peakPower.solar} W ${stats.peakPower.solarTime ? 'at ' + new Date(stats.peakPower.solarTime).toLocaleTimeString() : ''}</p>
+          </div>
+        </div>
+        
+        <!-- Battery Status -->
+        <div style="background: white; padding: 25px; border-radius: 8px; margin-bottom: 25px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <h3 style="margin-top: 0; color: #27ae60; border-bottom: 2px solid #27ae60; padding-bottom: 10px;">🔋 Battery Status</h3>
+          <div style="margin-top: 20px;">
+            <p><strong>Starting SOC:</strong> ${stats.batterySOC.start || 'N/A'}%</p>
+            <p><strong>Ending SOC:</strong> ${stats.batterySOC.end || 'N/A'}%</p>
+            <p><strong>Daily Change:</strong> <span style="color: ${socChangeColor}; font-weight: bold;">${socChangeText}</span></p>
+            <p><strong>Peak SOC:</strong> ${stats.batterySOC.peak}%</p>
+            <p><strong>Lowest SOC:</strong> ${stats.batterySOC.low}%</p>
+          </div>
+        </div>
+        
+        <!-- Weather & System Health -->
+        <div style="background: white; padding: 25px; border-radius: 8px; margin-bottom: 25px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <h3 style="margin-top: 0; color: #3498db; border-bottom: 2px solid #3498db; padding-bottom: 10px;">🌤️ Weather & System Health</h3>
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-top: 20px;">
+            <div>
+              <h4 style="color: #667eea; margin-bottom: 10px;">Weather Conditions</h4>
+              <p><strong>Conditions:</strong> ${weatherIcon} ${weatherDesc}</p>
+              ${stats.weather ? `
+                <p><strong>Temperature:</strong> ${stats.weather.temperature}°F</p>
+                <p><strong>Humidity:</strong> ${stats.weather.humidity}%</p>
+                <p><strong>Solar Irradiance:</strong> ${stats.weather.solarRadiation} W/m²</p>
+              ` : '<p>Weather data unavailable</p>'}
+            </div>
+            <div>
+              <h4 style="color: #667eea; margin-bottom: 10px;">System Status</h4>
+              <p><strong>Connection:</strong> <span style="color: ${stats.systemHealth.connectionStatus === 'Connected' ? '#27ae60' : '#e74c3c'}">${stats.systemHealth.connectionStatus}</span></p>
+              <p><strong>Data Points:</strong> ${stats.systemHealth.dataPoints.toLocaleString()}</p>
+              <p><strong>Efficiency Rating:</strong> <span style="color: ${efficiencyColor}; font-weight: bold;">${efficiencyText}</span></p>
+            </div>
+          </div>
+        </div>
+        
+        <!-- Insights & Recommendations -->
+        <div style="background: white; padding: 25px; border-radius: 8px; margin-bottom: 25px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <h3 style="margin-top: 0; color: #8e44ad; border-bottom: 2px solid #8e44ad; padding-bottom: 10px;">💡 Insights & Recommendations</h3>
+          <div style="margin-top: 20px;">
+            ${generateDailyInsights(stats)}
+          </div>
+        </div>
+        
+        <!-- Dashboard Link -->
+        <div style="text-align: center; margin-top: 30px;">
+          <a href="https://localhost:3434" style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">View Full Dashboard</a>
+        </div>
+        
+      </div>
+      
+      <div style="text-align: center; margin-top: 30px; padding: 20px; color: #666; font-size: 12px;">
+        <p>Solar Assistant Dashboard - Automated Daily Report</p>
+        <p>Generated at ${new Date().toLocaleString()}</p>
+      </div>
+    </body>
+    </html>
+  `;
+}
 
 /**
- * GET /api/auth/check - Check authentication status
- * Returns current user info if authenticated
+ * Generate daily insights and recommendations
  */
-app.get('/api/auth/check', authenticateToken, (req, res) => {
-  res.json({ 
-    authenticated: true, 
-    username: req.user.username 
-  });
-});
+function generateDailyInsights(stats) {
+  const insights = [];
+  
+  // Efficiency insights
+  if (stats.efficiency >= 120) {
+    insights.push('🎉 Excellent efficiency! Your solar system is generating significantly more than you\'re consuming.');
+  } else if (stats.efficiency >= 100) {
+    insights.push('✅ Great efficiency! You\'re generating as much or more than you\'re consuming.');
+  } else if (stats.efficiency >= 80) {
+    insights.push('👍 Good efficiency. Consider optimizing load timing to better utilize solar production.');
+  } else {
+    insights.push('⚠️ Lower efficiency detected. Consider reviewing your energy consumption patterns.');
+  }
+  
+  // Battery insights
+  if (stats.batterySOC.end > stats.batterySOC.start) {
+    insights.push('🔋 Battery charged throughout the day - great solar utilization!');
+  } else if (stats.batterySOC.end < stats.batterySOC.start) {
+    insights.push('⚡ Battery discharged during the day. Consider reducing evening consumption.');
+  }
+  
+  // Weather insights
+  if (stats.weather && stats.weather.solarRadiation > 800) {
+    insights.push('☀️ Excellent solar conditions today with high irradiance.');
+  } else if (stats.weather && stats.weather.solarRadiation < 400) {
+    insights.push('☁️ Cloudy conditions reduced solar production. Tomorrow should be better!');
+  }
+  
+  // Peak power insights
+  if (stats.peakPower.solar > 2000) {
+    insights.push('🚀 Outstanding peak power generation! Your panels are performing excellently.');
+  }
+  
+  return insights.map(insight => `<p style="margin: 10px 0;">${insight}</p>`).join('');
+}
 
 /**
- * GET /api/version - Get application version
- * Public endpoint to check app version
+ * Get weather description from weather code
  */
-app.get('/api/version', (req, res) => {
-  const pkg = require('./package.json');
-  res.json({ 
-    version: pkg.version,
-    name: pkg.name,
-    description: pkg.description
-  });
-});
+function getWeatherDescription(weatherCode) {
+  const descriptions = {
+    0: 'Clear sky',
+    1: 'Mainly clear',
+    2: 'Partly cloudy',
+    3: 'Overcast',
+    45: 'Fog',
+    48: 'Depositing rime fog',
+    51: 'Light drizzle',
+    53: 'Moderate drizzle',
+    55: 'Dense drizzle',
+    61: 'Slight rain',
+    63: 'Moderate rain',
+    65: 'Heavy rain',
+    71: 'Slight snow',
+    73: 'Moderate snow',
+    75: 'Heavy snow',
+    77: 'Snow grains',
+    80: 'Slight rain showers',
+    81: 'Moderate rain showers',
+    82: 'Violent rain showers',
+    85: 'Slight snow showers',
+    86: 'Heavy snow showers',
+    95: 'Thunderstorm',
+    96: 'Thunderstorm with slight hail',
+    99: 'Thunderstorm with heavy hail'
+  };
+  return descriptions[weatherCode] || 'Unknown';
+}
 
 /**
- * GET /settings - Settings page
- * Serves dedicated settings page (separate window)
+ * Generate, archive and send the daily summary report
+ * RULE: The report is archived even when daily emails or alerts are turned off
+ * @returns {boolean} - Whether any channel delivered it
  */
-app.get('/settings-page', requireAuth, (req, res) => {
-  res.send(`
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Settings - SolarAssistant Dashboard</title>
-  <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
+async function sendDailySummaryReport() {
+  try {
+    console.log('📊 Generating daily summary report...');
     
-    :root {
-      --bg-gradient-start: #1a1a2e;
-      --bg-gradient-end: #16213e;
-      --card-bg: #1e1e2e;
-      --text-primary: #f0f0f0;
-      --text-secondary: #d0d0d0;
-      --text-muted: #a0a0a0;
-      --border-color: #404050;
-      --success-color: #4ade80;
-      --warning-color: #fbbf24;
-      --danger-color: #f87171;
-    }
+    const stats = calculateDailyStats();
+    const html = generateDailySummaryHTML(stats);
+    const text = `Solar: ${stats.solarEnergy.total} kWh\nLoad: ${stats.loadEnergy} kWh\nNet: ${stats.netBalance} kWh\n` +
+      `Battery SOC: ${stats.batterySOC.start ?? '--'}% → ${stats.batterySOC.end ?? '--'}% (low ${stats.batterySOC.low}%, peak ${stats.batterySOC.peak}%)`;
+    
+    const report = archiveReport({
+      kind: 'daily',
+      id: formatDateKey(getZonedTimeParts(new Date(), getConfiguredTimezone())),
+      title: stats.date,
+      subject: `📊 Daily Solar Summary - ${stats.date}`,
+      text: text,
+      html: html,
+      summary: { date: stats.date, solarKwh: stats.solarEnergy.total, loadKwh: stats.loadEnergy, netKwh: stats.netBalance },
+      stats: stats
+    });
+    
+    if (!alertSettings.dailySummary.enabled || !alertSettings.enabled) {
+      console.log('📧 Daily summary disabled or alerts disabled - archived only');
+      return false;
+    }
+    
+    return await deliverArchivedReport(report, html);
+  } catch (error) {
+    console.error('❌ Error sending daily summary report:', error.message);
+    return false;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PERIOD SUMMARY REPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Weekly and monthly reports with totals, best/worst days and
+//          comparisons against the previous period and the same period last year
+// SCHEDULED: 'weekly_summary' / 'monthly_summary' jobs (see JOB SCHEDULER)
+// RELATIONSHIP: Built from the energy integrals of the history rollups, so they
+//               still work after raw data has expired. Days are calendar days
+//               in the configured timezone.
+
+const PERIOD_REPORTS = {
+  weekly:  { label: 'Weekly', settingsKey: 'weeklySummary', category: 'weekly_summary' },
+  monthly: { label: 'Monthly', settingsKey: 'monthlySummary', category: 'monthly_summary' }
+};
+
+// Stored power topics that feed the report totals
+// NOTE: Solar and load are summed over every inverter
+const REPORT_SOLAR_TOPIC = /^solar_assistant\/inverter_\d+\/pv_power\/state$/;
+const REPORT_LOAD_TOPIC = /^solar_assistant\/inverter_\d+\/load_power\/state$/;
+const REPORT_BATTERY_TOPIC = 'solar_assistant/total/battery_power/state';
+
+/**
+ * Shift a calendar date by whole days
+ * RETURNS: { year, month: 1-12, day }
+ */
+function addCalendarDays(date, days) {
+  const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+}
+
+/**
+ * Calendar date as 'YYYY-MM-DD'
+ */
+function formatDateKey(date) {
+  return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+}
+
+/**
+ * Build a report period from its first day
+ * RETURNS: { kind, start, days, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', label }
+ */
+function makeReportPeriod(kind, start) {
+  const days = kind === 'weekly' ? 7 : new Date(Date.UTC(start.year, start.month, 0)).getUTCDate();
+  const end = addCalendarDays(start, days - 1);
+  const toDate = date => new Date(Date.UTC(date.year, date.month - 1, date.day));
+  
+  const label = kind === 'weekly'
+    ? toDate(start).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' }) + ' - ' +
+      toDate(end).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric' })
+    : toDate(start).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'long', year: 'numeric' });
+  
+  return { kind, start, days, from: formatDateKey(start), to: formatDateKey(end), label };
+}
+
+/**
+ * The report period a run at `nowMs` covers, plus its comparison periods
+ * RULE: weekly = last complete Monday-Sunday week, monthly = last complete month
+ * NOTE: Last year's week is 52 weeks earlier so the weekdays line up
+ * RETURNS: { current, previous, lastYear } - see makeReportPeriod()
+ */
+function getReportPeriods(kind, nowMs, timezone) {
+  const today = getZonedTimeParts(new Date(nowMs), timezone);
+  
+  if (kind === 'weekly') {
+    const daysSinceMonday = (today.weekday + 6) % 7;
+    const start = addCalendarDays(today, -daysSinceMonday - 7);
+    return {
+      current: makeReportPeriod(kind, start),
+      previous: makeReportPeriod(kind, addCalendarDays(start, -7)),
+      lastYear: makeReportPeriod(kind, addCalendarDays(start, -364))
+    };
+  }
+  
+  const monthStart = (year, month) => ({ year: month < 1 ? year - 1 : year, month: month < 1 ? month + 12 : month, day: 1 });
+  const start = monthStart(today.year, today.month - 1);
+  return {
+    current: makeReportPeriod(kind, start),
+    previous: makeReportPeriod(kind, monthStart(start.year, start.month - 1)),
+    lastYear: makeReportPeriod(kind, { year: start.year - 1, month: start.month, day: 1 })
+  };
+}
+
+/**
+ * Energy totals per calendar day of a period
+ * RULE: Reads the 1h tier while it still covers the period, the 1d tier after
+ *       that (1d buckets start at midnight in the configured timezone, see getBucketStart)
+ * RETURNS: [{ date, solarKwh, loadKwh, batteryInKwh, batteryOutKwh, hasData }] - one per day
+ */
+function getDailyEnergyTotals(period, timezone) {
+  const end = addCalendarDays(period.start, period.days);
+  const fromMs = zonedTimeToUtc(period.start.year, period.start.month, period.start.day, 0, 0, timezone);
+  const toMs = zonedTimeToUtc(end.year, end.month, end.day, 0, 0, timezone) - 1;
+  const hourlyFrom = Date.now() - HISTORY_TIERS['1h'].retentionDays * 24 * 60 * 60 * 1000;
+  const tierName = fromMs >= hourlyFrom ? '1h' : '1d';
+  const halfBucket = HISTORY_TIERS[tierName].bucketMs / 2;
+  
+  const days = new Map();
+  for (let offset = 0; offset < period.days; offset++) {
+    const date = formatDateKey(addCalendarDays(period.start, offset));
+    days.set(date, { date, solarKwh: 0, loadKwh: 0, batteryInKwh: 0, batteryOutKwh: 0, hasData: false });
+  }
+  
+  const addEnergy = (topic, apply) => {
+    readTierRange(tierName, topic, fromMs, toMs).forEach(bucket => {
+      // A bucket's midpoint decides its day
+      const ms = new Date(bucket.timestamp).getTime() + halfBucket;
+      const day = days.get(formatDateKey(getZonedTimeParts(new Date(ms), timezone)));
+      if (!day) return;
+      apply(day, (bucket.energyInWh || 0) / 1000, (bucket.energyOutWh || 0) / 1000);
+      day.hasData = true;
+    });
+  };
+  
+  const storedTopics = new Set([...listStoredTopics('raw'), ...listStoredTopics(tierName)]);
+  storedTopics.forEach(topic => {
+    if (REPORT_SOLAR_TOPIC.test(topic)) addEnergy(topic, (day, inKwh) => { day.solarKwh += inKwh; });
+    if (REPORT_LOAD_TOPIC.test(topic)) addEnergy(topic, (day, inKwh) => { day.loadKwh += inKwh; });
+  });
+  if (storedTopics.has(REPORT_BATTERY_TOPIC)) {
+    addEnergy(REPORT_BATTERY_TOPIC, (day, inKwh, outKwh) => {
+      day.batteryInKwh += inKwh;
+      day.batteryOutKwh += outKwh;
+    });
+  }
+  
+  const round = value => Math.round(value * 100) / 100;
+  return Array.from(days.values()).map(day => ({
+    ...day,
+    solarKwh: round(day.solarKwh),
+    loadKwh: round(day.loadKwh),
+    batteryInKwh: round(day.batteryInKwh),
+    batteryOutKwh: round(day.batteryOutKwh)
+  }));
+}
+
+/**
+ * Totals over a period's days
+ * RETURNS: { solarKwh, loadKwh, batteryInKwh, batteryOutKwh, batteryThroughputKwh,
+ *            netKwh, efficiency, avgSolarKwh, daysWithData } - null when no day has data
+ */
+function summarizeEnergyDays(days) {
+  const withData = days.filter(day => day.hasData);
+  if (withData.length === 0) return null;
+  
+  const round = value => Math.round(value * 100) / 100;
+  const sum = field => round(withData.reduce((total, day) => total + day[field], 0));
+  const totals = {
+    solarKwh: sum('solarKwh'),
+    loadKwh: sum('loadKwh'),
+    batteryInKwh: sum('batteryInKwh'),
+    batteryOutKwh: sum('batteryOutKwh'),
+    daysWithData: withData.length
+  };
+  totals.batteryThroughputKwh = round(totals.batteryInKwh + totals.batteryOutKwh);
+  totals.netKwh = round(totals.solarKwh - totals.loadKwh);
+  totals.efficiency = totals.loadKwh > 0 ? Math.round((totals.solarKwh / totals.loadKwh) * 100) : 0;
+  totals.avgSolarKwh = round(totals.solarKwh / withData.length);
+  return totals;
+}
+
+/**
+ * Percent change of each headline total against another period
+ * RETURNS: { solarKwh, loadKwh, batteryThroughputKwh } - each a percentage or null
+ */
+function compareEnergyTotals(current, other) {
+  const change = field => (other && other[field] > 0)
+    ? Math.round(((current[field] - other[field]) / other[field]) * 1000) / 10
+    : null;
+  return {
+    solarKwh: change('solarKwh'),
+    loadKwh: change('loadKwh'),
+    batteryThroughputKwh: change('batteryThroughputKwh')
+  };
+}
+
+/**
+ * Calculate a weekly or monthly report
+ * @param {string} kind - 'weekly' or 'monthly'
+ * RETURNS: { kind, period, timezone, days, totals, bestDay, worstDay,
+ *            previous: { period, totals, change }, lastYear: { ... }, generatedAt }
+ */
+function calculatePeriodStats(kind, nowMs = Date.now()) {
+  const timezone = getConfiguredTimezone();
+  const periods = getReportPeriods(kind, nowMs, timezone);
+  const days = getDailyEnergyTotals(periods.current, timezone);
+  const totals = summarizeEnergyDays(days);
+  
+  // Best/worst by solar production among days that have data
+  const ranked = days.filter(day => day.hasData).sort((a, b) => b.solarKwh - a.solarKwh);
+  
+  const compareWith = period => {
+    const otherTotals = summarizeEnergyDays(getDailyEnergyTotals(period, timezone));
+    return {
+      period: period,
+      totals: otherTotals,
+      change: totals && otherTotals ? compareEnergyTotals(totals, otherTotals) : null
+    };
+  };
+  
+  return {
+    kind: kind,
+    period: periods.current,
+    timezone: timezone,
+    days: days,
+    totals: totals,
+    bestDay: ranked[0] || null,
+    worstDay: ranked.length > 1 ? ranked[ranked.length - 1] : null,
+    previous: compareWith(periods.previous),
+    lastYear: compareWith(periods.lastYear),
+    generatedAt: new Date(nowMs).toISOString()
+  };
+}
+
+/**
+ * Format a percent change for the report ('+12.5%', '-3%', 'n/a')
+ */
+function formatPercentChange(change) {
+  if (change === null || change === undefined) return 'n/a';
+  return (change > 0 ? '+' : '') + change + '%';
+}
+
+/**
+ * Inline bar chart of solar vs. load per day
+ * NOTE: Plain tables and widths only - email clients strip SVG, canvas and scripts
+ */
+function generateDailyEnergyChartHTML(days) {
+  const scale = Math.max(1, ...days.map(day => Math.max(day.solarKwh, day.loadKwh)));
+  const bar = (value, color) => {
+    const width = Math.max(value > 0 ? 1 : 0, Math.round((value / scale) * 100));
+    return `<div style="background: ${color}; height: 8px; width: ${width}%; border-radius: 4px;"></div>`;
+  };
+  
+  const rows = days.map(day => {
+    const date = new Date(day.date + 'T12:00:00Z');
+    const label = date.toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'numeric', day: 'numeric' });
+    return `
+      <tr>
+        <td style="padding: 3px 8px 3px 0; font-size: 12px; color: #666; white-space: nowrap;">${label}</td>
+        <td style="padding: 3px 0; width: 100%;">${day.hasData ? bar(day.solarKwh, '#f39c12') + '<div style="height: 2px;"></div>' + bar(day.loadKwh, '#3498db') : '<span style="font-size: 11px; color: #999;">no data</span>'}</td>
+        <td style="padding: 3px 0 3px 8px; font-size: 12px; white-space: nowrap; text-align: right;">${day.hasData ? day.solarKwh + ' / ' + day.loadKwh : ''}</td>
+      </tr>`;
+  }).join('');
+  
+  return `
+    <table style="width: 100%; border-collapse: collapse;">${rows}</table>
+    <p style="font-size: 12px; color: #666; margin: 10px 0 0 0;">
+      <span style="display: inline-block; width: 10px; height: 10px; background: #f39c12; border-radius: 2px;"></span> Solar kWh &nbsp;
+      <span style="display: inline-block; width: 10px; height: 10px; background: #3498db; border-radius: 2px;"></span> Load kWh
+    </p>`;
+}
+
+/**
+ * Comparison table of the headline totals with bars scaled per row
+ */
+function generatePeriodComparisonHTML(stats) {
+  const columns = [
+    { title: 'This period', totals: stats.totals, color: '#667eea' },
+    { title: 'Previous', totals: stats.previous.totals, color: '#95a5a6' },
+    { title: 'Last year', totals: stats.lastYear.totals, color: '#bdc3c7' }
+  ];
+  const metrics = [
+    { key: 'solarKwh', label: '☀️ Solar' },
+    { key: 'loadKwh', label: '⚡ Load' },
+    { key: 'batteryThroughputKwh', label: '🔋 Battery throughput' }
+  ];
+  
+  const rows = metrics.map(metric => {
+    const scale = Math.max(1, ...columns.map(column => column.totals ? column.totals[metric.key] : 0));
+    const cells = columns.map(column => {
+      if (!column.totals) return '<td style="padding: 6px; font-size: 12px; color: #999;">no data</td>';
+      const value = column.totals[metric.key];
+      const width = Math.round((value / scale) * 100);
+      return `<td style="padding: 6px; font-size: 13px;">${value} kWh<div style="background: ${column.color}; height: 6px; width: ${width}%; border-radius: 3px; margin-top: 3px;"></div></td>`;
+    }).join('');
+    return `<tr><td style="padding: 6px; font-size: 13px; white-space: nowrap;"><strong>${metric.label}</strong></td>${cells}</tr>`;
+  }).join('');
+  
+  const changeRow = (title, comparison) => comparison.change
+    ? `<p style="margin: 6px 0; font-size: 13px;"><strong>vs. ${title} (${comparison.period.label}):</strong> ` +
+      `solar ${formatPercentChange(comparison.change.solarKwh)}, load ${formatPercentChange(comparison.change.loadKwh)}, ` +
+      `battery ${formatPercentChange(comparison.change.batteryThroughputKwh)}</p>`
+    : '';
+  
+  return `
+    <table style="width: 100%; border-collapse: collapse;">
+      <tr style="text-align: left; border-bottom: 1px solid #e9ecef;">
+        <th></th>${columns.map(column => `<th style="padding: 6px; font-size: 12px; color: #666;">${column.title}</th>`).join('')}
+      </tr>
+      ${rows}
+    </table>
+    <div style="margin-top: 15px;">
+      ${changeRow('previous', stats.previous)}
+      ${changeRow('last year', stats.lastYear)}
+    </div>`;
+}
+
+/**
+ * Generate HTML content for a weekly or monthly summary email
+ */
+function generatePeriodSummaryHTML(stats) {
+  const report = PERIOD_REPORTS[stats.kind];
+  const totals = stats.totals;
+  const dayLabel = day => new Date(day.date + 'T12:00:00Z').toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'long', month: 'short', day: 'numeric' });
+  const card = (value, label, color, background) => `
+            <div style="text-align: center; padding: 15px; background: ${background}; border-radius: 8px;">
+              <div style="font-size: 24px; font-weight: bold; color: ${color};">${value}</div>
+              <div style="color: #666; font-size: 14px;">${label}</div>
+            </div>`;
+  const section = (title, color, body) => `
+        <div style="background: white; padding: 25px; border-radius: 8px; margin-bottom: 25px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <h3 style="margin-top: 0; color: ${color}; border-bottom: 2px solid ${color}; padding-bottom: 10px;">${title}</h3>
+          <div style="margin-top: 20px;">${body}</div>
+        </div>`;
+  
+  const body = totals ? `
+        ${section(`📊 ${report.label} Totals`, '#667eea', `
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px;">
+            ${card(totals.solarKwh + ' kWh', '☀️ Solar Generated', '#27ae60', '#e8f5e8')}
+            ${card(totals.loadKwh + ' kWh', '⚡ Energy Consumed', '#3498db', '#e3f2fd')}
+            ${card(totals.batteryThroughputKwh + ' kWh', `🔋 Battery (${totals.batteryInKwh} in / ${totals.batteryOutKwh} out)`, '#f39c12', '#fff3e0')}
+            ${card(totals.efficiency + '%', '🎯 Efficiency', totals.efficiency >= 100 ? '#27ae60' : totals.efficiency >= 80 ? '#f39c12' : '#e74c3c', '#fce4ec')}
+          </div>
+          <p style="margin: 15px 0 0 0;"><strong>Net Balance:</strong> ${totals.netKwh > 0 ? '+' : ''}${totals.netKwh} kWh &nbsp; • &nbsp; <strong>Average Solar:</strong> ${totals.avgSolarKwh} kWh/day</p>
+          ${totals.daysWithData < stats.days.length ? `<p style="margin: 5px 0 0 0; color: #999; font-size: 13px;">Based on ${totals.daysWithData} of ${stats.days.length} days with data</p>` : ''}
+        `)}
+        ${section('🏆 Best & Worst Days', '#f39c12', `
+          ${stats.bestDay ? `<p><strong>Best day:</strong> ${dayLabel(stats.bestDay)} - ${stats.bestDay.solarKwh} kWh solar, ${stats.bestDay.loadKwh} kWh load</p>` : ''}
+          ${stats.worstDay ? `<p><strong>Worst day:</strong> ${dayLabel(stats.worstDay)} - ${stats.worstDay.solarKwh} kWh solar, ${stats.worstDay.loadKwh} kWh load</p>` : ''}
+        `)}
+        ${section('📈 Daily Production', '#27ae60', generateDailyEnergyChartHTML(stats.days))}
+        ${section('⚖️ Comparison', '#8e44ad', generatePeriodComparisonHTML(stats))}
+  ` : section('📊 No Data', '#e74c3c', '<p>No solar, load or battery history was stored for this period.</p>');
+  
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${report.label} Solar Summary - ${stats.period.label}</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
+        <h1 style="margin: 0; font-size: 28px;">☀️ Solar Assistant</h1>
+        <h2 style="margin: 10px 0 0 0; font-size: 20px; opacity: 0.9;">${report.label} Summary Report</h2>
+        <p style="margin: 15px 0 0 0; font-size: 16px; opacity: 0.8;">${stats.period.label}</p>
+      </div>
+      
+      <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; border: 1px solid #e9ecef;">
+        ${body}
+      </div>
+      
+      <div style="text-align: center; margin-top: 30px; padding: 20px; color: #666; font-size: 12px;">
+        <p>Solar Assistant Dashboard - Automated ${report.label} Report</p>
+        <p>Generated at ${formatScheduledTime(new Date(stats.generatedAt).getTime(), stats.timezone)}</p>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Generate, archive and send a weekly or monthly summary report
+ * RULE: The report is archived even when its emails or alerts are turned off
+ * @param {string} kind - 'weekly' or 'monthly'
+ * @param {Object} options - { test: true } sends even while the report is turned off
+ * @returns {boolean} - Whether any channel delivered it
+ */
+async function sendPeriodSummaryReport(kind, options = {}) {
+  const config = PERIOD_REPORTS[kind];
+  
+  try {
+    console.log(`📊 Generating ${kind} summary report...`);
+    
+    const stats = calculatePeriodStats(kind);
+    const html = generatePeriodSummaryHTML(stats);
+    const totals = stats.totals;
+    const text = totals
+      ? `Solar: ${totals.solarKwh} kWh (${formatPercentChange(stats.previous.change?.solarKwh)} vs previous)\n` +
+        `Load: ${totals.loadKwh} kWh (${formatPercentChange(stats.previous.change?.loadKwh)} vs previous)\n` +
+        `Battery: ${totals.batteryInKwh} kWh in / ${totals.batteryOutKwh} kWh out\n` +
+        (stats.bestDay ? `Best day: ${stats.bestDay.date} (${stats.bestDay.solarKwh} kWh)\n` : '') +
+        (stats.worstDay ? `Worst day: ${stats.worstDay.date} (${stats.worstDay.solarKwh} kWh)` : '')
+      : `No history stored for ${stats.period.label}`;
+    
+    const report = archiveReport({
+      kind: kind,
+      id: kind === 'monthly' ? stats.period.from.slice(0, 7) : stats.period.from,
+      title: stats.period.label,
+      subject: `📊 ${config.label} Solar Summary - ${stats.period.label}`,
+      text: text,
+      html: html,
+      summary: {
+        period: `${stats.period.from}..${stats.period.to}`,
+        solarKwh: totals ? totals.solarKwh : null,
+        loadKwh: totals ? totals.loadKwh : null,
+        batteryThroughputKwh: totals ? totals.batteryThroughputKwh : null
+      },
+      stats: stats
+    });
+    
+    if ((!alertSettings[config.settingsKey].enabled && !options.test) || !alertSettings.enabled) {
+      console.log(`📧 ${config.label} summary disabled or alerts disabled - archived only`);
+      return false;
+    }
+    
+    return await deliverArchivedReport(report, html);
+  } catch (error) {
+    console.error(`❌ Error sending ${kind} summary report:`, error.message);
+    return false;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPORT ARCHIVE
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Keep every generated summary report so it can be viewed, downloaded
+//          and re-sent from the /reports page - even when email failed or is off
+// STRUCTURE: reports/<kind>/<id>.html - the report as emailed
+//            reports/<kind>/<id>.json - { kind, id, title, subject, text, generatedAt,
+//                                         summary, deliveries: [{ time, delivered, resend }], stats }
+// RULE: id is the report's first day ('YYYY-MM-DD', 'YYYY-MM' for monthly), so a
+//       report generated again for the same period replaces the earlier one
+// RULE: Reports are deleted once their period started more than
+//       reportArchive.retentionDays ago (see pruneReportArchive())
+
+const SUMMARY_REPORTS = {
+  daily: { label: 'Daily', settingsKey: 'dailySummary', category: 'daily_summary' },
+  ...PERIOD_REPORTS
+};
+const REPORT_ID_PATTERN = /^\d{4}-\d{2}(-\d{2})?$/;
+
+/**
+ * Get the archive file for a report
+ * @param {string} extension - 'html' or 'json'
+ */
+function getReportPath(kind, id, extension) {
+  return path.join(REPORTS_DIR, kind, `${id}.${extension}`);
+}
+
+/**
+ * Get the first day of a report's period ('YYYY-MM-DD'); monthly ids start on the 1st
+ */
+function getReportStartDate(id) {
+  return id.length === 7 ? `${id}-01` : id;
+}
+
+/**
+ * Check a kind/id pair from a request before it is used in a file path
+ */
+function isValidReportRef(kind, id) {
+  return Object.prototype.hasOwnProperty.call(SUMMARY_REPORTS, kind) && REPORT_ID_PATTERN.test(String(id));
+}
+
+/**
+ * Write a report's metadata and stats
+ * NOTE: Errors are logged, not thrown - a full disk must not stop the email
+ */
+function writeReportRecord(record) {
+  try {
+    fs.mkdirSync(path.join(REPORTS_DIR, record.kind), { recursive: true });
+    fs.writeFileSync(getReportPath(record.kind, record.id, 'json'), JSON.stringify(record, null, 2));
+  } catch (error) {
+    console.error(`✗ Error saving ${record.kind} report ${record.id}:`, error.message);
+  }
+}
+
+/**
+ * Read an archived report's metadata and stats
+ * @returns {Object|null} - See STRUCTURE, or null if it isn't archived
+ */
+function loadArchivedReport(kind, id) {
+  try {
+    const filePath = getReportPath(kind, id, 'json');
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+  } catch (error) {
+    console.error(`✗ Error reading ${kind} report ${id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Save a freshly generated report
+ * CALLED BY: sendDailySummaryReport(), sendPeriodSummaryReport()
+ * NOTE: Deliveries of an earlier version of the same report are carried over
+ * @param {Object} report - { kind, id, title, subject, text, html, summary, stats }
+ * RETURNS: The stored record (without the HTML)
+ */
+function archiveReport(report) {
+  const existing = loadArchivedReport(report.kind, report.id);
+  const record = {
+    kind: report.kind,
+    id: report.id,
+    title: report.title,
+    subject: report.subject,
+    text: report.text,
+    generatedAt: new Date().toISOString(),
+    summary: report.summary,
+    deliveries: existing ? existing.deliveries : [],
+    stats: report.stats
+  };
+  
+  try {
+    fs.mkdirSync(path.join(REPORTS_DIR, report.kind), { recursive: true });
+    fs.writeFileSync(getReportPath(report.kind, report.id, 'html'), report.html);
+    console.log(`🗄️ Archived ${report.kind} report ${report.id}`);
+  } catch (error) {
+    console.error(`✗ Error archiving ${report.kind} report ${report.id}:`, error.message);
+  }
+  writeReportRecord(record);
+  
+  return record;
+}
+
+/**
+ * List archived reports, newest period first
+ * USED BY: GET /reports/list
+ * @param {string[]} kinds - Keys of SUMMARY_REPORTS to include
+ * RETURNS: Records without stats
+ */
+function listArchivedReports(kinds) {
+  const reports = [];
+  
+  kinds.forEach(kind => {
+    const kindDir = path.join(REPORTS_DIR, kind);
+    if (!fs.existsSync(kindDir)) return;
+    
+    fs.readdirSync(kindDir)
+      .filter(name => name.endsWith('.json') && REPORT_ID_PATTERN.test(name.slice(0, -5)))
+      .forEach(name => {
+        const record = loadArchivedReport(kind, name.slice(0, -5));
+        if (!record) return;
+        const { stats, ...listing } = record;
+        reports.push(listing);
+      });
+  });
+  
+  // Same start → most recent generation first
+  return reports.sort((a, b) => getReportStartDate(b.id).localeCompare(getReportStartDate(a.id)) || b.generatedAt.localeCompare(a.generatedAt));
+}
+
+/**
+ * Delete archived reports that are past the archive retention
+ * CALLED BY: pruneOldData()
+ * SETTINGS: alertSettings.reportArchive.retentionDays (null = keep forever)
+ * NOTE: Works per report id, so an .html left without its .json is removed too
+ */
+function pruneReportArchive() {
+  const retentionDays = alertSettings.reportArchive.retentionDays;
+  if (!retentionDays) return;
+  
+  const cutoffDate = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  let prunedCount = 0;
+  
+  Object.keys(SUMMARY_REPORTS).forEach(kind => {
+    const kindDir = path.join(REPORTS_DIR, kind);
+    if (!fs.existsSync(kindDir)) return;
+    
+    try {
+      const ids = new Set(fs.readdirSync(kindDir)
+        .filter(name => /\.(html|json)$/.test(name))
+        .map(name => name.replace(/\.(html|json)$/, ''))
+        .filter(id => REPORT_ID_PATTERN.test(id)));
+      
+      ids.forEach(id => {
+        if (getReportStartDate(id) >= cutoffDate) return;
+        ['html', 'json'].forEach(extension => {
+          const filePath = getReportPath(kind, id, extension);
+          if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        });
+        prunedCount++;
+      });
+    } catch (error) {
+      console.error(`✗ Error pruning ${kind} reports:`, error.message);
+    }
+  });
+  
+  if (prunedCount > 0) {
+    console.log(`🧹 Pruned ${prunedCount} archived reports older than ${retentionDays} days`);
+  }
+}
+
+/**
+ * Send an archived report and record the attempt
+ * CALLED BY: sendDailySummaryReport(), sendPeriodSummaryReport(), POST /reports/resend
+ * IMPACT: Appends to the record's deliveries and writes a *_summary / *_summary_failed event
+ * @param {Object} record - From archiveReport() or loadArchivedReport()
+ * @param {string} html - Report body
+ * @param {Object} options - { resend: true } when sent again from the archive
+ * @returns {boolean} - Whether any channel delivered it
+ */
+async function deliverArchivedReport(record, html, options = {}) {
+  const config = SUMMARY_REPORTS[record.kind];
+  const sent = await sendNotification(config.category, record.subject, record.text, { severity: 'info', html: html });
+  
+  record.deliveries.push({ time: new Date().toISOString(), delivered: sent, resend: !!options.resend });
+  writeReportRecord(record);
+  
+  const details = { ...record.summary, report: `${record.kind}/${record.id}` };
+  if (!sent) {
+    console.log(`❌ ${config.label} summary could not be delivered on any channel`);
+    recordAlertEvent(`${config.category}_failed`, `${config.label} summary for ${record.title} was not delivered`, details);
+    return false;
+  }
+  console.log(`✅ ${config.label} summary report ${options.resend ? 're-sent' : 'sent'} successfully`);
+  
+  recordAlertEvent(config.category, `${config.label} summary ${options.resend ? 're-sent' : 'sent'} for ${record.title}`, details);
+  
+  return true;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ENERGY ACCOUNTING
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Today's PV, load, battery in/out (and grid, when present) totals from
+//          SolarAssistant's cumulative total/*_energy counters, cross-checked
+//          against the power integrals of the history store
+// STATE: dailyStats.energy (persisted with the daily stats, so a restart
+//        continues the day instead of starting a new baseline)
+// FLOW: MQTT counter reading → recordEnergyCounter() → account.kwh grows by the
+//       counter's growth since its previous reading
+//       local midnight (configured timezone) → checkDayRollover() closes the day
+//       into previousDay → the first reading after midnight snapshots the counter
+// RULE: A counter that drops has been reset - counting carries on from the
+//       value after the drop (a new baseline is safer than guessing what the
+//       counter restarted from). Day totals prefer the counter; the integral is
+//       used when there is no counter or it only covers part of the day.
+
+// Every account the app keeps
+// NOTE: power - stored power topics integrated for the cross-check ('in' =
+//       positive watts, 'out' = negative); optional accounts are only reported
+//       once their counter or power topic shows up (grid power: positive = import)
+const ENERGY_ACCOUNTS = {
+  pv:         { label: 'Solar', counter: 'solar_assistant/total/pv_energy/state', power: REPORT_SOLAR_TOPIC, direction: 'in' },
+  load:       { label: 'Load', counter: 'solar_assistant/total/load_energy/state', power: REPORT_LOAD_TOPIC, direction: 'in' },
+  batteryIn:  { label: 'Battery charge', counter: 'solar_assistant/total/battery_energy_in/state', power: /^solar_assistant\/total\/battery_power\/state$/, direction: 'in' },
+  batteryOut: { label: 'Battery discharge', counter: 'solar_assistant/total/battery_energy_out/state', power: /^solar_assistant\/total\/battery_power\/state$/, direction: 'out' },
+  gridIn:     { label: 'Grid import', counter: 'solar_assistant/total/grid_energy_in/state', power: /^solar_assistant\/inverter_\d+\/grid_power\/state$/, direction: 'in', optional: true },
+  gridOut:    { label: 'Grid export', counter: 'solar_assistant/total/grid_energy_out/state', power: /^solar_assistant\/inverter_\d+\/grid_power\/state$/, direction: 'out', optional: true }
+};
+const ENERGY_COUNTER_ACCOUNTS = Object.fromEntries(Object.entries(ENERGY_ACCOUNTS).map(([name, account]) => [account.counter, name]));
+const ENERGY_COUNTER_JITTER_KWH = 0.05;             // Smaller drops are rounding noise, not a reset
+const ENERGY_SNAPSHOT_WINDOW = 10 * 60 * 1000;      // A reading this close before midnight stands in for the midnight value
+const ENERGY_INTERPOLATION_MAX_GAP = 30 * 60 * 1000; // Readings closer than this split their growth across midnight
+const ENERGY_MISMATCH_MIN_KWH = 0.5;                // Counter vs. integral differences below this are ignored...
+const ENERGY_MISMATCH_RATIO = 0.1;                  // ...as are those below 10% of the larger total
+const ENERGY_INTEGRATION_CACHE_MS = 60000;          // Today's integrals are recomputed at most once a minute
+
+// Today's integrals per account - { date, at, values: { [name]: kWh or null } }
+let integratedEnergyCache = null;
+
+/**
+ * Calendar date in the configured timezone
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+function getZonedDateKey(ms = Date.now()) {
+  return formatDateKey(getZonedTimeParts(new Date(ms), getConfiguredTimezone()));
+}
+
+/**
+ * Epoch ms of midnight starting a 'YYYY-MM-DD' day in the configured timezone
+ */
+function getZonedMidnight(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return zonedTimeToUtc(year, month, day, 0, 0, getConfiguredTimezone());
+}
+
+/**
+ * How much a counter grew between two readings
+ * RETURNS: { kwh, reset } - a reset counts nothing; the new reading is the new baseline
+ */
+function getCounterGrowth(previous, value) {
+  if (value < previous - ENERGY_COUNTER_JITTER_KWH) return { kwh: 0, reset: true };
+  return { kwh: Math.max(0, value - previous), reset: false };
+}
+
+/**
+ * Total growth of a counter over a run of readings
+ * @param {number} start - Reading the growth is counted from
+ * @param {Array} readings - [{ low, high, last }] oldest first - raw points or
+ *                           buckets (see readLedgerReadings)
+ * RETURNS: { kwh, resets }
+ */
+function sumCounterReadings(start, readings) {
+  let previous = start;
+  let kwh = 0;
+  let resets = 0;
+  
+  readings.forEach(reading => {
+    if (reading.last < reading.high - ENERGY_COUNTER_JITTER_KWH) {
+      // Reset inside a bucket: growth up to its peak, then from its lowest to its last value
+      kwh += Math.max(0, reading.high - previous) + Math.max(0, reading.last - reading.low);
+      resets++;
+      previous = reading.last;
+      return;
+    }
+    
+    const growth = getCounterGrowth(previous, reading.low);
+    kwh += growth.kwh;
+    if (growth.reset) resets++;
+    previous = growth.reset ? reading.low : Math.max(previous, reading.low);
+    kwh += Math.max(0, reading.last - previous);
+    previous = Math.max(previous, reading.last);
+  });
+  return { kwh, resets };
+}
+
+/**
+ * Stored power topics feeding an account's integral
+ */
+function getAccountPowerTopics(name) {
+  const pattern = ENERGY_ACCOUNTS[name].power;
+  return [...new Set([...listStoredTopics('raw'), ...listStoredTopics('5m')])].filter(topic => pattern.test(topic));
+}
+
+/**
+ * Power-integrated energy of an account over a time range
+ * @returns {number|null} - kWh, or null when none of its power topics has data
+ */
+function getIntegratedAccountEnergy(name, fromMs, toMs) {
+  const energy = getIntegratedEnergy(getAccountPowerTopics(name), fromMs, toMs);
+  if (!energy.hasData) return null;
+  return ENERGY_ACCOUNTS[name].direction === 'in' ? energy.inKwh : energy.outKwh;
+}
+
+/**
+ * Pick a day total from the counter and the integral and flag disagreement
+ * USED BY: getDailyEnergyAccounts() (today), buildLedgerDay() (finished days)
+ * @param {boolean} partialCounter - The counter only covers part of the day
+ * RETURNS: { kwh, source: 'counter' | 'integrated' | null, counterKwh, integratedKwh, mismatch }
+ */
+function reconcileEnergy(counterKwh, integratedKwh, partialCounter = false) {
+  const round = value => value === null ? null : Math.round(value * 100) / 100;
+  const useCounter = counterKwh !== null && !(partialCounter && integratedKwh !== null);
+  const kwh = useCounter ? counterKwh : integratedKwh;
+  const bothKnown = counterKwh !== null && integratedKwh !== null;
+  
+  return {
+    kwh: round(kwh),
+    source: kwh === null ? null : (useCounter ? 'counter' : 'integrated'),
+    counterKwh: round(counterKwh),
+    integratedKwh: round(integratedKwh),
+    mismatch: bothKnown && Math.abs(counterKwh - integratedKwh) >
+      Math.max(ENERGY_MISMATCH_MIN_KWH, ENERGY_MISMATCH_RATIO * Math.max(counterKwh, integratedKwh))
+  };
+}
+
+/**
+ * Start a new accounting day, closing the current one into previousDay
+ * CALLED BY: checkDayRollover()
+ * NOTE: The last readings carry over - the first reading of the new day uses
+ *       them as the midnight snapshot (see startEnergyAccount)
+ */
+function rolloverEnergyDay(dateKey) {
+  const current = dailyStats.energy;
+  const previousDay = current && current.date ? { date: current.date, accounts: {} } : null;
+  const accounts = {};
+  
+  Object.keys(ENERGY_ACCOUNTS).forEach(name => {
+    const account = current?.accounts?.[name];
+    if (!account) return;
+    if (previousDay && account.start) {
+      previousDay.accounts[name] = { kwh: account.kwh, start: account.start, resets: account.resets };
+    }
+    accounts[name] = { kwh: 0, last: account.last, lastAt: account.lastAt, start: null, snapshot: null, resets: 0 };
+  });
+  
+  dailyStats.energy = { date: dateKey, accounts: accounts, previousDay: previousDay };
+  integratedEnergyCache = null;
+  if (current) console.log(`📊 Energy accounting: new day ${dateKey}`);
+}
+
+/**
+ * Reset the daily statistics when the day changes in the configured timezone
+ * CALLED BY: updateDailyStats() on every MQTT message, 'energy_midnight' job,
+ *            getDailyEnergyAccounts()
+ */
+function checkDayRollover(ms = Date.now()) {
+  const today = getZonedDateKey(ms);
+  
+  if (dailyStats.date !== today) {
+    dailyStats.date = today;
+    dailyStats.peakPower = { value: 0, time: null };
+    dailyStats.peakPowerHourly = {};
+  }
+  if (!dailyStats.energy || dailyStats.energy.date !== today) {
+    rolloverEnergyDay(today);
+  }
+}
+
+/**
+ * First counter reading of the day - work out how much of it is today's
+ * RULE: 1. A reading in the ENERGY_SNAPSHOT_WINDOW before midnight (carried
+ *          over, or archived in the history store) is the midnight snapshot;
+ *          growth since it is today's, split across midnight when the two
+ *          readings are close enough to interpolate
+ *       2. Otherwise today's power integral so far is taken as the counter's
+ *          growth since midnight ('estimated')
+ *       3. Without either, the day starts at this reading ('first_reading')
+ */
+function startEnergyAccount(name, account, value, ms) {
+  const energy = dailyStats.energy;
+  const midnight = getZonedMidnight(energy.date);
+  let before = null;
+  
+  if (account.last !== null && account.lastAt < midnight && account.lastAt >= midnight - ENERGY_SNAPSHOT_WINDOW) {
+    before = { value: account.last, ms: account.lastAt };
+  } else {
+    const archived = readHistoryRange(ENERGY_ACCOUNTS[name].counter, midnight - ENERGY_SNAPSHOT_WINDOW, midnight - 1);
+    const last = archived[archived.length - 1];
+    if (last) before = { value: last.value, ms: new Date(last.timestamp).getTime() };
+  }
+  
+  if (before) {
+    const growth = getCounterGrowth(before.value, value);
+    const share = ms - before.ms <= ENERGY_INTERPOLATION_MAX_GAP ? (ms - midnight) / (ms - before.ms) : 1;
+    account.kwh = growth.kwh * share;
+    account.start = 'midnight';
+    account.snapshot = growth.reset ? value : before.value + growth.kwh * (1 - share);
+    if (growth.reset) account.resets++;
+    
+    // The part before midnight still belongs to yesterday
+    const closed = energy.previousDay?.accounts[name];
+    if (closed && share < 1) closed.kwh += growth.kwh * (1 - share);
+    return;
+  }
+  
+  const integrated = getIntegratedAccountEnergy(name, midnight, ms);
+  account.kwh = integrated ?? 0;
+  account.start = integrated !== null ? 'estimated' : 'first_reading';
+  account.snapshot = value - account.kwh;
+  console.log(`📊 ${ENERGY_ACCOUNTS[name].label}: no midnight reading - day baseline ${account.start === 'estimated' ? `estimated at ${account.snapshot.toFixed(2)} kWh` : 'starts now'}`);
+}
+
+/**
+ * Account a cumulative energy counter reading
+ * CALLED BY: updateDailyStats() for every MQTT message
+ */
+function recordEnergyCounter(topic, value, ms = Date.now()) {
+  const name = ENERGY_COUNTER_ACCOUNTS[topic];
+  const reading = parseFloat(value);
+  if (!name || isNaN(reading)) return;
+  
+  const accounts = dailyStats.energy.accounts;
+  const account = accounts[name] || (accounts[name] = { kwh: 0, last: null, lastAt: null, start: null, snapshot: null, resets: 0 });
+  
+  if (account.start === null) {
+    startEnergyAccount(name, account, reading, ms);
+    account.last = reading;
+  } else {
+    const growth = getCounterGrowth(account.last, reading);
+    account.kwh += growth.kwh;
+    if (growth.reset) {
+      account.resets++;
+      console.log(`🔄 ${ENERGY_ACCOUNTS[name].label} counter reset (${account.last} → ${reading} kWh)`);
+    }
+    account.last = growth.reset ? reading : Math.max(account.last, reading);
+  }
+  account.lastAt = ms;
+}
+
+/**
+ * Today's energy per account
+ * USED BY: getDailyEnergyProduced(), getDailyEnergyConsumed(), /data/daily-stats
+ * RETURNS: { date, timezone, accounts: { [name]: { label, ...reconcileEnergy(),
+ *            start: 'midnight' | 'estimated' | 'first_reading' | null, snapshot, resets } } }
+ *          - optional accounts (grid) only once they have data
+ */
+function getDailyEnergyAccounts() {
+  checkDayRollover();
+  const energy = dailyStats.energy;
+  const now = Date.now();
+  
+  if (!integratedEnergyCache || integratedEnergyCache.date !== energy.date || now - integratedEnergyCache.at > ENERGY_INTEGRATION_CACHE_MS) {
+    const midnight = getZonedMidnight(energy.date);
+    integratedEnergyCache = {
+      date: energy.date,
+      at: now,
+      values: Object.fromEntries(Object.keys(ENERGY_ACCOUNTS).map(name => [name, getIntegratedAccountEnergy(name, midnight, now)]))
+    };
+  }
+  
+  const accounts = {};
+  Object.entries(ENERGY_ACCOUNTS).forEach(([name, config]) => {
+    const account = energy.accounts[name];
+    const counterKwh = account && account.start ? account.kwh : null;
+    const integratedKwh = integratedEnergyCache.values[name];
+    if (config.optional && counterKwh === null && integratedKwh === null) return;
+    
+    accounts[name] = {
+      label: config.label,
+      ...reconcileEnergy(counterKwh, integratedKwh, account?.start === 'first_reading'),
+      start: account?.start || null,
+      snapshot: account?.snapshot ?? null,
+      resets: account?.resets || 0
+    };
+  });
+  
+  return { date: energy.date, timezone: getConfiguredTimezone(), accounts: accounts };
+}
+
+/**
+ * Today's total of one account for display
+ * @returns {string} - kWh with 2 decimals ('0.00' without data)
+ */
+function formatDailyEnergy(name) {
+  const account = getDailyEnergyAccounts().accounts[name];
+  return (account && account.kwh !== null ? account.kwh : 0).toFixed(2);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ENERGY LEDGER
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: One durable record per calendar day (configured timezone) that
+//          outlives the history tiers - what the calendar on the dashboard shows
+// SCHEDULED: 'energy_ledger' job just after midnight (see JOB SCHEDULER); days
+//            missed while the app was down are caught up on startup
+// STRUCTURE: energy_ledger/YYYY-MM.json - { 'YYYY-MM-DD': record } (see buildLedgerDay)
+// RULE: Energy totals are reconciled like today's (see ENERGY ACCOUNTING): the
+//       growth of SolarAssistant's cumulative total/*_energy counters - from the
+//       live accounting for the day that just closed, otherwise from the archived
+//       counters - checked against the power integrals of the rollups; `sources`
+//       says which was used
+
+const LEDGER_ARRAY_TOPIC = /^solar_assistant\/inverter_(\d+)\/pv_power_(\d+)\/state$/;
+const LEDGER_SOC_TOPIC = 'solar_assistant/total/battery_state_of_charge/state';
+const LEDGER_COUNTER_GAP_MS = 60 * 60 * 1000; // Counter readings must reach this close to both midnights
+
+/**
+ * Start archiving the energy counters the first time the ledger runs
+ * CALLED BY: Startup, before the first updateEnergyLedger()
+ * NOTE: Only while energy_ledger/ doesn't exist yet, so counters removed from
+ *       the tracked topics later stay removed. Optional (grid) counters are
+ *       left to the user.
+ */
+function initEnergyLedger() {
+  if (fs.existsSync(ENERGY_LEDGER_DIR)) return;
+  
+  Object.values(ENERGY_ACCOUNTS)
+    .filter(account => !account.optional && !getTopicTracking(account.counter))
+    .map(account => account.counter)
+    .forEach(topic => setTopicTracking(topic, ARCHIVE_INTERVAL / 1000, null));
+  fs.mkdirSync(ENERGY_LEDGER_DIR, { recursive: true });
+}
+
+/**
+ * Get the ledger file for a month
+ * @param {string} month - 'YYYY-MM'
+ */
+function getLedgerPath(month) {
+  return path.join(ENERGY_LEDGER_DIR, `${month}.json`);
+}
+
+/**
+ * Load a month of ledger records
+ * RETURNS: { 'YYYY-MM-DD': record } - empty when the month has none
+ */
+function loadLedgerMonth(month) {
+  const filePath = getLedgerPath(month);
+  if (!fs.existsSync(filePath)) return {};
+  
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Error reading energy ledger ${month}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Write (or replace) a day's record in its month file
+ */
+function saveLedgerDay(record) {
+  const month = record.date.slice(0, 7);
+  const days = loadLedgerMonth(month);
+  days[record.date] = record;
+  
+  try {
+    fs.mkdirSync(ENERGY_LEDGER_DIR, { recursive: true });
+    fs.writeFileSync(getLedgerPath(month), JSON.stringify(days, null, 2));
+  } catch (error) {
+    console.error(`❌ Error saving energy ledger ${record.date}:`, error.message);
+  }
+}
+
+/**
+ * Ledger records between two dates (inclusive), oldest first
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ */
+function getLedgerDays(from, to) {
+  if (!fs.existsSync(ENERGY_LEDGER_DIR)) return [];
+  
+  return fs.readdirSync(ENERGY_LEDGER_DIR)
+    .filter(name => /^\d{4}-\d{2}\.json$/.test(name))
+    .map(name => name.slice(0, -5))
+    .filter(month => month >= from.slice(0, 7) && month <= to.slice(0, 7))
+    .sort()
+    .flatMap(month => Object.values(loadLedgerMonth(month)))
+    .filter(record => record.date >= from && record.date <= to)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Finest tier still holding a day's readings - raw points, or 5-minute buckets
+ * once raw data has expired
+ */
+function getLedgerReadingTier(fromMs) {
+  return fromMs >= Date.now() - HISTORY_TIERS.raw.retentionDays * 24 * 60 * 60 * 1000 ? 'raw' : '5m';
+}
+
+/**
+ * Readings of a topic as { ms, low, high, last } whatever tier they come from
+ */
+function readLedgerReadings(tierName, topic, fromMs, toMs) {
+  return readTierRange(tierName, topic, fromMs, toMs).map(entry => ({
+    ms: new Date(entry.timestamp).getTime(),
+    low: tierName === 'raw' ? entry.value : entry.min,
+    high: tierName === 'raw' ? entry.value : entry.max,
+    last: tierName === 'raw' ? entry.value : entry.last
+  }));
+}
+
+/**
+ * How much an archived cumulative counter grew during a day
+ * RULE: Needs a reading within LEDGER_COUNTER_GAP_MS before the day starts and
+ *       one within LEDGER_COUNTER_GAP_MS of its end; resets are counted through
+ *       (see sumCounterReadings)
+ * @returns {number|null} - kWh, or null when the readings don't cover the day
+ */
+function getCounterDelta(topic, fromMs, toMs) {
+  const readings = readLedgerReadings(getLedgerReadingTier(fromMs), topic, fromMs - LEDGER_COUNTER_GAP_MS, toMs);
+  const before = readings.filter(reading => reading.ms < fromMs);
+  const during = readings.filter(reading => reading.ms >= fromMs);
+  if (before.length === 0 || during.length === 0) return null;
+  if (during[during.length - 1].ms < toMs - LEDGER_COUNTER_GAP_MS) return null;
+  
+  return sumCounterReadings(before[before.length - 1].last, during).kwh;
+}
+
+/**
+ * Energy integrals of power topics over a day, from the 5-minute tier (its
+ * buckets line up with midnight in every timezone)
+ * RETURNS: { inKwh, outKwh, hasData }
+ */
+function getIntegratedEnergy(topics, fromMs, toMs) {
+  const tierName = fromMs >= Date.now() - HISTORY_TIERS['5m'].retentionDays * 24 * 60 * 60 * 1000 ? '5m' : '1h';
+  const totals = { inKwh: 0, outKwh: 0, hasData: false };
+  
+  topics.forEach(topic => {
+    readTierRange(tierName, topic, fromMs, toMs).forEach(bucket => {
+      totals.inKwh += (bucket.energyInWh || 0) / 1000;
+      totals.outKwh += (bucket.energyOutWh || 0) / 1000;
+      totals.hasData = true;
+    });
+  });
+  return totals;
+}
+
+/**
+ * Highest combined power of some topics during a day
+ * NOTE: Raw points are summed per archive slot; from 5-minute buckets the
+ *       bucket maxima are summed, which can overstate a multi-inverter peak
+ * RETURNS: { watts, time: ISO8601 } - null without data
+ */
+function getLedgerPeak(topics, fromMs, toMs) {
+  const tierName = getLedgerReadingTier(fromMs);
+  const slotMs = tierName === 'raw' ? ARCHIVE_INTERVAL : HISTORY_TIERS['5m'].bucketMs;
+  const slots = new Map();
+  
+  topics.forEach(topic => {
+    readLedgerReadings(tierName, topic, fromMs, toMs).forEach(reading => {
+      const slot = Math.round(reading.ms / slotMs);
+      const entry = slots.get(slot) || { watts: 0, ms: reading.ms };
+      entry.watts += reading.high;
+      slots.set(slot, entry);
+    });
+  });
+  
+  let peak = null;
+  slots.forEach(entry => {
+    if (!peak || entry.watts > peak.watts) peak = entry;
+  });
+  return peak ? { watts: Math.round(peak.watts), time: new Date(peak.ms).toISOString() } : null;
+}
+
+/**
+ * Lowest and highest battery SOC during a day
+ * RETURNS: { min, max } - null without data
+ */
+function getLedgerSocRange(fromMs, toMs) {
+  const readings = readLedgerReadings(getLedgerReadingTier(fromMs), LEDGER_SOC_TOPIC, fromMs, toMs);
+  if (readings.length === 0) return null;
+  return {
+    min: Math.min(...readings.map(reading => reading.low)),
+    max: Math.max(...readings.map(reading => reading.high))
+  };
+}
+
+/**
+ * Build a day's ledger record from the history store
+ * @param {Object} date - { year, month, day } in `timezone`
+ * RETURNS: { date, timezone, pvKwh, loadKwh, batteryInKwh, batteryOutKwh,
+ *            [gridInKwh, gridOutKwh - when the grid is present],
+ *            sources: { pvKwh: 'counter' | 'integrated' | null, ... },
+ *            reconciliation: { pvKwh: { counterKwh, integratedKwh, mismatch }, ... } - totals known both ways,
+ *            pvArrays: [{ inverter, array, kwh }], peakPv, peakLoad: { watts, time },
+ *            soc: { min, max }, weather (filled in by updateEnergyLedger), recordedAt }
+ *          - null when nothing was stored for that day
+ */
+function buildLedgerDay(date, timezone) {
+  const next = addCalendarDays(date, 1);
+  const fromMs = zonedTimeToUtc(date.year, date.month, date.day, 0, 0, timezone);
+  const toMs = zonedTimeToUtc(next.year, next.month, next.day, 0, 0, timezone) - 1;
+  const round = value => Math.round(value * 100) / 100;
+  
+  const storedTopics = [...new Set([...listStoredTopics('raw'), ...listStoredTopics('5m')])];
+  const solarTopics = storedTopics.filter(topic => REPORT_SOLAR_TOPIC.test(topic));
+  const loadTopics = storedTopics.filter(topic => REPORT_LOAD_TOPIC.test(topic));
+  
+  // The live accounting has the exact counter growth of the day that just closed
+  const dateKey = formatDateKey(date);
+  const closed = dailyStats.energy?.previousDay?.date === dateKey ? dailyStats.energy.previousDay.accounts : {};
+  
+  const record = { date: dateKey, timezone: timezone };
+  const sources = {};
+  const reconciliation = {};
+  let hasData = false;
+  Object.entries(ENERGY_ACCOUNTS).forEach(([name, account]) => {
+    const field = `${name}Kwh`;
+    const counterKwh = closed[name] ? closed[name].kwh : getCounterDelta(account.counter, fromMs, toMs);
+    const total = reconcileEnergy(counterKwh, getIntegratedAccountEnergy(name, fromMs, toMs), closed[name]?.start === 'first_reading');
+    if (account.optional && total.kwh === null) return;
+    
+    record[field] = total.kwh;
+    sources[field] = total.source;
+    if (total.counterKwh !== null && total.integratedKwh !== null) {
+      reconciliation[field] = { counterKwh: total.counterKwh, integratedKwh: total.integratedKwh, mismatch: total.mismatch };
+    }
+    if (total.kwh !== null) hasData = true;
+  });
+  record.sources = sources;
+  record.reconciliation = reconciliation;
+  
+  record.pvArrays = storedTopics
+    .map(topic => ({ topic, match: LEDGER_ARRAY_TOPIC.exec(topic) }))
+    .filter(entry => entry.match)
+    .map(entry => {
+      const energy = getIntegratedEnergy([entry.topic], fromMs, toMs);
+      return energy.hasData
+        ? { inverter: parseInt(entry.match[1], 10), array: parseInt(entry.match[2], 10), kwh: round(energy.inKwh) }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.inverter - b.inverter || a.array - b.array);
+  
+  record.peakPv = getLedgerPeak(solarTopics, fromMs, toMs);
+  record.peakLoad = getLedgerPeak(loadTopics, fromMs, toMs);
+  record.soc = getLedgerSocRange(fromMs, toMs);
+  record.weather = null;
+  record.recordedAt = new Date().toISOString();
+  
+  return hasData || record.soc ? record : null;
+}
+
+/**
+ * Fetch a past day's weather from Open-Meteo
+ * @param {string} dateKey - 'YYYY-MM-DD' in `timezone`
+ * RETURNS: { weatherCode, description, icon, temperatureMax, temperatureMin (°F), cloudCover (%),
+ *            solarRadiation (kWh/m²), precipitation (in) } - null when unavailable
+ */
+async function fetchDailyWeather(dateKey, timezone) {
+  try {
+    const { latitude, longitude } = getWeatherLocation();
+    const response = await fetch(`https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&daily=weather_code,temperature_2m_max,temperature_2m_min,cloud_cover_mean,shortwave_radiation_sum,precipitation_sum&start_date=${dateKey}&end_date=${dateKey}&timezone=${encodeURIComponent(timezone)}&temperature_unit=fahrenheit&precipitation_unit=inch`, {
+      signal: AbortSignal.timeout(LEDGER_WEATHER_TIMEOUT)
+    });
+    const data = await response.json();
+    if (!response.ok || !data.daily) throw new Error(data.reason || `HTTP ${response.status}`);
+    
+    const daily = data.daily;
+    return {
+      weatherCode: daily.weather_code[0],
+      description: getWeatherDescription(daily.weather_code[0]),
+      icon: getWeatherIcon(daily.weather_code[0]),
+      temperatureMax: Math.round(daily.temperature_2m_max[0]),
+      temperatureMin: Math.round(daily.temperature_2m_min[0]),
+      cloudCover: Math.round(daily.cloud_cover_mean[0]),
+      solarRadiation: Math.round((daily.shortwave_radiation_sum[0] / 3.6) * 100) / 100, // MJ/m² → kWh/m²
+      precipitation: daily.precipitation_sum[0]
+    };
+  } catch (error) {
+    console.error(`❌ Error fetching weather for ${dateKey}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Record every finished day of the catch-up window that isn't in the ledger yet
+ * CALLED BY: 'energy_ledger' job, startup
+ * RULE: Existing records are kept; a record still missing its weather gets
+ *       another try (until the first failed fetch of the run)
+ * @returns {number} - Days added
+ */
+async function updateEnergyLedger(nowMs = Date.now()) {
+  const timezone = getConfiguredTimezone();
+  const today = getZonedTimeParts(new Date(nowMs), timezone);
+  let weatherAvailable = true;
+  let added = 0;
+  
+  for (let offset = ENERGY_LEDGER_CATCHUP_DAYS; offset >= 1; offset--) {
+    const date = addCalendarDays(today, -offset);
+    const dateKey = formatDateKey(date);
+    const existing = loadLedgerMonth(dateKey.slice(0, 7))[dateKey];
+    if (existing && (existing.weather || !weatherAvailable)) continue;
+    
+    const record = existing || buildLedgerDay(date, timezone);
+    if (!record) continue;
+    
+    if (weatherAvailable) {
+      record.weather = await fetchDailyWeather(dateKey, timezone);
+      weatherAvailable = record.weather !== null;
+    }
+    if (existing && !record.weather) continue;
+    
+    saveLedgerDay(record);
+    if (!existing) {
+      added++;
+      console.log(`📒 Energy ledger: ${dateKey} - PV ${record.pvKwh ?? '--'} kWh, load ${record.loadKwh ?? '--'} kWh`);
+    }
+  }
+  return added;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CHARGER DRIVERS
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Switch the charger through IFTTT, a generic webhook, a local
+//          Shelly/Tasmota relay or an MQTT command topic
+// SELECTED BY: alertSettings.chargerControl.driver
+// INTERFACE: Each driver has
+//   label                      - Shown in settings and emails
+//   validate(config)           - Returns an error string if it can't be used yet, else null
+//   describe(config, on)       - One line for emails/logs ("IFTTT event battery_low")
+//   setState(config, on, ctx)  - Sends the command, resolves { ok, detail }; throws on network errors
+//   getState(config)           - Optional: resolves true/false from the device, or null if unknown
+// NOTE: config is alertSettings.chargerControl; ctx is { soc, reason }
+
+const CHARGER_COMMAND_TIMEOUT = 10000;  // Local devices answer fast; don't hang the MQTT handler
+
+/**
+ * Fill {{placeholders}} in webhook URLs and bodies
+ * @param {string} template - Text with {{state}}, {{action}}, {{soc}}, {{plugName}}, {{time}}
+ * @param {Object} vars - Values for the placeholders
+ * NOTE: null renders as "null" so JSON body templates stay valid when SOC is unknown
+ */
+function renderChargerTemplate(template, vars) {
+  return String(template || '').replace(/\{\{(\w+)\}\}/g, (match, key) => (
+    vars[key] !== undefined ? String(vars[key]) : ''
+  ));
+}
+
+/**
+ * Build the request URL for a local relay
+ * @param {boolean|null} on - Desired state, or null for a status query
+ * RETURNS: { url, headers } for the ON/OFF command or status query
+ */
+function buildRelayRequest(relay, on) {
+  const host = String(relay.host).replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  const channel = parseInt(relay.channel, 10) || 0;
+  const headers = {};
+  let url;
+  
+  if (relay.type === 'tasmota') {
+    const command = on === null ? `Power${channel + 1}` : `Power${channel + 1} ${on ? 'On' : 'Off'}`;
+    url = `http://${host}/cm?cmnd=${encodeURIComponent(command)}`;
+    if (relay.username) {
+      url += `&user=${encodeURIComponent(relay.username)}&password=${encodeURIComponent(relay.password || '')}`;
+    }
+  } else if (relay.type === 'shelly-gen2') {
+    url = on === null
+      ? `http://${host}/rpc/Switch.GetStatus?id=${channel}`
+      : `http://${host}/rpc/Switch.Set?id=${channel}&on=${on ? 'true' : 'false'}`;
+  } else {
+    url = `http://${host}/relay/${channel}` + (on === null ? '' : `?turn=${on ? 'on' : 'off'}`);
+    if (relay.username) {
+      headers.Authorization = 'Basic ' + Buffer.from(`${relay.username}:${relay.password || ''}`).toString('base64');
+    }
+  }
+  
+  return { url, headers };
+}
+
+const CHARGER_DRIVERS = {
+  ifttt: {
+    label: 'IFTTT Webhooks',
+    validate: (config) => config.iftttWebhookKey ? null : 'IFTTT webhook key is not configured.',
+    describe: (config, on) => `IFTTT event ${on ? 'battery_low' : 'battery_charged'}`,
+    setState: async (config, on, ctx) => {
+      const event = on ? 'battery_low' : 'battery_charged';
+      const response = await fetch(`https://maker.ifttt.com/trigger/${event}/with/key/${config.iftttWebhookKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          value1: ctx.soc,
+          value2: config.plugName,
+          value3: new Date().toLocaleString()
+        }),
+        signal: AbortSignal.timeout(CHARGER_COMMAND_TIMEOUT)
+      });
+      return { ok: response.ok, detail: `IFTTT responded with status ${response.status}` };
+    }
+  },
+  
+  webhook: {
+    label: 'HTTP Webhook',
+    validate: (config) => /^https?:\/\//.test(config.webhook?.url || '') ? null : 'Webhook URL must start with http:// or https://',
+    describe: (config, on) => `${config.webhook.method || 'POST'} ${renderChargerTemplate(config.webhook.url, { state: on ? 'on' : 'off', action: on ? 'ON' : 'OFF' })}`,
+    setState: async (config, on, ctx) => {
+      const vars = {
+        state: on ? 'on' : 'off',
+        action: on ? 'ON' : 'OFF',
+        soc: ctx.soc,
+        plugName: config.plugName,
+        time: new Date().toISOString()
+      };
+      const method = (config.webhook.method || 'POST').toUpperCase();
+      const options = {
+        method: method,
+        headers: { ...(config.webhook.headers || {}) },
+        signal: AbortSignal.timeout(CHARGER_COMMAND_TIMEOUT)
+      };
+      if (method !== 'GET' && config.webhook.bodyTemplate) {
+        options.body = renderChargerTemplate(config.webhook.bodyTemplate, vars);
+        if (!Object.keys(options.headers).some(h => h.toLowerCase() === 'content-type')) {
+          options.headers['Content-Type'] = 'application/json';
+        }
+      }
+      const response = await fetch(renderChargerTemplate(config.webhook.url, vars), options);
+      return { ok: response.ok, detail: `Webhook responded with status ${response.status}` };
+    }
+  },
+  
+  relay: {
+    label: 'Shelly / Tasmota Relay',
+    validate: (config) => config.relay?.host ? null : 'Relay host is not configured.',
+    describe: (config, on) => `${config.relay.type} relay ${config.relay.host} channel ${config.relay.channel || 0} → ${on ? 'ON' : 'OFF'}`,
+    setState: async (config, on) => {
+      const { url, headers } = buildRelayRequest(config.relay, on);
+      const response = await fetch(url, { headers: headers, signal: AbortSignal.timeout(CHARGER_COMMAND_TIMEOUT) });
+      return { ok: response.ok, detail: `Relay responded with status ${response.status}` };
+    },
+    getState: async (config) => {
+      const { url, headers } = buildRelayRequest(config.relay, null);
+      const response = await fetch(url, { headers: headers, signal: AbortSignal.timeout(CHARGER_COMMAND_TIMEOUT) });
+      if (!response.ok) return null;
+      const status = await response.json();
+      const channel = parseInt(config.relay.channel, 10) || 0;
+      
+      if (config.relay.type === 'tasmota') {
+        const power = status[`POWER${channel + 1}`] ?? (channel === 0 ? status.POWER : undefined);
+        return power === undefined ? null : String(power).toUpperCase() === 'ON';
+      }
+      if (config.relay.type === 'shelly-gen2') {
+        return typeof status.output === 'boolean' ? status.output : null;
+      }
+      return typeof status.ison === 'boolean' ? status.ison : null;
+    }
+  },
+  
+  mqtt: {
+    label: 'MQTT Command Topic',
+    validate: (config) => {
+      if (!config.mqtt?.topic) return 'MQTT command topic is not configured.';
+      if (/[#+]/.test(config.mqtt.topic)) return 'MQTT command topic cannot contain wildcards.';
+      return null;
+    },
+    describe: (config, on) => `MQTT ${config.mqtt.topic} ← ${on ? config.mqtt.onPayload : config.mqtt.offPayload}`,
+    setState: (config, on) => new Promise((resolve, reject) => {
+      if (!client || !client.connected) {
+        return reject(new Error('MQTT broker is not connected'));
+      }
+      const payload = renderChargerTemplate(on ? config.mqtt.onPayload : config.mqtt.offPayload, {});
+      client.publish(config.mqtt.topic, payload, {
+        qos: parseInt(config.mqtt.qos, 10) || 0,
+        retain: !!config.mqtt.retain
+      }, (err) => {
+        if (err) return reject(err);
+        resolve({ ok: true, detail: `Published "${payload}" to ${config.mqtt.topic}` });
+      });
+    }),
+    getState: async (config) => {
+      const reported = config.mqtt.stateTopic ? cachedData[config.mqtt.stateTopic] : null;
+      if (!reported) return null;
+      const raw = String(reported.raw).trim().toUpperCase();
+      if (raw === String(config.mqtt.onPayload).toUpperCase() || ['ON', '1', 'TRUE'].includes(raw)) return true;
+      if (raw === String(config.mqtt.offPayload).toUpperCase() || ['OFF', '0', 'FALSE'].includes(raw)) return false;
+      return null;
+    }
+  }
+};
+
+/**
+ * Subscribe to the charger's own topics - the MQTT driver's state topic and
+ * the verification power topic (if they're outside the main subscription)
+ * CALLED BY: MQTT connect handler, POST /settings/alerts when the topics change
+ * NOTE: Messages land in cachedData like any other topic; mqtt.getState() and
+ *       inferChargerState() read them there
+ */
+let subscribedChargerTopics = [];
+function subscribeChargerTopics() {
+  const config = alertSettings.chargerControl || {};
+  const topics = [
+    config.driver === 'mqtt' ? config.mqtt?.stateTopic : null,
+    config.verification?.powerTopic
+  ].filter(Boolean);
+  
+  subscribedChargerTopics.filter(topic => !topics.includes(topic)).forEach(topic => {
+    if (client) client.unsubscribe(topic);
+    subscribedChargerTopics = subscribedChargerTopics.filter(subscribed => subscribed !== topic);
+  });
+  if (!client || !client.connected) return;
+  
+  topics.filter(topic => !subscribedChargerTopics.includes(topic)).forEach(topic => {
+    client.subscribe(topic, (err) => {
+      if (err) {
+        console.error(`✗ Failed to subscribe to charger topic ${topic}:`, err.message);
+      } else {
+        if (!subscribedChargerTopics.includes(topic)) subscribedChargerTopics.push(topic);
+        console.log(`✓ Subscribed to charger topic ${topic}`);
+      }
+    });
+  });
+}
+
+/**
+ * Validate a chargerControl block from POST /settings/alerts
+ * RETURNS: { error } or { values } - the full merged chargerControl, so a
+ *          rejected request changes nothing
+ * NOTE: A blank or '***' IFTTT key / relay password / webhook header value keeps the saved one
+ */
+function validateChargerControlSettings(input) {
+  const current = alertSettings.chargerControl;
+  const values = {
+    ...current,
+    webhook: { ...current.webhook },
+    relay: { ...current.relay },
+    mqtt: { ...current.mqtt },
+    verification: { ...current.verification },
+    schedule: { ...current.schedule },
+    forecast: { ...current.forecast }
+  };
+  
+  if (input.enabled !== undefined) values.enabled = input.enabled;
+  if (input.lowThreshold !== undefined) values.lowThreshold = parseFloat(input.lowThreshold);
+  if (input.highThreshold !== undefined) values.highThreshold = parseFloat(input.highThreshold);
+  if (input.plugName) values.plugName = input.plugName;
+  if (input.maxTemp !== undefined) values.maxTemp = parseFloat(input.maxTemp);
+  if (input.iftttWebhookKey && input.iftttWebhookKey !== '***') {
+    values.iftttWebhookKey = input.iftttWebhookKey;
+  }
+  if (input.driver !== undefined) {
+    if (!CHARGER_DRIVERS[input.driver]) {
+      return { error: `Unknown charger driver "${input.driver}". Valid: ${Object.keys(CHARGER_DRIVERS).join(', ')}` };
+    }
+    values.driver = input.driver;
+  }
+  if (input.webhook) {
+    const { method, url, headers, bodyTemplate } = input.webhook;
+    if (method !== undefined && !['GET', 'POST', 'PUT', 'PATCH'].includes(String(method).toUpperCase())) {
+      return { error: 'Webhook method must be GET, POST, PUT or PATCH' };
+    }
+    if (headers !== undefined && (typeof headers !== 'object' || headers === null || Array.isArray(headers))) {
+      return { error: 'Webhook headers must be a JSON object' };
+    }
+    Object.assign(values.webhook, {
+      ...(method !== undefined && { method: String(method).toUpperCase() }),
+      ...(url !== undefined && { url: String(url).trim() }),
+      ...(headers !== undefined && { headers: restoreMaskedHeaders(headers, current.webhook.headers) }),
+      ...(bodyTemplate !== undefined && { bodyTemplate: String(bodyTemplate) })
+    });
+  }
+  if (input.relay) {
+    const { type, host, channel, username, password } = input.relay;
+    if (type !== undefined && !['shelly', 'shelly-gen2', 'tasmota'].includes(type)) {
+      return { error: 'Relay type must be shelly, shelly-gen2 or tasmota' };
+    }
+    Object.assign(values.relay, {
+      ...(type !== undefined && { type: type }),
+      ...(host !== undefined && { host: String(host).trim() }),
+      ...(channel !== undefined && { channel: parseInt(channel, 10) || 0 }),
+      ...(username !== undefined && { username: String(username) }),
+      ...(password && password !== '***' && { password: String(password) })
+    });
+  }
+  if (input.mqtt) {
+    const { topic, stateTopic, onPayload, offPayload, qos, retain } = input.mqtt;
+    if (topic && /[#+]/.test(topic)) {
+      return { error: 'MQTT command topic cannot contain wildcards' };
+    }
+    if (stateTopic && /[#+]/.test(stateTopic)) {
+      return { error: 'MQTT state topic cannot contain wildcards' };
+    }
+    Object.assign(values.mqtt, {
+      ...(topic !== undefined && { topic: String(topic).trim() }),
+      ...(stateTopic !== undefined && { stateTopic: String(stateTopic).trim() }),
+      ...(onPayload !== undefined && { onPayload: String(onPayload) }),
+      ...(offPayload !== undefined && { offPayload: String(offPayload) }),
+      ...(qos !== undefined && { qos: [0, 1, 2].includes(parseInt(qos, 10)) ? parseInt(qos, 10) : 0 }),
+      ...(retain !== undefined && { retain: !!retain })
+    });
+  }
+  if (input.verification) {
+    const { enabled: verifyEnabled, powerTopic, graceMinutes, chargingWatts, pvIdleWatts, offDischargeWatts, maxRetries } = input.verification;
+    if (powerTopic && /[#+]/.test(powerTopic)) {
+      return { error: 'Charger power topic cannot contain wildcards' };
+    }
+    const numbers = { graceMinutes: [0, 60], chargingWatts: [1, 10000], pvIdleWatts: [0, 5000], maxRetries: [0, 10] };
+    for (const [field, [min, max]] of Object.entries(numbers)) {
+      const value = input.verification[field];
+      if (value !== undefined && (isNaN(parseFloat(value)) || parseFloat(value) < min || parseFloat(value) > max)) {
+        return { error: `verification.${field} must be between ${min} and ${max}` };
+      }
+    }
+    const offDischarge = offDischargeWatts === null || offDischargeWatts === '' ? null : parseFloat(offDischargeWatts);
+    if (offDischarge !== null && offDischargeWatts !== undefined && (isNaN(offDischarge) || offDischarge < 1 || offDischarge > 20000)) {
+      return { error: 'verification.offDischargeWatts must be between 1 and 20000, or empty to never infer OFF from the battery' };
+    }
+    Object.assign(values.verification, {
+      ...(verifyEnabled !== undefined && { enabled: !!verifyEnabled }),
+      ...(powerTopic !== undefined && { powerTopic: String(powerTopic || '').trim() }),
+      ...(graceMinutes !== undefined && { graceMinutes: parseFloat(graceMinutes) }),
+      ...(chargingWatts !== undefined && { chargingWatts: parseFloat(chargingWatts) }),
+      ...(pvIdleWatts !== undefined && { pvIdleWatts: parseFloat(pvIdleWatts) }),
+      ...(offDischargeWatts !== undefined && { offDischargeWatts: offDischarge }),
+      ...(maxRetries !== undefined && { maxRetries: parseInt(maxRetries, 10) })
+    });
+  }
+  if (input.schedule) {
+    const schedule = input.schedule;
+    for (const [field, withTarget] of [['chargeWindows', true], ['blackoutWindows', false]]) {
+      if (schedule[field] === undefined) continue;
+      if (!Array.isArray(schedule[field])) {
+        return { error: `schedule.${field} must be an array` };
+      }
+      for (let i = 0; i < schedule[field].length; i++) {
+        const problem = validateScheduleWindow(schedule[field][i], withTarget);
+        if (problem) {
+          return { error: `schedule.${field}[${i}] ${problem}` };
+        }
+      }
+    }
+    if (schedule.targetSoc !== undefined && schedule.targetSoc !== null && schedule.targetSoc !== '' &&
+        (isNaN(parseFloat(schedule.targetSoc)) || schedule.targetSoc < 1 || schedule.targetSoc > 100)) {
+      return { error: 'schedule.targetSoc must be between 1 and 100, or empty to disable' };
+    }
+    if (schedule.targetTime !== undefined && parseTimeOfDay(schedule.targetTime) === null) {
+      return { error: 'schedule.targetTime must be HH:MM' };
+    }
+    if (schedule.targetDays !== undefined && (!Array.isArray(schedule.targetDays) ||
+        schedule.targetDays.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      return { error: 'schedule.targetDays must be an array of 0 (Sunday) to 6 (Saturday)' };
+    }
+    const numbers = { chargeRatePerHour: [1, 100], maxRunMinutes: [0, 1440], restMinutes: [0, 1440] };
+    for (const [field, [min, max]] of Object.entries(numbers)) {
+      const value = schedule[field];
+      if (value !== undefined && (isNaN(parseFloat(value)) || parseFloat(value) < min || parseFloat(value) > max)) {
+        return { error: `schedule.${field} must be between ${min} and ${max}` };
+      }
+    }
+    const cleanWindow = window => ({
+      days: [...new Set(window.days)].sort(),
+      start: window.start.trim(),
+      end: window.end.trim(),
+      ...(window.targetSoc !== undefined && window.targetSoc !== null && { targetSoc: parseFloat(window.targetSoc) })
+    });
+    Object.assign(values.schedule, {
+      ...(schedule.enabled !== undefined && { enabled: !!schedule.enabled }),
+      ...(schedule.chargeWindows !== undefined && { chargeWindows: schedule.chargeWindows.map(cleanWindow) }),
+      ...(schedule.blackoutWindows !== undefined && { blackoutWindows: schedule.blackoutWindows.map(window => {
+        const { targetSoc, ...rest } = cleanWindow(window);
+        return rest;
+      }) }),
+      ...(schedule.targetSoc !== undefined && { targetSoc: schedule.targetSoc === null || schedule.targetSoc === '' ? null : parseFloat(schedule.targetSoc) }),
+      ...(schedule.targetTime !== undefined && { targetTime: String(schedule.targetTime).trim() }),
+      ...(schedule.targetDays !== undefined && { targetDays: [...new Set(schedule.targetDays)].sort() }),
+      ...(schedule.chargeRatePerHour !== undefined && { chargeRatePerHour: parseFloat(schedule.chargeRatePerHour) }),
+      ...(schedule.maxRunMinutes !== undefined && { maxRunMinutes: parseInt(schedule.maxRunMinutes, 10) }),
+      ...(schedule.restMinutes !== undefined && { restMinutes: parseInt(schedule.restMinutes, 10) })
+    });
+  }
+  if (input.forecast) {
+    const forecast = input.forecast;
+    const numbers = { minSoc: [0, 100], coverageFactor: [0.1, 2], batteryCapacityWh: [100, 1000000] };
+    for (const [field, [min, max]] of Object.entries(numbers)) {
+      const value = forecast[field];
+      if (value !== undefined && (isNaN(parseFloat(value)) || parseFloat(value) < min || parseFloat(value) > max)) {
+        return { error: `forecast.${field} must be between ${min} and ${max}` };
+      }
+    }
+    const systemWatts = forecast.systemWatts === '' || forecast.systemWatts === null ? null : forecast.systemWatts;
+    if (systemWatts !== undefined && systemWatts !== null && (isNaN(parseFloat(systemWatts)) || parseFloat(systemWatts) <= 0)) {
+      return { error: 'forecast.systemWatts must be a positive number, or empty' };
+    }
+    Object.assign(values.forecast, {
+      ...(forecast.enabled !== undefined && { enabled: !!forecast.enabled }),
+      ...(forecast.minSoc !== undefined && { minSoc: parseFloat(forecast.minSoc) }),
+      ...(forecast.coverageFactor !== undefined && { coverageFactor: parseFloat(forecast.coverageFactor) }),
+      ...(forecast.batteryCapacityWh !== undefined && { batteryCapacityWh: parseFloat(forecast.batteryCapacityWh) }),
+      ...(systemWatts !== undefined && { systemWatts: systemWatts === null ? null : parseFloat(systemWatts) })
+    });
+  }
+  return { values };
+}
+
+/**
+ * Get the configured driver, or an error explaining why it can't be used
+ * RETURNS: { driver, error }
+ */
+function getChargerDriver() {
+  const config = alertSettings.chargerControl || {};
+  const driver = CHARGER_DRIVERS[config.driver || 'ifttt'];
+  if (!driver) {
+    return { driver: null, error: `Unknown charger driver "${config.driver}".` };
+  }
+  return { driver: driver, error: driver.validate(config) };
+}
+
+/**
+ * Send an ON/OFF command through the configured driver
+ * USED BY: controlBatteryCharger(), POST /settings/charger/test
+ * @param {boolean} on - Desired charger state
+ * @param {Object} ctx - { soc, reason } passed to templates/IFTTT values
+ * @returns {Promise<{ok: boolean, detail: string, description: string}>}
+ * NOTE: Throws on network errors / timeouts so callers can report them separately
+ */
+async function sendChargerCommand(on, ctx) {
+  const { driver, error } = getChargerDriver();
+  if (error) {
+    throw new Error(error);
+  }
+  const config = alertSettings.chargerControl;
+  const result = await driver.setState(config, on, ctx);
+  return { ...result, description: driver.describe(config, on), label: driver.label };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CHARGER SCHEDULE (TIME-OF-USE)
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Charge on cheap overnight rates, stay off during peak rates
+// SETTINGS: alertSettings.chargerControl.schedule
+// TIMEZONE: getConfiguredTimezone() - not the server's local time
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Timezone used for schedules (System Configuration, then the daily summary setting)
+ * RETURNS: Valid IANA timezone name
+ */
+function getConfiguredTimezone() {
+  const candidates = [alertSettings.systemSettings?.timezone, alertSettings.dailySummary?.timezone, 'America/Phoenix'];
+  for (const timezone of candidates) {
+    if (timezone && isValidTimezone(timezone)) return timezone;
+  }
+  return 'UTC';
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date, weekday and minute-of-day in a timezone
+ * RETURNS: { year, month: 1-12, day, weekday: 0-6 (Sunday = 0), minutes: 0-1439 }
+ */
+const zonedTimeFormatters = {}; // Per timezone - creating a formatter is slow and the scheduler calls this a lot
+function getZonedTimeParts(date, timezone) {
+  if (!zonedTimeFormatters[timezone]) {
+    zonedTimeFormatters[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+  const parts = {};
+  zonedTimeFormatters[timezone].formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    weekday: WEEKDAY_NAMES.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+/**
+ * Parse 'HH:MM' into minutes since midnight
+ * RETURNS: number, or null if invalid
+ */
+function parseTimeOfDay(text) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(text || '').trim());
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Whether a { days, start, end } window is active
+ * NOTE: Overnight windows (end <= start) belong to the day they start on,
+ *       so "Fri 23:00-06:00" covers early Saturday morning
+ */
+function isInScheduleWindow(window, local) {
+  const start = parseTimeOfDay(window.start);
+  const end = parseTimeOfDay(window.end);
+  const days = Array.isArray(window.days) && window.days.length ? window.days : [0, 1, 2, 3, 4, 5, 6];
+  if (start === null || end === null) return false;
+  
+  if (start < end) {
+    return days.includes(local.weekday) && local.minutes >= start && local.minutes < end;
+  }
+  const previousDay = (local.weekday + 6) % 7;
+  return (days.includes(local.weekday) && local.minutes >= start) ||
+         (days.includes(previousDay) && local.minutes < end);
+}
+
+/**
+ * Check a schedule window from the settings API
+ * RETURNS: Error message, or null if valid
+ */
+function validateScheduleWindow(window, withTarget) {
+  if (!window || typeof window !== 'object') return 'must be an object';
+  if (parseTimeOfDay(window.start) === null || parseTimeOfDay(window.end) === null) return 'start and end must be HH:MM';
+  if (window.start === window.end) return 'start and end cannot be the same';
+  if (!Array.isArray(window.days) || window.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return 'days must be an array of 0 (Sunday) to 6 (Saturday)';
+  }
+  if (withTarget && window.targetSoc !== undefined && window.targetSoc !== null &&
+      (isNaN(parseFloat(window.targetSoc)) || window.targetSoc < 1 || window.targetSoc > 100)) {
+    return 'targetSoc must be between 1 and 100';
+  }
+  return null;
+}
+
+/**
+ * Describe a window for emails and the decision reason, e.g. "Mon-Fri 23:00-06:00"
+ */
+function describeScheduleWindow(window) {
+  const days = [...(window.days || [])].sort();
+  let dayText;
+  if (days.length === 0 || days.length === 7) {
+    dayText = 'Daily';
+  } else if (days.every((day, i) => i === 0 || day === days[i - 1] + 1) && days.length > 2) {
+    dayText = WEEKDAY_NAMES[days[0]] + '-' + WEEKDAY_NAMES[days[days.length - 1]];
+  } else {
+    dayText = days.map(day => WEEKDAY_NAMES[day]).join(',');
+  }
+  return `${dayText} ${window.start}-${window.end}`;
+}
+
+/**
+ * Whether the "charge to X% before Y" target says the charger should be running
+ * RETURNS: { active, minutesToTarget, minutesNeeded }
+ * NOTE: Charging starts minutesNeeded before targetTime, based on chargeRatePerHour
+ */
+function getChargeTargetStatus(schedule, socValue, local) {
+  const targetMinute = parseTimeOfDay(schedule.targetTime);
+  if (schedule.targetSoc === null || schedule.targetSoc === undefined || targetMinute === null) {
+    return { active: false };
+  }
+  const days = Array.isArray(schedule.targetDays) ? schedule.targetDays : [0, 1, 2, 3, 4, 5, 6];
+  
+  // Next target time within 24h
+  let minutesToTarget = null;
+  if (targetMinute > local.minutes && days.includes(local.weekday)) {
+    minutesToTarget = targetMinute - local.minutes;
+  } else if (targetMinute <= local.minutes && days.includes((local.weekday + 1) % 7)) {
+    minutesToTarget = targetMinute + 1440 - local.minutes;
+  }
+  if (minutesToTarget === null || socValue >= schedule.targetSoc) {
+    return { active: false, minutesToTarget: minutesToTarget };
+  }
+  
+  const rate = schedule.chargeRatePerHour > 0 ? schedule.chargeRatePerHour : 10;
+  const minutesNeeded = Math.ceil((schedule.targetSoc - socValue) / rate * 60);
+  return { active: minutesToTarget <= minutesNeeded, minutesToTarget: minutesToTarget, minutesNeeded: minutesNeeded };
+}
+
+/**
+ * Decide what the charger should do right now
+ * @param {number} socValue - Battery SOC (%)
+ * @param {number} now - Timestamp
+ * RETURNS: { turnOn: true|false|null (hold), rule, reason, urgent }
+ *   rule: temperature | pack_protection | blackout | max_run | resting | low_threshold | charge_window |
+ *         charge_target | solar_forecast | high_threshold | schedule_ended | idle
+ *   forecastNote: Solar forecast explanation when the forecast was checked but didn't cover the deficit
+ *   urgent: skip the 5-minute anti-toggle delay (safety shut-offs)
+ * CALLED BY: controlBatteryCharger()
+ * PRIORITY: temperature > unsafe pack > blackout > max run time > SOC thresholds / charge windows / target
+ *           (low threshold and charge windows can be deferred by the solar forecast)
+ */
+function decideChargerAction(socValue, now) {
+  const config = alertSettings.chargerControl;
+  const schedule = config.schedule || {};
+  const scheduleOn = !!schedule.enabled;
+  const local = getZonedTimeParts(new Date(now), getConfiguredTimezone());
+  const isOn = !!chargerState.isOn;
+  
+  // 1. Temperature safety cut-off
+  const batteryTemp = parseFloat(cachedData['solar_assistant/total/battery_temperature/state']?.value);
+  if (!isNaN(batteryTemp) && batteryTemp > config.maxTemp) {
+    return { turnOn: isOn ? false : null, rule: 'temperature', reason: `Battery temperature ${batteryTemp}° above max ${config.maxTemp}°`, urgent: true };
+  }
+  
+  // 1b. Any single pack too hot, too cold or imbalanced (batteryProtection.forceChargerOff)
+  const unsafePacks = alertSettings.batteryProtection.forceChargerOff ? getUnsafePackAlerts() : [];
+  if (unsafePacks.length > 0) {
+    return { turnOn: isOn ? false : null, rule: 'pack_protection', reason: unsafePacks.map(alert => alert.message).join('; '), urgent: true };
+  }
+  
+  // 2. Blackout windows (peak rates)
+  const blackout = scheduleOn && (schedule.blackoutWindows || []).find(window => isInScheduleWindow(window, local));
+  if (blackout) {
+    return { turnOn: isOn ? false : null, rule: 'blackout', reason: `Blackout window ${describeScheduleWindow(blackout)}`, urgent: true };
+  }
+  
+  // 3. Maximum continuous run time
+  if (scheduleOn && schedule.maxRunMinutes > 0) {
+    const onSince = chargerState.onSince || chargerState.lastActionTime;
+    if (isOn && onSince && now - onSince >= schedule.maxRunMinutes * 60000) {
+      return { turnOn: false, rule: 'max_run', reason: `Charger ran ${schedule.maxRunMinutes} min (maximum run time)`, urgent: true };
+    }
+    if (!isOn && chargerState.maxRunStoppedAt && now - chargerState.maxRunStoppedAt < (schedule.restMinutes || 0) * 60000) {
+      return { turnOn: null, rule: 'resting', reason: `Resting ${schedule.restMinutes} min after maximum run time` };
+    }
+  }
+  
+  // 4. Reasons to be charging
+  const window = scheduleOn && (schedule.chargeWindows || []).find(w => isInScheduleWindow(w, local));
+  const windowTarget = window ? (window.targetSoc || config.highThreshold) : null;
+  const target = scheduleOn ? getChargeTargetStatus(schedule, socValue, local) : { active: false };
+  
+  let wantOn = null;
+  if (socValue <= config.lowThreshold) {
+    wantOn = { rule: 'low_threshold', reason: `SOC ${socValue}% at or below low threshold ${config.lowThreshold}%` };
+  } else if (target.active) {
+    wantOn = { rule: 'charge_target', reason: `Charging to ${schedule.targetSoc}% before ${schedule.targetTime} (${target.minutesToTarget} min left, ~${target.minutesNeeded} min needed)` };
+  } else if (window && socValue < windowTarget) {
+    wantOn = { rule: 'charge_window', reason: `Charge window ${describeScheduleWindow(window)} - charging to ${windowTarget}%` };
+  }
+  
+  if (!isOn) {
+    if (!wantOn) {
+      return { turnOn: null, rule: 'idle', reason: `SOC ${socValue}% - no reason to charge` };
+    }
+    // Let the sun do it if the rest of today's forecast will refill the battery
+    if (['low_threshold', 'charge_window'].includes(wantOn.rule)) {
+      const deferral = getSolarDeferral(socValue, now);
+      if (deferral.defer) {
+        return { turnOn: null, rule: 'solar_forecast', reason: deferral.reason, outlook: deferral.outlook };
+      }
+      if (deferral.reason) wantOn.forecastNote = deferral.reason;
+    }
+    return { turnOn: true, ...wantOn };
+  }
+  
+  // 5. Already charging - when to stop
+  if (wantOn && wantOn.rule !== 'low_threshold') {
+    return { turnOn: null, ...wantOn };
+  }
+  if (socValue >= config.highThreshold) {
+    return { turnOn: false, rule: 'high_threshold', reason: `SOC ${socValue}% reached high threshold ${config.highThreshold}%` };
+  }
+  if (!wantOn && ['charge_window', 'charge_target'].includes(chargerState.onRule)) {
+    return { turnOn: false, rule: 'schedule_ended', reason: `${chargerState.onRule === 'charge_window' ? 'Charge window ended' : 'Charge target reached or passed'} at SOC ${socValue}%` };
+  }
+  return { turnOn: null, rule: chargerState.onRule || 'low_threshold', reason: `Charging to high threshold ${config.highThreshold}%` };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// AUTOMATIC CHARGER CONTROL
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Automatically turn charger ON/OFF based on battery SOC
+// FLOW: MQTT SOC update → This function → sendChargerCommand() → Driver → Smart Plug → Charger
+// IMPACT: Prevents battery over-discharge by automatically charging
+// 
+// DEPENDENCY CHAIN:
+// 1. MQTT message: 'solar_assistant/total/battery_state_of_charge/state'
+// 2. → MQTT message handler calls this
+// 3. → Configured driver (IFTTT, webhook, Shelly/Tasmota relay or MQTT topic)
+// 4. → Smart plug / relay turns the charger ON/OFF
+// 5. → Notification sent via sendNotification('charger', ...) on its routed channels
+// 
+// STATE MANAGEMENT:
+// - chargerState tracks ON/OFF to prevent duplicate triggers
+// - Uses hysteresis (different ON/OFF thresholds) to prevent rapid cycling
+// - chargerState.decision holds the latest rule/reason from decideChargerAction()
+// - State persists across app restarts via dailyStats.chargerState
+
+/**
+ * Control battery charger through the configured driver
+ * @param {number} soc - Battery State of Charge percentage (0-100)
+ * CALLED BY: MQTT message handler when SOC topic is updated
+ * TRIGGERS: sendChargerCommand(true/false)
+ */
+async function controlBatteryCharger(soc) {
+  if (!alertSettings.chargerControl?.enabled || getChargerDriver().error) {
+    return;
+  }
+
+  const { highThreshold, plugName } = alertSettings.chargerControl;
+  const socValue = parseFloat(soc);
+  const now = Date.now();
+  
+  if (isNaN(socValue)) return;
+  
+  const decision = decideChargerAction(socValue, now);
+  const action = decision.turnOn === null ? 'hold' : (decision.turnOn ? 'on' : 'off');
+  // Reasons with live numbers (forecast) are refreshed at most once a minute to keep the live stream quiet
+  const previous = chargerState.decision;
+  const previousRule = previous?.rule;
+  const changed = previousRule !== decision.rule || previous?.action !== action;
+  if (changed || (previous.reason !== decision.reason && now - (previous.updatedAt || previous.since) >= 60000)) {
+    chargerState.decision = { action: action, rule: decision.rule, reason: decision.reason, since: changed ? now : previous.since, updatedAt: now };
+  }
+  
+  // Explain a solar deferral once (not on every SOC update while it lasts)
+  if (decision.rule === 'solar_forecast' && previousRule !== 'solar_forecast' &&
+      (!chargerState.lastDeferralNoticeAt || now - chargerState.lastDeferralNoticeAt > 3 * 60 * 60 * 1000)) {
+    chargerState.lastDeferralNoticeAt = now;
+    saveDailyStats();
+    console.log(`☀️ CHARGER DEFERRED - Battery at ${socValue}% (${decision.reason})`);
+    recordAlertEvent('charger_deferred', `Grid charging skipped at ${socValue}% SOC: ${decision.reason}`, {
+      soc: socValue,
+      outlook: decision.outlook
+    });
+    const outlook = decision.outlook;
+    await sendNotification('charger',
+      '☀️ Battery Charging Deferred to Solar',
+      `The battery is at ${socValue}%, but grid charging was skipped because today's solar forecast should refill it.\n\n` +
+      `Expected PV (rest of today): ${(outlook.pvWh / 1000).toFixed(1)} kWh\n` +
+      `Expected load: ${(outlook.loadWh / 1000).toFixed(1)} kWh (avg ${outlook.averageLoadWatts}W)\n` +
+      `Expected surplus: ${(outlook.surplusWh / 1000).toFixed(1)} kWh\n` +
+      `Scale: ${outlook.scale.wattsPerIrradiance.toFixed(2)} W per W/m² (${outlook.scale.source})\n\n` +
+      `The charger still turns on if the forecast drops or SOC reaches ${alertSettings.chargerControl.forecast.minSoc}%.\n` +
+      `Time: ${new Date().toLocaleString()}`,
+      { severity: 'info' }
+    );
+  }
+  
+  if (decision.turnOn === null) return;
+  
+  // Prevent rapid toggling (minimum 5 minutes between actions) - safety shut-offs excepted
+  if (!decision.urgent && chargerState.lastActionTime && (now - chargerState.lastActionTime) < 300000) {
+    return;
+  }
+  
+  const turnOn = decision.turnOn;
+  const actionLabel = turnOn ? 'ON' : 'OFF';
+  const reasonLine = `Reason: ${decision.reason}` + (decision.forecastNote ? `\nSolar forecast: ${decision.forecastNote}` : '');
+
+  try {
+    const result = await sendChargerCommand(turnOn, { soc: socValue, reason: decision.reason });
+    
+    if (result.ok) {
+      chargerState.isOn = turnOn;
+      chargerState.lastAction = actionLabel;
+      chargerState.lastActionTime = now;
+      chargerState.lastActionReason = decision.reason;
+      chargerState.lastSOC = socValue;
+      chargerState.desync = null;
+      chargerState.onSince = turnOn ? now : null;
+      chargerState.onRule = turnOn ? decision.rule : null;
+      if (decision.rule === 'max_run') chargerState.maxRunStoppedAt = now;
+      saveDailyStats();
+      console.log(`🔌 CHARGER TURNED ${actionLabel} - Battery at ${socValue}% (${decision.reason})`);
+      recordAlertEvent(turnOn ? 'charger_on' : 'charger_off', `Charger turned ${actionLabel} at ${socValue}% SOC: ${decision.reason}`, {
+        soc: socValue,
+        rule: decision.rule,
+        driver: result.label
+      });
+      clearActiveAlert('charger_failed');
+      
+      // Send email notification
+      if (turnOn) {
+        await sendNotification('charger',
+          '🔌 Battery Charger Activated',
+          `Your battery charger has been automatically turned ON via ${result.label}.\n\nCommand: ${result.description}\nCurrent Battery SOC: ${socValue}%\n${reasonLine}\nPlug: ${plugName}\nTime: ${new Date().toLocaleString()}\n\nThe charger will automatically turn off when battery reaches ${decision.rule === 'low_threshold' ? highThreshold + '%' : 'its target or the schedule ends'}.`,
+          { severity: 'info' }
+        );
+      } else {
+        await sendNotification('charger',
+          '✅ Battery Charger Deactivated',
+          `Your battery charger has been automatically turned OFF via ${result.label}.\n\nCommand: ${result.description}\nCurrent Battery SOC: ${socValue}%\n${reasonLine}\nPlug: ${plugName}\nTime: ${new Date().toLocaleString()}`,
+          { severity: 'info' }
+        );
+      }
+    } else {
+      console.error(`❌ Failed to turn ${actionLabel} charger - ${result.detail}`);
+      recordAlertEvent('charger_failed', `Charger ${actionLabel} command failed: ${result.detail}`, {
+        soc: socValue,
+        rule: decision.rule,
+        driver: result.label,
+        action: actionLabel
+      });
+      raiseActiveAlert('charger_failed', { type: 'charger_failed', category: 'charger', severity: 'critical', message: `Charger ${actionLabel} command failed` });
+      await sendNotification('charger',
+        '⚠️ Battery Charger Control Failed',
+        `Failed to turn ${actionLabel} the battery charger via ${result.label}.\n\nCommand: ${result.description}\nResult: ${result.detail}\nCurrent Battery SOC: ${socValue}%\n${reasonLine}\nTime: ${new Date().toLocaleString()}\n\nPlease check your charger driver settings.`,
+        { severity: 'critical', alertKey: 'charger_failed' }
+      );
+    }
+  } catch (error) {
+    console.error('❌ Error controlling charger:', error.message);
+    recordAlertEvent('charger_failed', `Charger ${actionLabel} command error: ${error.message}`, {
+      soc: socValue,
+      rule: decision.rule,
+      action: actionLabel
+    });
+    raiseActiveAlert('charger_failed', { type: 'charger_failed', category: 'charger', severity: 'critical', message: `Charger ${actionLabel} command error` });
+    await sendNotification('charger',
+      '❌ Battery Charger Control Error',
+      `An error occurred while trying to control the battery charger.\n\nError: ${error.message}\nCurrent Battery SOC: ${soc}%\nTime: ${new Date().toLocaleString()}\n\nPlease check your network connection and charger driver settings.`,
+      { severity: 'critical', alertKey: 'charger_failed' }
+    );
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CHARGER STATE VERIFICATION & RECONCILIATION
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Catch chargerState drifting from reality (plug toggled by hand,
+//          IFTTT applet failing silently) - otherwise the hysteresis in
+//          controlBatteryCharger() never fires again
+// FLOW: verifyChargerState() every CHARGER_VERIFY_INTERVAL
+//   1. Observe: driver.getState() if available, else infer from the charger's
+//      power topic, else from a heavy battery discharge with PV idle (OFF only,
+//      and only when verification.offDischargeWatts is set)
+//   2. Two mismatching observations in a row → flag chargerState.desync, email, alertHistory
+//   3. Re-send the expected command with backoff (1, 2, 4... minutes)
+//   4. Still mismatched after maxRetries → adopt the observed state so control resumes
+// SETTINGS: alertSettings.chargerControl.verification
+
+const CHARGER_VERIFY_INTERVAL = 60000;   // Check once a minute
+const CHARGER_VERIFY_CONFIRMATIONS = 2;  // Consecutive mismatches before flagging (filters load spikes)
+const CHARGER_POWER_MAX_AGE = 10 * 60;   // Seconds - older power readings are ignored
+let chargerMismatchCount = 0;
+
+/**
+ * Guess the charger state from its own power draw, or from battery power while
+ * the panels are idle
+ * RETURNS: { state: true|false|null, detail }
+ * RULE: Battery charging only proves the charger is ON when its own power topic
+ *       says so - the inverter may be grid charging. A discharging battery doesn't
+ *       prove it is OFF either: at night an ON charger smaller than the house load
+ *       leaves the battery discharging. Only a discharge beyond offDischargeWatts
+ *       counts as OFF.
+ */
+function inferChargerState() {
+  const { chargingWatts, pvIdleWatts, powerTopic, offDischargeWatts } = alertSettings.chargerControl.verification;
+  
+  if (powerTopic) {
+    const chargerPower = parseFloat(cachedData[powerTopic]?.value);
+    const ageSeconds = getTopicAgeSeconds(powerTopic);
+    if (!isNaN(chargerPower) && ageSeconds !== null && ageSeconds <= CHARGER_POWER_MAX_AGE) {
+      return chargerPower >= chargingWatts
+        ? { state: true, detail: `Charger drawing ${Math.round(chargerPower)}W` }
+        : { state: false, detail: `Charger drawing ${Math.round(chargerPower)}W (ON above ${chargingWatts}W)` };
+    }
+  }
+  
+  const pvPower = getSystemTotal('pv_power');
+  let batteryPower = parseFloat(cachedData['solar_assistant/total/battery_power/state']?.value);
+  if (isNaN(batteryPower)) {
+    batteryPower = getSystemTotal('battery_current') * getInverterValue('battery_voltage');
+  }
+  
+  if (isNaN(pvPower) || isNaN(batteryPower)) {
+    return { state: null, detail: 'PV or battery power not available' };
+  }
+  if (pvPower > pvIdleWatts) {
+    return { state: null, detail: `PV producing ${Math.round(pvPower)}W - can't separate charger from solar` };
+  }
+  if (batteryPower > 0) {
+    return { state: null, detail: `Battery charging at ${Math.round(batteryPower)}W - could be the inverter grid charging (set a charger power topic to tell)` };
+  }
+  if (offDischargeWatts && batteryPower < -offDischargeWatts) {
+    return { state: false, detail: `Battery discharging at ${Math.round(-batteryPower)}W (OFF above ${offDischargeWatts}W) with PV at ${Math.round(pvPower)}W` };
+  }
+  return { state: null, detail: `Battery ${batteryPower < 0 ? 'discharging' : 'idle'} at ${Math.round(Math.abs(batteryPower))}W - the charger may be ON and smaller than the load (set a charger power topic to tell)` };
+}
+
+/**
+ * Observe the actual charger state, preferring the driver's own status query
+ * RETURNS: { state: true|false|null, source: 'driver'|'inferred', detail }
+ */
+async function observeChargerState() {
+  const { driver } = getChargerDriver();
+  if (driver && driver.getState) {
+    try {
+      const state = await driver.getState(alertSettings.chargerControl);
+      if (state !== null) {
+        return { state: state, source: 'driver', detail: `${driver.label} reports ${state ? 'ON' : 'OFF'}` };
+      }
+    } catch (error) {
+      console.log(`⚠️ Charger status query failed (${error.message}) - falling back to inference`);
+    }
+  }
+  return { ...inferChargerState(), source: 'inferred' };
+}
+
+/**
+ * Add a charger verification event to alertHistory and email it
+ */
+async function recordChargerVerificationEvent(type, subject, message, details) {
+  recordAlertEvent(type, message, details);
+  
+  const desync = type === 'charger_desync';
+  if (desync) {
+    raiseActiveAlert('charger_desync', { type: type, category: 'charger', severity: 'warning', message: message });
+  } else {
+    clearActiveAlert('charger_desync');
+  }
+  
+  await sendNotification('charger', subject, `${message}\n\n` +
+    `App believes: ${details.expected ? 'ON' : 'OFF'}\n` +
+    `Observed: ${details.observed ? 'ON' : 'OFF'} (${details.source}: ${details.detail})\n` +
+    `Retries: ${details.retries}\n` +
+    `Plug: ${alertSettings.chargerControl.plugName}\n` +
+    `Time: ${new Date().toLocaleString()}`,
+    desync ? { alertKey: 'charger_desync' } : {});
+}
+
+/**
+ * Compare chargerState with the observed charger state and reconcile
+ * CALLED BY: setInterval (every CHARGER_VERIFY_INTERVAL)
+ * IMPACT: May re-send charger commands and, as a last resort, overwrite chargerState.isOn
+ */
+async function verifyChargerState() {
+  const config = alertSettings.chargerControl;
+  if (!config?.enabled || !config.verification?.enabled || getChargerDriver().error) {
+    return;
+  }
+  
+  const now = Date.now();
+  const graceMs = (config.verification.graceMinutes || 0) * 60000;
+  const lastCommand = Math.max(chargerState.lastActionTime || 0, chargerState.desync?.lastRetryAt || 0);
+  if (now - lastCommand < graceMs) return;
+  
+  const observed = await observeChargerState();
+  chargerState.observedState = observed.state;
+  chargerState.observedSource = observed.source;
+  chargerState.observedDetail = observed.detail;
+  chargerState.lastVerifiedAt = now;
+  
+  if (observed.state === null) {
+    chargerMismatchCount = 0;
+    return;
+  }
+  
+  const expected = !!chargerState.isOn;
+  const details = {
+    expected: expected,
+    observed: observed.state,
+    source: observed.source,
+    detail: observed.detail,
+    retries: chargerState.desync?.retries || 0
+  };
+  
+  // In sync - close out any open desync
+  if (observed.state === expected) {
+    chargerMismatchCount = 0;
+    if (chargerState.desync) {
+      console.log(`✅ Charger back in sync (${observed.detail})`);
+      chargerState.desync = null;
+      saveDailyStats();
+      await recordChargerVerificationEvent('charger_resynced', '✅ Battery Charger Back In Sync',
+        `The battery charger is ${expected ? 'ON' : 'OFF'} as expected again.`, details);
+    }
+    return;
+  }
+  
+  chargerMismatchCount++;
+  if (chargerMismatchCount < CHARGER_VERIFY_CONFIRMATIONS) return;
+  
+  // First confirmed mismatch - flag it
+  if (!chargerState.desync) {
+    chargerState.desync = {
+      since: now,
+      expected: expected,
+      observed: observed.state,
+      source: observed.source,
+      retries: 0,
+      lastRetryAt: null,
+      nextRetryAt: now
+    };
+    console.log(`⚠️ CHARGER DESYNC: expected ${expected ? 'ON' : 'OFF'}, observed ${observed.state ? 'ON' : 'OFF'} (${observed.detail})`);
+    await recordChargerVerificationEvent('charger_desync', '⚠️ Battery Charger Desync',
+      `The battery charger appears to be ${observed.state ? 'ON' : 'OFF'} but the app last set it ${expected ? 'ON' : 'OFF'}. Re-sending the command.`, details);
+  }
+  
+  const desync = chargerState.desync;
+  if (now < desync.nextRetryAt) return;
+  
+  // Out of retries - accept reality so the thresholds work again
+  if (desync.retries >= (config.verification.maxRetries || 0)) {
+    console.log(`🔄 CHARGER RECONCILED: adopting observed state ${observed.state ? 'ON' : 'OFF'} after ${desync.retries} retries`);
+    chargerState.isOn = observed.state;
+    chargerState.lastAction = observed.state ? 'ON' : 'OFF';
+    chargerState.lastActionTime = now;
+    chargerState.lastActionReason = 'Reconciled with observed charger state';
+    chargerState.onSince = observed.state ? now : null;
+    chargerState.onRule = observed.state ? 'reconciled' : null;
+    chargerState.desync = null;
+    chargerMismatchCount = 0;
+    saveDailyStats();
+    await recordChargerVerificationEvent('charger_reconciled', '🔄 Battery Charger State Reconciled',
+      `The charger stayed ${observed.state ? 'ON' : 'OFF'} after ${details.retries} retries. The app now treats it as ${observed.state ? 'ON' : 'OFF'} so automatic control can continue.`, details);
+    return;
+  }
+  
+  // Retry the expected command with exponential backoff
+  desync.retries++;
+  desync.lastRetryAt = now;
+  desync.nextRetryAt = now + Math.min(Math.pow(2, desync.retries - 1), 30) * 60000;
+  try {
+    const result = await sendChargerCommand(expected, {
+      soc: parseFloat(cachedData['solar_assistant/total/battery_state_of_charge/state']?.value),
+      reason: 'Desync retry'
+    });
+    console.log(`🔁 Charger desync retry ${desync.retries}: ${result.description} → ${result.ok ? 'sent' : result.detail}`);
+  } catch (error) {
+    console.error(`❌ Charger desync retry ${desync.retries} failed:`, error.message);
+  }
+  saveDailyStats();
+}
+
+// Monitor battery discharge during peak sunlight hours
+async function monitorPeakDischarge(batteryPower) {
+  if (!alertSettings.peakDischargeAlert?.enabled) return;
+  
+  const now = Date.now();
+  const batteryPowerValue = parseFloat(batteryPower);
+  if (isNaN(batteryPowerValue)) return;
+  
+  const inPeakHours = isWithinPeakHours();
+  const peakHours = getSeasonalPeakHours();
+  const isDischarging = batteryPowerValue < -50;
+  
+  if (inPeakHours && isDischarging) {
+    if (!peakDischargeState.isDischarging) {
+      peakDischargeState.isDischarging = true;
+      peakDischargeState.dischargeStartTime = now;
+      peakDischargeState.alertSent = false;
+      saveAlertState();
+      console.log('⚠️ PEAK DISCHARGE STARTED: Battery discharging during peak hours');
+    } else {
+      const dischargeDuration = now - peakDischargeState.dischargeStartTime;
+      const durationMinutes = Math.floor(dischargeDuration / 60000);
+      
+      if (durationMinutes >= 30 && !peakDischargeState.alertSent) {
+        peakDischargeState.alertSent = true;
+        peakDischargeState.lastAlertTime = now;
+        
+        const solarPower = getSystemTotal('pv_power') || 0;
+        const loadPower = getSystemTotal('load_power') || 0;
+        const batterySOC = parseFloat(cachedData['solar_assistant/total/battery_soc/state']?.value) || 0;
+        
+        const startTimeStr = new Date(peakDischargeState.dischargeStartTime).toLocaleTimeString();
+        const peakStartTime = formatHour(peakHours.startHour);
+        const peakEndTime = formatHour(peakHours.endHour);
+        
+        console.log('🚨 PEAK DISCHARGE ALERT: Battery discharging for ' + durationMinutes + ' minutes during peak hours');
+        
+        let msg = 'Your battery has been discharging for ' + durationMinutes + ' minutes during peak sunlight hours.\n\n';
+        msg += '⏰ Discharge Period:\n';
+        msg += '• Started: ' + startTimeStr + '\n';
+        msg += '• Duration: ' + durationMinutes + ' minutes\n\n';
+        msg += '☀️ Peak Hours (' + peakHours.season + '): ' + peakStartTime + ' - ' + peakEndTime + '\n\n';
+        msg += '📊 Current Status:\n';
+        msg += '• Battery Discharge: ' + Math.abs(Math.round(batteryPowerValue)) + 'W\n';
+        msg += '• Solar Production: ' + Math.round(solarPower) + 'W\n';
+        msg += '• Load: ' + Math.round(loadPower) + 'W\n';
+        msg += '• Battery SOC: ' + batterySOC + '%\n\n';
+        msg += '💡 Possible Causes:\n';
+        if (solarPower < 500) msg += '• Low solar production - check panels\n';
+        if (loadPower > solarPower + 1000) msg += '• High load exceeding production\n';
+        if (weatherData.cloudCover > 70) msg += '• Heavy cloud cover\n';
+        msg += '\nTime: ' + new Date().toLocaleString();
+        
+        raiseActiveAlert('peak_discharge', {
+          type: 'peak_discharge',
+          category: 'peak_discharge',
+          severity: 'warning',
+          message: 'Battery discharging during peak hours since ' + startTimeStr
+        });
+        await sendNotification('peak_discharge', '⚠️ Battery Discharging During Peak Hours', msg, { alertKey: 'peak_discharge' });
+        
+        recordAlertEvent('peak_discharge', 'Battery discharged for ' + durationMinutes + 'min during peak hours', {
+          dischargePower: Math.round(batteryPowerValue),
+          solarPower: Math.round(solarPower),
+          loadPower: Math.round(loadPower),
+          duration: durationMinutes
+        });
+      }
+    }
+  } else {
+    if (peakDischargeState.isDischarging) {
+      peakDischargeState.isDischarging = false;
+      peakDischargeState.dischargeStartTime = null;
+      peakDischargeState.alertSent = false;
+      clearActiveAlert('peak_discharge');
+      saveAlertState();
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STALE DATA WATCHDOG
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Notice when SolarAssistant stops publishing while the broker stays
+//          up - connectionStatus would keep saying "Connected" over frozen
+//          numbers, and charger control/alerts (driven by incoming messages)
+//          would silently stop evaluating
+// SOURCE: cachedData[topic].timestamp and lastUpdate
+// SETTINGS: alertSettings.staleData { enabled, minutes, watchTopics }
+// FLOW: checkStaleData() every STALE_CHECK_INTERVAL
+//       → stale: alertHistory 'stale_data' + email, connectionStatus notes it
+//       → data back: alertHistory 'stale_data_recovered' + email
+
+const STALE_CHECK_INTERVAL = 30000;
+const staleWatchStartedAt = Date.now(); // Silence is measured from here until the first message
+
+// STRUCTURE: { stale, since, reason, topics: [{ topic, ageSeconds }], detectedAt }
+let staleDataState = { stale: false, since: null, reason: null, topics: [], detectedAt: null };
+
+/**
+ * Seconds since a topic last published
+ * @returns {number|null} - null if the topic has never published
+ */
+function getTopicAgeSeconds(topic, now = Date.now()) {
+  const timestamp = cachedData[topic]?.timestamp;
+  return timestamp ? Math.round((now - new Date(timestamp).getTime()) / 1000) : null;
+}
+
+/**
+ * Detect SolarAssistant going quiet and coming back
+ * CALLED BY: setInterval (every STALE_CHECK_INTERVAL)
+ * RULE: Stale when no message at all arrived for staleData.minutes, or when
+ *       any watchTopics entry hasn't published for that long
+ */
+async function checkStaleData() {
+  const settings = alertSettings.staleData;
+  const now = Date.now();
+  const limitMs = settings.minutes * 60000;
+  
+  const lastMessage = lastUpdate ? lastUpdate.getTime() : staleWatchStartedAt;
+  const silent = now - lastMessage > limitMs;
+  const staleWatched = settings.watchTopics
+    .map(topic => ({ topic: topic, ageSeconds: getTopicAgeSeconds(topic, now) }))
+    .filter(entry => entry.ageSeconds === null ? now - staleWatchStartedAt > limitMs : entry.ageSeconds * 1000 > limitMs);
+  const stale = silent || staleWatched.length > 0;
+  
+  if (stale) {
+    const silentMinutes = Math.round((now - lastMessage) / 60000);
+    const reason = silent
+      ? (lastUpdate ? `No MQTT data for ${silentMinutes} min` : `No MQTT data since startup (${silentMinutes} min)`)
+      : `${staleWatched.map(entry => formatTopicName(entry.topic)).join(', ')} not updated for over ${settings.minutes} min`;
+    const wasStale = staleDataState.stale;
+    staleDataState = {
+      stale: true,
+      since: wasStale ? staleDataState.since : new Date(silent ? lastMessage : now - Math.max(...staleWatched.map(entry => (entry.ageSeconds || 0) * 1000))).toISOString(),
+      reason: reason,
+      topics: silent ? [] : staleWatched,
+      detectedAt: wasStale ? staleDataState.detectedAt : new Date(now).toISOString()
+    };
+    if (mqttConnectionState === 'Connected') {
+      connectionStatus = silent ? `Connected - no data for ${silentMinutes} min` : `Connected - ${staleWatched.length} watched topic(s) stale`;
+    }
+    
+    if (!wasStale) {
+      console.log(`⏸️ STALE DATA: ${reason}`);
+      if (settings.enabled) {
+        recordAlertEvent('stale_data', reason,
+          { since: staleDataState.since, connection: mqttConnectionState, topics: staleDataState.topics },
+          { timestamp: now }
+        );
+        raiseActiveAlert('stale_data', { type: 'stale_data', category: 'stale_data', severity: 'warning', message: reason });
+        
+        await sendNotification('stale_data',
+          '⏸️ Solar Data Stopped',
+          `${reason}.\n\nMQTT connection: ${connectionStatus}\nLast message: ${lastUpdate ? lastUpdate.toLocaleString() : 'never'}\n\n` +
+          `Automatic charger control and battery alerts only run when new data arrives, so they are paused until SolarAssistant publishes again. ` +
+          `Check the SolarAssistant unit and its MQTT settings.\n\nTime: ${new Date(now).toLocaleString()}`,
+          { alertKey: 'stale_data' }
+        );
+      }
+    }
+    return;
+  }
+  
+  if (staleDataState.stale) {
+    const downMinutes = Math.round((now - new Date(staleDataState.since).getTime()) / 60000);
+    console.log(`▶️ DATA RECOVERED after ${downMinutes} min`);
+    if (settings.enabled) {
+      recordAlertEvent('stale_data_recovered', `Data flowing again after ${downMinutes} min`,
+        { since: staleDataState.since, reason: staleDataState.reason },
+        { timestamp: now }
+      );
+      
+      await sendNotification('stale_data',
+        '▶️ Solar Data Recovered',
+        `SolarAssistant data is arriving again after ${downMinutes} minutes (${staleDataState.reason}).\n\nTime: ${new Date(now).toLocaleString()}`,
+        { severity: 'info' }
+      );
+    }
+    staleDataState = { stale: false, since: null, reason: null, topics: [], detectedAt: null };
+    clearActiveAlert('stale_data');
+    if (mqttConnectionState === 'Connected') connectionStatus = 'Connected';
+  }
+}
+
+/**
+ * Short display name for a topic ('solar_assistant/total/battery_power/state' → 'total/battery_power')
+ */
+function formatTopicName(topic) {
+  return topic.replace(/^solar_assistant\//, '').replace(/\/state$/, '');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ALERT RULES ENGINE
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: User-defined threshold alerts over any numeric cachedData topic or
+//          derived metric - the built-in SOC low/high and peak discharge
+//          alerts stay as they are
+// SETTINGS: alertSettings.alertRules [{ id, name, enabled, source, condition,
+//           threshold, thresholdHigh, rateWindowMinutes, sustainMinutes,
+//           hysteresis, cooldownMinutes, severity, recipients, window }]
+// FLOW: handleMqttMessage() → evaluateAlertRules(topic)
+//       → condition held for sustainMinutes inside window → 'rule_triggered' + email
+//       → condition no longer met (past hysteresis) → 'rule_cleared' + email
+// NOTE: Derived metrics change with several topics, so their rules run at most
+//       once per DERIVED_RULE_INTERVAL instead of on every message
+
+const ALERT_RULE_CONDITIONS = ['above', 'below', 'between', 'outside', 'rises_by', 'falls_by'];
+const ALERT_RULE_SEVERITIES = { info: 'ℹ️', warning: '⚠️', critical: '🚨' };
+const DERIVED_RULE_INTERVAL = 5000;
+
+// Values computed from several topics, usable as a rule source
+const DERIVED_METRICS = {
+  power_balance: { label: 'Power Balance (W)', get: () => getPowerBalance() },
+  pv_power_total: { label: 'Total PV Power (W)', get: () => getSystemTotal('pv_power') },
+  load_power_total: { label: 'Total Load Power (W)', get: () => getSystemTotal('load_power') },
+  energy_produced_today: { label: 'Energy Produced Today (kWh)', get: () => getDailyEnergyProduced() },
+  energy_consumed_today: { label: 'Energy Consumed Today (kWh)', get: () => getDailyEnergyConsumed() }
+};
+
+// Runtime state per rule id - rebuilt on restart
+// STRUCTURE: { active, conditionSince, lastTriggeredAt, lastClearedAt, lastValue, samples: [{ time, value }] }
+let alertRuleState = {};
+let lastDerivedRuleEvaluation = 0;
+
+/**
+ * Current numeric value of a rule source
+ * RETURNS: number, or null if the topic/metric has no numeric value
+ */
+function getAlertRuleValue(source) {
+  const raw = DERIVED_METRICS[source] ? DERIVED_METRICS[source].get() : cachedData[source]?.value;
+  const value = parseFloat(raw);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Whether a rule's condition holds for a value
+ * RULE: While active the limit moves back by hysteresis, so a value hovering
+ *       at the threshold doesn't trigger/clear on every message
+ * NOTE: rises_by/falls_by compare with the lowest/highest sample in the last
+ *       rateWindowMinutes
+ */
+function isAlertRuleConditionMet(rule, value, samples, active) {
+  const slack = active ? (rule.hysteresis || 0) : 0;
+  const low = rule.threshold;
+  const high = rule.thresholdHigh;
+  
+  switch (rule.condition) {
+    case 'above':
+      return value > low - slack;
+    case 'below':
+      return value < low + slack;
+    case 'between':
+      return value >= low - slack && value <= high + slack;
+    case 'outside':
+      return value < low + slack || value > high - slack;
+    case 'rises_by':
+      return value - Math.min(...samples.map(sample => sample.value)) >= low - slack;
+    case 'falls_by':
+      return Math.max(...samples.map(sample => sample.value)) - value >= low - slack;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Human-readable condition, e.g. "above 3000" or "falls by 10 within 15 min"
+ */
+function describeAlertRuleCondition(rule) {
+  switch (rule.condition) {
+    case 'between':
+    case 'outside':
+      return `${rule.condition} ${rule.threshold} and ${rule.thresholdHigh}`;
+    case 'rises_by':
+    case 'falls_by':
+      return `${rule.condition.replace('_', ' ')} ${rule.threshold} within ${rule.rateWindowMinutes} min`;
+    default:
+      return `${rule.condition} ${rule.threshold}`;
+  }
+}
+
+/**
+ * Display name for a rule source
+ */
+function describeAlertRuleSource(source) {
+  return DERIVED_METRICS[source] ? DERIVED_METRICS[source].label : formatTopicName(source);
+}
+
+/**
+ * Evaluate the rules affected by an incoming message
+ * CALLED BY: handleMqttMessage() for every message
+ * RULE: Topic rules run when their topic arrives; derived-metric rules run at
+ *       most once per DERIVED_RULE_INTERVAL
+ */
+async function evaluateAlertRules(topic) {
+  const rules = alertSettings.alertRules || [];
+  if (rules.length === 0) return;
+  
+  const now = Date.now();
+  const runDerived = now - lastDerivedRuleEvaluation >= DERIVED_RULE_INTERVAL;
+  if (runDerived) lastDerivedRuleEvaluation = now;
+  
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    if (rule.source === topic || (runDerived && DERIVED_METRICS[rule.source])) {
+      await evaluateAlertRule(rule, now);
+    }
+  }
+}
+
+/**
+ * Update one rule's state and fire/clear it
+ * RULE: Triggers once the condition has held for sustainMinutes, the local
+ *       time (configured timezone) is inside the rule's window, and the last
+ *       trigger is older than cooldownMinutes
+ * NOTE: An active rule clears as soon as the condition stops holding, even
+ *       outside its window
+ */
+async function evaluateAlertRule(rule, now) {
+  const value = getAlertRuleValue(rule.source);
+  if (value === null) return;
+  
+  const state = alertRuleState[rule.id] || (alertRuleState[rule.id] = {
+    active: false, conditionSince: null, lastTriggeredAt: null, lastClearedAt: null, lastValue: null, samples: []
+  });
+  state.lastValue = value;
+  
+  if (rule.condition === 'rises_by' || rule.condition === 'falls_by') {
+    state.samples.push({ time: now, value: value });
+    const oldest = now - rule.rateWindowMinutes * 60000;
+    state.samples = state.samples.filter(sample => sample.time >= oldest);
+  }
+  
+  if (!isAlertRuleConditionMet(rule, value, state.samples, state.active)) {
+    state.conditionSince = null;
+    if (state.active) {
+      state.active = false;
+      state.lastClearedAt = new Date(now).toISOString();
+      await recordAlertRuleEvent(rule, 'rule_cleared', value, now);
+    }
+    return;
+  }
+  
+  if (!state.conditionSince) state.conditionSince = now;
+  if (state.active) return;
+  
+  const sustained = now - state.conditionSince >= (rule.sustainMinutes || 0) * 60000;
+  const inWindow = !rule.window || isInScheduleWindow(rule.window, getZonedTimeParts(new Date(now), getConfiguredTimezone()));
+  const cooledDown = !state.lastTriggeredAt || now - new Date(state.lastTriggeredAt).getTime() >= (rule.cooldownMinutes || 0) * 60000;
+  
+  if (sustained && inWindow && cooledDown) {
+    state.active = true;
+    state.lastTriggeredAt = new Date(now).toISOString();
+    await recordAlertRuleEvent(rule, 'rule_triggered', value, now);
+  }
+}
+
+/**
+ * Write a rule trigger/clear to alertHistory and email the rule's recipients
+ * CALLED BY: evaluateAlertRule()
+ */
+async function recordAlertRuleEvent(rule, type, value, now) {
+  const triggered = type === 'rule_triggered';
+  const source = describeAlertRuleSource(rule.source);
+  const condition = describeAlertRuleCondition(rule);
+  const message = triggered
+    ? `${rule.name}: ${source} is ${value} (${condition})`
+    : `${rule.name} cleared: ${source} is ${value}`;
+  
+  console.log(`${triggered ? ALERT_RULE_SEVERITIES[rule.severity] : '✅'} ALERT RULE ${triggered ? 'TRIGGERED' : 'CLEARED'}: ${message}`);
+  
+  recordAlertEvent(type, message, {
+    ruleId: rule.id,
+    name: rule.name,
+    severity: rule.severity,
+    source: rule.source,
+    condition: condition,
+    value: value,
+    threshold: rule.threshold,
+    thresholdHigh: rule.thresholdHigh
+  }, { timestamp: now, severity: triggered ? rule.severity : 'info' });
+  
+  const alertKey = `rule:${rule.id}`;
+  if (triggered) {
+    raiseActiveAlert(alertKey, { type: type, category: 'alert_rules', severity: rule.severity, message: message });
+  } else {
+    clearActiveAlert(alertKey);
+  }
+  
+  const subject = triggered
+    ? `${ALERT_RULE_SEVERITIES[rule.severity]} [${rule.severity.toUpperCase()}] ${rule.name}`
+    : `✅ Cleared: ${rule.name}`;
+  const body = triggered
+    ? `Alert rule "${rule.name}" triggered.\n\n${source}: ${value}\nCondition: ${condition}` +
+      (rule.sustainMinutes ? `\nSustained for: ${rule.sustainMinutes} min` : '') +
+      (rule.window ? `\nActive window: ${describeScheduleWindow(rule.window)} (${getConfiguredTimezone()})` : '')
+    : `Alert rule "${rule.name}" is no longer active.\n\n${source}: ${value}\nCondition: ${condition}`;
+  
+  await sendNotification('alert_rules', subject, `${body}\n\nTime: ${new Date(now).toLocaleString()}`, {
+    severity: triggered ? rule.severity : 'info',
+    to: rule.recipients,
+    ...(triggered && { alertKey: alertKey })
+  });
+}
+
+/**
+ * Check and normalize a rule from the settings API
+ * RETURNS: { rule } or { error }
+ * NOTE: Sources that aren't derived metrics are treated as topics and accept
+ *       short names ('total/battery_power')
+ */
+function validateAlertRule(input, existing) {
+  const merged = { ...existing, ...input };
+  const rule = {
+    id: existing ? existing.id : 'rule_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    name: String(merged.name || '').trim(),
+    enabled: merged.enabled !== false,
+    source: String(merged.source || '').trim(),
+    condition: merged.condition,
+    threshold: parseFloat(merged.threshold),
+    thresholdHigh: null,
+    rateWindowMinutes: null,
+    sustainMinutes: merged.sustainMinutes === undefined || merged.sustainMinutes === '' ? 0 : parseFloat(merged.sustainMinutes),
+    hysteresis: merged.hysteresis === undefined || merged.hysteresis === '' ? 0 : parseFloat(merged.hysteresis),
+    cooldownMinutes: merged.cooldownMinutes === undefined || merged.cooldownMinutes === '' ? 30 : parseFloat(merged.cooldownMinutes),
+    severity: merged.severity || 'warning',
+    recipients: [],
+    window: merged.window || null
+  };
+  
+  if (!rule.name || rule.name.length > 80) return { error: 'name is required (max 80 characters)' };
+  if (!rule.source) return { error: 'source is required' };
+  if (!DERIVED_METRICS[rule.source]) rule.source = normalizeHistoryTopic(rule.source);
+  if (!ALERT_RULE_CONDITIONS.includes(rule.condition)) return { error: `condition must be one of ${ALERT_RULE_CONDITIONS.join(', ')}` };
+  if (isNaN(rule.threshold)) return { error: 'threshold must be a number' };
+  
+  if (rule.condition === 'between' || rule.condition === 'outside') {
+    rule.thresholdHigh = parseFloat(merged.thresholdHigh);
+    if (isNaN(rule.thresholdHigh) || rule.thresholdHigh <= rule.threshold) {
+      return { error: 'thresholdHigh must be a number above threshold' };
+    }
+  }
+  if (rule.condition === 'rises_by' || rule.condition === 'falls_by') {
+    rule.rateWindowMinutes = parseFloat(merged.rateWindowMinutes);
+    if (isNaN(rule.rateWindowMinutes) || rule.rateWindowMinutes < 1 || rule.rateWindowMinutes > 1440) {
+      return { error: 'rateWindowMinutes must be between 1 and 1440' };
+    }
+    if (rule.threshold <= 0) return { error: 'threshold must be above 0 for rises_by/falls_by' };
+  }
+  
+  if (isNaN(rule.sustainMinutes) || rule.sustainMinutes < 0 || rule.sustainMinutes > 1440) {
+    return { error: 'sustainMinutes must be between 0 and 1440' };
+  }
+  if (isNaN(rule.hysteresis) || rule.hysteresis < 0) return { error: 'hysteresis must be 0 or more' };
+  if (isNaN(rule.cooldownMinutes) || rule.cooldownMinutes < 0 || rule.cooldownMinutes > 10080) {
+    return { error: 'cooldownMinutes must be between 0 and 10080' };
+  }
+  if (!ALERT_RULE_SEVERITIES[rule.severity]) return { error: `severity must be one of ${Object.keys(ALERT_RULE_SEVERITIES).join(', ')}` };
+  
+  const recipients = Array.isArray(merged.recipients) ? merged.recipients : String(merged.recipients || '').split(',');
+  rule.recipients = recipients.map(email => String(email).trim()).filter(email => email);
+  const badEmail = rule.recipients.find(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email));
+  if (badEmail) return { error: `${badEmail} is not a valid email address` };
+  
+  if (rule.window) {
+    const windowError = validateScheduleWindow(rule.window, false);
+    if (windowError) return { error: `window ${windowError}` };
+    rule.window = { days: rule.window.days, start: rule.window.start, end: rule.window.end };
+  }
+  
+  return { rule: rule };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BATTERY PACK PROTECTION
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Per-pack safety alerts - chargerControl.maxTemp only sees the total
+//          temperature, so one hot pack in a bank can go unnoticed
+// SOURCE: battery_N/temperature, cell_voltage_-_highest, cell_voltage_-_lowest
+//         and state_of_charge (discovered packs, see DEVICE DISCOVERY)
+// SETTINGS: alertSettings.batteryProtection
+// FLOW: handleMqttMessage() → checkBatteryPackAlerts(topic)
+//       → limit crossed: alertHistory 'battery_protection' + email
+//       → back inside limit by clearMargin: 'battery_protection_cleared' + email
+//       → forceChargerOff: decideChargerAction() turns/keeps the charger OFF
+//         while any pack is unsafe (temperature or cell spread)
+
+const PACK_PROTECTION_TOPIC_PATTERN = /^solar_assistant\/battery_(\d+)\/(temperature|cell_voltage_-_highest|cell_voltage_-_lowest|state_of_charge)\/state$/;
+
+// Checks run per pack (and across the bank for SOC divergence)
+// clearMargin: how far back inside the limit a value must be before the alert clears
+// unsafe: the pack shouldn't be charged while this alert is active (forceChargerOff)
+const PACK_CHECKS = {
+  over_temperature: { setting: 'maxTemp', above: true, what: 'temperature', unit: '°F', clearMargin: 3, unsafe: true },
+  under_temperature: { setting: 'minTemp', above: false, what: 'temperature', unit: '°F', clearMargin: 3, unsafe: true },
+  cell_spread: { setting: 'maxCellSpreadMv', above: true, what: 'cell voltage spread', unit: ' mV', clearMargin: 20, unsafe: true },
+  soc_divergence: { setting: 'maxSocDivergence', above: true, what: 'SOC difference between packs', unit: '%', clearMargin: 3, unsafe: false }
+};
+
+// Active alerts keyed 'battery_N:check' (or 'bank:soc_divergence')
+// STRUCTURE: { battery, check, value, limit, message, since }
+let packAlertState = {};
+let packCutoffInProgress = false;
+
+/**
+ * Current readings of one pack
+ * RETURNS: { temperature, spreadMv, soc } - NaN for anything not reported
+ */
+function getPackReadings(id) {
+  const read = metric => parseFloat(cachedData[`solar_assistant/battery_${id}/${metric}/state`]?.value);
+  const highest = read('cell_voltage_-_highest');
+  const lowest = read('cell_voltage_-_lowest');
+  return {
+    temperature: read('temperature'),
+    spreadMv: Math.round((highest - lowest) * 1000),
+    soc: read('state_of_charge')
+  };
+}
+
+/**
+ * Whether a check is over its limit
+ * RULE: An active alert only clears once the value is clearMargin back inside the limit
+ * RETURNS: { failing, limit, message, clearedMessage } or null when there's nothing to check
+ */
+function evaluatePackCheck(key, check, value, active) {
+  if (isNaN(value)) return null;
+  const definition = PACK_CHECKS[check];
+  const limit = alertSettings.batteryProtection[definition.setting];
+  const margin = active ? definition.clearMargin : 0;
+  const label = key === 'bank' ? 'Battery bank' : `Battery ${key.replace('battery_', '')}`;
+  
+  return {
+    failing: definition.above ? value > limit - margin : value < limit + margin,
+    limit: limit,
+    message: `${label} ${definition.what} ${value}${definition.unit} ${definition.above ? 'above' : 'below'} ${limit}${definition.unit}`,
+    clearedMessage: `${label} ${definition.what} back to ${value}${definition.unit}`
+  };
+}
+
+/**
+ * Re-check the pack (or bank SOC divergence) an incoming topic belongs to
+ * CALLED BY: handleMqttMessage() for every message
+ * IMPACT: Calls controlBatteryCharger() right away when a pack turns unsafe
+ *         and forceChargerOff is set, instead of waiting for the next SOC message
+ */
+async function checkBatteryPackAlerts(topic) {
+  const settings = alertSettings.batteryProtection;
+  const match = PACK_PROTECTION_TOPIC_PATTERN.exec(topic);
+  if (!settings.enabled || !match) return;
+  
+  const checks = [];
+  if (match[2] === 'state_of_charge') {
+    const socs = getDeviceIds('battery').map(id => getPackReadings(id).soc).filter(soc => !isNaN(soc));
+    const divergence = socs.length > 1 ? Math.max(...socs) - Math.min(...socs) : NaN;
+    checks.push({ key: 'bank', check: 'soc_divergence', value: divergence });
+  } else {
+    const key = `battery_${match[1]}`;
+    const readings = getPackReadings(match[1]);
+    if (match[2] === 'temperature') {
+      checks.push({ key: key, check: 'over_temperature', value: readings.temperature });
+      checks.push({ key: key, check: 'under_temperature', value: readings.temperature });
+    } else {
+      checks.push({ key: key, check: 'cell_spread', value: readings.spreadMv });
+    }
+  }
+  
+  let becameUnsafe = false;
+  for (const { key, check, value } of checks) {
+    const stateKey = `${key}:${check}`;
+    const active = packAlertState[stateKey];
+    const result = evaluatePackCheck(key, check, value, !!active);
+    if (!result) continue;
+    
+    if (result.failing && !active) {
+      packAlertState[stateKey] = { battery: key, check: check, value: value, limit: result.limit, message: result.message, since: new Date().toISOString() };
+      if (PACK_CHECKS[check].unsafe) becameUnsafe = true;
+      await recordPackProtectionEvent('battery_protection', packAlertState[stateKey], result.message);
+    } else if (result.failing) {
+      active.value = value;
+      active.message = result.message;
+    } else if (active) {
+      delete packAlertState[stateKey];
+      await recordPackProtectionEvent('battery_protection_cleared', { ...active, value: value }, result.clearedMessage);
+    }
+  }
+  
+  // Several packs often cross a limit within the same second - send one OFF command
+  if (becameUnsafe && settings.forceChargerOff && chargerState.isOn && !packCutoffInProgress) {
+    packCutoffInProgress = true;
+    try {
+      await controlBatteryCharger(cachedData['solar_assistant/total/battery_state_of_charge/state']?.value);
+    } finally {
+      packCutoffInProgress = false;
+    }
+  }
+}
+
+/**
+ * Write a pack protection alert/clear to alertHistory and email it
+ * CALLED BY: checkBatteryPackAlerts()
+ */
+async function recordPackProtectionEvent(type, alert, message) {
+  const raised = type === 'battery_protection';
+  console.log(`${raised ? '🌡️ PACK PROTECTION' : '✅ PACK PROTECTION CLEARED'}: ${message}`);
+  
+  const severity = raised ? (PACK_CHECKS[alert.check].unsafe ? 'critical' : 'warning') : 'info';
+  recordAlertEvent(type, message,
+    { battery: alert.battery, check: alert.check, value: alert.value, limit: alert.limit, since: alert.since },
+    { severity: severity }
+  );
+  
+  const alertKey = `pack:${alert.battery}:${alert.check}`;
+  if (raised) {
+    raiseActiveAlert(alertKey, { type: type, category: 'battery_protection', severity: severity, message: message });
+  } else {
+    clearActiveAlert(alertKey);
+  }
+  
+  let chargerNote = '';
+  if (raised && PACK_CHECKS[alert.check].unsafe) {
+    chargerNote = alertSettings.batteryProtection.forceChargerOff
+      ? '\n\nThe charger is held OFF until every pack is back within limits.'
+      : '\n\nAutomatic charger shut-off for unsafe packs is disabled in settings.';
+  }
+  await sendNotification('battery_protection',
+    raised ? '🌡️ Battery Pack Alert' : '✅ Battery Pack Back to Normal',
+    `${message}.${chargerNote}\n\nTime: ${new Date().toLocaleString()}`,
+    { severity: severity, ...(raised && { alertKey: alertKey }) }
+  );
+}
+
+/**
+ * Active unsafe-to-charge pack alerts
+ * USED BY: decideChargerAction() (forceChargerOff), getBatterySnapshot()
+ */
+function getUnsafePackAlerts() {
+  return Object.values(packAlertState).filter(alert => PACK_CHECKS[alert.check].unsafe);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DAILY STATISTICS & UTILITY FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Track daily energy totals and calculate dashboard metrics
+// RELATIONSHIP: Uses cachedData and historicalData to compute stats
+
+/**
+ * Update daily statistics (energy totals, peak power)
+ * CALLED BY: handleMqttMessage() for every MQTT message
+ * IMPACT: Updates dailyStats which is displayed on dashboard
+ * @param {string} topic - MQTT topic name
+ * @param {number} value - Topic value (watts, percentage or kWh counter)
+ */
+function updateDailyStats(topic, value) {
+  const now = Date.now();
+  
+  // Reset stats if it's a new day
+  checkDayRollover(now);
+  
+  // Cumulative energy counters (see ENERGY ACCOUNTING)
+  recordEnergyCounter(topic, value, now);
+  
+  // Track peak solar power (all inverters combined)
+  if (/^solar_assistant\/inverter_\d+\/pv_power\/state$/.test(topic)) {
+    const power = getSystemTotal('pv_power');
+    if (power > dailyStats.peakPower.value) {
+      dailyStats.peakPower.value = power;
+      dailyStats.peakPower.time = new Date(now);
+    }
+    
+    // Track hourly peaks (hours of the configured timezone)
+    const hour = Math.floor(getZonedTimeParts(new Date(now), getConfiguredTimezone()).minutes / 60);
+    if (!dailyStats.peakPowerHourly[hour] || power > dailyStats.peakPowerHourly[hour]) {
+      dailyStats.peakPowerHourly[hour] = power;
+    }
+  }
+}
+
+/**
+ * Get daily energy produced (kWh)
+ * RELATIONSHIP: Solar account of getDailyEnergyAccounts() - since local midnight
+ */
+function getDailyEnergyProduced() {
+  return formatDailyEnergy('pv');
+}
+
+/**
+ * Get daily energy consumed (kWh)
+ * RELATIONSHIP: Load account of getDailyEnergyAccounts() - since local midnight
+ */
+function getDailyEnergyConsumed() {
+  return formatDailyEnergy('load');
+}
+
+/**
+ * Calculate estimated battery runtime based on power balance
+ * FORMULA: (Battery Capacity * Voltage * SOC) / Net Discharge Rate = Hours
+ * USED BY: Dashboard to show "X hours remaining" estimate
+ * @returns {string} - Formatted runtime (e.g., "5h 23m") or "N/A"
+ */
+function getBatteryRuntime() {
+  const soc = parseFloat(cachedData['solar_assistant/total/battery_state_of_charge/state']?.value);
+  const solarPower = getSystemTotal('pv_power');
+  const loadPower = getSystemTotal('load_power');
+  const batteryPower = parseFloat(cachedData['solar_assistant/total/battery_power/state']?.value);
+  const batteryCapacity = getBatteryBankAh(); // Total capacity in Ah
+  const batteryVoltage = getInverterValue('battery_voltage') || 48;
+  
+  if (!isNaN(soc) && !isNaN(solarPower) && !isNaN(loadPower)) {
+    // Calculate power balance (solar + external charger - load)
+    const isExternalChargerOn = chargerState && chargerState.isOn;
+    const externalChargerPower = (isExternalChargerOn && batteryPower > 0) ? batteryPower : 0;
+    const powerBalance = solarPower + externalChargerPower - loadPower;
+    
+    // Calculate available energy in battery
+    const availableEnergy = (batteryCapacity * batteryVoltage * soc) / 100;
+    
+    // If power balance is positive (charging), show indefinite runtime
+    if (powerBalance > 0) {
+      return 'Indefinite';
+    }
+    // If power balance is negative (discharging), calculate time to empty
+    else if (powerBalance < 0) {
+      const runtimeHours = availableEnergy / Math.abs(powerBalance);
+      
+      if (runtimeHours < 1) {
+        return `${Math.round(runtimeHours * 60)} min`;
+      } else if (runtimeHours < 24) {
+        return `${runtimeHours.toFixed(1)} hrs`;
+      } else {
+        return `${(runtimeHours / 24).toFixed(1)} days`;
+      }
+    }
+    // If power balance is zero (balanced), theoretically infinite runtime
+    else {
+      return 'Infinite';
+    }
+  }
+  return 'N/A';
+}
+
+/**
+ * Get power balance (solar - load)
+ * IMPACT: Positive = battery charging, Negative = battery discharging
+ * USED BY: Power Balance card on dashboard (shows with colored arrows)
+ * @returns {number|string} - Power balance in watts or "N/A"
+ */
+function getPowerBalance() {
+  const solarPower = getSystemTotal('pv_power');
+  const loadPower = getSystemTotal('load_power');
+  const batteryPower = parseFloat(cachedData['solar_assistant/total/battery_power/state']?.value);
+  
+  if (!isNaN(solarPower) && !isNaN(loadPower)) {
+    // Calculate total power input: Solar + External Charger (if IFTTT triggered it ON)
+    const isExternalChargerOn = chargerState && chargerState.isOn;
+    const externalChargerPower = (isExternalChargerOn && batteryPower > 0) ? batteryPower : 0;
+    const totalPowerInput = solarPower + externalChargerPower;
+    
+    return Math.round(totalPowerInput - loadPower);
+  }
+  return 'N/A';
+}
+
+/**
+ * Get percentage of total solar power for a specific array
+ * USED BY: Solar array chart on dashboard
+ * NOTE: Array N is pv_power_N summed over every inverter
+ * @param {string} arrayType - 'array1' or 'array2'
+ * @returns {number} - Percentage (0-100)
+ */
+function getArrayPercentage(arrayType) {
+  const array1Power = getSystemTotal('pv_power_1') || 0;
+  const array2Power = getSystemTotal('pv_power_2') || 0;
+  const totalPower = array1Power + array2Power;
+  
+  if (totalPower === 0) return 0;
+  
+  if (arrayType === 'array1') {
+    return Math.round((array1Power / totalPower) * 100);
+  } else if (arrayType === 'array2') {
+    return Math.round((array2Power / totalPower) * 100);
+  }
+  
+  return 0;
+}
+
+/**
+ * Get peak power for a specific array in the past 24 hours
+ * USED BY: Array performance charts
+ * @param {string} arrayType - 'array1' or 'array2'
+ * @returns {number} - Peak power in watts
+ */
+function getArray24HourPeak(arrayType) {
+  const metric = arrayType === 'array1' ? 'pv_power_1' : 'pv_power_2';
+  const series = sumHistorySeries(getInverterTopics(metric).map(topic => historicalData[topic] || []));
+  
+  if (series.length === 0) {
+    return 0;
+  }
+  
+  const twentyFourHoursAgo = Date.now() - (24 * 60 * 60 * 1000);
+  const recentData = series.filter(point => 
+    new Date(point.timestamp).getTime() > twentyFourHoursAgo
+  );
+  
+  if (recentData.length === 0) {
+    return 0;
+  }
+  
+  return Math.max(...recentData.map(point => parseFloat(point.value) || 0));
+}
+
+/**
+ * Get percentage of current power vs 24-hour peak for a specific array
+ * USED BY: Array performance charts
+ * @param {string} arrayType - 'array1' or 'array2'
+ * @returns {number} - Percentage (0-100)
+ */
+function getArrayPerformancePercentage(arrayType) {
+  const currentPower = getSystemTotal(arrayType === 'array1' ? 'pv_power_1' : 'pv_power_2') || 0;
+  const peakPower = getArray24HourPeak(arrayType);
+  
+  if (peakPower === 0) return 0;
+  
+  return Math.round((currentPower / peakPower) * 100);
+}
+
+/**
+ * Get peak solar production power and time
+ * SEARCHES: pv_power history of every inverter, summed (see sumHistorySeries)
+ * USED BY: Dashboard "Peak Production" card
+ * @param {number|null} timeRangeHours - Limit search to recent hours (null = hot cache)
+ * @returns {string} - Formatted peak (e.g., "2.5 kW at 12:34 PM") or "N/A"
+ */
+function getPeakPerformance(timeRangeHours = null) {
+  const now = Date.now();
+  // Reads from disk beyond the hot cache when a time range is given
+  const dataPoints = sumHistorySeries(getInverterTopics('pv_power').map(topic => (
+    timeRangeHours !== null
+      ? readHistoryRange(topic, now - timeRangeHours * 3600000, now)
+      : historicalData[topic] || []
+  )));
+  
+  if (dataPoints.length === 0) {
+    return 'N/A';
+  }
+  
+  // Find peak value and timestamp
+  let peakValue = 0;
+  let peakTimestamp = null;
+  
+  for (const point of dataPoints) {
+    const value = parseFloat(point.value);
+    if (value > peakValue) {
+      peakValue = value;
+      peakTimestamp = point.timestamp;
+    }
+  }
+  
+  if (peakTimestamp) {
+    const date = new Date(peakTimestamp);
+    const timeStr = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+    const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return `${Math.round(peakValue)}W @ ${timeStr} (${dateStr})`;
+  }
+  
+  return 'N/A';
+}
+
+/**
+ * Weather location from System Configuration
+ * RETURNS: { latitude, longitude }
+ */
+function getWeatherLocation() {
+  const latitude = parseFloat(alertSettings.systemSettings?.latitude);
+  const longitude = parseFloat(alertSettings.systemSettings?.longitude);
+  return {
+    latitude: isNaN(latitude) ? DEFAULT_WEATHER_LAT : latitude,
+    longitude: isNaN(longitude) ? DEFAULT_WEATHER_LON : longitude
+  };
+}
+
+/**
+ * Fetch weather data from Open-Meteo API
+ */
+async function fetchWeatherData() {
+  try {
+    const { latitude, longitude } = getWeatherLocation();
+    const response = await fetch(`https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&current=temperature_2m,weather_code,relative_humidity_2m,wind_speed_10m,cloud_cover,shortwave_radiation&hourly=shortwave_radiation,cloud_cover&forecast_days=2&timeformat=unixtime&temperature_unit=fahrenheit&wind_speed_unit=mph`);
+    const data = await response.json();
+    
+    if (data.current) {
+      weatherData = {
+        temperature: Math.round(data.current.temperature_2m),
+        weatherCode: data.current.weather_code,
+        humidity: data.current.relative_humidity_2m,
+        windSpeed: Math.round(data.current.wind_speed_10m * 10) / 10,
+        cloudCover: data.current.cloud_cover,
+        solarRadiation: Math.round(data.current.shortwave_radiation),
+        lastUpdate: new Date()
+      };
+      console.log(`🌤️ Weather updated: ${weatherData.temperature}°F, humidity: ${weatherData.humidity}%, wind: ${weatherData.windSpeed}mph, clouds: ${weatherData.cloudCover}%, solar: ${weatherData.solarRadiation}W/m²`);
+      recordSolarCalibrationSample(data.current.shortwave_radiation);
+    }
+    
+    if (data.hourly && Array.isArray(data.hourly.time)) {
+      solarForecast = {
+        hourly: data.hourly.time.map((time, i) => ({
+          time: time * 1000,
+          solarRadiation: data.hourly.shortwave_radiation[i] || 0,
+          cloudCover: data.hourly.cloud_cover[i]
+        })),
+        lastUpdate: new Date()
+      };
+    }
+  } catch (error) {
+    console.error('❌ Error fetching weather data:', error.message);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SOLAR FORECAST
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Estimate how much PV energy is still to come today so the charger
+//          doesn't grid-charge at 7 AM on a clear day
+// FLOW: fetchWeatherData() → solarForecast.hourly (Open-Meteo shortwave_radiation)
+//       × learned W per W/m² (our PV vs. current irradiance) → getSolarOutlook()
+//       → getSolarDeferral() → decideChargerAction()
+// SETTINGS: alertSettings.chargerControl.forecast
+
+/**
+ * Load PV calibration samples from disk
+ * CALLED BY: Startup sequence
+ */
+function loadSolarCalibration() {
+  try {
+    if (fs.existsSync(SOLAR_CALIBRATION_FILE)) {
+      solarCalibration = { ...solarCalibration, ...JSON.parse(fs.readFileSync(SOLAR_CALIBRATION_FILE, 'utf8')) };
+      console.log(`☀️ Loaded ${solarCalibration.samples.length} solar calibration samples`);
+    }
+  } catch (error) {
+    console.error('❌ Error loading solar calibration:', error.message);
+  }
+}
+
+/**
+ * Pair the current irradiance with our current PV output
+ * CALLED BY: fetchWeatherData() (every WEATHER_UPDATE_INTERVAL)
+ * NOTE: Skipped in low light and with a nearly full battery - the inverter
+ *       curtails PV then, which would make the array look smaller than it is
+ */
+function recordSolarCalibrationSample(radiation) {
+  const pvPower = getSystemTotal('pv_power');
+  const soc = parseFloat(cachedData['solar_assistant/total/battery_state_of_charge/state']?.value);
+  if (isNaN(pvPower) || !(radiation >= 150) || isNaN(soc) || soc >= 95) {
+    return;
+  }
+  
+  const cutoff = Date.now() - SOLAR_CALIBRATION_DAYS * 24 * 60 * 60 * 1000;
+  solarCalibration.samples = solarCalibration.samples.filter(sample => sample.time >= cutoff);
+  solarCalibration.samples.push({ time: Date.now(), radiation: radiation, pvPower: pvPower });
+  
+  try {
+    fs.writeFileSync(SOLAR_CALIBRATION_FILE, JSON.stringify(solarCalibration));
+  } catch (error) {
+    console.error('❌ Error saving solar calibration:', error.message);
+  }
+}
+
+/**
+ * PV watts produced per W/m² of irradiance
+ * RETURNS: { wattsPerIrradiance, source: 'learned'|'system size', samples } or null if unknown
+ */
+function getSolarScaleFactor() {
+  const samples = solarCalibration.samples;
+  if (samples.length >= SOLAR_CALIBRATION_MIN_SAMPLES) {
+    const totalPv = samples.reduce((sum, sample) => sum + sample.pvPower, 0);
+    const totalRadiation = samples.reduce((sum, sample) => sum + sample.radiation, 0);
+    return { wattsPerIrradiance: totalPv / totalRadiation, source: 'learned', samples: samples.length };
+  }
+  const systemWatts = alertSettings.chargerControl.forecast?.systemWatts;
+  if (systemWatts > 0) {
+    return { wattsPerIrradiance: systemWatts / 1000, source: 'system size', samples: samples.length };
+  }
+  return null;
+}
+
+/**
+ * Expected PV and load for the rest of today (configured timezone)
+ * RETURNS: null if there's no forecast or scale factor, otherwise
+ *   { pvWh, loadWh, surplusWh, bridgeWh, averageLoadWatts, scale, hours }
+ *   surplusWh: PV beyond the load - what could go into the battery
+ *   bridgeWh:  load the battery must carry before PV first exceeds the load
+ * NOTE: Load is assumed flat at the last 24h average
+ */
+function getSolarOutlook(now = Date.now()) {
+  const scale = getSolarScaleFactor();
+  if (!scale || solarForecast.hourly.length === 0) return null;
+  
+  const local = getZonedTimeParts(new Date(now), getConfiguredTimezone());
+  const endOfDay = now + (1440 - local.minutes) * 60000;
+  
+  // Sum of each inverter's 24h average load (current load for inverters without history)
+  const averageLoadWatts = getInverterIds().reduce((total, id) => {
+    const topic = `solar_assistant/inverter_${id}/load_power/state`;
+    const loadHistory = readHistoryRange(topic, now - 24 * 60 * 60 * 1000, now);
+    const average = loadHistory.length
+      ? loadHistory.reduce((sum, point) => sum + point.value, 0) / loadHistory.length
+      : parseFloat(cachedData[topic]?.value) || 0;
+    return total + average;
+  }, 0);
+  
+  let pvWh = 0, loadWh = 0, surplusWh = 0, bridgeWh = 0, hours = 0;
+  let surplusStarted = false;
+  solarForecast.hourly.forEach(hour => {
+    // Each value is the mean over the hour ending at hour.time
+    const start = Math.max(hour.time - 3600000, now);
+    const end = Math.min(hour.time, endOfDay);
+    if (end <= start) return;
+    const fraction = (end - start) / 3600000;
+    const hourPv = hour.solarRadiation * scale.wattsPerIrradiance * fraction;
+    const hourLoad = averageLoadWatts * fraction;
+    
+    pvWh += hourPv;
+    loadWh += hourLoad;
+    hours += fraction;
+    if (hourPv > hourLoad) {
+      surplusStarted = true;
+      surplusWh += hourPv - hourLoad;
+    } else if (!surplusStarted) {
+      bridgeWh += hourLoad - hourPv;
+    }
+  });
+  
+  return {
+    pvWh: Math.round(pvWh),
+    loadWh: Math.round(loadWh),
+    surplusWh: Math.round(surplusWh),
+    bridgeWh: Math.round(bridgeWh),
+    averageLoadWatts: Math.round(averageLoadWatts),
+    scale: scale,
+    hours: Math.round(hours * 10) / 10
+  };
+}
+
+/**
+ * Whether the solar forecast can replace grid charging right now
+ * @param {number} socValue - Battery SOC (%)
+ * RETURNS: { defer: boolean, reason, outlook }
+ * RULES: Defer only above forecast.minSoc, when the battery can carry the load
+ *        until PV takes over, and when coverageFactor × surplus ≥ energy to reach highThreshold
+ */
+function getSolarDeferral(socValue, now = Date.now()) {
+  const config = alertSettings.chargerControl;
+  const forecast = config.forecast || {};
+  if (!forecast.enabled) return { defer: false, reason: null, outlook: null };
+  
+  const outlook = getSolarOutlook(now);
+  if (!outlook) {
+    return { defer: false, reason: 'No solar forecast or PV calibration yet', outlook: null };
+  }
+  
+  const kWh = wh => (wh / 1000).toFixed(1) + ' kWh';
+  const neededWh = Math.max(0, (config.highThreshold - socValue) / 100 * forecast.batteryCapacityWh);
+  const spareWh = Math.max(0, (socValue - forecast.minSoc) / 100 * forecast.batteryCapacityWh);
+  const usableWh = outlook.surplusWh * forecast.coverageFactor;
+  const summary = `forecast ${kWh(outlook.pvWh)} PV vs ${kWh(outlook.loadWh)} load for the rest of today ` +
+    `(${kWh(usableWh)} usable surplus, ${kWh(neededWh)} needed to reach ${config.highThreshold}%)`;
+  
+  if (socValue <= forecast.minSoc) {
+    return { defer: false, reason: `SOC at or below forecast minimum ${forecast.minSoc}% - ${summary}`, outlook: outlook };
+  }
+  if (outlook.bridgeWh > spareWh) {
+    return { defer: false, reason: `Battery can't carry ${kWh(outlook.bridgeWh)} until solar takes over - ${summary}`, outlook: outlook };
+  }
+  if (usableWh < neededWh) {
+    return { defer: false, reason: `Solar won't cover the deficit - ${summary}`, outlook: outlook };
+  }
+  return { defer: true, reason: `Solar will refill the battery - ${summary}`, outlook: outlook };
+}
+
+/**
+ * Get weather icon based on weather code
+ */
+function getWeatherIcon(weatherCode) {
+  const iconMap = {
+    0: '☀️', // Clear sky
+    1: '🌤️', // Mainly clear
+    2: '⛅', // Partly cloudy
+    3: '☁️', // Overcast
+    45: '🌫️', // Fog
+    48: '🌫️', // Depositing rime fog
+    51: '🌦️', // Light drizzle
+    53: '🌦️', // Moderate drizzle
+    55: '🌧️', // Dense drizzle
+    61: '🌧️', // Slight rain
+    63: '🌧️', // Moderate rain
+    65: '🌧️', // Heavy rain
+    71: '🌨️', // Slight snow
+    73: '🌨️', // Moderate snow
+    75: '🌨️', // Heavy snow
+    77: '🌨️', // Snow grains
+    80: '🌦️', // Slight rain showers
+    81: '🌧️', // Moderate rain showers
+    82: '🌧️', // Violent rain showers
+    85: '🌨️', // Slight snow showers
+    86: '🌨️', // Heavy snow showers
+    95: '⛈️', // Thunderstorm
+    96: '⛈️', // Thunderstorm with slight hail
+    99: '⛈️'  // Thunderstorm with heavy hail
+  };
+  return iconMap[weatherCode] || '🌤️';
+}
+
+// Calculate seasonal peak sunlight hours based on date and location
+function getSeasonalPeakHours() {
+  const now = new Date();
+  const month = now.getMonth();
+  const solarNoon = 12;
+  
+  let peakDuration;
+  if (month >= 5 && month <= 7) {
+    peakDuration = 5; // Summer: 10 AM - 3 PM
+  } else if (month >= 3 && month <= 4 || month >= 8 && month <= 9) {
+    peakDuration = 4.5; // Spring/Fall: 9:45 AM - 2:15 PM
+  } else {
+    peakDuration = 4; // Winter: 10 AM - 2 PM
+  }
+  
+  return {
+    startHour: solarNoon - (peakDuration / 2),
+    endHour: solarNoon + (peakDuration / 2),
+    solarNoon: solarNoon,
+    season: month >= 5 && month <= 7 ? 'Summer' : (month >= 3 && month <= 4 || month >= 8 && month <= 9 ? 'Spring/Fall' : 'Winter')
+  };
+}
+
+// Check if current time is within peak sunlight hours
+function isWithinPeakHours() {
+  const now = new Date();
+  const currentHour = now.getHours() + (now.getMinutes() / 60);
+  const peakHours = getSeasonalPeakHours();
+  return currentHour >= peakHours.startHour && currentHour <= peakHours.endHour;
+}
+
+// Format hour in 12-hour format with AM/PM
+function formatHour(hour) {
+  const h = Math.floor(hour);
+  const m = Math.round((hour - h) * 60);
+  const ampm = h >= 12 ? 'PM' : 'AM';
+  const displayHour = h > 12 ? h - 12 : (h === 0 ? 12 : h);
+  return displayHour + ':' + (m < 10 ? '0' : '') + m + ' ' + ampm;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DEVICE DISCOVERY
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Find every inverter_N and battery_N SolarAssistant publishes instead
+//          of assuming inverter_1 and batteries 1-3
+// SOURCE: Topic names as they arrive in handleMqttMessage() (the cachedData keys)
+// USED BY: /data/devices, getBatterySnapshot(), getSystemTotal(), battery page
+// NOTE: Newly seen devices get their main metrics tracked for charts once
+//       (alertSettings.deviceDiscovery) - removing a topic afterwards sticks
+
+const DEVICE_TOPIC_PATTERN = /^solar_assistant\/(inverter|battery)_(\d+)\/([^/]+)\/state$/;
+
+// Metrics added to the tracked topics when a device is first discovered
+const DEVICE_TRACKED_METRICS = {
+  inverter: ['pv_power', 'load_power'],
+  battery: ['voltage', 'current', 'temperature', 'state_of_charge', 'power']
+};
+
+// STRUCTURE: { inverter: { [id]: { id, firstSeen, metrics: Set } }, battery: { ... } }
+let discoveredDevices = { inverter: {}, battery: {} };
+
+/**
+ * Register the device a topic belongs to
+ * CALLED BY: handleMqttMessage() for every message, rebuildDiscoveredDevices()
+ */
+function discoverDeviceTopic(topic) {
+  const match = DEVICE_TOPIC_PATTERN.exec(topic);
+  if (!match) return;
+  
+  const type = match[1];
+  const id = parseInt(match[2], 10);
+  let device = discoveredDevices[type][id];
+  if (!device) {
+    device = { id: id, firstSeen: new Date().toISOString(), metrics: new Set() };
+    discoveredDevices[type][id] = device;
+    console.log(`🔍 Discovered ${type}_${id}`);
+    autoTrackDevice(type, id);
+  }
+  device.metrics.add(match[3]);
+}
+
+/**
+ * Rebuild the device list from cachedData
+ * CALLED BY: applyMqttSettings() after cachedData is cleared for a new broker/topic
+ */
+function rebuildDiscoveredDevices() {
+  discoveredDevices = { inverter: {}, battery: {} };
+  Object.keys(cachedData).forEach(discoverDeviceTopic);
+}
+
+/**
+ * Track the DEVICE_TRACKED_METRICS of a newly discovered device
+ * IMPACT: Adds to alertSettings.trackedTopics; each device is only handled once
+ *         (deviceDiscovery.trackedDevices) so topics removed later stay removed
+ */
+function autoTrackDevice(type, id) {
+  const discovery = alertSettings.deviceDiscovery;
+  const key = `${type}_${id}`;
+  if (!discovery.autoTrack || discovery.trackedDevices.includes(key)) return;
+  
+  discovery.trackedDevices.push(key);
+  const added = DEVICE_TRACKED_METRICS[type]
+    .map(metric => `solar_assistant/${key}/${metric}/state`)
+    .filter(topic => !getTopicTracking(topic));
+  added.forEach(topic => {
+    alertSettings.trackedTopics.push({ topic: topic, archiveIntervalSeconds: ARCHIVE_INTERVAL / 1000, retentionDays: null });
+    if (!historicalData[topic]) historicalData[topic] = [];
+  });
+  saveAlertSettings();
+  if (added.length > 0) console.log(`📈 Tracking ${added.length} topic(s) for ${key}`);
+}
+
+/**
+ * Discovered device numbers of a type, ascending
+ * @param {string} type - 'inverter' or 'battery'
+ * @returns {number[]}
+ */
+function getDeviceIds(type) {
+  return Object.keys(discoveredDevices[type]).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Inverter numbers to read live values from
+ * NOTE: Falls back to inverter 1 until the first inverter topic arrives
+ */
+function getInverterIds() {
+  const ids = getDeviceIds('inverter');
+  return ids.length > 0 ? ids : [1];
+}
+
+/**
+ * System-wide value of an inverter metric (e.g. pv_power, load_power)
+ * RULE: SolarAssistant's total/<metric> when it publishes one, otherwise the
+ *       sum over every inverter that reports the metric
+ * @returns {number} - NaN when no inverter reports it
+ */
+function getSystemTotal(metric) {
+  const total = parseFloat(cachedData[`solar_assistant/total/${metric}/state`]?.value);
+  if (!isNaN(total)) return total;
+  
+  let sum = NaN;
+  getInverterIds().forEach(id => {
+    const value = parseFloat(cachedData[`solar_assistant/inverter_${id}/${metric}/state`]?.value);
+    if (!isNaN(value)) sum = (isNaN(sum) ? 0 : sum) + value;
+  });
+  return sum;
+}
+
+/**
+ * First inverter's reading of a shared quantity (e.g. battery_voltage)
+ * @returns {number} - NaN when no inverter reports it
+ */
+function getInverterValue(metric) {
+  for (const id of getInverterIds()) {
+    const value = parseFloat(cachedData[`solar_assistant/inverter_${id}/${metric}/state`]?.value);
+    if (!isNaN(value)) return value;
+  }
+  return NaN;
+}
+
+/**
+ * Topics of an inverter metric on every inverter
+ * @returns {string[]} - e.g. ['solar_assistant/inverter_1/pv_power/state', ...]
+ */
+function getInverterTopics(metric) {
+  return getInverterIds().map(id => `solar_assistant/inverter_${id}/${metric}/state`);
+}
+
+/**
+ * Add up the history of several topics (e.g. pv_power of every inverter)
+ * RULE: Each point of any series yields a point holding the sum of every series'
+ *       latest value so far (0 before a series starts); points sharing a
+ *       timestamp (rollup buckets) are merged into one
+ * @param {Array[]} seriesList - [{ timestamp, value }] per topic, oldest first
+ * @returns {Array} - [{ timestamp, value }], oldest first
+ */
+function sumHistorySeries(seriesList) {
+  const filled = seriesList.filter(series => series.length > 0);
+  if (filled.length <= 1) return filled[0] || [];
+  
+  const events = [];
+  filled.forEach((series, index) => series.forEach(point => {
+    events.push({ index: index, ms: new Date(point.timestamp).getTime(), value: parseFloat(point.value) || 0 });
+  }));
+  events.sort((a, b) => a.ms - b.ms);
+  
+  const latest = filled.map(() => 0);
+  const summed = [];
+  events.forEach((event, i) => {
+    latest[event.index] = event.value;
+    if (i + 1 < events.length && events[i + 1].ms === event.ms) return;
+    summed.push({ timestamp: new Date(event.ms).toISOString(), value: latest.reduce((sum, value) => sum + value, 0) });
+  });
+  return summed;
+}
+
+/**
+ * Battery bank size in Ah
+ * RULE: Sum of the packs' published capacity, else 100Ah per discovered pack (300Ah before discovery)
+ */
+function getBatteryBankAh() {
+  const ids = getDeviceIds('battery');
+  const published = ids.map(id => parseFloat(cachedData[`solar_assistant/battery_${id}/capacity/state`]?.value));
+  if (ids.length > 0 && published.every(value => value > 0)) {
+    return published.reduce((sum, value) => sum + value, 0);
+  }
+  return (ids.length || 3) * 100;
+}
+
+/**
+ * Discovered devices for the devices API
+ * RETURNS: { inverters: [...], batteries: [...] } - each { id, key, name, firstSeen, lastSeen, metrics, tracked }
+ */
+function getDevices() {
+  const describe = (type, label) => getDeviceIds(type).map(id => {
+    const device = discoveredDevices[type][id];
+    const key = `${type}_${id}`;
+    const metrics = Array.from(device.metrics).sort();
+    const lastSeen = metrics
+      .map(metric => cachedData[`solar_assistant/${key}/${metric}/state`]?.timestamp)
+      .filter(Boolean)
+      .sort()
+      .pop() || null;
+    return {
+      id: id,
+      key: key,
+      name: `${label} ${id}`,
+      firstSeen: device.firstSeen,
+      lastSeen: lastSeen,
+      metrics: metrics,
+      tracked: metrics.filter(metric => getTopicTracking(`solar_assistant/${key}/${metric}/state`)).length
+    };
+  });
+  return { inverters: describe('inverter', 'Inverter'), batteries: describe('battery', 'Battery') };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HISTORICAL DATA MANAGEMENT - SEGMENTED TIME-SERIES STORE
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Store time-series data for charts (up to 365 days)
+// ON DISK: HISTORY_DIR/<tier>/<encoded topic>/<segment>.log
+//          raw segments are UTC days, each line "<epoch ms>,<value>"
+//          rollup segments (5m/1h/1d) hold one aggregated bucket per line
+//          Segments are append-only
+// IN MEMORY: historicalData holds the last HOT_CACHE_HOURS of raw points per topic
+// PERSISTENCE: New points are buffered in pendingHistoryWrites and appended
+//              to their segment every SAVE_INTERVAL (60 seconds)
+// ROLLUPS: runHistoryRollups() aggregates raw → 5m → 1h → 1d in the background
+//          so long ranges survive after raw data expires
+// WHY: Rewriting one big JSON file every minute stalled the host once the
+//      history grew past a few weeks; appends only touch the current segment
+
+// Points archived since the last flush, keyed by topic
+// STRUCTURE: { 'topic/name': [{timestamp: ISO8601, value: number}, ...] }
+let pendingHistoryWrites = {};
+
+// Rollup progress per tier and topic (epoch ms up to which buckets are written)
+// STRUCTURE: { '5m': { 'topic/name': ms }, '1h': {...}, '1d': {...} }
+// PERSISTED: ROLLUP_STATE_FILE after each rollup run
+let rollupState = { '5m': {}, '1h': {}, '1d': {} };
+
+/**
+ * Get the list of topics currently archived for charts
+ * USED BY: /data/history, calculateDailyStats(), startup cache load
+ * @returns {string[]} - Full MQTT topics
+ */
+function getTrackedTopics() {
+  return alertSettings.trackedTopics.map(entry => entry.topic);
+}
+
+/**
+ * Get the tracking entry for a topic
+ * @returns {Object|null} - { topic, archiveIntervalSeconds, retentionDays } or null if not tracked
+ */
+function getTopicTracking(topic) {
+  return alertSettings.trackedTopics.find(entry => entry.topic === topic) || null;
+}
+
+/**
+ * Get how often a topic is archived (ms)
+ * NOTE: Untracked topics (e.g. removed but still on disk) use ARCHIVE_INTERVAL
+ */
+function getTopicArchiveInterval(topic) {
+  const tracking = getTopicTracking(topic);
+  return tracking ? tracking.archiveIntervalSeconds * 1000 : ARCHIVE_INTERVAL;
+}
+
+/**
+ * Get how long a tier keeps a topic's data (days)
+ * RULE: The topic's retentionDays caps the tier default when set
+ */
+function getTopicRetentionDays(topic, tierName) {
+  const tierRetention = HISTORY_TIERS[tierName].retentionDays;
+  const tracking = getTopicTracking(topic);
+  return tracking && tracking.retentionDays ? Math.min(tierRetention, tracking.retentionDays) : tierRetention;
+}
+
+/**
+ * Start tracking a topic or update its archive interval/retention
+ * CALLED BY: POST /settings/tracked-topics
+ * IMPACT: addHistoricalDataPoint() picks up the change on the next MQTT message
+ */
+function setTopicTracking(topic, archiveIntervalSeconds, retentionDays) {
+  const tracking = getTopicTracking(topic);
+  
+  if (tracking) {
+    tracking.archiveIntervalSeconds = archiveIntervalSeconds;
+    tracking.retentionDays = retentionDays;
+  } else {
+    alertSettings.trackedTopics.push({ topic, archiveIntervalSeconds, retentionDays });
+    if (!historicalData[topic]) historicalData[topic] = [];
+    console.log(`📈 Now tracking ${topic}`);
+  }
+  
+  saveAlertSettings();
+}
+
+/**
+ * Stop tracking a topic
+ * CALLED BY: POST /settings/tracked-topics/remove
+ * NOTE: Only stops archiving - stored history (hot cache included) stays
+ *       queryable until it ages out in pruneOldData()
+ */
+function removeTopicTracking(topic) {
+  alertSettings.trackedTopics = alertSettings.trackedTopics.filter(entry => entry.topic !== topic);
+  delete lastArchivedTime[topic];
+  saveAlertSettings();
+  console.log(`📉 Stopped tracking ${topic}`);
+}
+
+/**
+ * Get the on-disk directory holding segments for a topic in a tier
+ * NOTE: Topic is URI-encoded so MQTT slashes don't create nested folders
+ */
+function getTopicHistoryDir(topic, tierName = 'raw') {
+  return path.join(HISTORY_DIR, tierName, encodeURIComponent(topic));
+}
+
+/**
+ * Get the segment name a timestamp belongs to in a tier
+ * @param {string} tierName - Key of HISTORY_TIERS
+ * @param {number} ms - Epoch milliseconds
+ * @returns {string} - 'YYYY-MM-DD', 'YYYY-MM' or 'YYYY' (UTC)
+ */
+function getSegmentKey(tierName, ms) {
+  const lengths = { day: 10, month: 7, year: 4 };
+  return new Date(ms).toISOString().slice(0, lengths[HISTORY_TIERS[tierName].segment]);
+}
+
+/**
+ * Get the start of the bucket a timestamp falls in
+ * NOTE: The '1d' tier starts at midnight in the configured timezone so it lines
+ *       up with "today" everywhere else in the app (days around a DST change are
+ *       23 or 25 hours); other tiers and custom bucket sizes are fixed-width and
+ *       aligned to the Unix epoch. Days are built from 1h buckets, so in :30/:45
+ *       offset zones the hour spanning midnight counts to the day it starts in
+ * NOTE: Days already rolled up keep the midnight they were built with - after a
+ *       timezone change (or an upgrade from server-midnight buckets) one day is
+ *       split across two buckets, without counting anything twice
+ * @param {string|number} resolution - Key of HISTORY_TIERS or bucket size in ms
+ */
+function getBucketStart(resolution, ms) {
+  if (resolution === '1d') {
+    return getZonedMidnight(getZonedDateKey(ms));
+  }
+  const bucketMs = typeof resolution === 'number' ? resolution : HISTORY_TIERS[resolution].bucketMs;
+  return Math.floor(ms / bucketMs) * bucketMs;
+}
+
+/**
+ * Check whether a topic carries power in watts (energy is integrated for these)
+ * EXAMPLES: inverter_1/pv_power, inverter_1/pv_power_1, total/battery_power, battery_2/power
+ */
+function isPowerTopic(topic) {
+  return /(_power(_\d+)?|\/power)\/state$/.test(topic);
+}
+
+/**
+ * Parse a raw segment file into data points
+ * @returns {Array} - [{timestamp: ISO8601, value: number}, ...] in file order
+ */
+function readSegmentFile(filePath) {
+  const points = [];
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  
+  for (const line of lines) {
+    const comma = line.indexOf(',');
+    if (comma === -1) continue;
+    
+    const ms = parseInt(line.substring(0, comma), 10);
+    const value = parseFloat(line.substring(comma + 1));
+    
+    // Skip partially written lines (e.g. power loss mid-append)
+    if (isNaN(ms) || isNaN(value)) continue;
+    
+    points.push({ timestamp: new Date(ms).toISOString(), value: value });
+  }
+  
+  return points;
+}
+
+/**
+ * Parse a rollup segment file into buckets
+ * LINE FORMAT: start,min,max,avg,last,count,energyInWh,energyOutWh
+ * @returns {Array} - Bucket objects (see formatBucket) in file order
+ */
+function readRollupSegmentFile(filePath, topic) {
+  const buckets = [];
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  
+  for (const line of lines) {
+    const fields = line.split(',').map(Number);
+    if (fields.length !== 8 || fields.some(isNaN)) continue;
+    
+    const [start, min, max, avg, last, count, energyInWh, energyOutWh] = fields;
+    buckets.push(formatBucket(topic, { start, min, max, avg, last, count, energyInWh, energyOutWh }));
+  }
+  
+  return buckets;
+}
+
+/**
+ * Shape an aggregated bucket for API consumers
+ * NOTE: `value` mirrors `avg` so charts can treat buckets like raw points
+ */
+function formatBucket(topic, bucket) {
+  const round = (n, places) => Math.round(n * Math.pow(10, places)) / Math.pow(10, places);
+  const formatted = {
+    timestamp: new Date(bucket.start).toISOString(),
+    value: round(bucket.avg, 3),
+    min: bucket.min,
+    max: bucket.max,
+    avg: round(bucket.avg, 3),
+    last: bucket.last,
+    count: bucket.count
+  };
+  
+  if (isPowerTopic(topic)) {
+    formatted.energyInWh = round(bucket.energyInWh, 3);   // Integral of positive power (e.g. battery charging)
+    formatted.energyOutWh = round(bucket.energyOutWh, 3); // Integral of negative power (e.g. battery discharging)
+  }
+  
+  return formatted;
+}
+
+/**
+ * Append raw points to their day segments
+ * CALLED BY: saveHistoricalData()
+ * NOTE: Points are grouped per segment so each file gets a single append
+ */
+function appendHistoryPoints(topic, points) {
+  const bySegment = {};
+  
+  points.forEach(point => {
+    const ms = new Date(point.timestamp).getTime();
+    const segment = getSegmentKey('raw', ms);
+    if (!bySegment[segment]) bySegment[segment] = '';
+    bySegment[segment] += `${ms},${point.value}\n`;
+  });
+  
+  const topicDir = getTopicHistoryDir(topic);
+  fs.mkdirSync(topicDir, { recursive: true });
+  
+  for (const segment in bySegment) {
+    fs.appendFileSync(path.join(topicDir, `${segment}.log`), bySegment[segment]);
+  }
+}
+
+/**
+ * Append aggregated buckets to their rollup segments
+ * CALLED BY: runHistoryRollups()
+ */
+function appendRollupBuckets(tierName, topic, buckets) {
+  const bySegment = {};
+  
+  buckets.forEach(bucket => {
+    const ms = new Date(bucket.timestamp).getTime();
+    const segment = getSegmentKey(tierName, ms);
+    if (!bySegment[segment]) bySegment[segment] = '';
+    bySegment[segment] += [
+      ms, bucket.min, bucket.max, bucket.avg, bucket.last, bucket.count,
+      bucket.energyInWh || 0, bucket.energyOutWh || 0
+    ].join(',') + '\n';
+  });
+  
+  const topicDir = getTopicHistoryDir(topic, tierName);
+  fs.mkdirSync(topicDir, { recursive: true });
+  
+  for (const segment in bySegment) {
+    fs.appendFileSync(path.join(topicDir, `${segment}.log`), bySegment[segment]);
+  }
+}
+
+/**
+ * List segments stored on disk for a topic (sorted oldest first)
+ */
+function listSegments(topic, tierName = 'raw') {
+  const topicDir = getTopicHistoryDir(topic, tierName);
+  if (!fs.existsSync(topicDir)) return [];
+  
+  return fs.readdirSync(topicDir)
+    .filter(name => name.endsWith('.log'))
+    .map(name => name.slice(0, -4))
+    .sort();
+}
+
+/**
+ * List every topic that has history on disk in a tier
+ * USED BY: Startup cache load, rollups and pruning
+ */
+function listStoredTopics(tierName = 'raw') {
+  const tierDir = path.join(HISTORY_DIR, tierName);
+  if (!fs.existsSync(tierDir)) return [];
+  
+  return fs.readdirSync(tierDir).map(name => decodeURIComponent(name));
+}
+
+/**
+ * Get the timestamp of the oldest stored point or bucket for a topic
+ * USED BY: runHistoryRollups() to find where a new topic's rollups start
+ * @returns {number|null} - Epoch ms, or null if nothing is stored
+ */
+function getFirstStoredTime(topic, tierName) {
+  const segments = listSegments(topic, tierName);
+  if (segments.length === 0) return null;
+  
+  const filePath = path.join(getTopicHistoryDir(topic, tierName), `${segments[0]}.log`);
+  const firstLine = fs.readFileSync(filePath, 'utf8').split('\n')[0];
+  const ms = parseInt(firstLine, 10);
+  return isNaN(ms) ? null : ms;
+}
+
+/**
+ * Read raw data points for a topic within a time range
+ * USED BY: readTierRange(), getPeakPerformance() and startup cache load
+ * PERFORMANCE: Served from historicalData when the range fits in the hot cache,
+ *              otherwise only the day segments overlapping the range are read
+ * @param {string} topic - MQTT topic
+ * @param {number} fromMs - Range start (epoch ms, inclusive)
+ * @param {number} toMs - Range end (epoch ms, inclusive)
+ * @returns {Array} - [{timestamp: ISO8601, value: number}, ...] oldest first
+ */
+function readHistoryRange(topic, fromMs, toMs) {
+  const inRange = point => {
+    const ms = new Date(point.timestamp).getTime();
+    return ms >= fromMs && ms <= toMs;
+  };
+  
+  const hotCacheStart = Date.now() - HOT_CACHE_HOURS * 60 * 60 * 1000;
+  if (fromMs >= hotCacheStart) {
+    return (historicalData[topic] || []).filter(inRange);
+  }
+  
+  const fromSegment = getSegmentKey('raw', fromMs);
+  const toSegment = getSegmentKey('raw', Math.min(toMs, Date.now()));
+  const topicDir = getTopicHistoryDir(topic);
+  let points = [];
+  
+  try {
+    listSegments(topic)
+      .filter(segment => segment >= fromSegment && segment <= toSegment)
+      .forEach(segment => {
+        points = points.concat(readSegmentFile(path.join(topicDir, `${segment}.log`)).filter(inRange));
+      });
+  } catch (error) {
+    console.error(`✗ Error reading history for ${topic}:`, error.message);
+  }
+  
+  // Points not yet flushed to disk
+  if (pendingHistoryWrites[topic]) {
+    points = points.concat(pendingHistoryWrites[topic].filter(inRange));
+  }
+  
+  return points;
+}
+
+/**
+ * Aggregate raw points or finer buckets into buckets of a tier or custom size
+ * USED BY: runHistoryRollups(), readTierRange() (for not-yet-rolled-up data)
+ *          and /data/history (custom resolutions)
+ * ENERGY: Raw points are integrated left-Riemann style (value held until the next
+ *         point, capped at 5 of the topic's archive intervals so outages don't count as energy)
+ * @param {string|number} resolution - Target tier or bucket size in ms
+ * @param {string} topic - MQTT topic (decides whether energy is integrated)
+ * @param {Array} source - Raw points or formatted buckets, oldest first
+ * @param {number} endMs - End of the source range (integration limit for the last point)
+ * @returns {Array} - Formatted buckets, oldest first
+ */
+function aggregateIntoBuckets(resolution, topic, source, endMs) {
+  const maxGap = 5 * getTopicArchiveInterval(topic);
+  const integrate = isPowerTopic(topic);
+  const buckets = new Map();
+  
+  source.forEach((entry, index) => {
+    const ms = new Date(entry.timestamp).getTime();
+    const isRawPoint = entry.count === undefined;
+    const start = getBucketStart(resolution, ms);
+    
+    let bucket = buckets.get(start);
+    if (!bucket) {
+      bucket = { start, min: Infinity, max: -Infinity, sum: 0, last: null, count: 0, energyInWh: 0, energyOutWh: 0 };
+      buckets.set(start, bucket);
+    }
+    
+    if (isRawPoint) {
+      bucket.min = Math.min(bucket.min, entry.value);
+      bucket.max = Math.max(bucket.max, entry.value);
+      bucket.sum += entry.value;
+      bucket.last = entry.value;
+      bucket.count++;
+      
+      if (integrate) {
+        const nextMs = index + 1 < source.length ? new Date(source[index + 1].timestamp).getTime() : endMs;
+        const hours = Math.max(0, Math.min(nextMs - ms, maxGap)) / 3600000;
+        if (entry.value >= 0) {
+          bucket.energyInWh += entry.value * hours;
+        } else {
+          bucket.energyOutWh += -entry.value * hours;
+        }
+      }
+    } else {
+      bucket.min = Math.min(bucket.min, entry.min);
+      bucket.max = Math.max(bucket.max, entry.max);
+      bucket.sum += entry.avg * entry.count;
+      bucket.last = entry.last;
+      bucket.count += entry.count;
+      bucket.energyInWh += entry.energyInWh || 0;
+      bucket.energyOutWh += entry.energyOutWh || 0;
+    }
+  });
+  
+  return Array.from(buckets.values())
+    .filter(bucket => bucket.count > 0)
+    .map(bucket => formatBucket(topic, { ...bucket, avg: bucket.sum / bucket.count }));
+}
+
+/**
+ * Read a topic's history at a given tier within a time range
+ * USED BY: /data/history and runHistoryRollups()
+ * NOTE: Buckets past the tier's rollup watermark (e.g. the current hour) are
+ *       aggregated on the fly from the finer tier, so results are never stale
+ * @param {string} tierName - 'raw', '5m', '1h' or '1d'
+ * @returns {Array} - Raw points or formatted buckets, oldest first
+ */
+function readTierRange(tierName, topic, fromMs, toMs) {
+  if (tierName === 'raw') {
+    return readHistoryRange(topic, fromMs, toMs);
+  }
+  
+  const tier = HISTORY_TIERS[tierName];
+  const firstBucket = getBucketStart(tierName, fromMs);
+  const watermark = rollupState[tierName][topic] || 0;
+  let buckets = [];
+  
+  try {
+    const fromSegment = getSegmentKey(tierName, firstBucket);
+    const toSegment = getSegmentKey(tierName, Math.min(toMs, Date.now()));
+    const topicDir = getTopicHistoryDir(topic, tierName);
+    
+    listSegments(topic, tierName)
+      .filter(segment => segment >= fromSegment && segment <= toSegment)
+      .forEach(segment => {
+        buckets = buckets.concat(readRollupSegmentFile(path.join(topicDir, `${segment}.log`), topic).filter(bucket => {
+          const ms = new Date(bucket.timestamp).getTime();
+          return ms >= firstBucket && ms <= toMs && ms < watermark;
+        }));
+      });
+  } catch (error) {
+    console.error(`✗ Error reading ${tierName} history for ${topic}:`, error.message);
+  }
+  
+  // Aggregate the tail that hasn't been rolled up yet
+  if (toMs >= watermark) {
+    const tailFrom = Math.max(watermark, firstBucket);
+    const tailTo = Math.min(toMs, Date.now());
+    if (tailFrom <= tailTo) {
+      const source = readTierRange(tier.source, topic, tailFrom, tailTo);
+      buckets = buckets.concat(aggregateIntoBuckets(tierName, topic, source, tailTo));
+    }
+  }
+  
+  return buckets;
+}
+
+/**
+ * Pick the finest tier that still covers a range without returning too many points
+ * USED BY: /data/history
+ * @returns {string} - Key of HISTORY_TIERS
+ */
+function selectHistoryTier(fromMs, toMs) {
+  for (const tierName of ['raw', '5m', '1h', '1d']) {
+    const tier = HISTORY_TIERS[tierName];
+    const coversRange = fromMs >= Date.now() - tier.retentionDays * 24 * 60 * 60 * 1000;
+    const pointCount = (toMs - fromMs) / tier.bucketMs;
+    
+    if (coversRange && pointCount <= HISTORY_MAX_POINTS) {
+      return tierName;
+    }
+  }
+  return '1d';
+}
+
+/**
+ * Pick the tier to build custom-size buckets from
+ * USED BY: /data/history when an explicit resolution is requested
+ * RULE: Coarsest tier whose bucket size divides the resolution and whose
+ *       retention still covers the start of the range
+ * @param {number} bucketMs - Requested bucket size
+ * @returns {string|null} - Key of HISTORY_TIERS, or null if no tier can serve it
+ */
+function selectSourceTier(bucketMs, fromMs) {
+  for (const tierName of ['1d', '1h', '5m', 'raw']) {
+    const tier = HISTORY_TIERS[tierName];
+    const coversRange = fromMs >= Date.now() - tier.retentionDays * 24 * 60 * 60 * 1000;
+    
+    if (coversRange && bucketMs % tier.bucketMs === 0) {
+      return tierName;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a /data/history resolution such as '15m', '2h' or '1d' into milliseconds
+ * NOTE: Anything finer than ARCHIVE_INTERVAL is rejected (buckets would be empty)
+ * @returns {number|null}
+ */
+function parseResolution(input) {
+  const match = /^(\d+)(m|h|d)$/.exec(input);
+  if (!match) return null;
+  
+  const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  const ms = parseInt(match[1], 10) * unitMs[match[2]];
+  return ms >= ARCHIVE_INTERVAL ? ms : null;
+}
+
+/**
+ * Expand a short topic name to the full MQTT topic
+ * EXAMPLES: 'inverter_1/pv_power' → 'solar_assistant/inverter_1/pv_power/state'
+ *           Full topics are returned unchanged
+ */
+function normalizeHistoryTopic(name) {
+  let topic = name.trim();
+  if (!topic.startsWith('solar_assistant/')) topic = 'solar_assistant/' + topic;
+  if (!topic.endsWith('/state')) topic = topic + '/state';
+  return topic;
+}
+
+/**
+ * Load rollup watermarks from disk
+ * CALLED BY: loadHistoricalData()
+ */
+function loadRollupState() {
+  try {
+    if (fs.existsSync(ROLLUP_STATE_FILE)) {
+      rollupState = { ...rollupState, ...JSON.parse(fs.readFileSync(ROLLUP_STATE_FILE, 'utf8')) };
+    }
+  } catch (error) {
+    console.error('✗ Error loading rollup state:', error.message);
+  }
+}
+
+/**
+ * Build rollup buckets for every stored topic (raw → 5m → 1h → 1d)
+ * CALLED BY: setInterval (every ROLLUP_INTERVAL) and startup
+ * IMPACT: Only complete buckets are written; each tier waits for the one below it
+ * PERFORMANCE: Catches up at most ROLLUP_MAX_CATCHUP_DAYS per topic per run so a
+ *              large backlog (e.g. after migration) never blocks the event loop
+ */
+function runHistoryRollups() {
+  let writtenCount = 0;
+  
+  for (const tierName of ['5m', '1h', '1d']) {
+    const tier = HISTORY_TIERS[tierName];
+    
+    listStoredTopics(tier.source).forEach(topic => {
+      try {
+        // Source data is final up to here (raw points may still be in flight)
+        const sourceLimit = tier.source === 'raw'
+          ? Date.now() - ARCHIVE_INTERVAL
+          : (rollupState[tier.source][topic] || 0);
+        
+        let start = rollupState[tierName][topic];
+        if (!start) {
+          const firstTime = getFirstStoredTime(topic, tier.source);
+          if (firstTime === null) return;
+          start = getBucketStart(tierName, firstTime);
+        }
+        
+        const catchupLimit = start + ROLLUP_MAX_CATCHUP_DAYS * 24 * 60 * 60 * 1000;
+        const limit = getBucketStart(tierName, Math.min(sourceLimit, catchupLimit));
+        if (limit <= start) return;
+        
+        const source = readTierRange(tier.source, topic, start, limit - 1);
+        const buckets = aggregateIntoBuckets(tierName, topic, source, limit);
+        
+        if (buckets.length > 0) {
+          appendRollupBuckets(tierName, topic, buckets);
+          writtenCount += buckets.length;
+        }
+        rollupState[tierName][topic] = limit;
+      } catch (error) {
+        console.error(`✗ Error rolling up ${tierName} history for ${topic}:`, error.message);
+      }
+    });
+  }
+  
+  try {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(ROLLUP_STATE_FILE, JSON.stringify(rollupState, null, 2));
+  } catch (error) {
+    console.error('✗ Error saving rollup state:', error.message);
+  }
+  
+  if (writtenCount > 0) {
+    console.log(`📉 Rolled up ${writtenCount} history buckets`);
+  }
+}
+
+/**
+ * One-time migration of the legacy data_history.json blob into segments
+ * CALLED BY: loadHistoricalData() when HISTORY_FILE still exists
+ * IMPACT: Renames HISTORY_FILE to data_history.json.migrated when done so the
+ *         original data is kept but never imported twice
+ * NOTE: Merges with any existing segment so a re-run after a crash does not
+ *       duplicate points
+ */
+function migrateLegacyHistoryFile() {
+  console.log(`📦 Migrating ${HISTORY_FILE} to segmented history store...`);
+  
+  const legacyData = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+  let migratedCount = 0;
+  
+  for (const topic in legacyData) {
+    if (!Array.isArray(legacyData[topic])) continue;
+    
+    // Group legacy points by segment
+    const bySegment = {};
+    legacyData[topic].forEach(point => {
+      const ms = new Date(point.timestamp).getTime();
+      const value = parseFloat(point.value);
+      if (isNaN(ms) || isNaN(value)) return;
+      
+      const segment = getSegmentKey('raw', ms);
+      if (!bySegment[segment]) bySegment[segment] = new Map();
+      bySegment[segment].set(ms, value);
+    });
+    
+    const topicDir = getTopicHistoryDir(topic);
+    fs.mkdirSync(topicDir, { recursive: true });
+    
+    for (const segment in bySegment) {
+      const segmentPath = path.join(topicDir, `${segment}.log`);
+      const merged = bySegment[segment];
+      
+      if (fs.existsSync(segmentPath)) {
+        readSegmentFile(segmentPath).forEach(point => {
+          merged.set(new Date(point.timestamp).getTime(), point.value);
+        });
+      }
+      
+      const lines = Array.from(merged.keys())
+        .sort((a, b) => a - b)
+        .map(ms => `${ms},${merged.get(ms)}\n`)
+        .join('');
+      fs.writeFileSync(segmentPath, lines);
+      migratedCount += merged.size;
+    }
+  }
+  
+  fs.renameSync(HISTORY_FILE, HISTORY_FILE + '.migrated');
+  console.log(`✓ Migrated ${migratedCount} data points (original kept as ${path.basename(HISTORY_FILE)}.migrated)`);
+}
+
+/**
+ * Load historical data into the hot cache
+ * CALLED BY: Startup sequence (bottom of file)
+ * IMPACT: Restores recent chart data from previous sessions
+ * NOTE: Older data stays on disk and is read on demand by readTierRange()
+ */
+function loadHistoricalData() {
+  historicalData = {};
+  
+  try {
+    if (fs.existsSync(HISTORY_FILE)) {
+      migrateLegacyHistoryFile();
+    }
+  } catch (error) {
+    console.error('✗ Error migrating legacy history file:', error.message);
+  }
+  
+  loadRollupState();
+  
+  // Initialize with empty arrays for tracked topics
+  getTrackedTopics().forEach(topic => {
+    historicalData[topic] = [];
+  });
+  
+  try {
+    const fromMs = Date.now() - HOT_CACHE_HOURS * 60 * 60 * 1000;
+    const toMs = Date.now();
+    const hotCacheStartSegment = getSegmentKey('raw', fromMs);
+    let loadedCount = 0;
+    
+    listStoredTopics().forEach(topic => {
+      const topicDir = getTopicHistoryDir(topic);
+      let points = [];
+      
+      listSegments(topic)
+        .filter(segment => segment >= hotCacheStartSegment)
+        .forEach(segment => {
+          points = points.concat(readSegmentFile(path.join(topicDir, `${segment}.log`)));
+        });
+      
+      historicalData[topic] = points.filter(point => {
+        const ms = new Date(point.timestamp).getTime();
+        return ms >= fromMs && ms <= toMs;
+      });
+      loadedCount += historicalData[topic].length;
+    });
+    
+    console.log(`📂 Loaded ${loadedCount} recent data points from ${HISTORY_DIR}`);
+    
+    // Clean up old data
+    pruneOldData();
+  } catch (error) {
+    console.error('✗ Error loading historical data:', error.message);
+  }
+}
+
+/**
+ * Flush buffered data points to the segment store
+ * CALLED BY: setInterval (every 60 seconds) and shutdown handler
+ * IMPACT: Persists chart data across app restarts
+ * PERFORMANCE: Only appends points archived since the last flush
+ */
+function saveHistoricalData() {
+  const toWrite = pendingHistoryWrites;
+  pendingHistoryWrites = {};
+  let savedCount = 0;
+  
+  for (const topic in toWrite) {
+    try {
+      appendHistoryPoints(topic, toWrite[topic]);
+      savedCount += toWrite[topic].length;
+    } catch (error) {
+      console.error(`✗ Error saving historical data for ${topic}:`, error.message);
+      // Keep the points so the next flush retries them
+      pendingHistoryWrites[topic] = toWrite[topic].concat(pendingHistoryWrites[topic] || []);
+    }
+  }
+  
+  if (savedCount > 0) {
+    console.log(`💾 Saved ${savedCount} new historical data points`);
+  }
+}
+
+/**
+ * Prune expired segments from every tier, trim the hot cache and prune the report archive
+ * NOTE: Retention is per tier (see HISTORY_TIERS), optionally capped per topic,
+ *       and applied per whole segment
+ */
+function pruneOldData() {
+  const hotCacheStart = Date.now() - HOT_CACHE_HOURS * 60 * 60 * 1000;
+  let prunedCount = 0;
+  
+  // Trim hot cache (older points remain available on disk)
+  for (const topic in historicalData) {
+    historicalData[topic] = historicalData[topic].filter(entry => 
+      new Date(entry.timestamp).getTime() >= hotCacheStart
+    );
+    // Topics no longer tracked leave the cache once their last points age out
+    if (historicalData[topic].length === 0 && !getTopicTracking(topic)) delete historicalData[topic];
+  }
+  
+  // Delete expired segments
+  for (const tierName in HISTORY_TIERS) {
+    try {
+      listStoredTopics(tierName).forEach(topic => {
+        const retentionDays = getTopicRetentionDays(topic, tierName);
+        const cutoffSegment = getSegmentKey(tierName, Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+        
+        listSegments(topic, tierName)
+          .filter(segment => segment < cutoffSegment)
+          .forEach(segment => {
+            fs.unlinkSync(path.join(getTopicHistoryDir(topic, tierName), `${segment}.log`));
+            prunedCount++;
+          });
+      });
+    } catch (error) {
+      console.error(`✗ Error pruning ${tierName} history:`, error.message);
+    }
+  }
+  
+  if (prunedCount > 0) {
+    console.log(`🧹 Pruned ${prunedCount} expired history segments`);
+  }
+  
+  pruneReportArchive();
+}
+
+/**
+ * Add a data point to historical tracking (throttled to the topic's archive interval)
+ * IMPACT: Point goes to the hot cache immediately and to disk on the next flush
+ */
+function addHistoricalDataPoint(topic, value, timestamp) {
+  if (getTopicTracking(topic)) {
+    const now = Date.now();
+    const lastArchived = lastArchivedTime[topic] || 0;
+    
+    // Only archive if the topic's interval has passed since its last archive
+    if (now - lastArchived < getTopicArchiveInterval(topic)) {
+      return; // Skip archiving, but data is still in cachedData for real-time display
+    }
+    
+    if (!historicalData[topic]) {
+      historicalData[topic] = [];
+    }
+    
+    // Only add if value is numeric
+    const numValue = parseFloat(value);
+    if (!isNaN(numValue)) {
+      const point = {
+        timestamp: timestamp,
+        value: numValue
+      };
+      
+      historicalData[topic].push(point);
+      
+      if (!pendingHistoryWrites[topic]) {
+        pendingHistoryWrites[topic] = [];
+      }
+      pendingHistoryWrites[topic].push(point);
+      
+      // Update last archived time
+      lastArchivedTime[topic] = now;
+    }
+  }
+}
+
+// Load alert settings on startup (tracked topics are needed by the history store)
+loadAlertSettings();
+
+// Load historical data on startup
+loadHistoricalData();
+
+// Load daily stats on startup
+loadDailyStats();
+
+// Load recent alert log entries and drop months past retention
+loadAlertHistory();
+pruneAlertLog();
+
+// Restore active alerts, quiet hours digest, alertState and peakDischargeState
+loadAlertState();
+
+// Load PV vs. irradiance samples for the solar forecast
+loadSolarCalibration();
+
+// Fetch initial weather data
+fetchWeatherData();
+
+// Periodically save historical data and daily stats
+setInterval(() => {
+  pruneOldData();
+  saveHistoricalData();
+  saveDailyStats();
+}, SAVE_INTERVAL);
+
+// Periodically update weather data
+setInterval(() => {
+  fetchWeatherData();
+}, WEATHER_UPDATE_INTERVAL);
+
+// Check that the charger really is where chargerState says it is
+setInterval(() => {
+  verifyChargerState().catch(error => console.error('❌ Error verifying charger state:', error.message));
+}, CHARGER_VERIFY_INTERVAL);
+
+// Snooze reminders, quiet hours digest, restored alerts that did not recur
+setInterval(() => {
+  checkActiveAlerts().catch(error => console.error('❌ Error checking active alerts:', error.message));
+}, ALERT_CHECK_INTERVAL);
+
+// Watch for SolarAssistant going quiet while the broker stays up
+setInterval(() => {
+  checkStaleData().catch(error => console.error('❌ Error checking for stale data:', error.message));
+}, STALE_CHECK_INTERVAL);
+
+// Build history rollups on startup (catches up after downtime) and in the background
+runHistoryRollups();
+setInterval(() => {
+  runHistoryRollups();
+}, ROLLUP_INTERVAL);
+
+// Fill in the energy ledger for days that ended while the app was down
+initEnergyLedger();
+updateEnergyLedger().catch(error => console.error('❌ Error updating the energy ledger:', error.message));
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LIVE UPDATE STREAM (SERVER-SENT EVENTS)
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Push changed values to open dashboards instead of having every
+//          browser poll /data and /data/battery for the full cachedData map
+// FLOW: MQTT message → queueLiveTopic() → flushLiveUpdates() (every
+//       LIVE_PUSH_INTERVAL) → broadcastLiveEvent() → /data/stream clients
+//
+// EVENTS (a client picks channels with /data/stream?channels=...):
+// - snapshot: Full state sent on connect (or when a resume is not possible)
+// - topics:   { data: { topic: cachedData entry }, lastUpdate, messageCount }
+// - battery:  getBatterySnapshot() whenever a battery topic changed
+// - charger:  chargerState whenever it changes
+// - alert:    { alerts: [new alertHistory entries] }
+// - weather:  weatherData after each refresh
+// - status:   { status: connectionStatus, error: mqttLastError } when the MQTT connection changes
+//
+// RESUME: Every event has an incrementing id and the last LIVE_EVENT_BUFFER_SIZE
+//         events are kept, so a reconnecting browser (Last-Event-ID header or
+//         ?lastEventId=) only receives what it missed
+
+const LIVE_CHANNELS = ['topics', 'battery', 'charger', 'alert', 'weather', 'status'];
+const LIVE_DEFAULT_CHANNELS = ['topics', 'charger', 'alert', 'weather', 'status'];
+
+const liveClients = new Set();    // { res, channels: Set } per open /data/stream
+const liveEventLog = [];          // Ring buffer of { id, event, payload } for resume
+let liveEventId = 0;              // Id of the most recent event
+let pendingLiveTopics = {};       // Topics changed since the last flush
+const liveTopicSentAt = {};       // Last time each topic was pushed (ms)
+const liveTopicSentRaw = {};      // Last raw value pushed per topic
+let lastLiveCharger = JSON.stringify(chargerState);
+let lastLiveWeather = JSON.stringify(weatherData);
+let lastLiveStatus = connectionStatus;
+let lastLiveAlert = alertHistory[0];
+
+/**
+ * Format one SSE frame
+ */
+function formatLiveEvent(entry) {
+  return `id: ${entry.id}\nevent: ${entry.event}\ndata: ${entry.payload}\n\n`;
+}
+
+/**
+ * Write a frame to a client, dropping it if the socket has gone away
+ */
+function writeLiveFrame(client, frame) {
+  try {
+    client.res.write(frame);
+  } catch (error) {
+    liveClients.delete(client);
+  }
+}
+
+/**
+ * Record an event in the resume buffer and send it to subscribed clients
+ * @param {string} event - One of LIVE_CHANNELS
+ * @param {Object} data - JSON-serialisable payload
+ */
+function broadcastLiveEvent(event, data) {
+  const entry = { id: ++liveEventId, event: event, payload: JSON.stringify(data) };
+  liveEventLog.push(entry);
+  if (liveEventLog.length > LIVE_EVENT_BUFFER_SIZE) liveEventLog.shift();
+  
+  const frame = formatLiveEvent(entry);
+  liveClients.forEach(client => {
+    if (client.channels.has(event)) writeLiveFrame(client, frame);
+  });
+}
+
+/**
+ * Mark a topic as changed for the next push
+ * CALLED BY: MQTT message handler after cachedData is updated
+ * NOTE: Unchanged values are skipped unless LIVE_TOPIC_REFRESH has passed, so
+ *       steady readings do not flood the stream but their timestamps still advance
+ */
+function queueLiveTopic(topic) {
+  const entry = cachedData[topic];
+  const now = Date.now();
+  if (entry.raw === liveTopicSentRaw[topic] && now - (liveTopicSentAt[topic] || 0) < LIVE_TOPIC_REFRESH) {
+    return;
+  }
+  pendingLiveTopics[topic] = entry;
+  liveTopicSentRaw[topic] = entry.raw;
+  liveTopicSentAt[topic] = now;
+}
+
+/**
+ * Push batched topic changes plus any charger/alert/weather/status changes
+ * CALLED BY: setInterval (every LIVE_PUSH_INTERVAL)
+ * NOTE: Runs even with no clients connected so the resume buffer stays current
+ */
+function flushLiveUpdates() {
+  const changedTopics = Object.keys(pendingLiveTopics);
+  if (changedTopics.length > 0) {
+    broadcastLiveEvent('topics', {
+      data: pendingLiveTopics,
+      lastUpdate: lastUpdate,
+      messageCount: messageCount
+    });
+    if (changedTopics.some(topic => topic.includes('battery'))) {
+      broadcastLiveEvent('battery', getBatterySnapshot());
+    }
+    pendingLiveTopics = {};
+  }
+  
+  const charger = JSON.stringify(chargerState);
+  if (charger !== lastLiveCharger) {
+    lastLiveCharger = charger;
+    broadcastLiveEvent('charger', chargerState);
+  }
+  
+  if (alertHistory[0] !== lastLiveAlert) {
+    const seen = alertHistory.indexOf(lastLiveAlert);
+    broadcastLiveEvent('alert', { alerts: alertHistory.slice(0, seen === -1 ? alertHistory.length : seen) });
+    lastLiveAlert = alertHistory[0];
+  }
+  
+  const weather = JSON.stringify(weatherData);
+  if (weather !== lastLiveWeather) {
+    lastLiveWeather = weather;
+    broadcastLiveEvent('weather', weatherData);
+  }
+  
+  if (connectionStatus !== lastLiveStatus) {
+    lastLiveStatus = connectionStatus;
+    broadcastLiveEvent('status', { status: connectionStatus, error: mqttLastError });
+  }
+}
+
+/**
+ * Build the full-state event for a newly connected client
+ * @param {Set} channels - Channels the client subscribed to
+ */
+function buildLiveSnapshot(channels) {
+  const snapshot = {
+    lastUpdate: lastUpdate,
+    messageCount: messageCount,
+    status: connectionStatus,
+    mqttError: mqttLastError,
+    staleAfterMinutes: alertSettings.staleData.minutes,
+    chargerState: chargerState,
+    weather: weatherData
+  };
+  if (channels.has('topics')) snapshot.data = cachedData;
+  if (channels.has('battery')) snapshot.battery = getBatterySnapshot();
+  return { id: liveEventId, event: 'snapshot', payload: JSON.stringify(snapshot) };
+}
+
+setInterval(flushLiveUpdates, LIVE_PUSH_INTERVAL);
+
+setInterval(() => {
+  liveClients.forEach(client => writeLiveFrame(client, ': heartbeat\n\n'));
+}, LIVE_HEARTBEAT_INTERVAL);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// JOB SCHEDULER
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Run calendar jobs (daily summary, log maintenance) on cron-like
+//          expressions in the configured IANA timezone - not the server's
+// FORMAT: 'minute hour day-of-month month day-of-week' with *, lists (1,15),
+//         ranges (1-5, mon-fri), steps (*/15) and @hourly/@daily/@weekly/@monthly/@yearly
+//         RULE: When both day fields are restricted a day matching either runs (like cron)
+// FLOW: registerScheduledJob() → scheduleJob() computes nextRun from the wall
+//       clock → timer fires → runScheduledJob() schedules the following run, then runs
+//       Settings saved → rescheduleAllJobs() (new times/timezone apply at once)
+// DST: Runs are worked out from local wall-clock time each time, so a 20:00
+//      job stays at 20:00 across changes. A time skipped by spring-forward
+//      runs just after the gap; a time repeated by fall-back runs once.
+// NOTE: Timers are capped at SCHEDULER_MAX_DELAY and re-armed, so a system
+//       clock change or a suspended container can't push a run out by days
+
+const SCHEDULER_MAX_DELAY = 60 * 60 * 1000;
+const CRON_SEARCH_DAYS = 366 * 8;  // Long enough for e.g. "Feb 29 that is a Monday"
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Registered jobs by name
+// STRUCTURE: { name: { name, label, getCron, run, cron, nextRun, lastRun, lastError, running, timer } }
+const scheduledJobs = {};
+
+/**
+ * Parse one cron field into the set of values it allows
+ * @throws {Error} - Message names the field and the bad part
+ */
+function parseCronField(field, spec) {
+  const toValue = text => {
+    const named = spec.names ? spec.names.indexOf(text) : -1;
+    const value = named !== -1 ? named + spec.min : (/^\d+$/.test(text) ? parseInt(text, 10) : NaN);
+    if (isNaN(value) || value < spec.min || value > spec.max) {
+      throw new Error(`${spec.name} "${text}" must be between ${spec.min} and ${spec.max}`);
+    }
+    return value;
+  };
+  
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const match = /^(?:\*|([a-z0-9]+)(?:-([a-z0-9]+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid ${spec.name} "${part}"`);
+    
+    const step = match[3] ? parseInt(match[3], 10) : 1;
+    let from = spec.min;
+    let to = spec.max;
+    if (match[1] !== undefined) {
+      from = toValue(match[1]);
+      to = match[2] !== undefined ? toValue(match[2]) : (match[3] ? spec.max : from);
+    }
+    if (step < 1 || from > to) throw new Error(`Invalid ${spec.name} "${part}"`);
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * RETURNS: { minutes: [], hours: [], days: Set, months: Set, weekdays: Set, anyDay, anyWeekday }
+ * @throws {Error} - Explains what is wrong (shown by the settings API)
+ */
+function parseCronExpression(expression) {
+  const text = String(expression || '').trim().toLowerCase();
+  const fields = (CRON_ALIASES[text] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+  
+  const sets = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  if (sets[4].delete(7)) sets[4].add(0); // 7 is Sunday too
+  const sorted = set => [...set].sort((a, b) => a - b);
+  
+  return {
+    minutes: sorted(sets[0]),
+    hours: sorted(sets[1]),
+    days: sets[2],
+    months: sets[3],
+    weekdays: sets[4],
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+/**
+ * Check a cron expression from the settings API
+ * RETURNS: Error message, or null if valid
+ */
+function validateCronExpression(expression) {
+  try {
+    parseCronExpression(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Whether a calendar date matches the day fields of a parsed expression
+ */
+function cronMatchesDate(cron, month, day, weekday) {
+  if (!cron.months.has(month)) return false;
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return cron.weekdays.has(weekday);
+  if (cron.anyWeekday) return cron.days.has(day);
+  return cron.days.has(day) || cron.weekdays.has(weekday);
+}
+
+/**
+ * Wall-clock time in a timezone as if it were UTC (whole minutes)
+ * NOTE: Subtracting the real instant from this gives the zone's UTC offset
+ */
+function getZonedWallMs(ms, timezone) {
+  const local = getZonedTimeParts(new Date(ms), timezone);
+  return Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes);
+}
+
+/**
+ * Instant at which a timezone's wall clock shows a given date and time
+ * RULE: A time repeated by fall-back gives its first occurrence; a time
+ *       skipped by spring-forward is moved forward by the gap (02:30 → 03:30)
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, timezone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const twelveHours = 12 * 60 * 60 * 1000;
+  
+  // The offsets in force half a day either side cover any transition that day
+  const candidates = [wall - twelveHours, wall + twelveHours].map(ms => {
+    const offset = getZonedWallMs(ms, timezone) - Math.floor(ms / 60000) * 60000;
+    return wall - offset;
+  });
+  const exact = candidates.filter(ms => getZonedWallMs(ms, timezone) === wall);
+  return exact.length ? Math.min(...exact) : candidates[0];
+}
+
+/**
+ * First run of a parsed expression strictly after a given instant
+ * RETURNS: Epoch ms, or null if it never matches (e.g. "0 0 31 2 *")
+ */
+function getNextCronRun(cron, afterMs, timezone) {
+  const start = getZonedTimeParts(new Date(afterMs), timezone);
+  
+  for (let offset = 0; offset <= CRON_SEARCH_DAYS; offset++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    if (!cronMatchesDate(cron, month, day, date.getUTCDay())) continue;
+    
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        // Skip times well before now on the first day (3 hours covers any DST shift)
+        if (offset === 0 && hour * 60 + minute < start.minutes - 180) continue;
+        const time = zonedTimeToUtc(year, month, day, hour, minute, timezone);
+        if (time > afterMs) return time;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Format a run time for logs and the settings page
+ */
+function formatScheduledTime(ms, timezone) {
+  return `${new Date(ms).toLocaleString('en-US', { timeZone: timezone })} (${timezone})`;
+}
+
+/**
+ * Add a job and schedule its first run
+ * @param {string} name - Unique job name
+ * @param {Object} job - { label, getCron: () => expression or null (= not scheduled), run: async () => {} }
+ */
+function registerScheduledJob(name, job) {
+  scheduledJobs[name] = {
+    name: name,
+    label: job.label,
+    getCron: job.getCron,
+    run: job.run,
+    cron: null,
+    nextRun: null,
+    lastRun: null,
+    lastError: null,
+    running: false,
+    timer: null
+  };
+  scheduleJob(scheduledJobs[name]);
+}
+
+/**
+ * Work out a job's next run from its current expression and the timezone
+ * CALLED BY: registerScheduledJob(), runScheduledJob(), rescheduleAllJobs()
+ * @param {number} after - Find the first run after this instant
+ */
+function scheduleJob(job, after = Date.now()) {
+  clearTimeout(job.timer);
+  job.timer = null;
+  const previous = job.nextRun;
+  const timezone = getConfiguredTimezone();
+  
+  job.cron = job.getCron();
+  job.nextRun = null;
+  if (!job.cron) {
+    if (previous) console.log(`📅 ${job.label}: not scheduled`);
+    return;
+  }
+  
+  try {
+    job.nextRun = getNextCronRun(parseCronExpression(job.cron), after, timezone);
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`❌ ${job.label}: invalid schedule "${job.cron}": ${error.message}`);
+    return;
+  }
+  if (!job.nextRun) {
+    console.log(`📅 ${job.label}: "${job.cron}" never runs`);
+    return;
+  }
+  
+  if (job.nextRun !== previous) {
+    console.log(`📅 ${job.label}: next run ${formatScheduledTime(job.nextRun, timezone)}`);
+  }
+  armJobTimer(job);
+}
+
+/**
+ * Set the job's timer (at most SCHEDULER_MAX_DELAY ahead, then re-armed)
+ */
+function armJobTimer(job) {
+  const delay = Math.max(0, Math.min(job.nextRun - Date.now(), SCHEDULER_MAX_DELAY));
+  job.timer = setTimeout(() => {
+    if (Date.now() < job.nextRun) {
+      armJobTimer(job);
+    } else {
+      runScheduledJob(job);
+    }
+  }, delay);
+}
+
+/**
+ * Run a job that is due
+ * NOTE: The next run is scheduled first (from the slot just due, not from
+ *       now), so a slow or failing job never skips or repeats a run
+ */
+async function runScheduledJob(job) {
+  const due = job.nextRun;
+  scheduleJob(job, due);
+  
+  if (job.running) {
+    console.log(`⏭️ ${job.label}: previous run still in progress - skipped`);
+    return;
+  }
+  job.running = true;
+  job.lastRun = new Date().toISOString();
+  try {
+    await job.run();
+    job.lastError = null;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`❌ ${job.label} failed:`, error.message);
+  } finally {
+    job.running = false;
+  }
+}
+
+/**
+ * Re-read every job's expression and the timezone
+ * CALLED BY: POST /settings/alerts
+ */
+function rescheduleAllJobs() {
+  Object.values(scheduledJobs).forEach(job => scheduleJob(job));
+}
+
+/**
+ * Scheduled jobs for the settings API
+ */
+function getScheduledJobs() {
+  const timezone = getConfiguredTimezone();
+  return Object.values(scheduledJobs).map(job => ({
+    name: job.name,
+    label: job.label,
+    cron: job.cron,
+    timezone: timezone,
+    nextRun: job.nextRun ? new Date(job.nextRun).toISOString() : null,
+    nextRunLocal: job.nextRun ? formatScheduledTime(job.nextRun, timezone) : null,
+    lastRun: job.lastRun,
+    lastError: job.lastError,
+    running: job.running
+  }));
+}
+
+/**
+ * Cron expression for the daily summary
+ * RULE: dailySummary.schedule (cron) wins; otherwise every day at sendTime
+ * NOTE: Scheduled even with emails off - the report is still archived (see REPORT ARCHIVE)
+ */
+function getDailySummaryCron() {
+  const summary = alertSettings.dailySummary;
+  if (summary.schedule) return summary.schedule;
+  const minutes = parseTimeOfDay(summary.sendTime) ?? 20 * 60;
+  return `${minutes % 60} ${Math.floor(minutes / 60)} * * *`;
+}
+
+registerScheduledJob('daily_summary', {
+  label: 'Daily summary',
+  getCron: getDailySummaryCron,
+  run: () => sendDailySummaryReport()
+});
+
+registerScheduledJob('weekly_summary', {
+  label: 'Weekly summary',
+  getCron: () => alertSettings.weeklySummary.schedule,
+  run: () => sendPeriodSummaryReport('weekly')
+});
+
+registerScheduledJob('monthly_summary', {
+  label: 'Monthly summary',
+  getCron: () => alertSettings.monthlySummary.schedule,
+  run: () => sendPeriodSummaryReport('monthly')
+});
+
+// Close the energy accounting day at local midnight even when no message arrives
+registerScheduledJob('energy_midnight', {
+  label: 'Energy day rollover',
+  getCron: () => '0 0 * * *',
+  run: async () => {
+    checkDayRollover();
+    saveDailyStats();
+  }
+});
+
+// Yesterday's energy ledger record (and any day missed while the app was down)
+registerScheduledJob('energy_ledger', {
+  label: 'Energy ledger',
+  getCron: () => '5 0 * * *',
+  run: () => updateEnergyLedger()
+});
+
+// Whole months of the alert log older than ALERT_LOG_RETENTION_DAYS
+registerScheduledJob('alert_log_prune', {
+  label: 'Alert log cleanup',
+  getCron: () => '15 3 * * *',
+  run: async () => pruneAlertLog()
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MQTT CLIENT - CORE DATA INGESTION
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Subscribe to SolarAssistant MQTT broker for real-time data
+// IMPACT: This is the PRIMARY DATA SOURCE for the entire application
+// 
+// DATA FLOW:
+// 1. SolarAssistant publishes sensor data to MQTT broker
+// 2. → handleMqttMessage() receives updates
+// 3. → cachedData[topic] stores latest value
+// 4. → Tracked topics (alertSettings.trackedTopics) are added to historicalData arrays
+// 5. → Triggers charger control and alerts
+// 6. → Changed topics are pushed to /data/stream clients (polling /data is the fallback)
+//
+// TOPICS: getMqttTopic(), default solar_assistant/# (wildcard subscribes to all SolarAssistant topics)
+// BROKER: getMqttBroker() - changing either in System Configuration reconnects/resubscribes live
+// Examples: solar_assistant/inverter_1/pv_power/state
+//           solar_assistant/total/battery_state_of_charge/state
+//           solar_assistant/battery_1/temperature/state
+
+let client = null;             // Current mqtt.js client (replaced when the broker or credentials change)
+let connectedSettingsKey = null; // getMqttConnectionSettings() `client` was created with (JSON)
+let subscribedMqttTopic = null; // Main subscription on `client`
+let mqttLastError = null;      // { message, code, hint, time } - cleared on connect, shown in connectionStatus
+let mqttConnectionState = 'Connecting...'; // connectionStatus without the error text (metrics label)
+
+/**
+ * Broker URL and subscription from System Configuration
+ */
+function getMqttBroker() {
+  return alertSettings.systemSettings?.mqttBroker || DEFAULT_MQTT_BROKER;
+}
+
+function getMqttTopic() {
+  return alertSettings.systemSettings?.mqttTopic || DEFAULT_MQTT_TOPIC;
+}
+
+/**
+ * Broker, credentials and TLS files - System Configuration first, then .env
+ * RETURNS: { broker, username, password, clientId, caFile, certFile, keyFile, rejectUnauthorized }
+ */
+function getMqttConnectionSettings() {
+  const system = alertSettings.systemSettings || {};
+  const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+  return {
+    broker: getMqttBroker(),
+    username: pick(system.mqttUsername, MQTT_ENV_OPTIONS.username),
+    password: pick(system.mqttPassword, MQTT_ENV_OPTIONS.password),
+    clientId: pick(system.mqttClientId, MQTT_ENV_OPTIONS.clientId),
+    caFile: pick(system.mqttCaFile, MQTT_ENV_OPTIONS.caFile),
+    certFile: pick(system.mqttCertFile, MQTT_ENV_OPTIONS.certFile),
+    keyFile: pick(system.mqttKeyFile, MQTT_ENV_OPTIONS.keyFile),
+    rejectUnauthorized: pick(system.mqttRejectUnauthorized, MQTT_ENV_OPTIONS.rejectUnauthorized)
+  };
+}
+
+/**
+ * mqtt.connect() options for the current connection settings
+ * NOTE: Throws if a certificate file can't be read
+ */
+function buildMqttOptions(settings) {
+  const options = {
+    reconnectPeriod: 5000,    // Auto-reconnect every 5 seconds if disconnected
+    connectTimeout: 10000,    // Wait 10 seconds before timing out
+    rejectUnauthorized: settings.rejectUnauthorized
+  };
+  // The password is only sent with a username - clearing the username turns auth off
+  if (settings.username) {
+    options.username = settings.username;
+    if (settings.password) options.password = settings.password;
+  }
+  if (settings.clientId) options.clientId = settings.clientId;
+  
+  const readPem = (file, label) => {
+    try {
+      return fs.readFileSync(file);
+    } catch (error) {
+      throw new Error(`Cannot read MQTT ${label} ${file}: ${error.code || error.message}`);
+    }
+  };
+  if (settings.caFile) options.ca = readPem(settings.caFile, 'CA certificate');
+  if (settings.certFile) options.cert = readPem(settings.certFile, 'client certificate');
+  if (settings.keyFile) options.key = readPem(settings.keyFile, 'client key');
+  return options;
+}
+
+/**
+ * Turn an MQTT/socket/TLS error into a hint the dashboard can show
+ * RETURNS: Short hint, or null if there's nothing useful to add
+ */
+function describeMqttError(error) {
+  const code = error.code;
+  const message = String(error.message || '');
+  if (code === 4 || code === 134 || /bad user ?name or password/i.test(message)) return 'check the MQTT username and password';
+  if (code === 5 || code === 135 || /not authori[sz]ed/i.test(message)) return 'the broker requires a username/password or this user lacks access';
+  if (code === 2 || code === 133 || /identifier rejected/i.test(message)) return 'the broker rejected the client ID';
+  if (code === 'ECONNREFUSED') return 'nothing is listening on that host/port';
+  if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') return 'the broker host name could not be resolved';
+  if (code === 'ETIMEDOUT' || code === 'EHOSTUNREACH' || code === 'ENETUNREACH') return 'the broker host is unreachable';
+  if (code === 'ECONNRESET' || code === 'EPIPE') return 'the broker closed the connection - check mqtt:// vs mqtts:// and the port';
+  if (['DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN', 'UNABLE_TO_VERIFY_LEAF_SIGNATURE', 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY'].includes(code)) {
+    return 'the broker certificate is not trusted - set the CA certificate or turn off certificate verification';
+  }
+  if (code === 'CERT_HAS_EXPIRED') return 'the broker certificate has expired';
+  if (code === 'ERR_TLS_CERT_ALTNAME_INVALID') return 'the broker certificate does not match the host name';
+  if (code === 'EPROTO' || /wrong version number/i.test(message)) return 'TLS handshake failed (plain mqtt:// port with mqtts://?)';
+  return null;
+}
+
+/**
+ * Set connectionStatus, keeping the last failure reason visible while reconnecting
+ */
+function setMqttStatus(status) {
+  mqttConnectionState = status;
+  if (!mqttLastError || status === 'Connected') {
+    connectionStatus = status;
+    return;
+  }
+  const reason = `${mqttLastError.message}${mqttLastError.hint ? ` (${mqttLastError.hint})` : ''}`;
+  connectionStatus = status === 'Error' ? `Error: ${reason}` : `${status} - last error: ${reason}`;
+}
+
+/**
+ * Create the MQTT client for the configured broker and wire up its events
+ * CALLED BY: Startup (below), applyMqttSettings() when the broker changes
+ * NOTE: Events from a replaced client are ignored (mqttClient !== client)
+ */
+function connectMqtt() {
+  const settings = getMqttConnectionSettings();
+  connectedSettingsKey = JSON.stringify(settings);
+  subscribedMqttTopic = null;
+  subscribedChargerTopics = [];
+  mqttLastError = null;
+  console.log(`🔌 Connecting to MQTT broker at ${settings.broker}${settings.username ? ` as ${settings.username}` : ''}...`);
+  console.log(`📡 Subscribing to topic: ${getMqttTopic()}\n`);
+  
+  let options;
+  try {
+    options = buildMqttOptions(settings);
+  } catch (error) {
+    // Without its certificates the connection can't work - wait for a settings change
+    client = null;
+    mqttLastError = { message: error.message, code: 'CONFIG', hint: 'fix the file path in System Configuration or .env', time: new Date().toISOString() };
+    setMqttStatus('Not connected');
+    console.error('✗ MQTT configuration error:', error.message);
+    return;
+  }
+  
+  const mqttClient = mqtt.connect(settings.broker, options);
+  client = mqttClient;
+  setMqttStatus('Connecting...');
+  
+  // MQTT connection events
+  mqttClient.on('connect', () => {
+    if (mqttClient !== client) return;
+    mqttLastError = null;
+    setMqttStatus('Connected');
+    console.log('✓ Connected to MQTT broker');
+    
+    subscribeMqttTopic();
+    subscribeChargerTopics();
+  });
+  
+  mqttClient.on('message', (topic, message) => {
+    if (mqttClient !== client) return;
+    handleMqttMessage(topic, message);
+  });
+  
+  mqttClient.on('error', (error) => {
+    if (mqttClient !== client) return;
+    const hint = describeMqttError(error);
+    mqttLastError = { message: error.message, code: error.code ?? null, hint: hint, time: new Date().toISOString() };
+    setMqttStatus('Error');
+    console.error(`✗ MQTT connection error: ${error.message}${hint ? ` (${hint})` : ''}`);
+  });
+  
+  mqttClient.on('offline', () => {
+    if (mqttClient !== client) return;
+    setMqttStatus('Offline - Reconnecting...');
+    console.log('⚠ MQTT client offline, attempting to reconnect...');
+  });
+  
+  mqttClient.on('reconnect', () => {
+    if (mqttClient !== client) return;
+    setMqttStatus('Reconnecting...');
+    console.log('🔄 Reconnecting to MQTT broker...');
+  });
+}
+
+/**
+ * Subscribe `client` to the configured topic, dropping the previous subscription
+ * CALLED BY: MQTT connect handler, applyMqttSettings()
+ */
+function subscribeMqttTopic() {
+  const topic = getMqttTopic();
+  if (subscribedMqttTopic && subscribedMqttTopic !== topic) {
+    client.unsubscribe(subscribedMqttTopic);
+    console.log(`✓ Unsubscribed from ${subscribedMqttTopic}`);
+  }
+  
+  client.subscribe(topic, (err) => {
+    if (err) {
+      console.error('✗ Failed to subscribe to topic:', err.message);
+      mqttLastError = { message: err.message, code: err.code ?? null, hint: 'the broker refused the subscription - check the topic and user permissions', time: new Date().toISOString() };
+      mqttConnectionState = 'Subscription failed';
+      connectionStatus = `Subscription failed - ${err.message}`;
+    } else {
+      subscribedMqttTopic = topic;
+      console.log(`✓ Subscribed to ${topic}`);
+      console.log('📊 Waiting for messages...\n');
+    }
+  });
+}
+
+/**
+ * Apply changed broker/credential/topic settings without a restart
+ * CALLED BY: POST /settings/alerts after systemSettings change
+ * IMPACT: Clears cachedData so values from the old broker/subscription don't linger
+ * RETURNS: 'reconnecting' | 'resubscribed' | null (nothing changed)
+ */
+function applyMqttSettings() {
+  if (JSON.stringify(getMqttConnectionSettings()) !== connectedSettingsKey) {
+    const oldClient = client;
+    const brokerChanged = getMqttBroker() !== JSON.parse(connectedSettingsKey).broker;
+    if (brokerChanged) {
+      cachedData = {};
+      rebuildDiscoveredDevices();
+    }
+    connectMqtt();
+    if (oldClient) oldClient.end(true);
+    return 'reconnecting';
+  }
+  if (getMqttTopic() !== subscribedMqttTopic) {
+    cachedData = {};
+    rebuildDiscoveredDevices();
+    if (client && client.connected) subscribeMqttTopic();
+    return 'resubscribed';
+  }
+  return null;
+}
+
+connectMqtt();
+
+/**
+ * MQTT Message Handler - PRIMARY DATA INGESTION POINT
+ * CALLED BY: MQTT client 'message' event (see connectMqtt) when broker publishes to subscribed topics
+ * IMPACT: Updates cachedData, historicalData, triggers alerts and charger control
+ * FREQUENCY: Every time a sensor value changes (typically every 1-5 seconds)
+ * 
+ * CRITICAL FLOW:
+ * 1. Parse incoming message (JSON or string)
+ * 2. Update cachedData[topic] with latest value
+ * 3. If topic is tracked → add to historicalData for charts
+ * 4. If topic is battery SOC → trigger charger control
+ * 5. Queue the topic for the live stream (see flushLiveUpdates)
+ */
+async function handleMqttMessage(topic, message) {
+  try {
+    messageCount++;
+    const messageStr = message.toString();
+    const timestamp = new Date().toISOString();
+    
+    // Try to parse as JSON, otherwise store as string
+    let value;
+    try {
+      value = JSON.parse(messageStr);
+    } catch (e) {
+      value = messageStr;
+    }
+    
+    // Store in cache using topic as key
+    // IMPACT: This is what /data endpoint returns to dashboard
+    cachedData[topic] = {
+      value: value,
+      timestamp: timestamp,
+      raw: messageStr
+    };
+    
+    // Pick up new inverters/batteries
+    discoverDeviceTopic(topic);
+    
+    // Push to live dashboards on the next flush
+    queueLiveTopic(topic);
+    
+    // Add to historical data if it's a tracked topic
+    addHistoricalDataPoint(topic, value, timestamp);
+    
+    // Update daily statistics
+    updateDailyStats(topic, value);
+    
+    // Check for battery alerts and charger control
+    if (topic === 'solar_assistant/total/battery_state_of_charge/state') {
+      await checkBatteryAlerts(value);
+      await controlBatteryCharger(value);
+    }
+    
+    // Monitor peak discharge
+    if (topic === 'solar_assistant/total/battery_power/state') {
+      await monitorPeakDischarge(value);
+    }
+    
+    // Per-pack temperature / cell balance / SOC divergence
+    await checkBatteryPackAlerts(topic);
+    
+    // User-defined alert rules
+    await evaluateAlertRules(topic);
+    
+    lastUpdate = new Date();
+    
+    // Log message (limit console spam by only showing every 10th message details)
+    if (messageCount % 10 === 1) {
+      console.log(`✓ Message #${messageCount} - Topic: ${topic}`);
+      console.log(`  Value: ${messageStr.substring(0, 100)}${messageStr.length > 100 ? '...' : ''}`);
+    }
+    
+  } catch (error) {
+    console.error(`✗ Error processing message from ${topic}:`, error.message);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// AUTHENTICATION MIDDLEWARE & ENDPOINTS
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: JWT-based authentication to protect dashboard access
+// SECURITY: All routes except /login and /api/auth/* require valid JWT
+
+/**
+ * Authentication Middleware (for API endpoints)
+ * Verifies JWT token from cookie
+ * Protects routes from unauthorized access
+ */
+function authenticateToken(req, res, next) {
+  const token = req.cookies.token;
+  
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  
+  try {
+    const user = jwt.verify(token, process.env.JWT_SECRET || 'default-secret-change-me');
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+}
+
+/**
+ * Authentication Middleware (for HTML pages)
+ * Redirects to /login if not authenticated
+ */
+function requireAuth(req, res, next) {
+  const token = req.cookies.token;
+  
+  if (!token) {
+    return res.redirect('/login');
+  }
+  
+  try {
+    const user = jwt.verify(token, process.env.JWT_SECRET || 'default-secret-change-me');
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.redirect('/login');
+  }
+}
+
+/**
+ * Metrics Authentication Middleware (for /metrics)
+ * Prometheus can't log in, so /metrics uses a static token instead of the JWT cookie
+ * ACCEPTS: "Authorization: Bearer <METRICS_TOKEN>" or ?token=<METRICS_TOKEN>
+ * NOTE: Returns 404 when METRICS_TOKEN isn't configured so the endpoint stays hidden
+ */
+function authenticateMetricsToken(req, res, next) {
+  if (!METRICS_TOKEN) {
+    return res.status(404).type('text/plain').send('Metrics disabled - set METRICS_TOKEN in .env\n');
+  }
+  
+  const header = req.headers.authorization || '';
+  const supplied = header.startsWith('Bearer ') ? header.slice(7).trim() : (req.query.token || '');
+  const expected = Buffer.from(METRICS_TOKEN);
+  const actual = Buffer.from(String(supplied));
+  
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.status(401).type('text/plain').send('Invalid or missing metrics token\n');
+  }
+  
+  next();
+}
+
+/**
+ * POST /api/auth/login - User login
+ * Validates credentials and issues JWT token
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password required' });
+    }
+    
+    // Check credentials against environment variables
+    const validUsername = process.env.ADMIN_USERNAME || 'admin';
+    const validPasswordHash = process.env.ADMIN_PASSWORD_HASH;
+    
+    if (username !== validUsername) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    // Verify password
+    const passwordMatch = await bcrypt.compare(password, validPasswordHash);
+    
+    if (!passwordMatch) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    // Generate JWT token
+    const token = jwt.sign(
+      { username: username },
+      process.env.JWT_SECRET || 'default-secret-change-me',
+      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    );
+    
+    // Set HTTP-only cookie
+    res.cookie('token', token, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+      sameSite: 'strict'
+    });
+    
+    res.json({ 
+      success: true, 
+      message: 'Login successful',
+      username: username
+    });
+    
+    console.log(`✅ User logged in: ${username}`);
+    
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * POST /api/auth/logout - User logout
+ * Clears JWT token cookie
+ */
+app.post('/api/auth/logout', (req, res) => {
+  res.clearCookie('token');
+  res.json({ success: true, message: 'Logged out successfully' });
+  console.log('✅ User logged out');
+});
+
+/**
+ * GET /api/auth/check - Check authentication status
+ * Returns current user info if authenticated
+ */
+app.get('/api/auth/check', authenticateToken, (req, res) => {
+  res.json({ 
+    authenticated: true, 
+    username: req.user.username 
+  });
+});
+
+/**
+ * GET /api/version - Get application version
+ * Public endpoint to check app version
+ */
+app.get('/api/version', (req, res) => {
+  const pkg = require('./package.json');
+  res.json({ 
+    version: pkg.version,
+    name: pkg.name,
+    description: pkg.description
+  });
+});
+
+/**
+ * GET /settings - Settings page
+ * Serves dedicated settings page (separate window)
+ */
+app.get('/settings-page', requireAuth, (req, res) => {
+  res.send(`
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Settings - SolarAssistant Dashboard</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    
+    :root {
+      --bg-gradient-start: #1a1a2e;
+      --bg-gradient-end: #16213e;
+      --card-bg: #1e1e2e;
+      --text-primary: #f0f0f0;
+      --text-secondary: #d0d0d0;
+      --text-muted: #a0a0a0;
+      --border-color: #404050;
+      --success-color: #4ade80;
+      --warning-color: #fbbf24;
+      --danger-color: #f87171;
+    }
     
     [data-theme="light"] {
       --bg-gradient-start: #f5f7fa;
@@ -1907,7 +7597,1907 @@ app.get('/settings-page', requireAuth, (req, res) => {
     }
     
     .container {
-      max-width: 1200px;
+      max-width: 1200px;
+      margin: 0 auto;
+    }
+    
+    .header {
+      background: var(--card-bg);
+      padding: 20px 30px;
+      border-radius: 12px;
+      margin-bottom: 20px;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      border: 1px solid var(--border-color);
+    }
+    
+    h1 { color: var(--text-primary); font-size: 28px; }
+    
+    .btn {
+      padding: 10px 20px;
+      border: none;
+      border-radius: 8px;
+      cursor: pointer;
+      font-size: 14px;
+      font-weight: 600;
+      transition: all 0.3s ease;
+    }
+    
+    .btn-primary {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+    }
+    
+    .btn-primary:hover {
+      transform: translateY(-2px);
+      box-shadow: 0 8px 20px rgba(102, 126, 234, 0.4);
+    }
+    
+    .btn-secondary {
+      background: var(--border-color);
+      color: var(--text-primary);
+    }
+    
+    .accordion {
+      background: var(--card-bg);
+      border: 1px solid var(--border-color);
+      border-radius: 12px;
+      margin-bottom: 15px;
+      overflow: hidden;
+    }
+    
+    .accordion-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      padding: 20px 25px;
+      cursor: pointer;
+      transition: all 0.3s ease;
+      border-bottom: 1px solid transparent;
+    }
+    
+    .accordion-header:hover {
+      background: rgba(102, 126, 234, 0.1);
+    }
+    
+    .accordion-header.active {
+      border-bottom-color: var(--border-color);
+    }
+    
+    .accordion-header h3 {
+      color: var(--text-primary);
+      font-size: 18px;
+      margin: 0;
+    }
+    
+    .accordion-icon {
+      font-size: 20px;
+      transition: transform 0.3s ease;
+      color: var(--text-secondary);
+    }
+    
+    .accordion-header.active .accordion-icon {
+      transform: rotate(180deg);
+    }
+    
+    .accordion-content {
+      max-height: 0;
+      overflow: hidden;
+      transition: max-height 0.4s ease;
+    }
+    
+    .accordion-content.active {
+      max-height: 2000px;
+      padding: 25px;
+    }
+    
+    .form-group {
+      margin-bottom: 20px;
+    }
+    
+    .form-group label {
+      display: block;
+      font-weight: 600;
+      margin-bottom: 8px;
+      color: var(--text-primary);
+    }
+    
+    .form-group input[type="text"],
+    .form-group input[type="email"],
+    .form-group input[type="number"],
+    .form-group input[type="time"],
+    .form-group input[type="password"] {
+      padding: 10px;
+      border: 2px solid var(--border-color);
+      border-radius: 8px;
+      background: var(--card-bg);
+      color: var(--text-primary);
+      font-size: 14px;
+    }
+    
+    .form-group small {
+      display: block;
+      margin-top: 5px;
+      color: var(--text-muted);
+      font-size: 12px;
+    }
+    
+    .save-section {
+      position: sticky;
+      bottom: 0;
+      background: var(--card-bg);
+      padding: 20px;
+      border-top: 2px solid var(--border-color);
+      text-align: center;
+      margin-top: 30px;
+      border-radius: 0 0 12px 12px;
+    }
+    
+    .btn-test {
+      background: #3498db;
+      color: white;
+      padding: 8px 16px;
+      border: none;
+      border-radius: 6px;
+      cursor: pointer;
+      font-size: 13px;
+    }
+    
+    .info-box {
+      background: #fff3cd;
+      padding: 12px;
+      border-radius: 6px;
+      border-left: 3px solid #ffc107;
+      margin-top: 15px;
+      color: #856404;
+      font-size: 12px;
+    }
+    
+    .location-display {
+      background: var(--card-bg);
+      padding: 12px;
+      border-radius: 6px;
+      border: 1px solid var(--border-color);
+      font-size: 13px;
+      line-height: 1.8;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>⚙️ Settings</h1>
+      <button onclick="window.location.href='/'" class="btn btn-secondary">← Back to Dashboard</button>
+    </div>
+    
+    <div id="settings-container">
+      <!-- Settings will be loaded here -->
+      <p style="text-align: center; padding: 40px; color: var(--text-muted);">Loading settings...</p>
+    </div>
+    
+    <div class="save-section">
+      <button onclick="saveAllSettings()" class="btn btn-primary" style="padding: 15px 40px; font-size: 16px;">💾 Save All Settings</button>
+      <p style="color: var(--text-muted); font-size: 12px; margin-top: 10px;">Saves all settings across all sections • Use "Back to Dashboard" to return</p>
+    </div>
+  </div>
+  
+  <script>
+    // Load settings on page load
+    document.addEventListener('DOMContentLoaded', loadAllSettings);
+    
+    function toggleAccordion(id) {
+      const header = document.getElementById(id + '-header');
+      const content = document.getElementById(id + '-content');
+      
+      if (header && content) {
+        // Check if this accordion is already open
+        const isCurrentlyOpen = header.classList.contains('active');
+        
+        if (isCurrentlyOpen) {
+          // If it's open, just close it
+          header.classList.remove('active');
+          content.classList.remove('active');
+        } else {
+          // If it's closed, close all others first, then open this one
+          const allHeaders = document.querySelectorAll('.accordion-header');
+          const allContents = document.querySelectorAll('.accordion-content');
+          
+          allHeaders.forEach(h => h.classList.remove('active'));
+          allContents.forEach(c => c.classList.remove('active'));
+          
+          // Then open the clicked one
+          header.classList.add('active');
+          content.classList.add('active');
+        }
+      }
+    }
+    
+    function loadAllSettings() {
+      console.log('Loading settings...');
+      fetch('/settings/alerts', {
+        credentials: 'same-origin'
+      })
+        .then(response => {
+          console.log('Response status:', response.status);
+          if (!response.ok) {
+            throw new Error('Failed to load settings (status: ' + response.status + ')');
+          }
+          return response.json();
+        })
+        .then(data => {
+          console.log('Settings data:', data);
+          if (!data.settings) {
+            throw new Error('Invalid settings data received');
+          }
+          renderSettings(data.settings, data.chargerState, data.mqtt);
+        })
+        .catch(error => {
+          console.error('Error loading settings:', error);
+          document.getElementById('settings-container').innerHTML = '<p style="text-align: center; padding: 40px; color: red;">❌ Error loading settings: ' + error.message + '<br><br><a href="/">← Back to Dashboard</a></p>';
+        });
+    }
+    
+    function renderSettings(settings, chargerState, mqttStatus) {
+      try {
+        const container = document.getElementById('settings-container');
+        
+        // Debug logging
+        console.log('Rendering settings:', settings);
+        
+        let html = '';
+      
+      // System Configuration Accordion
+      html += '<div class="accordion">';
+      html += '  <div class="accordion-header" id="system-header" onclick="toggleAccordion(' + "'" + 'system' + "'" + ')">';
+      html += '    <h3>⚙️ System Configuration</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="system-content">';
+      html += '    <div class="form-group">';
+      html += '      <label for="mqttBroker">MQTT Broker Address:</label>';
+      html += '      <input type="text" id="mqttBroker" value="' + escapeAttr(settings.systemSettings?.mqttBroker || 'mqtt://192.168.1.228:1883') + '" style="width: 100%;">';
+      html += '      <small>MQTT broker URL - the dashboard reconnects when you save</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="mqttTopic">MQTT Topic:</label>';
+      html += '      <input type="text" id="mqttTopic" value="' + escapeAttr(settings.systemSettings?.mqttTopic || 'solar_assistant/#') + '" style="width: 100%;">';
+      html += '      <small>Subscribe pattern (# = all topics). Must include every solar_assistant/... topic</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="mqttUsername">MQTT Username:</label>';
+      html += '      <input type="text" id="mqttUsername" value="' + escapeAttr(settings.systemSettings?.mqttUsername || '') + '" autocomplete="off" style="width: 100%;">';
+      html += '      <small>Leave blank if the broker allows anonymous clients</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="mqttPassword">MQTT Password:</label>';
+      html += '      <input type="password" id="mqttPassword" placeholder="' + (settings.systemSettings?.mqttPassword ? 'Leave blank to keep existing' : 'Enter password') + '" autocomplete="new-password" style="width: 100%;">';
+      html += '      <small>' + (settings.systemSettings?.mqttPassword ? 'A password is set • Leave blank to keep it' : 'No password set') + '</small>';
+      if (settings.systemSettings?.mqttPassword) {
+        html += '      <label style="display: block; margin-top: 5px;"><input type="checkbox" id="clearMqttPassword"> Remove the saved password</label>';
+      }
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="mqttClientId">MQTT Client ID:</label>';
+      html += '      <input type="text" id="mqttClientId" value="' + escapeAttr(settings.systemSettings?.mqttClientId || '') + '" placeholder="random" style="width: 100%;">';
+      html += '      <small>Only needed if the broker ACL is tied to a client ID</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="mqttCaFile">TLS CA Certificate (path on server):</label>';
+      html += '      <input type="text" id="mqttCaFile" value="' + escapeAttr(settings.systemSettings?.mqttCaFile || '') + '" placeholder="/etc/ssl/mqtt-ca.pem" style="width: 100%;">';
+      html += '      <small>PEM file used to verify an mqtts:// or wss:// broker</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="mqttCertFile">TLS Client Certificate / Key (paths on server):</label>';
+      html += '      <input type="text" id="mqttCertFile" value="' + escapeAttr(settings.systemSettings?.mqttCertFile || '') + '" placeholder="/etc/ssl/mqtt-client.crt" style="width: 100%; margin-bottom: 8px;">';
+      html += '      <input type="text" id="mqttKeyFile" value="' + escapeAttr(settings.systemSettings?.mqttKeyFile || '') + '" placeholder="/etc/ssl/mqtt-client.key" style="width: 100%;">';
+      html += '      <small>Only for brokers that require client certificate authentication</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="mqttRejectUnauthorized" ' + (settings.systemSettings?.mqttRejectUnauthorized !== false ? 'checked' : '') + '> Verify the broker TLS certificate</label>';
+      html += '      <small>Untick only for a self-signed certificate you cannot provide a CA file for</small>';
+      html += '    </div>';
+      if (mqttStatus) {
+        html += '    <div class="info-box">';
+        html += '      <strong>📡 Connection:</strong> ' + escapeAttr(mqttStatus.status);
+        if (mqttStatus.error) {
+          html += '<br><small>Last error ' + new Date(mqttStatus.error.time).toLocaleString() + ': ' + escapeAttr(mqttStatus.error.message) + (mqttStatus.error.hint ? ' - ' + escapeAttr(mqttStatus.error.hint) : '') + '</small>';
+        }
+        html += '    </div>';
+      }
+      html += '    <div class="form-group">';
+      html += '      <label for="zipCode">Zip Code:</label>';
+      html += '      <input type="text" id="zipCode" value="' + escapeAttr(settings.systemSettings?.zipCode || '85142') + '" style="width: 150px;">';
+      html += '      <button onclick="lookupZipCode()" class="btn-test" style="margin-left: 10px;">📍 Lookup</button>';
+      html += '      <small>Auto-convert to lat/long for weather</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label>Location Details:</label>';
+      html += '      <div class="location-display">';
+      html += '        <div><strong>Name:</strong> <span id="locationNameDisplay">' + escapeAttr(settings.systemSettings?.locationName || 'Queen Creek, AZ') + '</span></div>';
+      html += '        <div><strong>Latitude:</strong> <span id="latitudeDisplay">' + (settings.systemSettings?.latitude || '33.2487') + '</span></div>';
+      html += '        <div><strong>Longitude:</strong> <span id="longitudeDisplay">' + (settings.systemSettings?.longitude || '-111.6343') + '</span></div>';
+      html += '      </div>';
+      html += '      <input type="hidden" id="latitude" value="' + (settings.systemSettings?.latitude || '33.2487') + '">';
+      html += '      <input type="hidden" id="longitude" value="' + (settings.systemSettings?.longitude || '-111.6343') + '">';
+      html += '      <input type="hidden" id="locationName" value="' + escapeAttr(settings.systemSettings?.locationName || 'Queen Creek, AZ') + '">';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="timezone">Timezone:</label>';
+      html += '      <input type="text" id="timezone" value="' + escapeAttr(settings.systemSettings?.timezone || 'America/Phoenix') + '" placeholder="America/Phoenix" style="width: 250px;">';
+      html += '      <button onclick="useBrowserTimezone()" class="btn-test" style="margin-left: 10px;">🕐 Use This Device</button>';
+      html += '      <small>IANA name - used for charger schedules and daily reports</small>';
+      html += '    </div>';
+      html += '    <div class="info-box">';
+      html += '      <strong>ℹ️ Note:</strong> Changes apply when you save - no restart needed. A new broker or topic clears the live values until fresh data arrives. Credentials and certificate paths left at their .env values keep following .env.';
+      html += '    </div>';
+      html += '  </div>';
+      html += '</div>';
+      
+      // Email Alert Settings Accordion
+      html += '<div class="accordion" style="margin-top: 20px;">';
+      html += '  <div class="accordion-header" id="email-header" onclick="toggleAccordion(' + "'" + 'email' + "'" + ')">';
+      html += '    <h3>📧 Email Alert Settings</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="email-content">';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="emailEnabled" ' + (settings.enabled ? 'checked' : '') + '> Enable Email Alerts</label>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="fromEmail">From Email Address:</label>';
+      html += '      <input type="email" id="fromEmail" value="' + (settings.fromEmail || 'notify@wpsitemail.com') + '" style="width: 100%;">';
+      html += '      <small>Email address that sends alerts (must be verified in SendGrid)</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="toEmail">To Email Address:</label>';
+      html += '      <input type="email" id="toEmail" value="' + (settings.toEmail || '') + '" style="width: 100%;">';
+      html += '      <small>Email address that receives alerts</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="sendgridApiKey">SendGrid API Key:</label>';
+      html += '      <input type="password" id="sendgridApiKey" placeholder="Enter new API key" style="width: 100%;">';
+      html += '      <small>' + (settings.sendgridApiKey ? 'Current: ' + settings.sendgridApiKey + ' • Leave blank to keep existing' : 'Enter your SendGrid API key') + '</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="lowThreshold">Low Battery Threshold (%):</label>';
+      html += '      <input type="number" id="lowThreshold" value="' + (settings.lowThreshold || 50) + '" min="0" max="100" style="width: 100px;">';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="highThreshold">Recovery Threshold (%):</label>';
+      html += '      <input type="number" id="highThreshold" value="' + (settings.highThreshold || 85) + '" min="0" max="100" style="width: 100px;">';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label>Test Email Functionality:</label>';
+      html += '      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-top: 10px;">';
+      html += '        <button onclick="testEmail()" class="btn-test" style="background: #3498db; padding: 12px;">📧 Test Email</button>';
+      html += '        <button onclick="testDailySummary()" class="btn-test" style="background: #9b59b6; padding: 12px;">📊 Test Daily Report</button>';
+      html += '        <button onclick="testPeriodSummary(' + "'" + 'weekly' + "'" + ')" class="btn-test" style="background: #8e44ad; padding: 12px;">📅 Test Weekly Report</button>';
+      html += '        <button onclick="testPeriodSummary(' + "'" + 'monthly' + "'" + ')" class="btn-test" style="background: #6c3483; padding: 12px;">🗓️ Test Monthly Report</button>';
+      html += '      </div>';
+      html += '      <small style="display: block; margin-top: 8px;">Test email delivery and the summary reports (weekly and monthly cover the last complete period)</small>';
+      html += '    </div>';
+      html += '  </div>';
+      html += '</div>';
+      
+      // Notification Channels Accordion
+      const notify = settings.notifications || { channels: {}, routing: {} };
+      const channel = name => notify.channels[name] || {};
+      const selectedIf = (value, current) => value === current ? ' selected' : '';
+      const channelHeader = (name, label) => '      <div style="display: flex; justify-content: space-between; align-items: center;">' +
+        '<label><input type="checkbox" id="notify_' + name + '_enabled" ' + (channel(name).enabled ? 'checked' : '') + '> <strong>' + label + '</strong></label>' +
+        '<button type="button" class="btn-test" data-channel="' + name + '" onclick="testNotificationChannel(this.dataset.channel)">🧪 Test</button></div>';
+      html += '<div class="accordion" style="margin-top: 20px;">';
+      html += '  <div class="accordion-header" id="notify-header" onclick="toggleAccordion(' + "'" + 'notify' + "'" + ')">';
+      html += '    <h3>📣 Notification Channels</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="notify-content">';
+      html += '    <div class="form-group">';
+      html += channelHeader('sendgrid', 'SendGrid Email');
+      html += '      <small>Uses the From/To addresses and API key from Email Alert Settings</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += channelHeader('smtp', 'SMTP Email');
+      html += '      <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 10px; margin-top: 10px;">';
+      html += '        <input type="text" id="smtpHost" value="' + escapeAttr(channel('smtp').host || '') + '" placeholder="SMTP host, e.g. smtp.gmail.com">';
+      html += '        <input type="number" id="smtpPort" value="' + (channel('smtp').port || 587) + '" min="1" max="65535" placeholder="Port">';
+      html += '        <input type="text" id="smtpUsername" value="' + escapeAttr(channel('smtp').username || '') + '" placeholder="Username (optional)">';
+      html += '        <input type="password" id="smtpPassword" placeholder="' + (channel('smtp').password ? 'Leave blank to keep existing' : 'Password') + '">';
+      html += '        <input type="email" id="smtpFrom" value="' + escapeAttr(channel('smtp').from || '') + '" placeholder="From (empty = From Email Address)">';
+      html += '        <input type="email" id="smtpTo" value="' + escapeAttr(channel('smtp').to || '') + '" placeholder="To (empty = To Email Address)">';
+      html += '      </div>';
+      html += '      <label style="margin-top: 8px;"><input type="checkbox" id="smtpSecure" ' + (channel('smtp').secure ? 'checked' : '') + '> Use TLS from the start (port 465) - otherwise STARTTLS when offered</label>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += channelHeader('webhook', 'Webhook (JSON)');
+      html += '      <input type="text" id="notifyWebhookUrl" value="' + escapeAttr(channel('webhook').url || '') + '" placeholder="https://example.com/hooks/solar" style="width: 100%; margin-top: 10px;">';
+      html += '      <textarea id="notifyWebhookHeaders" rows="2" style="width: 100%; font-family: monospace; margin-top: 8px;">' + escapeAttr(JSON.stringify(channel('webhook').headers || {})) + '</textarea>';
+      html += '      <small>POSTs { source, category, severity, subject, message, timestamp }. Headers as JSON - saved values show as *** and are kept.</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += channelHeader('push', 'Push (ntfy / Gotify)');
+      html += '      <div style="display: grid; grid-template-columns: 1fr 2fr; gap: 10px; margin-top: 10px;">';
+      html += '        <select id="pushService" style="padding: 10px; border-radius: 8px;">';
+      html += '          <option value="ntfy"' + selectedIf('ntfy', channel('push').service || 'ntfy') + '>ntfy</option>';
+      html += '          <option value="gotify"' + selectedIf('gotify', channel('push').service) + '>Gotify</option>';
+      html += '        </select>';
+      html += '        <input type="text" id="pushServer" value="' + escapeAttr(channel('push').server || 'https://ntfy.sh') + '" placeholder="Server URL">';
+      html += '        <input type="text" id="pushTopic" value="' + escapeAttr(channel('push').topic || '') + '" placeholder="ntfy topic">';
+      html += '        <input type="password" id="pushToken" placeholder="' + (channel('push').token ? 'Leave blank to keep existing' : 'Access / app token') + '">';
+      html += '      </div>';
+      html += '      <small>ntfy needs a topic (token optional); Gotify needs an application token. Priority follows the alert severity.</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += channelHeader('mqtt', 'MQTT Alert Topic');
+      html += '      <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 10px; margin-top: 10px;">';
+      html += '        <input type="text" id="notifyMqttTopic" value="' + escapeAttr(channel('mqtt').topic || '') + '" placeholder="solar_assistant_dashboard/alerts">';
+      html += '        <select id="notifyMqttQos" style="padding: 10px; border-radius: 8px;">';
+      [0, 1, 2].forEach(qos => {
+        html += '          <option value="' + qos + '"' + selectedIf(qos, channel('mqtt').qos ?? 1) + '>QoS ' + qos + '</option>';
+      });
+      html += '        </select>';
+      html += '      </div>';
+      html += '      <label style="margin-top: 8px;"><input type="checkbox" id="notifyMqttRetain" ' + (channel('mqtt').retain ? 'checked' : '') + '> Retain last alert</label>';
+      html += '      <small>Publishes the same JSON as the webhook on the SolarAssistant broker - works without internet</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label>Routing:</label>';
+      html += '      <div id="notificationRouting">Loading routing...</div>';
+      html += '      <small>Tick the channels each kind of alert goes to. Disabled channels are skipped. Test buttons use the values above without saving.</small>';
+      html += '    </div>';
+      html += '  </div>';
+      html += '</div>';
+      
+      // Quiet Hours & Snooze Accordion
+      const quietHours = settings.quietHours || {};
+      const alertActions = settings.alertActions || {};
+      html += '<div class="accordion" style="margin-top: 20px;">';
+      html += '  <div class="accordion-header" id="quiet-header" onclick="toggleAccordion(' + "'" + 'quiet' + "'" + ')">';
+      html += '    <h3>🌙 Quiet Hours & Snooze</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="quiet-content">';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="quietHoursEnabled" ' + (quietHours.enabled ? 'checked' : '') + '> Enable Quiet Hours</label>';
+      html += '      <small>Non-critical alerts are held and sent as one digest when quiet hours end. Critical alerts always go out right away.</small>';
+      html += '    </div>';
+      html += '    <div style="display: grid; grid-template-columns: 2fr 1fr 1fr; gap: 10px;">';
+      html += '      <div class="form-group"><label for="quietHoursDays">Days:</label><input type="text" id="quietHoursDays" value="' + escapeAttr(formatScheduleDays(quietHours.days)) + '" placeholder="Daily, Weekdays, Mon-Fri"></div>';
+      html += '      <div class="form-group"><label for="quietHoursStart">From:</label><input type="time" id="quietHoursStart" value="' + escapeAttr(quietHours.start || '22:00') + '"></div>';
+      html += '      <div class="form-group"><label for="quietHoursEnd">Until:</label><input type="time" id="quietHoursEnd" value="' + escapeAttr(quietHours.end || '07:00') + '"></div>';
+      html += '    </div>';
+      html += '    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">';
+      html += '      <div class="form-group"><label for="snoozeMinutes">Snooze Length (minutes):</label><input type="number" id="snoozeMinutes" min="1" max="10080" value="' + (alertActions.snoozeMinutes || 60) + '"></div>';
+      html += '      <div class="form-group"><label for="linkValidHours">Email Links Valid For (hours):</label><input type="number" id="linkValidHours" min="1" max="720" value="' + (alertActions.linkValidHours || 24) + '"></div>';
+      html += '    </div>';
+      html += '    <div class="info-box">';
+      html += '      <strong>💡 Note:</strong> Alert notifications include Acknowledge and Snooze links. Acknowledged alerts stay quiet until they clear; a snoozed alert sends one reminder when the snooze ends. Links point at DASHBOARD_URL from .env. Quiet hours use the timezone from System Configuration.';
+      html += '    </div>';
+      html += '  </div>';
+      html += '</div>';
+      
+      // Escalation Accordion
+      const escalation = settings.escalation || { tiers: [] };
+      const channelShortNames = { sendgrid: 'SendGrid', smtp: 'SMTP', webhook: 'Webhook', push: 'Push', mqtt: 'MQTT' };
+      html += '<div class="accordion" style="margin-top: 20px;">';
+      html += '  <div class="accordion-header" id="escalation-header" onclick="toggleAccordion(' + "'" + 'escalation' + "'" + ')">';
+      html += '    <h3>🚨 Escalation</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="escalation-content">';
+      html += '    <div class="form-group">';
+      html += '      <label for="criticalThreshold">Critical Battery Threshold (%):</label>';
+      html += '      <input type="number" id="criticalThreshold" value="' + (settings.criticalThreshold === null || settings.criticalThreshold === undefined ? '' : settings.criticalThreshold) + '" min="0" max="100" style="width: 100px;" placeholder="Off">';
+      html += '      <small>Sends a critical alert below this SOC, on top of the low battery alert. Leave blank to turn it off.</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="escalationEnabled" ' + (escalation.enabled ? 'checked' : '') + '> Escalate Unacknowledged Critical Alerts</label>';
+      html += '      <small>Critical SOC, charger command failures, unsafe packs and critical alert rules are sent again at each tier until someone acknowledges them or they clear.</small>';
+      html += '    </div>';
+      for (let i = 0; i < 3; i++) {
+        const tier = escalation.tiers[i] || { channels: [], recipients: [] };
+        html += '    <div style="display: grid; grid-template-columns: 1fr 2fr 2fr; gap: 10px; align-items: end;">';
+        html += '      <div class="form-group"><label for="escalationMinutes' + i + '">Tier ' + (i + 1) + ' after (min):</label><input type="number" id="escalationMinutes' + i + '" min="1" max="10080" value="' + (tier.afterMinutes || '') + '" placeholder="Unused"></div>';
+        html += '      <div class="form-group"><label>Also send via:</label><div>';
+        NOTIFICATION_CHANNEL_NAMES.forEach(name => {
+          html += '<label style="display: inline-block; margin-right: 10px; font-weight: normal;"><input type="checkbox" id="escalationChannel' + i + '_' + name + '" ' + (tier.channels.includes(name) ? 'checked' : '') + '> ' + channelShortNames[name] + '</label>';
+        });
+        html += '      </div></div>';
+        html += '      <div class="form-group"><label for="escalationRecipients' + i + '">Also email:</label><input type="text" id="escalationRecipients' + i + '" value="' + escapeAttr(tier.recipients.join(', ')) + '" placeholder="oncall@example.com"></div>';
+        html += '    </div>';
+      }
+      html += '    <div class="info-box">';
+      html += '      <strong>💡 Note:</strong> Tier delays count from when the alert started. Extra channels must be enabled under Notification Channels. Snoozing pauses escalation; acknowledging stops it. Everyone who was escalated to hears when the alert clears.';
+      html += '    </div>';
+      html += '  </div>';
+      html += '</div>';
+      
+      // Battery Charger Control Accordion
+      html += '<div class="accordion" style="margin-top: 20px;">';
+      html += '  <div class="accordion-header" id="charger-header" onclick="toggleAccordion(' + "'" + 'charger' + "'" + ')">';
+      html += '    <h3>🔌 Battery Charger Control</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="charger-content">';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="chargerEnabled" ' + (settings.chargerControl?.enabled ? 'checked' : '') + '> Enable Automatic Charger Control</label>';
+      html += '    </div>';
+      const charger = settings.chargerControl || {};
+      const driver = charger.driver || 'ifttt';
+      const webhook = charger.webhook || {};
+      const relay = charger.relay || {};
+      const mqttCmd = charger.mqtt || {};
+      html += '    <div class="form-group">';
+      html += '      <label for="chargerDriver">Charger Driver:</label>';
+      html += '      <select id="chargerDriver" onchange="showChargerDriverFields(this.value)" style="width: 100%; padding: 10px; border-radius: 8px;">';
+      html += '        <option value="ifttt"' + selectedIf('ifttt', driver) + '>IFTTT Webhooks (cloud)</option>';
+      html += '        <option value="webhook"' + selectedIf('webhook', driver) + '>Generic HTTP Webhook</option>';
+      html += '        <option value="relay"' + selectedIf('relay', driver) + '>Shelly / Tasmota Relay (local)</option>';
+      html += '        <option value="mqtt"' + selectedIf('mqtt', driver) + '>MQTT Command Topic (local)</option>';
+      html += '      </select>';
+      html += '      <small>Local drivers keep working when the internet is down</small>';
+      html += '    </div>';
+      html += '    <div class="charger-driver-fields" id="chargerDriver-ifttt">';
+      html += '      <div class="form-group">';
+      html += '        <label for="iftttWebhookKey">IFTTT Webhook Key:</label>';
+      html += '        <input type="password" id="iftttWebhookKey" placeholder="Enter new webhook key" style="width: 100%;">';
+      html += '        <small>' + (charger.iftttWebhookKey ? 'Current: ' + charger.iftttWebhookKey + ' • Leave blank to keep existing' : 'Enter your IFTTT webhook key') + '</small>';
+      html += '      </div>';
+      html += '    </div>';
+      html += '    <div class="charger-driver-fields" id="chargerDriver-webhook">';
+      html += '      <div class="form-group">';
+      html += '        <label for="webhookUrl">Webhook URL:</label>';
+      html += '        <div style="display: flex; gap: 10px;">';
+      html += '          <select id="webhookMethod" style="width: 100px;">';
+      ['GET', 'POST', 'PUT', 'PATCH'].forEach(method => {
+        html += '            <option' + selectedIf(method, webhook.method || 'POST') + '>' + method + '</option>';
+      });
+      html += '          </select>';
+      html += '          <input type="text" id="webhookUrl" value="' + escapeAttr(webhook.url || '') + '" placeholder="http://homeassistant.local:8123/api/webhook/charger_{{state}}" style="flex: 1;">';
+      html += '        </div>';
+      html += '      </div>';
+      html += '      <div class="form-group">';
+      html += '        <label for="webhookHeaders">Headers (JSON):</label>';
+      html += '        <textarea id="webhookHeaders" rows="2" style="width: 100%; font-family: monospace;">' + escapeAttr(JSON.stringify(webhook.headers || {})) + '</textarea>';
+      html += '        <small>Saved values show as *** - leave them to keep them</small>';
+      html += '      </div>';
+      html += '      <div class="form-group">';
+      html += '        <label for="webhookBody">Body Template:</label>';
+      html += '        <textarea id="webhookBody" rows="3" style="width: 100%; font-family: monospace;">' + escapeAttr(webhook.bodyTemplate || '') + '</textarea>';
+      html += '        <small>Placeholders: {{state}} (on/off), {{action}} (ON/OFF), {{soc}}, {{plugName}}, {{time}} - also usable in the URL</small>';
+      html += '      </div>';
+      html += '    </div>';
+      html += '    <div class="charger-driver-fields" id="chargerDriver-relay">';
+      html += '      <div class="form-group">';
+      html += '        <label for="relayType">Relay Type:</label>';
+      html += '        <select id="relayType" style="width: 100%; padding: 10px; border-radius: 8px;">';
+      html += '          <option value="shelly"' + selectedIf('shelly', relay.type) + '>Shelly Gen1 (/relay/N)</option>';
+      html += '          <option value="shelly-gen2"' + selectedIf('shelly-gen2', relay.type) + '>Shelly Plus/Pro Gen2 (RPC)</option>';
+      html += '          <option value="tasmota"' + selectedIf('tasmota', relay.type) + '>Tasmota</option>';
+      html += '        </select>';
+      html += '      </div>';
+      html += '      <div class="form-group">';
+      html += '        <label for="relayHost">Host / IP:</label>';
+      html += '        <input type="text" id="relayHost" value="' + escapeAttr(relay.host || '') + '" placeholder="192.168.1.50" style="width: 100%;">';
+      html += '      </div>';
+      html += '      <div class="form-group">';
+      html += '        <label for="relayChannel">Relay Channel:</label>';
+      html += '        <input type="number" id="relayChannel" value="' + (relay.channel || 0) + '" min="0" max="7" style="width: 100px;">';
+      html += '        <small>0 for single-relay devices</small>';
+      html += '      </div>';
+      html += '      <div class="form-group">';
+      html += '        <label for="relayUsername">Username / Password (optional):</label>';
+      html += '        <div style="display: flex; gap: 10px;">';
+      html += '          <input type="text" id="relayUsername" value="' + escapeAttr(relay.username || '') + '" placeholder="admin" style="flex: 1;">';
+      html += '          <input type="password" id="relayPassword" placeholder="' + (relay.password ? 'Leave blank to keep existing' : 'Password') + '" style="flex: 1;">';
+      html += '        </div>';
+      html += '        <small>Shelly Gen2 authentication is not supported - leave it disabled on the device</small>';
+      html += '      </div>';
+      html += '    </div>';
+      html += '    <div class="charger-driver-fields" id="chargerDriver-mqtt">';
+      html += '      <div class="form-group">';
+      html += '        <label for="mqttCommandTopic">Command Topic:</label>';
+      html += '        <input type="text" id="mqttCommandTopic" value="' + escapeAttr(mqttCmd.topic || '') + '" placeholder="cmnd/charger_plug/POWER" style="width: 100%;">';
+      html += '        <small>Published on the same broker the dashboard reads from</small>';
+      html += '      </div>';
+      html += '      <div class="form-group">';
+      html += '        <label>ON / OFF Payloads:</label>';
+      html += '        <div style="display: flex; gap: 10px;">';
+      html += '          <input type="text" id="mqttOnPayload" value="' + escapeAttr(mqttCmd.onPayload || 'ON') + '" style="flex: 1;">';
+      html += '          <input type="text" id="mqttOffPayload" value="' + escapeAttr(mqttCmd.offPayload || 'OFF') + '" style="flex: 1;">';
+      html += '        </div>';
+      html += '      </div>';
+      html += '      <div class="form-group">';
+      html += '        <label><input type="checkbox" id="mqttRetain" ' + (mqttCmd.retain ? 'checked' : '') + '> Retain command message</label>';
+      html += '      </div>';
+      html += '      <div class="form-group">';
+      html += '        <label for="mqttStateTopic">State Topic (optional):</label>';
+      html += '        <input type="text" id="mqttStateTopic" value="' + escapeAttr(mqttCmd.stateTopic || '') + '" placeholder="stat/charger_plug/POWER" style="width: 100%;">';
+      html += '        <small>Where the plug reports its actual state - used to verify commands</small>';
+      html += '      </div>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="chargerLowThreshold">Turn ON at (%):</label>';
+      html += '      <input type="number" id="chargerLowThreshold" value="' + (settings.chargerControl?.lowThreshold || 50) + '" min="0" max="100" style="width: 100px;">';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="chargerHighThreshold">Turn OFF at (%):</label>';
+      html += '      <input type="number" id="chargerHighThreshold" value="' + (settings.chargerControl?.highThreshold || 90) + '" min="0" max="100" style="width: 100px;">';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="chargerPlugName">Smart Plug Name:</label>';
+      html += '      <input type="text" id="chargerPlugName" value="' + (settings.chargerControl?.plugName || 'Battery Charger') + '" style="width: 100%;">';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="chargerMaxTemp">Max Temperature (°C):</label>';
+      html += '      <input type="number" id="chargerMaxTemp" value="' + (settings.chargerControl?.maxTemp || 45) + '" min="0" max="100" style="width: 100px;">';
+      html += '      <small>Auto-shutoff temperature</small>';
+      html += '    </div>';
+      const schedule = charger.schedule || {};
+      html += '    <h4 style="margin-top: 20px;">🕐 Time-of-Use Schedule</h4>';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="scheduleEnabled" ' + (schedule.enabled ? 'checked' : '') + '> Use charge windows, blackout windows and charge target</label>';
+      html += '      <small style="display: block; margin-top: 5px;">Times are in ' + escapeAttr(settings.systemSettings?.timezone || settings.dailySummary?.timezone || 'America/Phoenix') + '. The low threshold still turns the charger on outside windows.</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="chargeWindows">Charge Windows (one per line):</label>';
+      html += '      <textarea id="chargeWindows" rows="2" placeholder="Mon-Fri 23:00-06:00 90%" style="width: 100%; font-family: monospace;">' + escapeAttr((schedule.chargeWindows || []).map(formatScheduleWindow).join('\\n')) + '</textarea>';
+      html += '      <small>Cheap-rate periods: charges up to the % given (default: Turn OFF threshold)</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="blackoutWindows">Blackout Windows (one per line):</label>';
+      html += '      <textarea id="blackoutWindows" rows="2" placeholder="Daily 16:00-21:00" style="width: 100%; font-family: monospace;">' + escapeAttr((schedule.blackoutWindows || []).map(formatScheduleWindow).join('\\n')) + '</textarea>';
+      html += '      <small>Peak-rate periods: the charger is kept OFF, even below the low threshold</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label>Charge to (%) / before / on days:</label>';
+      html += '      <div style="display: flex; gap: 10px;">';
+      html += '        <input type="number" id="scheduleTargetSoc" value="' + (schedule.targetSoc ?? '') + '" min="1" max="100" placeholder="off" style="flex: 1;">';
+      html += '        <input type="time" id="scheduleTargetTime" value="' + escapeAttr(schedule.targetTime || '06:00') + '" style="flex: 1;">';
+      html += '        <input type="text" id="scheduleTargetDays" value="' + escapeAttr(formatScheduleDays(schedule.targetDays)) + '" placeholder="Daily" style="flex: 1;">';
+      html += '      </div>';
+      html += '      <small>Leave the % empty to disable. Charging starts early enough at the rate below.</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label>Charge rate (%/hour) / Max run (min, 0 = no limit) / Rest after max run (min):</label>';
+      html += '      <div style="display: flex; gap: 10px;">';
+      html += '        <input type="number" id="scheduleChargeRate" value="' + (schedule.chargeRatePerHour ?? 10) + '" min="1" max="100" style="flex: 1;">';
+      html += '        <input type="number" id="scheduleMaxRun" value="' + (schedule.maxRunMinutes ?? 0) + '" min="0" max="1440" style="flex: 1;">';
+      html += '        <input type="number" id="scheduleRest" value="' + (schedule.restMinutes ?? 30) + '" min="0" max="1440" style="flex: 1;">';
+      html += '      </div>';
+      html += '    </div>';
+      const forecast = charger.forecast || {};
+      html += '    <h4 style="margin-top: 20px;">☀️ Solar Forecast</h4>';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="forecastEnabled" ' + (forecast.enabled ? 'checked' : '') + '> Skip grid charging when the solar forecast for the rest of the day will refill the battery</label>';
+      html += '      <small style="display: block; margin-top: 5px;">Applies to the low threshold and charge windows. Uses the hourly Open-Meteo irradiance forecast scaled to your own PV output.</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label>Never defer below (%) / Trust share of forecast / Battery capacity (Wh) / Array size (W):</label>';
+      html += '      <div style="display: flex; gap: 10px;">';
+      html += '        <input type="number" id="forecastMinSoc" value="' + (forecast.minSoc ?? 25) + '" min="0" max="100" style="flex: 1;">';
+      html += '        <input type="number" id="forecastCoverage" value="' + (forecast.coverageFactor ?? 0.8) + '" min="0.1" max="2" step="0.05" style="flex: 1;">';
+      html += '        <input type="number" id="forecastCapacity" value="' + (forecast.batteryCapacityWh ?? 14400) + '" min="100" style="flex: 1;">';
+      html += '        <input type="number" id="forecastSystemWatts" value="' + (forecast.systemWatts ?? '') + '" min="1" placeholder="learned" style="flex: 1;">';
+      html += '      </div>';
+      html += '      <small>Array size is only used until enough PV vs. irradiance samples have been collected</small>';
+      html += '    </div>';
+      const verification = charger.verification || {};
+      html += '    <h4 style="margin-top: 20px;">🔍 State Verification</h4>';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="verifyEnabled" ' + (verification.enabled !== false ? 'checked' : '') + '> Verify the charger really switched</label>';
+      html += '      <small style="display: block; margin-top: 5px;">Uses the relay/MQTT state when available, then the charger power topic, otherwise a heavy battery discharge while PV is idle (OFF only, when set below)</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="verifyPowerTopic">Charger power topic (optional):</label>';
+      html += '      <input type="text" id="verifyPowerTopic" value="' + escapeAttr(verification.powerTopic || '') + '" placeholder="e.g. shellies/charger-plug/relay/0/power">';
+      html += '      <small>A topic publishing the power the charger draws in watts, e.g. from its smart plug</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label>Grace (min) / Charger ON above (W) / PV idle below (W) / Max retries:</label>';
+      html += '      <div style="display: flex; gap: 10px;">';
+      html += '        <input type="number" id="verifyGraceMinutes" value="' + (verification.graceMinutes ?? 3) + '" min="0" max="60" style="flex: 1;">';
+      html += '        <input type="number" id="verifyChargingWatts" value="' + (verification.chargingWatts ?? 150) + '" min="1" max="10000" style="flex: 1;">';
+      html += '        <input type="number" id="verifyPvIdleWatts" value="' + (verification.pvIdleWatts ?? 50) + '" min="0" max="5000" style="flex: 1;">';
+      html += '        <input type="number" id="verifyMaxRetries" value="' + (verification.maxRetries ?? 3) + '" min="0" max="10" style="flex: 1;">';
+      html += '      </div>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="verifyOffDischargeWatts">Charger OFF when the battery discharges above (W, optional):</label>';
+      html += '      <input type="number" id="verifyOffDischargeWatts" value="' + (verification.offDischargeWatts || '') + '" placeholder="never" min="1" max="20000" style="width: 150px;">';
+      html += '      <small>Only used without a charger power topic, while PV is idle. Set it above your charger output plus normal night load, or leave empty.</small>';
+      html += '    </div>';
+      if (chargerState) {
+        const stateLabel = value => value === true ? 'ON' : (value === false ? 'OFF' : 'unknown');
+        html += '    <div class="info-box">';
+        html += '      <strong>App state:</strong> ' + stateLabel(chargerState.isOn) + ' • <strong>Observed:</strong> ' + stateLabel(chargerState.observedState);
+        if (chargerState.observedSource) html += ' (' + chargerState.observedSource + ')';
+        if (chargerState.lastVerifiedAt) html += ' • checked ' + new Date(chargerState.lastVerifiedAt).toLocaleTimeString();
+        if (chargerState.decision) {
+          html += '<br><strong>Decision:</strong> ' + chargerState.decision.action.toUpperCase() + ' - ' + escapeAttr(chargerState.decision.reason);
+        }
+        if (chargerState.desync) {
+          html += '<br><strong style="color: #e74c3c;">⚠️ Desync since ' + new Date(chargerState.desync.since).toLocaleString() + ' - ' + chargerState.desync.retries + ' retries so far</strong>';
+        }
+        html += '    </div>';
+      }
+      html += '  </div>';
+      html += '</div>';
+      
+      // Peak Discharge Monitoring Accordion
+      html += '<div class="accordion" style="margin-top: 20px;">';
+      html += '  <div class="accordion-header" id="peak-header" onclick="toggleAccordion(' + "'" + 'peak' + "'" + ')">';
+      html += '    <h3>☀️ Peak Discharge Monitoring</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="peak-content">';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="peakDischargeEnabled" ' + (settings.peakDischargeAlert?.enabled ? 'checked' : '') + '> Enable Peak Discharge Alerts</label>';
+      html += '      <small style="display: block; margin-top: 5px;">Get notified when battery discharges during peak sunlight hours</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="peakDischargeDuration">Alert After (minutes):</label>';
+      html += '      <input type="number" id="peakDischargeDuration" value="' + (settings.peakDischargeAlert?.durationMinutes || 30) + '" min="5" max="120" style="width: 100px;">';
+      html += '    </div>';
+      html += '    <div class="info-box">';
+      html += '      <strong>📅 Seasonal Peak Hours:</strong><br>';
+      html += '      <div style="margin-top: 8px; line-height: 1.6;">';
+      html += '        <strong>Summer (Jun-Aug):</strong> 10:00 AM - 3:00 PM<br>';
+      html += '        <strong>Spring/Fall (Mar-May, Sep-Oct):</strong> 9:45 AM - 2:15 PM<br>';
+      html += '        <strong>Winter (Nov-Feb):</strong> 10:00 AM - 2:00 PM';
+      html += '      </div>';
+      html += '    </div>';
+      html += '  </div>';
+      html += '</div>';
+      
+      // Stale Data Watchdog Accordion
+      html += '<div class="accordion" style="margin-top: 20px;">';
+      html += '  <div class="accordion-header" id="stale-header" onclick="toggleAccordion(' + "'" + 'stale' + "'" + ')">';
+      html += '    <h3>⏸️ Stale Data Watchdog</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="stale-content">';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="staleEnabled" ' + (settings.staleData?.enabled !== false ? 'checked' : '') + '> Alert when data stops arriving</label>';
+      html += '      <small style="display: block; margin-top: 5px;">Emails when SolarAssistant goes quiet (even if the broker is still connected) and again when data returns</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="staleMinutes">No Data For (minutes):</label>';
+      html += '      <input type="number" id="staleMinutes" value="' + (settings.staleData?.minutes || 10) + '" min="1" max="1440" style="width: 100px;">';
+      html += '      <small>Dashboard cards are dimmed and marked stale after this long</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="staleWatchTopics">Watched Topics (one per line):</label>';
+      html += '      <textarea id="staleWatchTopics" rows="3" style="width: 100%; font-family: monospace;">' + escapeAttr((settings.staleData?.watchTopics || []).map(topic => topic.replace(/^solar_assistant\\//, '').replace(/\\/state$/, '')).join('\\n')) + '</textarea>';
+      html += '      <small>Alert if any of these stops updating, even while other topics still arrive (e.g. total/battery_state_of_charge)</small>';
+      html += '    </div>';
+      html += '  </div>';
+      html += '</div>';
+      
+      // Battery Pack Protection Accordion
+      html += '<div class="accordion" style="margin-top: 20px;">';
+      html += '  <div class="accordion-header" id="packs-header" onclick="toggleAccordion(' + "'" + 'packs' + "'" + ')">';
+      html += '    <h3>🌡️ Battery Pack Protection</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="packs-content">';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="packProtectionEnabled" ' + (settings.batteryProtection?.enabled !== false ? 'checked' : '') + '> Alert on individual battery packs</label>';
+      html += '      <small style="display: block; margin-top: 5px;">Checks every battery_N pack, not just the bank total</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">';
+      html += '        <div><label for="packMaxTemp">Max Pack Temperature (°F):</label><input type="number" id="packMaxTemp" value="' + (settings.batteryProtection?.maxTemp ?? 113) + '" step="any"></div>';
+      html += '        <div><label for="packMinTemp">Min Pack Temperature (°F):</label><input type="number" id="packMinTemp" value="' + (settings.batteryProtection?.minTemp ?? 32) + '" step="any"></div>';
+      html += '        <div><label for="packMaxCellSpread">Max Cell Spread (mV):</label><input type="number" id="packMaxCellSpread" value="' + (settings.batteryProtection?.maxCellSpreadMv ?? 150) + '" min="10" max="1000"></div>';
+      html += '        <div><label for="packMaxSocDivergence">Max SOC Difference Between Packs (%):</label><input type="number" id="packMaxSocDivergence" value="' + (settings.batteryProtection?.maxSocDivergence ?? 15) + '" min="1" max="100"></div>';
+      html += '      </div>';
+      html += '      <small>Cell spread is the highest minus the lowest cell voltage within one pack</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="packForceChargerOff" ' + (settings.batteryProtection?.forceChargerOff ? 'checked' : '') + '> Force the charger OFF while any pack is unsafe</label>';
+      html += '      <small style="display: block; margin-top: 5px;">Too hot, too cold or cell spread too high - the charger stays off until every pack is back within limits (requires automatic charger control)</small>';
+      html += '    </div>';
+      html += '  </div>';
+      html += '</div>';
+      
+      // Alert Rules Accordion
+      html += '<div class="accordion" style="margin-top: 20px;">';
+      html += '  <div class="accordion-header" id="rules-header" onclick="toggleAccordion(' + "'" + 'rules' + "'" + ')">';
+      html += '    <h3>🚨 Alert Rules</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="rules-content">';
+      html += '    <div id="alertRulesList">Loading alert rules...</div>';
+      html += '    <h4 id="alertRuleFormTitle" style="margin-top: 20px;">Add Rule</h4>';
+      html += '    <input type="hidden" id="ruleId" value="">';
+      html += '    <div class="form-group">';
+      html += '      <label for="ruleName">Name:</label>';
+      html += '      <input type="text" id="ruleName" placeholder="e.g. Evening load too high" maxlength="80">';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="ruleSource">Source:</label>';
+      html += '      <select id="ruleSource" style="width: 100%; padding: 10px; border-radius: 8px;"></select>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="ruleCondition">Condition:</label>';
+      html += '      <div style="display: flex; gap: 10px; align-items: center; flex-wrap: wrap;">';
+      html += '        <select id="ruleCondition" onchange="showAlertRuleFields()" style="padding: 10px; border-radius: 8px;">';
+      html += '          <option value="above">Above</option>';
+      html += '          <option value="below">Below</option>';
+      html += '          <option value="between">Between</option>';
+      html += '          <option value="outside">Outside</option>';
+      html += '          <option value="rises_by">Rises by</option>';
+      html += '          <option value="falls_by">Falls by</option>';
+      html += '        </select>';
+      html += '        <input type="number" id="ruleThreshold" placeholder="Threshold" step="any" style="width: 120px;">';
+      html += '        <span id="ruleHighFields"> and <input type="number" id="ruleThresholdHigh" placeholder="Upper" step="any" style="width: 120px;"></span>';
+      html += '        <span id="ruleRateFields"> within <input type="number" id="ruleRateWindow" placeholder="Minutes" min="1" max="1440" style="width: 90px;"> min</span>';
+      html += '      </div>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 10px;">';
+      html += '        <div><label for="ruleSustain">Sustained For (min):</label><input type="number" id="ruleSustain" value="0" min="0" max="1440" step="any"></div>';
+      html += '        <div><label for="ruleHysteresis">Hysteresis:</label><input type="number" id="ruleHysteresis" value="0" min="0" step="any"></div>';
+      html += '        <div><label for="ruleCooldown">Cooldown (min):</label><input type="number" id="ruleCooldown" value="30" min="0" max="10080" step="any"></div>';
+      html += '      </div>';
+      html += '      <small>Hysteresis is how far the value must move back past the threshold before the rule clears</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="ruleSeverity">Severity:</label>';
+      html += '      <select id="ruleSeverity" style="padding: 10px; border-radius: 8px;">';
+      html += '        <option value="info">ℹ️ Info</option>';
+      html += '        <option value="warning" selected>⚠️ Warning</option>';
+      html += '        <option value="critical">🚨 Critical</option>';
+      html += '      </select>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="ruleRecipients">Recipients:</label>';
+      html += '      <input type="text" id="ruleRecipients" placeholder="Comma-separated - empty sends to the alert email address">';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="ruleWindow">Active Window:</label>';
+      html += '      <input type="text" id="ruleWindow" placeholder="Empty = always, or e.g. Daily 16:00-21:00">';
+      html += '      <small>New alerts only fire inside this window (system timezone); an active alert still clears outside it</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="ruleEnabled" checked> Enabled</label>';
+      html += '    </div>';
+      html += '    <div style="display: flex; gap: 10px;">';
+      html += '      <button onclick="saveAlertRule()" class="btn-test" style="background: #27ae60;">💾 Save Rule</button>';
+      html += '      <button onclick="resetAlertRuleForm()" class="btn-test" style="background: #95a5a6;">✖ Clear</button>';
+      html += '    </div>';
+      html += '    <div class="info-box" style="margin-top: 15px;">';
+      html += '      <strong>💡 Note:</strong> Rules apply immediately (no need to Save All). Every trigger and clear is recorded in the alert history.';
+      html += '    </div>';
+      html += '  </div>';
+      html += '</div>';
+      
+      // Manual Charger Control Accordion
+      html += '<div class="accordion" style="margin-top: 20px;">';
+      html += '  <div class="accordion-header" id="manual-header" onclick="toggleAccordion(' + "'" + 'manual' + "'" + ')">';
+      html += '    <h3>🔧 Manual Charger Control</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="manual-content">';
+      html += '    <div class="form-group">';
+      html += '      <label>Manual Charger Control:</label>';
+      html += '      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-top: 10px;">';
+      html += '        <button onclick="testChargerControl(' + "'" + 'on' + "'" + ')" class="btn-test" style="background: #27ae60; padding: 12px;">🔌 Turn ON</button>';
+      html += '        <button onclick="testChargerControl(' + "'" + 'off' + "'" + ')" class="btn-test" style="background: #e74c3c; padding: 12px;">🔌 Turn OFF</button>';
+      html += '      </div>';
+      html += '      <small style="display: block; margin-top: 8px;">Override all settings and thresholds • Check your smart plug for confirmation</small>';
+      html += '    </div>';
+      html += '    <div class="info-box">';
+      html += '      <strong>⚠️ Manual Override:</strong> These buttons bypass ALL automatic controls, thresholds, and cooldowns.';
+      html += '    </div>';
+      html += '  </div>';
+      html += '</div>';
+      
+      // Daily Email Reports Accordion
+      html += '<div class="accordion" style="margin-top: 20px;">';
+      html += '  <div class="accordion-header" id="daily-header" onclick="toggleAccordion(' + "'" + 'daily' + "'" + ')">';
+      html += '    <h3>📊 Email Reports</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="daily-content">';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="dailySummaryEnabled" ' + (settings.dailySummary?.enabled ? 'checked' : '') + '> Enable Daily Email Reports</label>';
+      html += '      <small style="display: block; margin-top: 5px;">Receive daily summary reports via email</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="dailySummaryTime">Report Time:</label>';
+      html += '      <input type="time" id="dailySummaryTime" value="' + (settings.dailySummary?.sendTime || '20:00') + '" style="width: 150px;">';
+      html += '      <small>Time to send daily reports (24-hour format, in the System Configuration timezone)</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label for="dailySummarySchedule">Custom Schedule (optional):</label>';
+      html += '      <input type="text" id="dailySummarySchedule" value="' + escapeAttr(settings.dailySummary?.schedule || '') + '" placeholder="e.g. 0 20 * * 1-5" style="width: 250px;">';
+      html += '      <small>Cron expression (minute hour day month weekday). Overrides the report time when set.</small>';
+      html += '    </div>';
+      html += '    <div class="form-group" style="border-top: 1px solid var(--border-color); padding-top: 15px;">';
+      html += '      <label><input type="checkbox" id="weeklySummaryEnabled" ' + (settings.weeklySummary?.enabled ? 'checked' : '') + '> Email Weekly Reports</label>';
+      html += '      <input type="text" id="weeklySummarySchedule" value="' + escapeAttr(settings.weeklySummary?.schedule || '0 8 * * 1') + '" style="width: 250px; margin-top: 8px;">';
+      html += '      <small style="display: block; margin-top: 5px;">Cron schedule. Covers the last complete Monday-Sunday week.</small>';
+      html += '    </div>';
+      html += '    <div class="form-group">';
+      html += '      <label><input type="checkbox" id="monthlySummaryEnabled" ' + (settings.monthlySummary?.enabled ? 'checked' : '') + '> Email Monthly Reports</label>';
+      html += '      <input type="text" id="monthlySummarySchedule" value="' + escapeAttr(settings.monthlySummary?.schedule || '0 8 1 * *') + '" style="width: 250px; margin-top: 8px;">';
+      html += '      <small style="display: block; margin-top: 5px;">Cron schedule. Covers the last complete calendar month.</small>';
+      html += '    </div>';
+      html += '    <div id="scheduledJobs" style="margin-bottom: 15px; font-size: 13px;"></div>';
+      html += '    <p style="margin-bottom: 15px; font-size: 13px;">🗄️ Every report is also saved to the <a href="/reports">Report Archive</a>, even when its email is turned off.</p>';
+      html += '    <div class="form-group">';
+      html += '      <label for="reportArchiveRetention">Keep Archived Reports (days):</label>';
+      html += '      <input type="number" id="reportArchiveRetention" value="' + (settings.reportArchive?.retentionDays || '') + '" placeholder="forever" min="1" style="width: 150px;">';
+      html += '      <small>Reports are deleted once their period started longer ago. Leave empty to keep them forever.</small>';
+      html += '    </div>';
+      html += '    <div class="info-box">';
+      html += '      <strong>Daily Reports Include:</strong><br>';
+      html += '      Energy production and consumption summary<br>';
+      html += '      Battery performance and charging cycles<br>';
+      html += '      Weather conditions and impact<br>';
+      html += '      System alerts and notifications<br>';
+      html += '      <strong>Weekly / Monthly Reports Include:</strong><br>';
+      html += '      Solar, load and battery totals with best and worst days<br>';
+      html += '      Daily production chart<br>';
+      html += '      Comparison with the previous period and the same period last year';
+      html += '    </div>';
+      html += '  </div>';
+      html += '</div>';
+      
+      // Tracked Topics Accordion
+      html += '<div class="accordion" style="margin-top: 20px;">';
+      html += '  <div class="accordion-header" id="topics-header" onclick="toggleAccordion(' + "'" + 'topics' + "'" + ')">';
+      html += '    <h3>📈 Tracked Topics (Charts & History)</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="topics-content">';
+      html += '    <div id="trackedTopicsList">Loading tracked topics...</div>';
+      html += '    <div class="form-group" style="margin-top: 20px;">';
+      html += '      <label><input type="checkbox" id="autoTrackDevices" ' + (settings.deviceDiscovery?.autoTrack !== false ? 'checked' : '') + '> Track new inverters and batteries automatically</label>';
+      html += '      <small>When a new inverter_N or battery_N starts publishing, its power, voltage, current, temperature and SOC topics are added here once (saved with Save All)</small>';
+      html += '    </div>';
+      html += '    <div class="form-group" style="margin-top: 20px;">';
+      html += '      <label for="newTrackedTopic">Add Topic:</label>';
+      html += '      <select id="newTrackedTopic" style="width: 100%; padding: 10px; border-radius: 8px;"></select>';
+      html += '      <div style="display: flex; gap: 10px; align-items: center; margin-top: 10px;">';
+      html += '        <input type="number" id="newTrackedInterval" placeholder="Interval (s)" min="10" max="3600" style="width: 130px;">';
+      html += '        <input type="number" id="newTrackedRetention" placeholder="Retention (days)" min="1" style="width: 150px;">';
+      html += '        <button onclick="addTrackedTopic()" class="btn-test" style="background: #27ae60;">➕ Add</button>';
+      html += '      </div>';
+      html += '      <small>Only topics currently publishing numeric values are listed. Interval defaults to 60 s; leave retention empty for the standard rollup retention.</small>';
+      html += '    </div>';
+      html += '    <div class="info-box">';
+      html += '      <strong>💡 Note:</strong> Changes here apply immediately (no need to Save All). Removing a topic keeps its existing history until it ages out.';
+      html += '    </div>';
+      html += '  </div>';
+      html += '</div>';
+      
+      // Alert History Accordion
+      html += '<div class="accordion" style="margin-top: 20px;">';
+      html += '  <div class="accordion-header" id="alertlog-header" onclick="toggleAccordion(' + "'" + 'alertlog' + "'" + ')">';
+      html += '    <h3>📜 Alert History</h3>';
+      html += '    <span class="accordion-icon">▼</span>';
+      html += '  </div>';
+      html += '  <div class="accordion-content" id="alertlog-content">';
+      html += '    <div style="display: grid; grid-template-columns: 2fr 1fr 1fr 1fr; gap: 10px; align-items: end;">';
+      html += '      <div><label for="alertLogType">Type:</label><select id="alertLogType" style="width: 100%; padding: 10px; border-radius: 8px;"><option value="">All types</option></select></div>';
+      html += '      <div><label for="alertLogSeverity">Severity:</label><select id="alertLogSeverity" style="width: 100%; padding: 10px; border-radius: 8px;">';
+      html += '        <option value="">Any</option><option value="info">Info</option><option value="warning">Warning</option><option value="critical">Critical</option>';
+      html += '      </select></div>';
+      html += '      <div><label for="alertLogFrom">From:</label><input type="date" id="alertLogFrom" style="width: 100%;"></div>';
+      html += '      <div><label for="alertLogTo">To:</label><input type="date" id="alertLogTo" style="width: 100%;"></div>';
+      html += '    </div>';
+      html += '    <div style="display: flex; gap: 10px; margin-top: 10px;">';
+      html += '      <button onclick="loadAlertLog(0)" class="btn-test">🔍 Filter</button>';
+      html += '      <button onclick="exportAlertLog()" class="btn-test" style="background: #27ae60;">⬇️ Export CSV</button>';
+      html += '    </div>';
+      html += '    <div id="alertLogList" style="margin-top: 15px;">Loading alert history...</div>';
+      html += '    <div class="info-box">';
+      html += '      <strong>💡 Note:</strong> Alerts, charger actions and daily summaries are kept on disk for 2 years. Export downloads every entry matching the filters.';
+      html += '    </div>';
+      html += '  </div>';
+      html += '</div>';
+      
+        container.innerHTML = html;
+        showChargerDriverFields(driver);
+        loadTrackedTopics();
+        loadAlertRules();
+        showAlertRuleFields();
+        loadNotificationRouting();
+        loadAlertLog(0);
+        loadScheduledJobs();
+      } catch (error) {
+        console.error('Error in renderSettings:', error);
+        container.innerHTML = '<p style="text-align: center; padding: 40px; color: red;">ERROR: Error rendering settings: ' + error.message + '<br><br><a href="/">Back to Dashboard</a></p>';
+      }
+    }
+    
+    function escapeAttr(text) {
+      return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+    
+    // Schedule windows are edited as text lines: "Mon-Fri 23:00-06:00 90%"
+    const SCHEDULE_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    
+    function formatScheduleDays(days) {
+      if (!Array.isArray(days) || days.length === 0 || days.length === 7) return 'Daily';
+      const names = days.map(day => SCHEDULE_DAYS[day].charAt(0).toUpperCase() + SCHEDULE_DAYS[day].slice(1));
+      const consecutive = days.every((day, i) => i === 0 || day === days[i - 1] + 1);
+      return consecutive && days.length > 2 ? names[0] + '-' + names[names.length - 1] : names.join(',');
+    }
+    
+    function formatScheduleWindow(window) {
+      return formatScheduleDays(window.days) + ' ' + window.start + '-' + window.end + (window.targetSoc ? ' ' + window.targetSoc + '%' : '');
+    }
+    
+    function parseScheduleDays(text) {
+      const value = text.trim().toLowerCase();
+      if (value === '' || value === 'daily') return [0, 1, 2, 3, 4, 5, 6];
+      if (value === 'weekdays') return [1, 2, 3, 4, 5];
+      if (value === 'weekends') return [0, 6];
+      const days = [];
+      value.split(',').forEach(part => {
+        const ends = part.trim().split('-').map(name => SCHEDULE_DAYS.indexOf(name.trim().slice(0, 3)));
+        if (ends.some(day => day < 0) || ends.length > 2) {
+          throw new Error('Unknown day "' + part.trim() + '" - use Mon, Mon-Fri, Weekdays, Weekends or Daily');
+        }
+        for (let day = ends[0]; ; day = (day + 1) % 7) {
+          if (!days.includes(day)) days.push(day);
+          if (day === ends[ends.length - 1]) break;
+        }
+      });
+      return days.sort();
+    }
+    
+    function parseScheduleWindows(text, withTarget) {
+      return text.split('\\n').map(line => line.trim()).filter(line => line).map(line => {
+        const match = /^(.*?)\\s*(\\d{1,2}:\\d{2})\\s*-\\s*(\\d{1,2}:\\d{2})(?:\\s+(\\d{1,3})\\s*%)?$/.exec(line);
+        if (!match || (match[4] && !withTarget)) {
+          throw new Error('Could not read "' + line + '" - expected e.g. ' + (withTarget ? 'Mon-Fri 23:00-06:00 90%' : 'Daily 16:00-21:00'));
+        }
+        const window = { days: parseScheduleDays(match[1]), start: match[2].padStart(5, '0'), end: match[3].padStart(5, '0') };
+        if (match[4]) window.targetSoc = parseInt(match[4]);
+        return window;
+      });
+    }
+    
+    function showChargerDriverFields(driver) {
+      document.querySelectorAll('.charger-driver-fields').forEach(section => {
+        section.style.display = section.id === 'chargerDriver-' + driver ? 'block' : 'none';
+      });
+    }
+    
+    function loadTrackedTopics() {
+      fetch('/settings/tracked-topics', { credentials: 'same-origin' })
+        .then(response => response.json())
+        .then(data => {
+          const list = document.getElementById('trackedTopicsList');
+          const select = document.getElementById('newTrackedTopic');
+          if (!list || !select) return;
+          
+          let html = '<table style="width: 100%; border-collapse: collapse; font-size: 13px;">';
+          html += '<tr style="text-align: left; border-bottom: 2px solid var(--border-color);">';
+          html += '<th style="padding: 8px;">Topic</th><th>Interval (s)</th><th>Retention (days)</th><th>Points (48h)</th><th></th></tr>';
+          data.trackedTopics.forEach((entry, index) => {
+            const label = entry.topic.replace('solar_assistant/', '').replace('/state', '');
+            html += '<tr style="border-bottom: 1px solid var(--border-color);">';
+            html += '<td style="padding: 8px;">' + escapeAttr(label) + '</td>';
+            html += '<td><input type="number" id="trackedInterval' + index + '" value="' + entry.archiveIntervalSeconds + '" min="10" max="3600" style="width: 80px;"></td>';
+            html += '<td><input type="number" id="trackedRetention' + index + '" value="' + (entry.retentionDays || '') + '" placeholder="default" min="1" style="width: 90px;"></td>';
+            html += '<td>' + entry.pointsInCache + '</td>';
+            html += '<td style="white-space: nowrap;">';
+            html += '<button class="btn-test" data-topic="' + escapeAttr(entry.topic) + '" data-index="' + index + '" onclick="updateTrackedTopic(this.dataset.topic, this.dataset.index)">💾</button> ';
+            html += '<button class="btn-test" style="background: #e74c3c;" data-topic="' + escapeAttr(entry.topic) + '" onclick="removeTrackedTopic(this.dataset.topic)">🗑️</button>';
+            html += '</td></tr>';
+          });
+          html += '</table>';
+          list.innerHTML = html;
+          
+          let options = '<option value="">--- Select a topic ---</option>';
+          data.availableTopics.forEach(topic => {
+            options += '<option value="' + escapeAttr(topic) + '">' + escapeAttr(topic.replace('solar_assistant/', '').replace('/state', '')) + '</option>';
+          });
+          select.innerHTML = options;
+        })
+        .catch(error => {
+          const list = document.getElementById('trackedTopicsList');
+          if (list) list.textContent = '❌ Error loading tracked topics: ' + error.message;
+        });
+    }
+    
+    function postTrackedTopic(url, body) {
+      return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+        .then(response => response.json())
+        .then(data => {
+          if (!data.success) {
+            alert('❌ Error: ' + (data.error || 'Unknown error'));
+          }
+          loadTrackedTopics();
+        })
+        .catch(error => alert('❌ Error: ' + error.message));
+    }
+    
+    function addTrackedTopic() {
+      const topic = document.getElementById('newTrackedTopic').value;
+      if (!topic) {
+        alert('Please select a topic');
+        return;
+      }
+      const interval = document.getElementById('newTrackedInterval').value;
+      const retention = document.getElementById('newTrackedRetention').value;
+      postTrackedTopic('/settings/tracked-topics', {
+        topic: topic,
+        archiveIntervalSeconds: interval ? parseInt(interval) : undefined,
+        retentionDays: retention ? parseInt(retention) : null
+      });
+    }
+    
+    function updateTrackedTopic(topic, index) {
+      const retention = document.getElementById('trackedRetention' + index).value;
+      postTrackedTopic('/settings/tracked-topics', {
+        topic: topic,
+        archiveIntervalSeconds: parseInt(document.getElementById('trackedInterval' + index).value),
+        retentionDays: retention ? parseInt(retention) : null
+      });
+    }
+    
+    function removeTrackedTopic(topic) {
+      if (!confirm('Stop tracking ' + topic + '? Existing history is kept until it ages out.')) return;
+      postTrackedTopic('/settings/tracked-topics/remove', { topic: topic });
+    }
+    
+    let alertRules = [];
+    
+    function formatAlertRuleSource(source, derived) {
+      const metric = derived.find(entry => entry.key === source);
+      return metric ? metric.label : source.replace('solar_assistant/', '').replace('/state', '');
+    }
+    
+    function loadAlertRules() {
+      fetch('/settings/alert-rules', { credentials: 'same-origin' })
+        .then(response => response.json())
+        .then(data => {
+          const list = document.getElementById('alertRulesList');
+          const select = document.getElementById('ruleSource');
+          if (!list || !select) return;
+          alertRules = data.rules;
+          
+          if (data.rules.length === 0) {
+            list.innerHTML = '<p style="opacity: 0.7;">No alert rules yet - add one below.</p>';
+          } else {
+            let html = '<table style="width: 100%; border-collapse: collapse; font-size: 13px;">';
+            html += '<tr style="text-align: left; border-bottom: 2px solid var(--border-color);">';
+            html += '<th style="padding: 8px;">Rule</th><th>Condition</th><th>Now</th><th>State</th><th></th></tr>';
+            data.rules.forEach(rule => {
+              let state = '<span style="color: #4ade80;">OK</span>';
+              if (!rule.enabled) {
+                state = '<span style="opacity: 0.6;">Disabled</span>';
+              } else if (rule.state && rule.state.active) {
+                state = '<span style="color: ' + (rule.severity === 'critical' ? '#f87171' : '#fbbf24') + '; font-weight: bold;">Active since ' + new Date(rule.state.lastTriggeredAt).toLocaleTimeString() + '</span>';
+              } else if (rule.state && rule.state.conditionSince) {
+                state = '<span style="color: #fbbf24;">Pending</span>';
+              }
+              html += '<tr style="border-bottom: 1px solid var(--border-color);">';
+              html += '<td style="padding: 8px;">' + escapeAttr(rule.name) + '<br><small style="opacity: 0.7;">' + escapeAttr(formatAlertRuleSource(rule.source, data.sources.derived)) + ' • ' + escapeAttr(rule.severity) + '</small></td>';
+              html += '<td>' + escapeAttr(rule.description) + (rule.sustainMinutes ? '<br><small>for ' + rule.sustainMinutes + ' min</small>' : '') + (rule.window ? '<br><small>' + formatScheduleWindow(rule.window) + '</small>' : '') + '</td>';
+              html += '<td>' + (rule.currentValue === null ? '--' : escapeAttr(rule.currentValue)) + '</td>';
+              html += '<td>' + state + '</td>';
+              html += '<td style="white-space: nowrap;">';
+              html += '<button class="btn-test" data-id="' + escapeAttr(rule.id) + '" onclick="editAlertRule(this.dataset.id)">✏️</button> ';
+              html += '<button class="btn-test" style="background: #e74c3c;" data-id="' + escapeAttr(rule.id) + '" onclick="removeAlertRule(this.dataset.id)">🗑️</button>';
+              html += '</td></tr>';
+            });
+            html += '</table>';
+            list.innerHTML = html;
+          }
+          
+          const selected = select.value;
+          let options = '<option value="">--- Select a source ---</option><optgroup label="Derived">';
+          data.sources.derived.forEach(metric => {
+            options += '<option value="' + escapeAttr(metric.key) + '">' + escapeAttr(metric.label) + '</option>';
+          });
+          options += '</optgroup><optgroup label="Topics">';
+          data.sources.topics.forEach(topic => {
+            options += '<option value="' + escapeAttr(topic) + '">' + escapeAttr(topic.replace('solar_assistant/', '').replace('/state', '')) + '</option>';
+          });
+          options += '</optgroup>';
+          select.innerHTML = options;
+          setAlertRuleSource(selected);
+        })
+        .catch(error => {
+          const list = document.getElementById('alertRulesList');
+          if (list) list.textContent = '❌ Error loading alert rules: ' + error.message;
+        });
+    }
+    
+    function setAlertRuleSource(source) {
+      const select = document.getElementById('ruleSource');
+      if (source && !Array.from(select.options).some(option => option.value === source)) {
+        select.innerHTML += '<option value="' + escapeAttr(source) + '">' + escapeAttr(source.replace('solar_assistant/', '').replace('/state', '')) + ' (not publishing)</option>';
+      }
+      select.value = source || '';
+    }
+    
+    function showAlertRuleFields() {
+      const condition = document.getElementById('ruleCondition');
+      if (!condition) return;
+      document.getElementById('ruleHighFields').style.display = ['between', 'outside'].includes(condition.value) ? 'inline' : 'none';
+      document.getElementById('ruleRateFields').style.display = ['rises_by', 'falls_by'].includes(condition.value) ? 'inline' : 'none';
+    }
+    
+    function editAlertRule(id) {
+      const rule = alertRules.find(entry => entry.id === id);
+      if (!rule) return;
+      document.getElementById('alertRuleFormTitle').textContent = 'Edit Rule: ' + rule.name;
+      document.getElementById('ruleId').value = rule.id;
+      document.getElementById('ruleName').value = rule.name;
+      setAlertRuleSource(rule.source);
+      document.getElementById('ruleCondition').value = rule.condition;
+      document.getElementById('ruleThreshold').value = rule.threshold;
+      document.getElementById('ruleThresholdHigh').value = rule.thresholdHigh === null ? '' : rule.thresholdHigh;
+      document.getElementById('ruleRateWindow').value = rule.rateWindowMinutes === null ? '' : rule.rateWindowMinutes;
+      document.getElementById('ruleSustain').value = rule.sustainMinutes;
+      document.getElementById('ruleHysteresis').value = rule.hysteresis;
+      document.getElementById('ruleCooldown').value = rule.cooldownMinutes;
+      document.getElementById('ruleSeverity').value = rule.severity;
+      document.getElementById('ruleRecipients').value = rule.recipients.join(', ');
+      document.getElementById('ruleWindow').value = rule.window ? formatScheduleWindow(rule.window) : '';
+      document.getElementById('ruleEnabled').checked = rule.enabled;
+      showAlertRuleFields();
+      document.getElementById('alertRuleFormTitle').scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    function resetAlertRuleForm() {
+      document.getElementById('alertRuleFormTitle').textContent = 'Add Rule';
+      ['ruleId', 'ruleName', 'ruleThreshold', 'ruleThresholdHigh', 'ruleRateWindow', 'ruleRecipients', 'ruleWindow'].forEach(id => {
+        document.getElementById(id).value = '';
+      });
+      document.getElementById('ruleSource').value = '';
+      document.getElementById('ruleCondition').value = 'above';
+      document.getElementById('ruleSustain').value = 0;
+      document.getElementById('ruleHysteresis').value = 0;
+      document.getElementById('ruleCooldown').value = 30;
+      document.getElementById('ruleSeverity').value = 'warning';
+      document.getElementById('ruleEnabled').checked = true;
+      showAlertRuleFields();
+    }
+    
+    function saveAlertRule() {
+      let activeWindow = null;
+      try {
+        const windows = parseScheduleWindows(document.getElementById('ruleWindow').value, false);
+        if (windows.length > 1) throw new Error('Only one active window per rule');
+        activeWindow = windows[0] || null;
+      } catch (error) {
+        alert('❌ Active Window: ' + error.message);
+        return;
+      }
+      
+      const body = {
+        name: document.getElementById('ruleName').value,
+        source: document.getElementById('ruleSource').value,
+        condition: document.getElementById('ruleCondition').value,
+        threshold: document.getElementById('ruleThreshold').value,
+        thresholdHigh: document.getElementById('ruleThresholdHigh').value,
+        rateWindowMinutes: document.getElementById('ruleRateWindow').value,
+        sustainMinutes: document.getElementById('ruleSustain').value,
+        hysteresis: document.getElementById('ruleHysteresis').value,
+        cooldownMinutes: document.getElementById('ruleCooldown').value,
+        severity: document.getElementById('ruleSeverity').value,
+        recipients: document.getElementById('ruleRecipients').value,
+        window: activeWindow,
+        enabled: document.getElementById('ruleEnabled').checked
+      };
+      const id = document.getElementById('ruleId').value;
+      if (id) body.id = id;
+      
+      fetch('/settings/alert-rules', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+        .then(response => response.json())
+        .then(data => {
+          if (!data.success) {
+            alert('❌ Error: ' + (data.error || 'Unknown error'));
+            return;
+          }
+          resetAlertRuleForm();
+          loadAlertRules();
+        })
+        .catch(error => alert('❌ Error: ' + error.message));
+    }
+    
+    function removeAlertRule(id) {
+      const rule = alertRules.find(entry => entry.id === id);
+      if (!confirm('Delete alert rule ' + (rule ? rule.name : id) + '?')) return;
+      fetch('/settings/alert-rules/remove', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: id })
+      })
+        .then(response => response.json())
+        .then(data => {
+          if (!data.success) alert('❌ Error: ' + (data.error || 'Unknown error'));
+          loadAlertRules();
+        })
+        .catch(error => alert('❌ Error: ' + error.message));
+    }
+    
+    function testChargerControl(action) {
+      fetch('/settings/charger/test', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: action })
+      })
+        .then(response => response.json())
+        .then(data => {
+          if (data.success) {
+            const state = data.chargerState;
+            let message = 'SUCCESS: ' + data.message + '\\n\\n';
+            message += 'Charger State:\\n';
+            message += 'Status: ' + (state.isOn ? 'ON' : 'OFF') + '\\n';
+            message += 'Last Action: ' + (state.lastAction || 'None') + '\\n';
+            message += 'Time: ' + (state.lastActionTime ? new Date(state.lastActionTime).toLocaleString() : 'N/A') + '\\n\\n';
+            message += 'Check your smart plug for confirmation.';
+            alert(message);
+          } else {
+            alert('ERROR: ' + (data.message || data.error));
+          }
+        })
+        .catch(error => {
+          alert('ERROR: ' + error.message);
+        });
+    }
+    
+    function testEmail() {
+      fetch('/settings/alerts/test', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' }
+      })
+        .then(response => response.json())
+        .then(data => {
+          if (data.success) {
+            alert('SUCCESS: Test email sent successfully! Check your inbox.');
+          } else {
+            alert('ERROR: ' + (data.message || data.error));
+          }
+        })
+        .catch(error => {
+          alert('ERROR: ' + error.message);
+        });
+    }
+    
+    function testDailySummary() {
+      fetch('/settings/daily-summary/test', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' }
+      })
+        .then(response => response.json())
+        .then(data => {
+          if (data.success) {
+            alert('SUCCESS: Test daily summary sent successfully! Check your email.');
+          } else {
+            alert('ERROR: ' + (data.message || data.error));
+          }
+        })
+        .catch(error => {
+          alert('ERROR: ' + error.message);
+        });
+    }
+    
+    function testPeriodSummary(kind) {
+      fetch('/settings/' + kind + '-summary/test', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' }
+      })
+        .then(response => response.json())
+        .then(data => {
+          if (data.success) {
+            alert('SUCCESS: ' + data.message);
+          } else {
+            alert('ERROR: ' + (data.message || data.error));
+          }
+        })
+        .catch(error => {
+          alert('ERROR: ' + error.message);
+        });
+    }
+    
+    function lookupZipCode() {
+      const zipCode = document.getElementById('zipCode').value;
+      if (!zipCode) {
+        alert('Please enter a zip code');
+        return;
+      }
+      
+      fetch('https://nominatim.openstreetmap.org/search?postalcode=' + zipCode + '&country=US&format=json&limit=1')
+        .then(response => response.json())
+        .then(data => {
+          if (data && data.length > 0) {
+            const loc = data[0];
+            document.getElementById('latitude').value = loc.lat;
+            document.getElementById('longitude').value = loc.lon;
+            document.getElementById('locationName').value = loc.display_name;
+            document.getElementById('latitudeDisplay').textContent = parseFloat(loc.lat).toFixed(4);
+            document.getElementById('longitudeDisplay').textContent = parseFloat(loc.lon).toFixed(4);
+            document.getElementById('locationNameDisplay').textContent = loc.display_name;
+            alert('✅ Location found: ' + loc.display_name);
+          } else {
+            alert('❌ Zip code not found');
+          }
+        })
+        .catch(error => alert('❌ Error: ' + error.message));
+    }
+    
+    function useBrowserTimezone() {
+      document.getElementById('timezone').value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+    
+    const ALERT_LOG_PAGE_SIZE = 50;
+    const ALERT_LOG_SEVERITY_COLORS = { info: '#3498db', warning: '#f39c12', critical: '#e74c3c' };
+    let alertLogTypes = null;
+    
+    function getAlertLogQuery() {
+      const params = new URLSearchParams();
+      const type = document.getElementById('alertLogType').value;
+      const severity = document.getElementById('alertLogSeverity').value;
+      const from = document.getElementById('alertLogFrom').value;
+      const to = document.getElementById('alertLogTo').value;
+      if (type) params.set('type', type);
+      if (severity) params.set('severity', severity);
+      // Dates are whole days in this browser
+      if (from) params.set('from', new Date(from + 'T00:00:00').toISOString());
+      if (to) params.set('to', new Date(to + 'T23:59:59.999').toISOString());
+      return params;
+    }
+    
+    function loadAlertLog(offset) {
+      const params = getAlertLogQuery();
+      params.set('limit', ALERT_LOG_PAGE_SIZE);
+      params.set('offset', offset);
+      
+      fetch('/settings/alerts/history?' + params.toString(), { credentials: 'same-origin' })
+        .then(response => response.json())
+        .then(data => {
+          const container = document.getElementById('alertLogList');
+          if (!container) return;
+          if (data.error) {
+            container.textContent = '❌ ' + data.error;
+            return;
+          }
+          
+          if (!alertLogTypes) {
+            alertLogTypes = data.types;
+            const select = document.getElementById('alertLogType');
+            Object.keys(data.types).forEach(type => {
+              const option = document.createElement('option');
+              option.value = type;
+              option.textContent = data.types[type].label;
+              select.appendChild(option);
+            });
+          }
+          
+          if (data.history.length === 0) {
+            container.innerHTML = '<p style="color: var(--text-secondary);">No entries match these filters.</p>';
+            return;
+          }
+          
+          let html = '<table style="width: 100%; border-collapse: collapse; font-size: 13px;">';
+          html += '<tr style="text-align: left; border-bottom: 2px solid var(--border-color);"><th style="padding: 8px;">Time</th><th>Type</th><th>Severity</th><th>Message</th></tr>';
+          data.history.forEach(entry => {
+            const type = alertLogTypes[entry.type];
+            html += '<tr style="border-bottom: 1px solid var(--border-color);">';
+            html += '<td style="padding: 8px; white-space: nowrap;">' + new Date(entry.timestamp).toLocaleString() + '</td>';
+            html += '<td>' + escapeAttr(type ? type.label : entry.type) + '</td>';
+            html += '<td style="color: ' + (ALERT_LOG_SEVERITY_COLORS[entry.severity] || 'inherit') + '; font-weight: bold;">' + escapeAttr(entry.severity || '') + '</td>';
+            html += '<td title="' + escapeAttr(entry.details ? JSON.stringify(entry.details) : '') + '">' + escapeAttr(entry.message) + '</td>';
+            html += '</tr>';
+          });
+          html += '</table>';
+          
+          const last = Math.min(data.offset + data.history.length, data.total);
+          html += '<div style="display: flex; justify-content: space-between; align-items: center; margin-top: 10px;">';
+          html += '<span>Showing ' + (data.offset + 1) + '-' + last + ' of ' + data.total + '</span><span>';
+          if (data.offset > 0) {
+            html += '<button onclick="loadAlertLog(' + Math.max(data.offset - data.limit, 0) + ')" class="btn-test">◀ Newer</button> ';
+          }
+          if (last < data.total) {
+            html += '<button onclick="loadAlertLog(' + last + ')" class="btn-test">Older ▶</button>';
+          }
+          html += '</span></div>';
+          container.innerHTML = html;
+        })
+        .catch(error => {
+          const container = document.getElementById('alertLogList');
+          if (container) container.textContent = '❌ Error loading alert history: ' + error.message;
+        });
+    }
+    
+    function exportAlertLog() {
+      const params = getAlertLogQuery();
+      params.set('format', 'csv');
+      window.location.href = '/settings/alerts/history?' + params.toString();
+    }
+    
+    const NOTIFICATION_CHANNEL_NAMES = ['sendgrid', 'smtp', 'webhook', 'push', 'mqtt'];
+    let notificationCategories = {};
+    
+    function loadScheduledJobs() {
+      fetch('/settings/scheduler', { credentials: 'same-origin' })
+        .then(response => response.json())
+        .then(data => {
+          const container = document.getElementById('scheduledJobs');
+          if (!container) return;
+          let html = '';
+          data.jobs.forEach(job => {
+            html += '<div>📅 <strong>' + job.label + ':</strong> ' + (job.nextRunLocal ? 'next run ' + escapeAttr(job.nextRunLocal) : 'not scheduled');
+            if (job.lastError) html += ' <span style="color: var(--danger-color);">(last run failed: ' + escapeAttr(job.lastError) + ')</span>';
+            html += '</div>';
+          });
+          container.innerHTML = html;
+        })
+        .catch(error => console.error('Error loading scheduled jobs:', error));
+    }
+    
+    function loadNotificationRouting() {
+      fetch('/settings/notifications', { credentials: 'same-origin' })
+        .then(response => response.json())
+        .then(data => {
+          const container = document.getElementById('notificationRouting');
+          if (!container) return;
+          notificationCategories = data.categories;
+          
+          let html = '<table style="width: 100%; border-collapse: collapse; font-size: 13px;">';
+          html += '<tr style="text-align: left; border-bottom: 2px solid var(--border-color);"><th style="padding: 8px;">Alert</th>';
+          NOTIFICATION_CHANNEL_NAMES.forEach(name => {
+            html += '<th title="' + escapeAttr(data.channels[name].problem || '') + '">' + data.channels[name].label + '</th>';
+          });
+          html += '</tr>';
+          Object.keys(data.categories).forEach(category => {
+            const routed = data.routing[category];
+            html += '<tr style="border-bottom: 1px solid var(--border-color);"><td style="padding: 8px;">' + data.categories[category] + '</td>';
+            NOTIFICATION_CHANNEL_NAMES.forEach(name => {
+              const checked = !routed || routed.includes(name);
+              html += '<td><input type="checkbox" id="route_' + category + '_' + name + '" ' + (checked ? 'checked' : '') + '></td>';
+            });
+            html += '</tr>';
+          });
+          html += '</table>';
+          container.innerHTML = html;
+        })
+        .catch(error => {
+          const container = document.getElementById('notificationRouting');
+          if (container) container.textContent = '❌ Error loading routing: ' + error.message;
+        });
+    }
+    
+    function getNotificationChannelForm(name) {
+      const value = id => document.getElementById(id).value;
+      const config = { enabled: document.getElementById('notify_' + name + '_enabled').checked };
+      if (name === 'smtp') {
+        Object.assign(config, {
+          host: value('smtpHost').trim(),
+          port: parseInt(value('smtpPort')),
+          secure: document.getElementById('smtpSecure').checked,
+          username: value('smtpUsername').trim(),
+          password: value('smtpPassword') || undefined,
+          from: value('smtpFrom').trim(),
+          to: value('smtpTo').trim()
+        });
+      } else if (name === 'webhook') {
+        let headers;
+        try {
+          headers = JSON.parse(value('notifyWebhookHeaders') || '{}');
+        } catch (error) {
+          throw new Error('Notification webhook headers must be valid JSON, e.g. {"Authorization": "Bearer ..."}');
+        }
+        Object.assign(config, { url: value('notifyWebhookUrl').trim(), headers: headers });
+      } else if (name === 'push') {
+        Object.assign(config, {
+          service: value('pushService'),
+          server: value('pushServer').trim(),
+          topic: value('pushTopic').trim(),
+          token: value('pushToken') || undefined
+        });
+      } else if (name === 'mqtt') {
+        Object.assign(config, {
+          topic: value('notifyMqttTopic').trim(),
+          qos: parseInt(value('notifyMqttQos')),
+          retain: document.getElementById('notifyMqttRetain').checked
+        });
+      }
+      return config;
+    }
+    
+    function getNotificationSettingsForm() {
+      const channels = {};
+      NOTIFICATION_CHANNEL_NAMES.forEach(name => {
+        channels[name] = getNotificationChannelForm(name);
+      });
+      
+      // All boxes ticked = follow every enabled channel (null), so new channels are picked up
+      const routing = {};
+      Object.keys(notificationCategories).forEach(category => {
+        const selected = NOTIFICATION_CHANNEL_NAMES.filter(name => {
+          const box = document.getElementById('route_' + category + '_' + name);
+          return box && box.checked;
+        });
+        routing[category] = selected.length === NOTIFICATION_CHANNEL_NAMES.length ? null : selected;
+      });
+      return { channels: channels, routing: routing };
+    }
+    
+    // Filled-in tier rows only - a blank delay means the tier is not used
+    function getEscalationSettingsForm() {
+      const tiers = [];
+      for (let i = 0; i < 3; i++) {
+        const minutes = document.getElementById('escalationMinutes' + i).value;
+        if (minutes === '') continue;
+        tiers.push({
+          afterMinutes: parseFloat(minutes),
+          channels: NOTIFICATION_CHANNEL_NAMES.filter(name => document.getElementById('escalationChannel' + i + '_' + name).checked),
+          recipients: document.getElementById('escalationRecipients' + i).value
+        });
+      }
+      return { enabled: document.getElementById('escalationEnabled').checked, tiers: tiers };
+    }
+    
+    function testNotificationChannel(name) {
+      let config;
+      try {
+        config = getNotificationChannelForm(name);
+      } catch (error) {
+        alert('❌ ' + error.message);
+        return;
+      }
+      fetch('/settings/notifications/test', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ channel: name, config: config })
+      })
+        .then(response => response.json())
+        .then(data => {
+          alert((data.success ? '✅ ' : '❌ ') + (data.message || data.error || 'Unknown error'));
+        })
+        .catch(error => alert('❌ Error: ' + error.message));
+    }
+    
+    function saveAllSettings() {
+      let notifications;
+      let quietHoursDays;
+      try {
+        notifications = getNotificationSettingsForm();
+        quietHoursDays = parseScheduleDays(document.getElementById('quietHoursDays').value);
+      } catch (error) {
+        alert('❌ ' + error.message);
+        return;
+      }
+      
+      let webhookHeaders;
+      try {
+        webhookHeaders = JSON.parse(document.getElementById('webhookHeaders').value || '{}');
+      } catch (error) {
+        alert('❌ Webhook headers must be valid JSON, e.g. {"Authorization": "Bearer ..."}');
+        return;
+      }
+      
+      let chargeWindows, blackoutWindows, targetDays;
+      try {
+        chargeWindows = parseScheduleWindows(document.getElementById('chargeWindows').value, true);
+        blackoutWindows = parseScheduleWindows(document.getElementById('blackoutWindows').value, false);
+        targetDays = parseScheduleDays(document.getElementById('scheduleTargetDays').value);
+      } catch (error) {
+        alert('❌ ' + error.message);
+        return;
+      }
+      
+      const settings = {
+        enabled: document.getElementById('emailEnabled').checked,
+        fromEmail: document.getElementById('fromEmail').value,
+        toEmail: document.getElementById('toEmail').value,
+        lowThreshold: parseInt(document.getElementById('lowThreshold').value),
+        highThreshold: parseInt(document.getElementById('highThreshold').value),
+        sendgridApiKey: document.getElementById('sendgridApiKey').value || undefined,
+        systemSettings: {
+          mqttBroker: document.getElementById('mqttBroker').value,
+          mqttTopic: document.getElementById('mqttTopic').value,
+          mqttUsername: document.getElementById('mqttUsername').value,
+          mqttPassword: document.getElementById('mqttPassword').value || undefined,
+          clearMqttPassword: document.getElementById('clearMqttPassword')?.checked || undefined,
+          mqttClientId: document.getElementById('mqttClientId').value,
+          mqttCaFile: document.getElementById('mqttCaFile').value,
+          mqttCertFile: document.getElementById('mqttCertFile').value,
+          mqttKeyFile: document.getElementById('mqttKeyFile').value,
+          mqttRejectUnauthorized: document.getElementById('mqttRejectUnauthorized').checked,
+          zipCode: document.getElementById('zipCode').value,
+          latitude: parseFloat(document.getElementById('latitude').value),
+          longitude: parseFloat(document.getElementById('longitude').value),
+          locationName: document.getElementById('locationName').value,
+          timezone: document.getElementById('timezone').value
+        },
+        deviceDiscovery: {
+          autoTrack: document.getElementById('autoTrackDevices').checked
+        },
+        notifications: notifications,
+        quietHours: {
+          enabled: document.getElementById('quietHoursEnabled').checked,
+          days: quietHoursDays,
+          start: document.getElementById('quietHoursStart').value,
+          end: document.getElementById('quietHoursEnd').value
+        },
+        alertActions: {
+          snoozeMinutes: parseFloat(document.getElementById('snoozeMinutes').value),
+          linkValidHours: parseFloat(document.getElementById('linkValidHours').value)
+        },
+        criticalThreshold: document.getElementById('criticalThreshold').value === '' ? null : parseFloat(document.getElementById('criticalThreshold').value),
+        escalation: getEscalationSettingsForm(),
+        batteryProtection: {
+          enabled: document.getElementById('packProtectionEnabled').checked,
+          maxTemp: parseFloat(document.getElementById('packMaxTemp').value),
+          minTemp: parseFloat(document.getElementById('packMinTemp').value),
+          maxCellSpreadMv: parseFloat(document.getElementById('packMaxCellSpread').value),
+          maxSocDivergence: parseFloat(document.getElementById('packMaxSocDivergence').value),
+          forceChargerOff: document.getElementById('packForceChargerOff').checked
+        },
+        staleData: {
+          enabled: document.getElementById('staleEnabled').checked,
+          minutes: parseFloat(document.getElementById('staleMinutes').value),
+          watchTopics: document.getElementById('staleWatchTopics').value.split('\\n').map(topic => topic.trim()).filter(Boolean)
+        },
+        chargerControl: {
+          enabled: document.getElementById('chargerEnabled').checked,
+          driver: document.getElementById('chargerDriver').value,
+          iftttWebhookKey: document.getElementById('iftttWebhookKey').value || undefined,
+          webhook: {
+            method: document.getElementById('webhookMethod').value,
+            url: document.getElementById('webhookUrl').value,
+            headers: webhookHeaders,
+            bodyTemplate: document.getElementById('webhookBody').value
+          },
+          relay: {
+            type: document.getElementById('relayType').value,
+            host: document.getElementById('relayHost').value,
+            channel: parseInt(document.getElementById('relayChannel').value) || 0,
+            username: document.getElementById('relayUsername').value,
+            password: document.getElementById('relayPassword').value || undefined
+          },
+          mqtt: {
+            topic: document.getElementById('mqttCommandTopic').value,
+            onPayload: document.getElementById('mqttOnPayload').value,
+            offPayload: document.getElementById('mqttOffPayload').value,
+            retain: document.getElementById('mqttRetain').checked,
+            stateTopic: document.getElementById('mqttStateTopic').value
+          },
+          schedule: {
+            enabled: document.getElementById('scheduleEnabled').checked,
+            chargeWindows: chargeWindows,
+            blackoutWindows: blackoutWindows,
+            targetSoc: document.getElementById('scheduleTargetSoc').value === '' ? null : parseFloat(document.getElementById('scheduleTargetSoc').value),
+            targetTime: document.getElementById('scheduleTargetTime').value,
+            targetDays: targetDays,
+            chargeRatePerHour: parseFloat(document.getElementById('scheduleChargeRate').value),
+            maxRunMinutes: parseInt(document.getElementById('scheduleMaxRun').value),
+            restMinutes: parseInt(document.getElementById('scheduleRest').value)
+          },
+          forecast: {
+            enabled: document.getElementById('forecastEnabled').checked,
+            minSoc: parseFloat(document.getElementById('forecastMinSoc').value),
+            coverageFactor: parseFloat(document.getElementById('forecastCoverage').value),
+            batteryCapacityWh: parseFloat(document.getElementById('forecastCapacity').value),
+            systemWatts: document.getElementById('forecastSystemWatts').value === '' ? null : parseFloat(document.getElementById('forecastSystemWatts').value)
+          },
+          verification: {
+            enabled: document.getElementById('verifyEnabled').checked,
+            powerTopic: document.getElementById('verifyPowerTopic').value.trim(),
+            graceMinutes: parseFloat(document.getElementById('verifyGraceMinutes').value),
+            chargingWatts: parseFloat(document.getElementById('verifyChargingWatts').value),
+            pvIdleWatts: parseFloat(document.getElementById('verifyPvIdleWatts').value),
+            offDischargeWatts: document.getElementById('verifyOffDischargeWatts').value === '' ? null : parseFloat(document.getElementById('verifyOffDischargeWatts').value),
+            maxRetries: parseInt(document.getElementById('verifyMaxRetries').value)
+          },
+          lowThreshold: parseInt(document.getElementById('chargerLowThreshold').value),
+          highThreshold: parseInt(document.getElementById('chargerHighThreshold').value),
+          plugName: document.getElementById('chargerPlugName').value,
+          maxTemp: parseInt(document.getElementById('chargerMaxTemp').value)
+        },
+        peakDischargeAlert: {
+          enabled: document.getElementById('peakDischargeEnabled').checked,
+          durationMinutes: parseInt(document.getElementById('peakDischargeDuration').value)
+        },
+        dailySummary: {
+          enabled: document.getElementById('dailySummaryEnabled').checked,
+          sendTime: document.getElementById('dailySummaryTime').value,
+          schedule: document.getElementById('dailySummarySchedule').value.trim() || null
+        },
+        weeklySummary: {
+          enabled: document.getElementById('weeklySummaryEnabled').checked,
+          schedule: document.getElementById('weeklySummarySchedule').value.trim()
+        },
+        monthlySummary: {
+          enabled: document.getElementById('monthlySummaryEnabled').checked,
+          schedule: document.getElementById('monthlySummarySchedule').value.trim()
+        },
+        reportArchive: {
+          retentionDays: document.getElementById('reportArchiveRetention').value ? parseInt(document.getElementById('reportArchiveRetention').value) : null
+        }
+      };
+      
+      fetch('/settings/alerts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings)
+      })
+        .then(response => response.json())
+        .then(data => {
+          if (data.success) {
+            let message = '✅ Settings saved successfully!';
+            if (data.applied && data.applied.mqtt === 'reconnecting') message += '\\n🔌 Reconnecting to the new MQTT broker...';
+            if (data.applied && data.applied.mqtt === 'resubscribed') message += '\\n📡 Subscribed to the new MQTT topic.';
+            if (data.applied && data.applied.weather) message += '\\n📍 Weather location updated.';
+            alert(message);
+            loadScheduledJobs();
+            // Stay on settings page for additional changes
+          } else {
+            alert('❌ Error: ' + (data.error || 'Unknown error'));
+          }
+        })
+        .catch(error => alert('❌ Error: ' + error.message));
+    }
+  </script>
+</body>
+</html>
+  `);
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BATTERY DETAILS PAGE
+// ═══════════════════════════════════════════════════════════════════════════
+app.get('/battery', requireAuth, (req, res) => {
+  res.send(`
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Battery Details - SolarAssistant Dashboard</title>
+  <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
+  <script src="https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@3.0.0/dist/chartjs-adapter-date-fns.bundle.min.js"></script>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    
+    :root {
+      --bg-gradient-start: #1a1a2e;
+      --bg-gradient-end: #16213e;
+      --card-bg: #1e1e2e;
+      --text-primary: #f0f0f0;
+      --text-secondary: #d0d0d0;
+      --text-muted: #a0a0a0;
+      --border-color: #404050;
+      --success-color: #27ae60;
+      --warning-color: #f39c12;
+      --danger-color: #e74c3c;
+      --info-color: #3498db;
+      --accent-color: #667eea;
+    }
+    
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, var(--bg-gradient-start) 0%, var(--bg-gradient-end) 100%);
+      min-height: 100vh;
+      padding: 20px;
+      color: var(--text-primary);
+    }
+    
+    .container {
+      max-width: 1400px;
       margin: 0 auto;
     }
     
@@ -1922,7 +9512,13 @@ app.get('/settings-page', requireAuth, (req, res) => {
       border: 1px solid var(--border-color);
     }
     
-    h1 { color: var(--text-primary); font-size: 28px; }
+    h1 {
+      color: var(--text-primary);
+      font-size: 28px;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    }
     
     .btn {
       padding: 10px 20px;
@@ -1934,569 +9530,803 @@ app.get('/settings-page', requireAuth, (req, res) => {
       transition: all 0.3s ease;
     }
     
-    .btn-primary {
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    .btn-secondary {
+      background: var(--border-color);
+      color: var(--text-primary);
+    }
+    
+    .btn-secondary:hover {
+      background: var(--accent-color);
       color: white;
     }
     
-    .btn-primary:hover {
-      transform: translateY(-2px);
-      box-shadow: 0 8px 20px rgba(102, 126, 234, 0.4);
+    .grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
+      gap: 20px;
+      margin-bottom: 20px;
     }
     
-    .btn-secondary {
-      background: var(--border-color);
-      color: var(--text-primary);
+    #overview-cards {
+      grid-template-columns: repeat(5, 1fr);
     }
     
-    .accordion {
+    @media (max-width: 1200px) {
+      #overview-cards {
+        grid-template-columns: repeat(3, 1fr);
+      }
+    }
+    
+    @media (max-width: 768px) {
+      #overview-cards {
+        grid-template-columns: 1fr;
+      }
+    }
+    
+    .card {
       background: var(--card-bg);
-      border: 1px solid var(--border-color);
       border-radius: 12px;
-      margin-bottom: 15px;
-      overflow: hidden;
+      padding: 20px;
+      border: 1px solid var(--border-color);
+      box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
     }
     
-    .accordion-header {
+    .card h3 {
+      font-size: 16px;
+      color: var(--text-secondary);
+      margin-bottom: 15px;
       display: flex;
-      justify-content: space-between;
       align-items: center;
-      padding: 20px 25px;
-      cursor: pointer;
-      transition: all 0.3s ease;
-      border-bottom: 1px solid transparent;
+      gap: 8px;
     }
     
-    .accordion-header:hover {
-      background: rgba(102, 126, 234, 0.1);
+    .stat-value {
+      font-size: 32px;
+      font-weight: 700;
+      color: var(--text-primary);
+      margin-bottom: 5px;
     }
     
-    .accordion-header.active {
-      border-bottom-color: var(--border-color);
+    .stat-label {
+      font-size: 12px;
+      color: var(--text-muted);
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
     }
     
-    .accordion-header h3 {
-      color: var(--text-primary);
-      font-size: 18px;
-      margin: 0;
+    .stat-grid {
+      display: grid;
+      grid-template-columns: repeat(2, 1fr);
+      gap: 15px;
+      margin-top: 15px;
     }
     
-    .accordion-icon {
+    .stat-item {
+      text-align: center;
+      padding: 10px;
+      background: rgba(255, 255, 255, 0.02);
+      border-radius: 8px;
+      border: 1px solid var(--border-color);
+    }
+    
+    .stat-item-value {
       font-size: 20px;
-      transition: transform 0.3s ease;
-      color: var(--text-secondary);
+      font-weight: 600;
+      color: var(--text-primary);
     }
     
-    .accordion-header.active .accordion-icon {
-      transform: rotate(180deg);
+    .stat-item-label {
+      font-size: 11px;
+      color: var(--text-muted);
+      margin-top: 5px;
     }
     
-    .accordion-content {
-      max-height: 0;
-      overflow: hidden;
-      transition: max-height 0.4s ease;
+    .battery-comparison {
+      display: grid;
+      grid-template-columns: repeat(3, 1fr);
+      gap: 15px;
+      margin-bottom: 20px;
     }
     
-    .accordion-content.active {
-      max-height: 2000px;
-      padding: 25px;
+    .battery-card {
+      background: var(--card-bg);
+      border-radius: 12px;
+      padding: 20px;
+      border: 2px solid var(--border-color);
+      position: relative;
     }
     
-    .form-group {
-      margin-bottom: 20px;
+    .battery-card.pack-alert {
+      border-color: #e74c3c;
     }
     
-    .form-group label {
-      display: block;
+    .pack-alert-message {
+      color: #e74c3c;
+      font-size: 13px;
       font-weight: 600;
-      margin-bottom: 8px;
-      color: var(--text-primary);
+      margin-bottom: 10px;
     }
     
-    .form-group input[type="text"],
-    .form-group input[type="email"],
-    .form-group input[type="number"],
-    .form-group input[type="time"],
-    .form-group input[type="password"] {
-      padding: 10px;
-      border: 2px solid var(--border-color);
-      border-radius: 8px;
+    .battery-card h4 {
+      font-size: 18px;
+      margin-bottom: 15px;
+      color: var(--success-color);
+    }
+    
+    .health-badge {
+      position: absolute;
+      top: 15px;
+      right: 15px;
+      background: var(--success-color);
+      color: white;
+      padding: 4px 12px;
+      border-radius: 12px;
+      font-size: 11px;
+      font-weight: 600;
+    }
+    
+    .chart-container {
       background: var(--card-bg);
+      border-radius: 12px;
+      padding: 20px;
+      border: 1px solid var(--border-color);
+      margin-bottom: 20px;
+    }
+    
+    .chart-container h3 {
+      font-size: 18px;
+      margin-bottom: 15px;
       color: var(--text-primary);
-      font-size: 14px;
     }
     
-    .form-group small {
-      display: block;
-      margin-top: 5px;
+    canvas {
+      max-height: 300px;
+    }
+    
+    .loading {
+      text-align: center;
+      padding: 40px;
       color: var(--text-muted);
-      font-size: 12px;
+      font-size: 16px;
     }
     
-    .save-section {
-      position: sticky;
-      bottom: 0;
-      background: var(--card-bg);
-      padding: 20px;
-      border-top: 2px solid var(--border-color);
+    .error {
+      background: rgba(231, 76, 60, 0.1);
+      border: 1px solid var(--danger-color);
+      color: var(--danger-color);
+      padding: 15px;
+      border-radius: 8px;
       text-align: center;
-      margin-top: 30px;
-      border-radius: 0 0 12px 12px;
     }
     
-    .btn-test {
-      background: #3498db;
-      color: white;
-      padding: 8px 16px;
-      border: none;
-      border-radius: 6px;
-      cursor: pointer;
-      font-size: 13px;
+    
+    .chart-selector-label {
+      font-size: 14px;
+      color: var(--text-secondary);
+      font-weight: 500;
+    }
+    
+    .chart-selector {
+      padding: 6px 12px;
+      border: 2px solid var(--border-color);
+      border-radius: 8px;
+      background: var(--card-bg);
+      font-size: 14px;
+      color: var(--text-primary);
+      cursor: pointer;
+      transition: all 0.3s ease;
+    }
+    
+    .chart-selector:hover {
+      border-color: var(--accent-color);
     }
     
-    .info-box {
-      background: #fff3cd;
-      padding: 12px;
-      border-radius: 6px;
-      border-left: 3px solid #ffc107;
-      margin-top: 15px;
-      color: #856404;
-      font-size: 12px;
+    .chart-selector:focus {
+      outline: none;
+      border-color: var(--accent-color);
+      box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
     }
     
-    .location-display {
-      background: var(--card-bg);
-      padding: 12px;
-      border-radius: 6px;
-      border: 1px solid var(--border-color);
-      font-size: 13px;
-      line-height: 1.8;
+    @media (max-width: 768px) {
+      .battery-comparison {
+        grid-template-columns: 1fr;
+      }
+      
+      h1 {
+        font-size: 22px;
+      }
+      
+      .grid {
+        grid-template-columns: 1fr;
+      }
+      
+      .chart-container > div:first-child {
+        flex-direction: column;
+        gap: 10px;
+        align-items: flex-start !important;
+      }
     }
   </style>
 </head>
 <body>
   <div class="container">
     <div class="header">
-      <h1>⚙️ Settings</h1>
+      <h1>🔋 Battery Details</h1>
       <button onclick="window.location.href='/'" class="btn btn-secondary">← Back to Dashboard</button>
     </div>
     
-    <div id="settings-container">
-      <!-- Settings will be loaded here -->
-      <p style="text-align: center; padding: 40px; color: var(--text-muted);">Loading settings...</p>
-    </div>
-    
-    <div class="save-section">
-      <button onclick="saveAllSettings()" class="btn btn-primary" style="padding: 15px 40px; font-size: 16px;">💾 Save All Settings</button>
-      <p style="color: var(--text-muted); font-size: 12px; margin-top: 10px;">Saves all settings across all sections • Use "Back to Dashboard" to return</p>
-    </div>
+    <div id="battery-content" class="loading">Loading battery data...</div>
   </div>
   
   <script>
-    // Load settings on page load
-    document.addEventListener('DOMContentLoaded', loadAllSettings);
+    let batteryData = null;
+    let charts = {};
+    let batterySource = null;
+    let lastBatteryEventId = null;
+    let batteryPollTimer = null;
     
-    function toggleAccordion(id) {
-      const header = document.getElementById(id + '-header');
-      const content = document.getElementById(id + '-content');
+    // Load battery data on page load
+    document.addEventListener('DOMContentLoaded', loadBatteryData);
+    
+    async function loadBatteryData() {
+      try {
+        const response = await fetch('/data/battery?history=false', {
+          credentials: 'same-origin'
+        });
+        
+        if (!response.ok) {
+          throw new Error('Failed to load battery data');
+        }
+        
+        batteryData = await response.json();
+        batteryData.history = await loadBatteryHistory();
+        renderBatteryPage();
+        
+        // Values are pushed over /data/stream (polled every 5 seconds as a
+        // fallback), chart history refreshes every minute (archive interval)
+        startBatteryStream();
+        setInterval(refreshBatteryHistory, 60000);
+      } catch (error) {
+        console.error('Error loading battery data:', error);
+        document.getElementById('battery-content').innerHTML = 
+          '<div class="error">Error loading battery data: ' + error.message + '</div>';
+      }
+    }
+    
+    // Apply a /data/battery-shaped update, keeping the chart history
+    function applyBatteryUpdate(update) {
+      const history = batteryData.history;
+      const previousIds = getBatteryKeys().join(',');
+      batteryData = update;
+      batteryData.history = history;
       
-      if (header && content) {
-        // Check if this accordion is already open
-        const isCurrentlyOpen = header.classList.contains('active');
+      // A pack appeared or went away - reload its history and rebuild cards/charts
+      if (getBatteryKeys().join(',') !== previousIds) {
+        refreshBatteryHistory().then(renderBatteryPage);
+        return;
+      }
+      updateBatteryValues();
+    }
+    
+    // 'battery_N' keys of the discovered packs, in order
+    function getBatteryKeys() {
+      return (batteryData && batteryData.batteries ? batteryData.batteries : []).map(battery => 'battery_' + battery.id);
+    }
+    
+    // Chart colour per pack (cycles for large banks)
+    const BATTERY_COLORS = ['#27ae60', '#3498db', '#f39c12', '#9b59b6', '#e74c3c', '#1abc9c', '#e67e22', '#95a5a6'];
+    function getBatteryColor(index) {
+      return BATTERY_COLORS[index % BATTERY_COLORS.length];
+    }
+    
+    function startBatteryStream() {
+      if (!window.EventSource) {
+        startBatteryPolling();
+        return;
+      }
+      
+      let url = '/data/stream?channels=battery';
+      if (lastBatteryEventId !== null) url += '&lastEventId=' + lastBatteryEventId;
+      batterySource = new EventSource(url);
+      
+      batterySource.addEventListener('snapshot', event => {
+        lastBatteryEventId = event.lastEventId;
+        stopBatteryPolling();
+        applyBatteryUpdate(JSON.parse(event.data).battery);
+      });
+      
+      batterySource.addEventListener('battery', event => {
+        lastBatteryEventId = event.lastEventId;
+        stopBatteryPolling();
+        applyBatteryUpdate(JSON.parse(event.data));
+      });
+      
+      batterySource.onerror = () => {
+        startBatteryPolling();
+        if (batterySource.readyState === EventSource.CLOSED) {
+          batterySource = null;
+          setTimeout(startBatteryStream, 30000);
+        }
+      };
+    }
+    
+    function startBatteryPolling() {
+      if (batteryPollTimer) return;
+      batteryPollTimer = setInterval(refreshBatteryData, 5000);
+    }
+    
+    function stopBatteryPolling() {
+      if (!batteryPollTimer) return;
+      clearInterval(batteryPollTimer);
+      batteryPollTimer = null;
+    }
+    
+    async function refreshBatteryData() {
+      try {
+        const response = await fetch('/data/battery?history=false', {
+          credentials: 'same-origin'
+        });
         
-        if (isCurrentlyOpen) {
-          // If it's open, just close it
-          header.classList.remove('active');
-          content.classList.remove('active');
-        } else {
-          // If it's closed, close all others first, then open this one
-          const allHeaders = document.querySelectorAll('.accordion-header');
-          const allContents = document.querySelectorAll('.accordion-content');
-          
-          allHeaders.forEach(h => h.classList.remove('active'));
-          allContents.forEach(c => c.classList.remove('active'));
-          
-          // Then open the clicked one
-          header.classList.add('active');
-          content.classList.add('active');
+        if (response.ok) {
+          applyBatteryUpdate(await response.json());
         }
+      } catch (error) {
+        console.error('Error refreshing data:', error);
       }
     }
     
-    function loadAllSettings() {
-      console.log('Loading settings...');
-      fetch('/settings/alerts', {
+    // Fetch the last hour of charted battery metrics from /data/history
+    // RETURNS: { power: { battery_1: [...] }, temperature: {...}, voltage: {...} }
+    async function loadBatteryHistory() {
+      const metrics = ['power', 'temperature', 'voltage'];
+      const batteryIds = batteryData.batteries.map(battery => battery.id);
+      const topics = [];
+      metrics.forEach(metric => {
+        batteryIds.forEach(num => topics.push('battery_' + num + '/' + metric));
+      });
+      if (topics.length === 0) {
+        return { power: {}, temperature: {}, voltage: {} };
+      }
+      
+      const from = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      const response = await fetch('/data/history?resolution=raw&from=' + from +
+        '&topics=' + encodeURIComponent(topics.join(',')), {
         credentials: 'same-origin'
-      })
-        .then(response => {
-          console.log('Response status:', response.status);
-          if (!response.ok) {
-            throw new Error('Failed to load settings (status: ' + response.status + ')');
-          }
-          return response.json();
-        })
-        .then(data => {
-          console.log('Settings data:', data);
-          if (!data.settings) {
-            throw new Error('Invalid settings data received');
-          }
-          renderSettings(data.settings, data.chargerState);
-        })
-        .catch(error => {
-          console.error('Error loading settings:', error);
-          document.getElementById('settings-container').innerHTML = '<p style="text-align: center; padding: 40px; color: red;">❌ Error loading settings: ' + error.message + '<br><br><a href="/">← Back to Dashboard</a></p>';
+      });
+      
+      if (!response.ok) {
+        throw new Error('Failed to load battery history');
+      }
+      
+      const result = await response.json();
+      const history = {};
+      metrics.forEach(metric => {
+        history[metric] = {};
+        batteryIds.forEach(num => {
+          history[metric]['battery_' + num] = result.data['solar_assistant/battery_' + num + '/' + metric + '/state'] || [];
         });
+      });
+      return history;
     }
     
-    function renderSettings(settings, chargerState) {
+    async function refreshBatteryHistory() {
       try {
-        const container = document.getElementById('settings-container');
-        
-        // Debug logging
-        console.log('Rendering settings:', settings);
-        
-        let html = '';
-      
-      // System Configuration Accordion
-      html += '<div class="accordion">';
-      html += '  <div class="accordion-header" id="system-header" onclick="toggleAccordion(' + "'" + 'system' + "'" + ')">';
-      html += '    <h3>⚙️ System Configuration</h3>';
-      html += '    <span class="accordion-icon">▼</span>';
-      html += '  </div>';
-      html += '  <div class="accordion-content" id="system-content">';
-      html += '    <div class="form-group">';
-      html += '      <label for="mqttBroker">MQTT Broker Address:</label>';
-      html += '      <input type="text" id="mqttBroker" value="' + (settings.systemSettings?.mqttBroker || 'mqtt://192.168.1.228:1883') + '" style="width: 100%;">';
-      html += '      <small>MQTT broker URL (requires app restart)</small>';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="mqttTopic">MQTT Topic:</label>';
-      html += '      <input type="text" id="mqttTopic" value="' + (settings.systemSettings?.mqttTopic || 'solar_assistant/#') + '" style="width: 100%;">';
-      html += '      <small>Subscribe pattern (# = all topics)</small>';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="zipCode">Zip Code:</label>';
-      html += '      <input type="text" id="zipCode" value="' + (settings.systemSettings?.zipCode || '85142') + '" style="width: 150px;">';
-      html += '      <button onclick="lookupZipCode()" class="btn-test" style="margin-left: 10px;">📍 Lookup</button>';
-      html += '      <small>Auto-convert to lat/long for weather</small>';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label>Location Details:</label>';
-      html += '      <div class="location-display">';
-      html += '        <div><strong>Name:</strong> <span id="locationNameDisplay">' + (settings.systemSettings?.locationName || 'Queen Creek, AZ') + '</span></div>';
-      html += '        <div><strong>Latitude:</strong> <span id="latitudeDisplay">' + (settings.systemSettings?.latitude || '33.2487') + '</span></div>';
-      html += '        <div><strong>Longitude:</strong> <span id="longitudeDisplay">' + (settings.systemSettings?.longitude || '-111.6343') + '</span></div>';
-      html += '        <div><strong>Timezone:</strong> <span id="timezoneDisplay">' + (settings.systemSettings?.timezone || 'America/Phoenix') + '</span></div>';
-      html += '      </div>';
-      html += '      <input type="hidden" id="latitude" value="' + (settings.systemSettings?.latitude || '33.2487') + '">';
-      html += '      <input type="hidden" id="longitude" value="' + (settings.systemSettings?.longitude || '-111.6343') + '">';
-      html += '      <input type="hidden" id="locationName" value="' + (settings.systemSettings?.locationName || 'Queen Creek, AZ') + '">';
-      html += '      <input type="hidden" id="timezone" value="' + (settings.systemSettings?.timezone || 'America/Phoenix') + '">';
-      html += '    </div>';
-      html += '    <div class="info-box">';
-      html += '      <strong>⚠️ Note:</strong> MQTT changes require app restart. Location changes take effect immediately.';
-      html += '    </div>';
-      html += '  </div>';
-      html += '</div>';
+        batteryData.history = await loadBatteryHistory();
+      } catch (error) {
+        console.error('Error refreshing history:', error);
+      }
+    }
+    
+    function renderBatteryPage() {
+      const container = document.getElementById('battery-content');
       
-      // Email Alert Settings Accordion
-      html += '<div class="accordion" style="margin-top: 20px;">';
-      html += '  <div class="accordion-header" id="email-header" onclick="toggleAccordion(' + "'" + 'email' + "'" + ')">';
-      html += '    <h3>📧 Email Alert Settings</h3>';
-      html += '    <span class="accordion-icon">▼</span>';
-      html += '  </div>';
-      html += '  <div class="accordion-content" id="email-content">';
-      html += '    <div class="form-group">';
-      html += '      <label><input type="checkbox" id="emailEnabled" ' + (settings.enabled ? 'checked' : '') + '> Enable Email Alerts</label>';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="fromEmail">From Email Address:</label>';
-      html += '      <input type="email" id="fromEmail" value="' + (settings.fromEmail || 'notify@wpsitemail.com') + '" style="width: 100%;">';
-      html += '      <small>Email address that sends alerts (must be verified in SendGrid)</small>';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="toEmail">To Email Address:</label>';
-      html += '      <input type="email" id="toEmail" value="' + (settings.toEmail || '') + '" style="width: 100%;">';
-      html += '      <small>Email address that receives alerts</small>';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="sendgridApiKey">SendGrid API Key:</label>';
-      html += '      <input type="password" id="sendgridApiKey" placeholder="Enter new API key" style="width: 100%;">';
-      html += '      <small>' + (settings.sendgridApiKey ? 'Current: ' + settings.sendgridApiKey + ' • Leave blank to keep existing' : 'Enter your SendGrid API key') + '</small>';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="lowThreshold">Low Battery Threshold (%):</label>';
-      html += '      <input type="number" id="lowThreshold" value="' + (settings.lowThreshold || 50) + '" min="0" max="100" style="width: 100px;">';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="highThreshold">Recovery Threshold (%):</label>';
-      html += '      <input type="number" id="highThreshold" value="' + (settings.highThreshold || 85) + '" min="0" max="100" style="width: 100px;">';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label>Test Email Functionality:</label>';
-      html += '      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-top: 10px;">';
-      html += '        <button onclick="testEmail()" class="btn-test" style="background: #3498db; padding: 12px;">📧 Test Email</button>';
-      html += '        <button onclick="testDailySummary()" class="btn-test" style="background: #9b59b6; padding: 12px;">📊 Test Daily Report</button>';
-      html += '      </div>';
-      html += '      <small style="display: block; margin-top: 8px;">Test email delivery and daily summary functionality</small>';
-      html += '    </div>';
-      html += '  </div>';
+      let html = '';
+      
+      // One "Battery N Only" option per discovered pack
+      let batteryOptions = '<option value="all">All Batteries</option>';
+      batteryData.batteries.forEach(battery => {
+        batteryOptions += '<option value="battery_' + battery.id + '">' + battery.name + ' Only</option>';
+      });
+      
+      // Overview Cards
+      html += '<div class="grid" id="overview-cards">';
+      html += '<div class="card"><h3 style="color: #27ae60">State of Charge</h3><div class="stat-value" id="total-soc">Loading...</div></div>';
+      html += '<div class="card"><h3 style="color: #3498db">Total Power</h3><div class="stat-value" id="total-power">Loading...</div></div>';
+      html += '<div class="card"><h3 style="color: #667eea">Voltage</h3><div class="stat-value" id="total-voltage">Loading...</div></div>';
+      html += '<div class="card"><h3 style="color: #f39c12">Temperature</h3><div class="stat-value" id="total-temperature">Loading...</div></div>';
+      html += '<div class="card"><h3 style="color: #9b59b6">Total Current</h3><div class="stat-value" id="total-current">Loading...</div></div>';
       html += '</div>';
       
-      // Battery Charger Control Accordion
-      html += '<div class="accordion" style="margin-top: 20px;">';
-      html += '  <div class="accordion-header" id="charger-header" onclick="toggleAccordion(' + "'" + 'charger' + "'" + ')">';
-      html += '    <h3>🔌 Battery Charger Control</h3>';
-      html += '    <span class="accordion-icon">▼</span>';
-      html += '  </div>';
-      html += '  <div class="accordion-content" id="charger-content">';
-      html += '    <div class="form-group">';
-      html += '      <label><input type="checkbox" id="chargerEnabled" ' + (settings.chargerControl?.enabled ? 'checked' : '') + '> Enable Automatic Charger Control</label>';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="iftttWebhookKey">IFTTT Webhook Key:</label>';
-      html += '      <input type="password" id="iftttWebhookKey" placeholder="Enter new webhook key" style="width: 100%;">';
-      html += '      <small>' + (settings.chargerControl?.iftttWebhookKey ? 'Current: ' + settings.chargerControl.iftttWebhookKey + ' • Leave blank to keep existing' : 'Enter your IFTTT webhook key') + '</small>';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="chargerLowThreshold">Turn ON at (%):</label>';
-      html += '      <input type="number" id="chargerLowThreshold" value="' + (settings.chargerControl?.lowThreshold || 50) + '" min="0" max="100" style="width: 100px;">';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="chargerHighThreshold">Turn OFF at (%):</label>';
-      html += '      <input type="number" id="chargerHighThreshold" value="' + (settings.chargerControl?.highThreshold || 90) + '" min="0" max="100" style="width: 100px;">';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="chargerPlugName">Smart Plug Name:</label>';
-      html += '      <input type="text" id="chargerPlugName" value="' + (settings.chargerControl?.plugName || 'Battery Charger') + '" style="width: 100%;">';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="chargerMaxTemp">Max Temperature (°C):</label>';
-      html += '      <input type="number" id="chargerMaxTemp" value="' + (settings.chargerControl?.maxTemp || 45) + '" min="0" max="100" style="width: 100px;">';
-      html += '      <small>Auto-shutoff temperature</small>';
-      html += '    </div>';
-      html += '  </div>';
+      // Individual Battery Comparison
+      html += '<div class="battery-comparison" id="battery-cards">';
+      html += '<div class="loading">Loading battery data...</div>';
       html += '</div>';
       
-      // Peak Discharge Monitoring Accordion
-      html += '<div class="accordion" style="margin-top: 20px;">';
-      html += '  <div class="accordion-header" id="peak-header" onclick="toggleAccordion(' + "'" + 'peak' + "'" + ')">';
-      html += '    <h3>☀️ Peak Discharge Monitoring</h3>';
-      html += '    <span class="accordion-icon">▼</span>';
-      html += '  </div>';
-      html += '  <div class="accordion-content" id="peak-content">';
-      html += '    <div class="form-group">';
-      html += '      <label><input type="checkbox" id="peakDischargeEnabled" ' + (settings.peakDischargeAlert?.enabled ? 'checked' : '') + '> Enable Peak Discharge Alerts</label>';
-      html += '      <small style="display: block; margin-top: 5px;">Get notified when battery discharges during peak sunlight hours</small>';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="peakDischargeDuration">Alert After (minutes):</label>';
-      html += '      <input type="number" id="peakDischargeDuration" value="' + (settings.peakDischargeAlert?.durationMinutes || 30) + '" min="5" max="120" style="width: 100px;">';
-      html += '    </div>';
-      html += '    <div class="info-box">';
-      html += '      <strong>📅 Seasonal Peak Hours:</strong><br>';
-      html += '      <div style="margin-top: 8px; line-height: 1.6;">';
-      html += '        <strong>Summer (Jun-Aug):</strong> 10:00 AM - 3:00 PM<br>';
-      html += '        <strong>Spring/Fall (Mar-May, Sep-Oct):</strong> 9:45 AM - 2:15 PM<br>';
-      html += '        <strong>Winter (Nov-Feb):</strong> 10:00 AM - 2:00 PM';
-      html += '      </div>';
-      html += '    </div>';
-      html += '  </div>';
+      // Charts
+      html += '<div class="chart-container">';
+      html += '<div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">';
+      html += '<h3 style="margin: 0;">Battery Power Flow (Past Hour)</h3>';
+      html += '<div style="display: flex; align-items: center; gap: 10px;">';
+      html += '<label for="powerSelector" class="chart-selector-label">View:</label>';
+      html += '<select id="powerSelector" onchange="changeBatteryView(' + "'power'" + ', this.value)" class="chart-selector">';
+      html += batteryOptions;
+      html += '</select>';
+      html += '</div>';
+      html += '</div>';
+      html += '<canvas id="powerChart"></canvas>';
       html += '</div>';
       
-      // Manual Charger Control Accordion
-      html += '<div class="accordion" style="margin-top: 20px;">';
-      html += '  <div class="accordion-header" id="manual-header" onclick="toggleAccordion(' + "'" + 'manual' + "'" + ')">';
-      html += '    <h3>🔧 Manual Charger Control</h3>';
-      html += '    <span class="accordion-icon">▼</span>';
-      html += '  </div>';
-      html += '  <div class="accordion-content" id="manual-content">';
-      html += '    <div class="form-group">';
-      html += '      <label>Manual Charger Control:</label>';
-      html += '      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-top: 10px;">';
-      html += '        <button onclick="testChargerControl(' + "'" + 'on' + "'" + ')" class="btn-test" style="background: #27ae60; padding: 12px;">🔌 Turn ON</button>';
-      html += '        <button onclick="testChargerControl(' + "'" + 'off' + "'" + ')" class="btn-test" style="background: #e74c3c; padding: 12px;">🔌 Turn OFF</button>';
-      html += '      </div>';
-      html += '      <small style="display: block; margin-top: 8px;">Override all settings and thresholds • Check your smart plug for confirmation</small>';
-      html += '    </div>';
-      html += '    <div class="info-box">';
-      html += '      <strong>⚠️ Manual Override:</strong> These buttons bypass ALL automatic controls, thresholds, and cooldowns.';
-      html += '    </div>';
-      html += '  </div>';
+      html += '<div class="chart-container">';
+      html += '<div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">';
+      html += '<h3 style="margin: 0;">Battery Temperatures (Past Hour)</h3>';
+      html += '<div style="display: flex; align-items: center; gap: 10px;">';
+      html += '<label for="tempSelector" class="chart-selector-label">View:</label>';
+      html += '<select id="tempSelector" onchange="changeBatteryView(' + "'temp'" + ', this.value)" class="chart-selector">';
+      html += batteryOptions;
+      html += '</select>';
+      html += '</div>';
+      html += '</div>';
+      html += '<canvas id="tempChart"></canvas>';
       html += '</div>';
       
-      // Daily Email Reports Accordion
-      html += '<div class="accordion" style="margin-top: 20px;">';
-      html += '  <div class="accordion-header" id="daily-header" onclick="toggleAccordion(' + "'" + 'daily' + "'" + ')">';
-      html += '    <h3>📊 Daily Email Reports</h3>';
-      html += '    <span class="accordion-icon">▼</span>';
-      html += '  </div>';
-      html += '  <div class="accordion-content" id="daily-content">';
-      html += '    <div class="form-group">';
-      html += '      <label><input type="checkbox" id="dailySummaryEnabled" ' + (settings.dailySummary?.enabled ? 'checked' : '') + '> Enable Daily Email Reports</label>';
-      html += '      <small style="display: block; margin-top: 5px;">Receive daily summary reports via email</small>';
-      html += '    </div>';
-      html += '    <div class="form-group">';
-      html += '      <label for="dailySummaryTime">Report Time:</label>';
-      html += '      <input type="time" id="dailySummaryTime" value="' + (settings.dailySummary?.sendTime || '20:00') + '" style="width: 150px;">';
-      html += '      <small>Time to send daily reports (24-hour format)</small>';
-      html += '    </div>';
-      html += '    <div class="info-box">';
-      html += '      <strong>Daily Reports Include:</strong><br>';
-      html += '      Energy production and consumption summary<br>';
-      html += '      Battery performance and charging cycles<br>';
-      html += '      Weather conditions and impact<br>';
-      html += '      System alerts and notifications';
-      html += '    </div>';
-      html += '  </div>';
+      html += '<div class="chart-container">';
+      html += '<div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">';
+      html += '<h3 style="margin: 0;">Individual Battery Voltages (Past Hour)</h3>';
+      html += '<div style="display: flex; align-items: center; gap: 10px;">';
+      html += '<label for="voltageSelector" class="chart-selector-label">View:</label>';
+      html += '<select id="voltageSelector" onchange="changeBatteryView(' + "'voltage'" + ', this.value)" class="chart-selector">';
+      html += batteryOptions;
+      html += '</select>';
+      html += '</div>';
+      html += '</div>';
+      html += '<canvas id="voltageChart"></canvas>';
       html += '</div>';
       
-        container.innerHTML = html;
-      } catch (error) {
-        console.error('Error in renderSettings:', error);
-        container.innerHTML = '<p style="text-align: center; padding: 40px; color: red;">ERROR: Error rendering settings: ' + error.message + '<br><br><a href="/">Back to Dashboard</a></p>';
+      html += '<div class="chart-container">';
+      html += '<h3>Cell Voltage Balance</h3>';
+      html += '<canvas id="cellBalanceChart"></canvas>';
+      html += '</div>';
+      
+      container.innerHTML = html;
+      
+      // Create charts
+      createCharts();
+      
+      // Update overview cards and battery cards with actual data
+      updateOverviewCards();
+      updateBatteryCards();
+    }
+    
+    function updateOverviewCards() {
+      if (!batteryData) return;
+      
+      document.getElementById('total-soc').textContent = (batteryData.total.soc || 0) + '%';
+      document.getElementById('total-power').textContent = formatPower(batteryData.total.power);
+      document.getElementById('total-voltage').textContent = (batteryData.total.voltage || 0).toFixed(1) + 'V';
+      document.getElementById('total-temperature').textContent = (batteryData.total.temperature || 0).toFixed(1) + '°F';
+      document.getElementById('total-current').textContent = (batteryData.total.current || 0).toFixed(1) + 'A';
+    }
+    
+    function updateBatteryCards() {
+      if (!batteryData) return;
+      
+      const container = document.getElementById('battery-cards');
+      let html = '';
+      
+      batteryData.batteries.forEach(battery => {
+        html += renderBatteryCard(battery);
+      });
+      if (batteryData.batteries.length === 0) {
+        html = '<div class="loading">Waiting for battery_N topics from SolarAssistant...</div>';
       }
+      
+      container.innerHTML = html;
     }
     
-    function testChargerControl(action) {
-      fetch('/settings/charger/test', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ action: action })
-      })
-        .then(response => response.json())
-        .then(data => {
-          if (data.success) {
-            const state = data.chargerState;
-            let message = 'SUCCESS: ' + data.message + '\\n\\n';
-            message += 'Charger State:\\n';
-            message += 'Status: ' + (state.isOn ? 'ON' : 'OFF') + '\\n';
-            message += 'Last Action: ' + (state.lastAction || 'None') + '\\n';
-            message += 'Time: ' + (state.lastActionTime ? new Date(state.lastActionTime).toLocaleString() : 'N/A') + '\\n\\n';
-            message += 'Check your smart plug for confirmation.';
-            alert(message);
-          } else {
-            alert('ERROR: ' + (data.message || data.error));
-          }
-        })
-        .catch(error => {
-          alert('ERROR: ' + error.message);
-        });
+    function renderOverviewCard(label, value, color) {
+      const colors = {
+        success: '#27ae60',
+        warning: '#f39c12',
+        danger: '#e74c3c',
+        info: '#3498db',
+        accent: '#667eea'
+      };
+      
+      return '<div class="card">' +
+        '<h3 style="color: ' + (colors[color] || colors.accent) + '">' + label + '</h3>' +
+        '<div class="stat-value">' + value + '</div>' +
+        '</div>';
+    }
+    
+    function renderBatteryCard(battery) {
+      const cellDiff = (battery.cellVoltage.highest - battery.cellVoltage.lowest).toFixed(3);
+      
+      const alerts = battery.alerts || [];
+      
+      return '<div class="battery-card' + (alerts.length ? ' pack-alert' : '') + '">' +
+        '<div class="health-badge">' + (battery.soh || 100) + '% Health</div>' +
+        '<h4>' + escapeHtml(battery.name || 'Battery ' + battery.id) + '</h4>' +
+        alerts.map(message => '<div class="pack-alert-message">⚠️ ' + escapeHtml(message) + '</div>').join('') +
+        '<div class="stat-grid">' +
+          '<div class="stat-item">' +
+            '<div class="stat-item-value">' + (battery.voltage || 0).toFixed(1) + 'V</div>' +
+            '<div class="stat-item-label">Voltage</div>' +
+          '</div>' +
+          '<div class="stat-item">' +
+            '<div class="stat-item-value">' + (battery.current || 0).toFixed(1) + 'A</div>' +
+            '<div class="stat-item-label">Current</div>' +
+          '</div>' +
+          '<div class="stat-item">' +
+            '<div class="stat-item-value">' + formatPower(battery.power) + '</div>' +
+            '<div class="stat-item-label">Power</div>' +
+          '</div>' +
+          '<div class="stat-item">' +
+            '<div class="stat-item-value">' + (battery.temperature || 0).toFixed(1) + '°F</div>' +
+            '<div class="stat-item-label">Temperature</div>' +
+          '</div>' +
+          '<div class="stat-item">' +
+            '<div class="stat-item-value">' + (battery.soc || 0) + '%</div>' +
+            '<div class="stat-item-label">SOC</div>' +
+          '</div>' +
+          '<div class="stat-item">' +
+            '<div class="stat-item-value">' + (battery.cellVoltage.average || 0).toFixed(3) + 'V</div>' +
+            '<div class="stat-item-label">Avg Cell</div>' +
+          '</div>' +
+          '<div class="stat-item">' +
+            '<div class="stat-item-value">' + (battery.cellVoltage.highest || 0).toFixed(3) + 'V</div>' +
+            '<div class="stat-item-label">Max Cell</div>' +
+          '</div>' +
+          '<div class="stat-item">' +
+            '<div class="stat-item-value">' + cellDiff + 'V</div>' +
+            '<div class="stat-item-label">Difference</div>' +
+          '</div>' +
+        '</div>' +
+        '</div>';
     }
     
-    function testEmail() {
-      fetch('/settings/alerts/test', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
-      })
-        .then(response => response.json())
-        .then(data => {
-          if (data.success) {
-            alert('SUCCESS: Test email sent successfully! Check your inbox.');
-          } else {
-            alert('ERROR: ' + (data.message || data.error));
-          }
-        })
-        .catch(error => {
-          alert('ERROR: ' + error.message);
-        });
+    function escapeHtml(text) {
+      const div = document.createElement('div');
+      div.textContent = text === null || text === undefined ? '' : String(text);
+      return div.innerHTML;
     }
     
-    function testDailySummary() {
-      fetch('/settings/daily-summary/test', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
-      })
-        .then(response => response.json())
-        .then(data => {
-          if (data.success) {
-            alert('SUCCESS: Test daily summary sent successfully! Check your email.');
-          } else {
-            alert('ERROR: ' + (data.message || data.error));
-          }
-        })
-        .catch(error => {
-          alert('ERROR: ' + error.message);
-        });
+    function formatPower(power) {
+      if (!power) return '0W';
+      const abs = Math.abs(power);
+      if (abs >= 1000) {
+        return (power / 1000).toFixed(2) + 'kW';
+      }
+      return Math.round(power) + 'W';
     }
     
-    function lookupZipCode() {
-      const zipCode = document.getElementById('zipCode').value;
-      if (!zipCode) {
-        alert('Please enter a zip code');
-        return;
-      }
+    // One line per pack for a history metric ('power', 'temperature', 'voltage')
+    function buildBatteryDatasets(metric) {
+      return batteryData.batteries.map((battery, index) => {
+        const key = 'battery_' + battery.id;
+        const color = getBatteryColor(index);
+        return {
+          label: battery.name || 'Battery ' + battery.id,
+          batteryKey: key,
+          data: filterLastHour(batteryData.history[metric][key]).map(point => ({
+            timestamp: new Date(point.timestamp),
+            value: point.value
+          })),
+          backgroundColor: color + '1a',
+          borderColor: color,
+          borderWidth: 2,
+          tension: 0.4,
+          fill: true
+        };
+      });
+    }
+    
+    // Avg/Max/Min cell voltage bars for every pack
+    function getCellBalanceData() {
+      const labels = [];
+      const values = [];
+      const colors = [];
+      batteryData.batteries.forEach((battery, index) => {
+        const name = battery.name || 'Battery ' + battery.id;
+        labels.push(name + ' Avg', name + ' Max', name + ' Min');
+        values.push(battery.cellVoltage.average, battery.cellVoltage.highest, battery.cellVoltage.lowest);
+        const color = getBatteryColor(index);
+        colors.push(color, color + 'cc', color + '99');
+      });
+      return { labels: labels, values: values, colors: colors };
+    }
+    
+    function createCharts() {
+      // Rebuilt when packs are added/removed
+      Object.keys(charts).forEach(name => charts[name].destroy());
+      charts = {};
       
-      fetch('https://nominatim.openstreetmap.org/search?postalcode=' + zipCode + '&country=US&format=json&limit=1')
-        .then(response => response.json())
-        .then(data => {
-          if (data && data.length > 0) {
-            const loc = data[0];
-            document.getElementById('latitude').value = loc.lat;
-            document.getElementById('longitude').value = loc.lon;
-            document.getElementById('locationName').value = loc.display_name;
-            document.getElementById('latitudeDisplay').textContent = parseFloat(loc.lat).toFixed(4);
-            document.getElementById('longitudeDisplay').textContent = parseFloat(loc.lon).toFixed(4);
-            document.getElementById('locationNameDisplay').textContent = loc.display_name;
-            alert('✅ Location found: ' + loc.display_name);
-          } else {
-            alert('❌ Zip code not found');
+      // Power Flow Chart (Line Chart)
+      const powerCtx = document.getElementById('powerChart').getContext('2d');
+      charts.power = new Chart(powerCtx, {
+        type: 'line',
+        data: { datasets: buildBatteryDatasets('power') },
+        options: getChartOptions('Power (W)')
+      });
+      
+      // Temperature Chart (Line Chart)
+      const tempCtx = document.getElementById('tempChart').getContext('2d');
+      charts.temp = new Chart(tempCtx, {
+        type: 'line',
+        data: { datasets: buildBatteryDatasets('temperature') },
+        options: getChartOptions('Temperature (°F)')
+      });
+      
+      // Voltage Chart (Line Chart)
+      const voltageCtx = document.getElementById('voltageChart').getContext('2d');
+      charts.voltage = new Chart(voltageCtx, {
+        type: 'line',
+        data: { datasets: buildBatteryDatasets('voltage') },
+        options: getChartOptions('Voltage (V)')
+      });
+      
+      // Cell Balance Chart (bar chart showing current cell voltages)
+      const cellBalance = getCellBalanceData();
+      const cellCtx = document.getElementById('cellBalanceChart').getContext('2d');
+      charts.cellBalance = new Chart(cellCtx, {
+        type: 'bar',
+        data: {
+          labels: cellBalance.labels,
+          datasets: [{
+            label: 'Cell Voltage (V)',
+            data: cellBalance.values,
+            backgroundColor: cellBalance.colors
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: { display: false },
+            title: { display: false }
+          },
+          scales: {
+            y: {
+              beginAtZero: false,
+              min: 3.2,
+              max: 3.6,
+              ticks: { color: '#a0a0a0' },
+              grid: { color: 'rgba(255, 255, 255, 0.1)' }
+            },
+            x: {
+              ticks: { color: '#a0a0a0', font: { size: 10 } },
+              grid: { display: false }
+            }
           }
-        })
-        .catch(error => alert('❌ Error: ' + error.message));
+        }
+      });
     }
     
-    function saveAllSettings() {
-      const settings = {
-        enabled: document.getElementById('emailEnabled').checked,
-        fromEmail: document.getElementById('fromEmail').value,
-        toEmail: document.getElementById('toEmail').value,
-        lowThreshold: parseInt(document.getElementById('lowThreshold').value),
-        highThreshold: parseInt(document.getElementById('highThreshold').value),
-        sendgridApiKey: document.getElementById('sendgridApiKey').value || undefined,
-        systemSettings: {
-          mqttBroker: document.getElementById('mqttBroker').value,
-          mqttTopic: document.getElementById('mqttTopic').value,
-          zipCode: document.getElementById('zipCode').value,
-          latitude: parseFloat(document.getElementById('latitude').value),
-          longitude: parseFloat(document.getElementById('longitude').value),
-          locationName: document.getElementById('locationName').value,
-          timezone: document.getElementById('timezone').value
-        },
-        chargerControl: {
-          enabled: document.getElementById('chargerEnabled').checked,
-          iftttWebhookKey: document.getElementById('iftttWebhookKey').value || undefined,
-          lowThreshold: parseInt(document.getElementById('chargerLowThreshold').value),
-          highThreshold: parseInt(document.getElementById('chargerHighThreshold').value),
-          plugName: document.getElementById('chargerPlugName').value,
-          maxTemp: parseInt(document.getElementById('chargerMaxTemp').value)
+    function getChartOptions(yLabel) {
+      return {
+        responsive: true,
+        maintainAspectRatio: false,
+        parsing: {
+          xAxisKey: 'timestamp',
+          yAxisKey: 'value'
         },
-        peakDischargeAlert: {
-          enabled: document.getElementById('peakDischargeEnabled').checked,
-          durationMinutes: parseInt(document.getElementById('peakDischargeDuration').value)
+        plugins: {
+          legend: {
+            display: true,
+            position: 'top',
+            labels: { color: '#a0a0a0' }
+          },
+          tooltip: {
+            mode: 'index',
+            intersect: false,
+            filter: function(tooltipItem) {
+              // Only show tooltips for visible datasets
+              return !tooltipItem.dataset.hidden;
+            }
+          }
         },
-        dailySummary: {
-          enabled: document.getElementById('dailySummaryEnabled').checked,
-          sendTime: document.getElementById('dailySummaryTime').value,
-          timezone: 'America/Phoenix'
+        scales: {
+          x: {
+            type: 'time',
+            time: {
+              unit: 'minute',
+              displayFormats: { minute: 'HH:mm' }
+            },
+            ticks: { color: '#a0a0a0' },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' }
+          },
+          y: {
+            beginAtZero: false,
+            ticks: { color: '#a0a0a0' },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' },
+            title: {
+              display: true,
+              text: yLabel,
+              color: '#a0a0a0'
+            }
+          }
         }
       };
+    }
+    
+    function getBarChartOptions(yLabel) {
+      return {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            display: true,
+            position: 'top',
+            labels: { color: '#a0a0a0' }
+          }
+        },
+        scales: {
+          x: {
+            type: 'time',
+            time: {
+              unit: 'minute',
+              displayFormats: { minute: 'HH:mm' }
+            },
+            ticks: { color: '#a0a0a0' },
+            grid: { display: false },
+            stacked: false,
+            offset: true
+          },
+          y: {
+            beginAtZero: true,
+            ticks: { color: '#a0a0a0' },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' },
+            title: {
+              display: true,
+              text: yLabel,
+              color: '#a0a0a0'
+            },
+            stacked: false
+          }
+        },
+        barPercentage: 0.6,
+        categoryPercentage: 0.8,
+        offset: true
+      };
+    }
+    
+    function filterLastHour(data) {
+      if (!data || data.length === 0) return [];
+      const oneHourAgo = Date.now() - (60 * 60 * 1000);
+      return data.filter(point => new Date(point.timestamp).getTime() > oneHourAgo);
+    }
+    
+    function changeBatteryView(chartType, view) {
+      const chart = charts[chartType];
+      if (!chart) return;
+      
+      // Hide/show datasets based on selection ('all' or 'battery_N')
+      chart.data.datasets.forEach(dataset => {
+        dataset.hidden = view !== 'all' && dataset.batteryKey !== view;
+      });
+      
+      chart.update();
+    }
+    
+    function updateBatteryValues() {
+      // Update overview cards and battery cards with latest data
+      updateOverviewCards();
+      updateBatteryCards();
       
-      fetch('/settings/alerts', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(settings)
-      })
-        .then(response => response.json())
-        .then(data => {
-          if (data.success) {
-            alert('✅ Settings saved successfully!');
-            // Stay on settings page for additional changes
-          } else {
-            alert('❌ Error: ' + (data.error || 'Unknown error'));
-          }
-        })
-        .catch(error => alert('❌ Error: ' + error.message));
+      // Update charts (datasets are in batteryData.batteries order)
+      const chartMetrics = { power: 'power', temp: 'temperature', voltage: 'voltage' };
+      Object.keys(chartMetrics).forEach(chartName => {
+        const chart = charts[chartName];
+        if (!chart) return;
+        chart.data.datasets.forEach(dataset => {
+          dataset.data = filterLastHour(batteryData.history[chartMetrics[chartName]][dataset.batteryKey]);
+        });
+        chart.update('none');
+      });
+      
+      if (charts.cellBalance) {
+        charts.cellBalance.data.datasets[0].data = getCellBalanceData().values;
+        charts.cellBalance.update('none');
+      }
     }
   </script>
 </body>
@@ -2505,18 +10335,16 @@ app.get('/settings-page', requireAuth, (req, res) => {
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
-// BATTERY DETAILS PAGE
+// REPORT ARCHIVE PAGE & API
 // ═══════════════════════════════════════════════════════════════════════════
-app.get('/battery', requireAuth, (req, res) => {
+app.get('/reports', requireAuth, (req, res) => {
   res.send(`
 <!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Battery Details - SolarAssistant Dashboard</title>
-  <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
-  <script src="https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@3.0.0/dist/chartjs-adapter-date-fns.bundle.min.js"></script>
+  <title>Reports - SolarAssistant Dashboard</title>
   <style>
     * { margin: 0; padding: 0; box-sizing: border-box; }
     
@@ -2587,27 +10415,14 @@ app.get('/battery', requireAuth, (req, res) => {
       color: white;
     }
     
-    .grid {
-      display: grid;
-      grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
-      gap: 20px;
-      margin-bottom: 20px;
-    }
-    
-    #overview-cards {
-      grid-template-columns: repeat(5, 1fr);
-    }
-    
-    @media (max-width: 1200px) {
-      #overview-cards {
-        grid-template-columns: repeat(3, 1fr);
-      }
+    .btn-small {
+      padding: 6px 12px;
+      font-size: 12px;
     }
     
-    @media (max-width: 768px) {
-      #overview-cards {
-        grid-template-columns: 1fr;
-      }
+    .btn:disabled {
+      opacity: 0.5;
+      cursor: default;
     }
     
     .card {
@@ -2616,1284 +10431,2124 @@ app.get('/battery', requireAuth, (req, res) => {
       padding: 20px;
       border: 1px solid var(--border-color);
       box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+      margin-bottom: 20px;
     }
     
-    .card h3 {
-      font-size: 16px;
-      color: var(--text-secondary);
-      margin-bottom: 15px;
+    .toolbar {
       display: flex;
+      justify-content: space-between;
       align-items: center;
-      gap: 8px;
+      gap: 10px;
+      margin-bottom: 15px;
+      flex-wrap: wrap;
     }
     
-    .stat-value {
-      font-size: 32px;
-      font-weight: 700;
+    select {
+      padding: 8px 12px;
+      border-radius: 8px;
+      border: 1px solid var(--border-color);
+      background: var(--bg-gradient-end);
       color: var(--text-primary);
-      margin-bottom: 5px;
+      font-size: 14px;
     }
     
-    .stat-label {
-      font-size: 12px;
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 14px;
+    }
+    
+    th {
+      text-align: left;
       color: var(--text-muted);
-      text-transform: uppercase;
-      letter-spacing: 0.5px;
+      font-weight: 600;
+      padding: 10px 8px;
+      border-bottom: 2px solid var(--border-color);
     }
     
-    .stat-grid {
-      display: grid;
-      grid-template-columns: repeat(2, 1fr);
-      gap: 15px;
-      margin-top: 15px;
+    td {
+      padding: 10px 8px;
+      border-bottom: 1px solid var(--border-color);
+      vertical-align: middle;
     }
     
-    .stat-item {
-      text-align: center;
-      padding: 10px;
-      background: rgba(255, 255, 255, 0.02);
-      border-radius: 8px;
-      border: 1px solid var(--border-color);
+    tr.selected td {
+      background: rgba(102, 126, 234, 0.12);
     }
     
-    .stat-item-value {
-      font-size: 20px;
+    .kind-badge {
+      display: inline-block;
+      padding: 2px 10px;
+      border-radius: 10px;
+      font-size: 12px;
       font-weight: 600;
-      color: var(--text-primary);
+      color: white;
     }
     
-    .stat-item-label {
-      font-size: 11px;
+    .kind-daily { background: #9b59b6; }
+    .kind-weekly { background: #8e44ad; }
+    .kind-monthly { background: #6c3483; }
+    
+    .actions {
+      display: flex;
+      gap: 6px;
+      flex-wrap: wrap;
+    }
+    
+    .muted {
       color: var(--text-muted);
-      margin-top: 5px;
+      font-size: 13px;
     }
     
-    .battery-comparison {
-      display: grid;
-      grid-template-columns: repeat(3, 1fr);
-      gap: 15px;
-      margin-bottom: 20px;
+    .empty {
+      text-align: center;
+      padding: 40px;
+      color: var(--text-muted);
     }
     
-    .battery-card {
-      background: var(--card-bg);
-      border-radius: 12px;
-      padding: 20px;
-      border: 2px solid var(--border-color);
-      position: relative;
+    #viewer {
+      display: none;
+    }
+    
+    #viewerFrame {
+      width: 100%;
+      height: 80vh;
+      border: none;
+      border-radius: 8px;
+      background: white;
+    }
+    
+    @media (max-width: 768px) {
+      .header {
+        flex-direction: column;
+        gap: 10px;
+        align-items: flex-start;
+      }
+      
+      .hide-mobile {
+        display: none;
+      }
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🗄️ Report Archive</h1>
+      <button onclick="window.location.href='/'" class="btn btn-secondary">← Back to Dashboard</button>
+    </div>
+    
+    <div class="card">
+      <div class="toolbar">
+        <div>
+          <label for="reportKind" class="muted">Show:</label>
+          <select id="reportKind" onchange="loadReports(0)">
+            <option value="">All reports</option>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+          </select>
+        </div>
+        <div id="reportPager" class="muted"></div>
+      </div>
+      <div id="reportList" class="empty">Loading reports...</div>
+    </div>
+    
+    <div class="card" id="viewer">
+      <div class="toolbar">
+        <h3 id="viewerTitle"></h3>
+        <button onclick="closeViewer()" class="btn btn-secondary btn-small">✕ Close</button>
+      </div>
+      <iframe id="viewerFrame" sandbox="allow-popups" title="Report"></iframe>
+    </div>
+  </div>
+  
+  <script>
+    const REPORT_PAGE_SIZE = 25;
+    let reportOffset = 0;
+    
+    document.addEventListener('DOMContentLoaded', () => loadReports(0));
+    
+    function escapeHtml(text) {
+      const div = document.createElement('div');
+      div.textContent = text === null || text === undefined ? '' : String(text);
+      return div.innerHTML;
+    }
+    
+    function loadReports(offset) {
+      const kind = document.getElementById('reportKind').value;
+      const params = new URLSearchParams({ limit: REPORT_PAGE_SIZE, offset: offset });
+      if (kind) params.set('kind', kind);
+      
+      fetch('/reports/list?' + params.toString(), { credentials: 'same-origin' })
+        .then(response => response.json())
+        .then(data => {
+          if (data.error) throw new Error(data.error);
+          reportOffset = data.offset;
+          renderReports(data);
+        })
+        .catch(error => {
+          document.getElementById('reportList').innerHTML = '<div class="empty">Error loading reports: ' + escapeHtml(error.message) + '</div>';
+        });
+    }
+    
+    function renderReports(data) {
+      const list = document.getElementById('reportList');
+      const pager = document.getElementById('reportPager');
+      
+      if (data.total === 0) {
+        list.className = 'empty';
+        list.innerHTML = 'No reports archived yet. A report is saved every time the daily, weekly or monthly summary runs.';
+        pager.innerHTML = '';
+        return;
+      }
+      
+      let html = '<table><tr><th>Period</th><th>Report</th><th class="hide-mobile">Generated</th><th>Delivery</th><th></th></tr>';
+      data.reports.forEach(report => {
+        const last = report.deliveries[report.deliveries.length - 1];
+        let delivery = '<span class="muted">Archived only</span>';
+        if (last) {
+          delivery = (last.delivered ? '✅ Sent ' : '❌ Not delivered ') + '<span class="muted">' + escapeHtml(new Date(last.time).toLocaleString()) + '</span>';
+          if (report.deliveries.length > 1) delivery += ' <span class="muted">(' + report.deliveries.length + ' attempts)</span>';
+        }
+        
+        html += '<tr data-kind="' + escapeHtml(report.kind) + '" data-id="' + escapeHtml(report.id) + '" data-title="' + escapeHtml(report.title) + '">';
+        html += '<td><strong>' + escapeHtml(report.title) + '</strong></td>';
+        html += '<td><span class="kind-badge kind-' + escapeHtml(report.kind) + '">' + escapeHtml(data.kinds[report.kind] || report.kind) + '</span></td>';
+        html += '<td class="hide-mobile muted">' + escapeHtml(new Date(report.generatedAt).toLocaleString()) + '</td>';
+        html += '<td>' + delivery + '</td>';
+        html += '<td><div class="actions">';
+        html += '<button class="btn btn-secondary btn-small" onclick="viewReport(this)">👁️ View</button>';
+        html += '<button class="btn btn-secondary btn-small" data-format="html" onclick="downloadReport(this)">⬇️ HTML</button>';
+        html += '<button class="btn btn-secondary btn-small" data-format="json" onclick="downloadReport(this)">⬇️ JSON</button>';
+        html += '<button class="btn btn-secondary btn-small" onclick="resendReport(this)">📧 Re-send</button>';
+        html += '</div></td></tr>';
+      });
+      html += '</table>';
+      
+      list.className = '';
+      list.innerHTML = html;
+      
+      const last = data.offset + data.reports.length;
+      let pagerHtml = (data.offset + 1) + '-' + last + ' of ' + data.total + ' ';
+      pagerHtml += '<button class="btn btn-secondary btn-small" onclick="loadReports(' + Math.max(0, data.offset - data.limit) + ')"' + (data.offset === 0 ? ' disabled' : '') + '>← Newer</button> ';
+      pagerHtml += '<button class="btn btn-secondary btn-small" onclick="loadReports(' + last + ')"' + (last >= data.total ? ' disabled' : '') + '>Older →</button>';
+      pager.innerHTML = pagerHtml;
+    }
+    
+    function getReportRef(button) {
+      const row = button.closest('tr');
+      return { row: row, kind: row.dataset.kind, id: row.dataset.id, title: row.dataset.title };
+    }
+    
+    function reportQuery(ref) {
+      return 'kind=' + encodeURIComponent(ref.kind) + '&id=' + encodeURIComponent(ref.id);
+    }
+    
+    function viewReport(button) {
+      const ref = getReportRef(button);
+      document.querySelectorAll('tr.selected').forEach(row => row.classList.remove('selected'));
+      ref.row.classList.add('selected');
+      
+      document.getElementById('viewerTitle').textContent = ref.title;
+      document.getElementById('viewerFrame').src = '/reports/view?' + reportQuery(ref);
+      const viewer = document.getElementById('viewer');
+      viewer.style.display = 'block';
+      viewer.scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    function closeViewer() {
+      document.getElementById('viewer').style.display = 'none';
+      document.getElementById('viewerFrame').src = 'about:blank';
+      document.querySelectorAll('tr.selected').forEach(row => row.classList.remove('selected'));
+    }
+    
+    function downloadReport(button) {
+      window.location.href = '/reports/download?' + reportQuery(getReportRef(button)) + '&format=' + button.dataset.format;
+    }
+    
+    function resendReport(button) {
+      const ref = getReportRef(button);
+      if (!confirm('Send the report for ' + ref.title + ' again?')) return;
+      
+      button.disabled = true;
+      fetch('/reports/resend', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'same-origin',
+        body: JSON.stringify({ kind: ref.kind, id: ref.id })
+      })
+        .then(response => response.json())
+        .then(data => {
+          alert((data.success ? 'SUCCESS: ' : 'ERROR: ') + (data.message || data.error));
+          loadReports(reportOffset);
+        })
+        .catch(error => {
+          alert('ERROR: ' + error.message);
+          button.disabled = false;
+        });
+    }
+  </script>
+</body>
+</html>
+  `);
+});
+
+/**
+ * GET /reports/list - Archived summary reports
+ * USED BY: /reports page, user scripts
+ * QUERY:
+ *   kind          - Comma-separated daily, weekly, monthly (default: all)
+ *   limit, offset - Page size (default 50, max 500) and start
+ * RETURNS: { reports: [records without stats, newest period first], total, offset, limit, kinds }
+ */
+app.get('/reports/list', authenticateToken, (req, res) => {
+  try {
+    const kinds = req.query.kind
+      ? String(req.query.kind).split(',').map(kind => kind.trim()).filter(Boolean)
+      : Object.keys(SUMMARY_REPORTS);
+    const unknownKinds = kinds.filter(kind => !Object.prototype.hasOwnProperty.call(SUMMARY_REPORTS, kind));
+    if (unknownKinds.length > 0) {
+      return res.status(400).json({ error: 'kind must be one of ' + Object.keys(SUMMARY_REPORTS).join(', ') });
+    }
+    
+    const reports = listArchivedReports(kinds);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    
+    res.json({
+      reports: reports.slice(offset, offset + limit),
+      total: reports.length,
+      offset: offset,
+      limit: limit,
+      kinds: Object.fromEntries(Object.entries(SUMMARY_REPORTS).map(([kind, config]) => [kind, config.label]))
+    });
+  } catch (error) {
+    console.error('✗ Error listing reports:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /reports/view - An archived report as it was emailed
+ * USED BY: /reports page viewer
+ * QUERY: kind, id
+ */
+app.get('/reports/view', authenticateToken, (req, res) => {
+  const { kind, id } = req.query;
+  if (!isValidReportRef(kind, id)) {
+    return res.status(400).json({ error: 'Invalid report kind or id' });
+  }
+  
+  const filePath = getReportPath(kind, id, 'html');
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  res.type('html').send(fs.readFileSync(filePath, 'utf8'));
+});
+
+/**
+ * GET /reports/download - Download an archived report
+ * QUERY: kind, id, format - 'html' (default) or 'json' (metadata, deliveries and stats)
+ */
+app.get('/reports/download', authenticateToken, (req, res) => {
+  const { kind, id } = req.query;
+  const format = req.query.format || 'html';
+  if (!isValidReportRef(kind, id) || !['html', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid report kind, id or format' });
+  }
+  
+  const filePath = getReportPath(kind, id, format);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  res.set('Content-Type', format === 'html' ? 'text/html; charset=utf-8' : 'application/json; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${kind}_report_${id}.${format}"`);
+  res.send(fs.readFileSync(filePath, 'utf8'));
+});
+
+/**
+ * POST /reports/resend - Send an archived report again
+ * BODY: { kind, id }
+ * NOTE: Goes out even while that report's emails are turned off (alerts must be on)
+ */
+app.post('/reports/resend', authenticateToken, async (req, res) => {
+  try {
+    const { kind, id } = req.body || {};
+    if (!isValidReportRef(kind, id)) {
+      return res.status(400).json({ success: false, error: 'Invalid report kind or id' });
+    }
+    
+    const record = loadArchivedReport(kind, id);
+    const htmlPath = getReportPath(kind, id, 'html');
+    if (!record || !fs.existsSync(htmlPath)) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    
+    console.log(`📧 Re-sending ${kind} report ${id} (requested by ${req.user.username})`);
+    const sent = await deliverArchivedReport(record, fs.readFileSync(htmlPath, 'utf8'), { resend: true });
+    
+    if (sent) {
+      res.json({ success: true, message: `${SUMMARY_REPORTS[kind].label} report for ${record.title} sent.` });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: 'The report could not be delivered. Check that alerts are enabled and a notification channel is routed for ' +
+          NOTIFICATION_CATEGORIES[SUMMARY_REPORTS[kind].category] + '.'
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error re-sending report:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /login - Login page
+ * Serves login HTML (public route)
+ */
+app.get('/login', (req, res) => {
+  res.send(`
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Solar Dashboard - Login</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
     }
     
-    .battery-card h4 {
-      font-size: 18px;
-      margin-bottom: 15px;
-      color: var(--success-color);
+    :root {
+      --bg-gradient-start: #1a1a2e;
+      --bg-gradient-end: #16213e;
+      --card-bg: #1e1e2e;
+      --text-primary: #f0f0f0;
+      --text-secondary: #d0d0d0;
+      --text-muted: #a0a0a0;
+      --border-color: #404050;
+      --accent-color: #8fa3e8;
+      --shadow-sm: 0 4px 12px rgba(0, 0, 0, 0.4);
+      --shadow-lg: 0 10px 30px rgba(0, 0, 0, 0.5);
+      --success-color: #4ade80;
+      --warning-color: #fbbf24;
+      --danger-color: #f87171;
+      --solar-color: #fbbf24;
+      --battery-color: #4ade80;
+      --load-color: #60a5fa;
     }
     
-    .health-badge {
-      position: absolute;
-      top: 15px;
-      right: 15px;
-      background: var(--success-color);
-      color: white;
-      padding: 4px 12px;
-      border-radius: 12px;
-      font-size: 11px;
-      font-weight: 600;
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      background: linear-gradient(135deg, var(--bg-gradient-start) 0%, var(--bg-gradient-end) 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+      color: var(--text-primary);
     }
     
-    .chart-container {
+    .login-container {
       background: var(--card-bg);
-      border-radius: 12px;
-      padding: 20px;
       border: 1px solid var(--border-color);
-      margin-bottom: 20px;
+      border-radius: 16px;
+      box-shadow: var(--shadow-lg);
+      padding: 40px;
+      width: 100%;
+      max-width: 400px;
     }
     
-    .chart-container h3 {
-      font-size: 18px;
-      margin-bottom: 15px;
-      color: var(--text-primary);
+    .logo {
+      text-align: center;
+      margin-bottom: 30px;
     }
     
-    canvas {
-      max-height: 300px;
+    .logo h1 {
+      color: var(--text-primary);
+      font-size: 28px;
+      margin-bottom: 8px;
+      font-weight: 700;
     }
     
-    .loading {
-      text-align: center;
-      padding: 40px;
-      color: var(--text-muted);
-      font-size: 16px;
+    .logo .sun-icon {
+      display: inline-block;
+      font-size: 24px;
+      margin-right: 10px;
+      color: var(--solar-color);
     }
     
-    .error {
-      background: rgba(231, 76, 60, 0.1);
-      border: 1px solid var(--danger-color);
-      color: var(--danger-color);
-      padding: 15px;
-      border-radius: 8px;
-      text-align: center;
+    .logo p {
+      color: var(--text-secondary);
+      font-size: 14px;
     }
     
+    .form-group {
+      margin-bottom: 20px;
+    }
     
-    .chart-selector-label {
+    .form-group label {
+      display: block;
+      color: var(--text-primary);
+      font-weight: 600;
+      margin-bottom: 8px;
       font-size: 14px;
-      color: var(--text-secondary);
-      font-weight: 500;
     }
     
-    .chart-selector {
-      padding: 6px 12px;
+    .form-group input {
+      width: 100%;
+      padding: 12px 16px;
       border: 2px solid var(--border-color);
       border-radius: 8px;
-      background: var(--card-bg);
       font-size: 14px;
+      background: var(--card-bg);
       color: var(--text-primary);
-      cursor: pointer;
-      transition: all 0.3s ease;
-    }
-    
-    .chart-selector:hover {
-      border-color: var(--accent-color);
+      transition: border-color 0.3s, box-shadow 0.3s;
     }
     
-    .chart-selector:focus {
+    .form-group input:focus {
       outline: none;
       border-color: var(--accent-color);
-      box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
-    }
-    
-    @media (max-width: 768px) {
-      .battery-comparison {
-        grid-template-columns: 1fr;
-      }
-      
-      h1 {
-        font-size: 22px;
-      }
-      
-      .grid {
-        grid-template-columns: 1fr;
-      }
-      
-      .chart-container > div:first-child {
-        flex-direction: column;
-        gap: 10px;
-        align-items: flex-start !important;
-      }
-    }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <h1>🔋 Battery Details</h1>
-      <button onclick="window.location.href='/'" class="btn btn-secondary">← Back to Dashboard</button>
-    </div>
-    
-    <div id="battery-content" class="loading">Loading battery data...</div>
-  </div>
-  
-  <script>
-    let batteryData = null;
-    let charts = {};
-    
-    // Load battery data on page load
-    document.addEventListener('DOMContentLoaded', loadBatteryData);
-    
-    async function loadBatteryData() {
-      try {
-        const response = await fetch('/data/battery', {
-          credentials: 'same-origin'
-        });
-        
-        if (!response.ok) {
-          throw new Error('Failed to load battery data');
-        }
-        
-        batteryData = await response.json();
-        renderBatteryPage();
-        
-        // Refresh every 5 seconds
-        setInterval(refreshBatteryData, 5000);
-      } catch (error) {
-        console.error('Error loading battery data:', error);
-        document.getElementById('battery-content').innerHTML = 
-          '<div class="error">Error loading battery data: ' + error.message + '</div>';
-      }
+      box-shadow: 0 0 0 3px rgba(143, 163, 232, 0.1);
     }
     
-    async function refreshBatteryData() {
-      try {
-        const response = await fetch('/data/battery', {
-          credentials: 'same-origin'
-        });
-        
-        if (response.ok) {
-          batteryData = await response.json();
-          updateBatteryValues();
-        }
-      } catch (error) {
-        console.error('Error refreshing data:', error);
-      }
+    .form-group input::placeholder {
+      color: var(--text-muted);
     }
     
-    function renderBatteryPage() {
-      const container = document.getElementById('battery-content');
-      
-      let html = '';
-      
-      // Overview Cards
-      html += '<div class="grid" id="overview-cards">';
-      html += '<div class="card"><h3 style="color: #27ae60">State of Charge</h3><div class="stat-value" id="total-soc">Loading...</div></div>';
-      html += '<div class="card"><h3 style="color: #3498db">Total Power</h3><div class="stat-value" id="total-power">Loading...</div></div>';
-      html += '<div class="card"><h3 style="color: #667eea">Voltage</h3><div class="stat-value" id="total-voltage">Loading...</div></div>';
-      html += '<div class="card"><h3 style="color: #f39c12">Temperature</h3><div class="stat-value" id="total-temperature">Loading...</div></div>';
-      html += '<div class="card"><h3 style="color: #9b59b6">Total Current</h3><div class="stat-value" id="total-current">Loading...</div></div>';
-      html += '</div>';
-      
-      // Individual Battery Comparison
-      html += '<div class="battery-comparison" id="battery-cards">';
-      html += '<div class="loading">Loading battery data...</div>';
-      html += '</div>';
-      
-      // Charts
-      html += '<div class="chart-container">';
-      html += '<div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">';
-      html += '<h3 style="margin: 0;">Battery Power Flow (Past Hour)</h3>';
-      html += '<div style="display: flex; align-items: center; gap: 10px;">';
-      html += '<label for="powerSelector" class="chart-selector-label">View:</label>';
-      html += '<select id="powerSelector" onchange="changeBatteryView(' + "'power'" + ', this.value)" class="chart-selector">';
-      html += '<option value="all">All Batteries</option>';
-      html += '<option value="battery1">Battery 1 Only</option>';
-      html += '<option value="battery2">Battery 2 Only</option>';
-      html += '<option value="battery3">Battery 3 Only</option>';
-      html += '</select>';
-      html += '</div>';
-      html += '</div>';
-      html += '<canvas id="powerChart"></canvas>';
-      html += '</div>';
-      
-      html += '<div class="chart-container">';
-      html += '<div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">';
-      html += '<h3 style="margin: 0;">Battery Temperatures (Past Hour)</h3>';
-      html += '<div style="display: flex; align-items: center; gap: 10px;">';
-      html += '<label for="tempSelector" class="chart-selector-label">View:</label>';
-      html += '<select id="tempSelector" onchange="changeBatteryView(' + "'temp'" + ', this.value)" class="chart-selector">';
-      html += '<option value="all">All Batteries</option>';
-      html += '<option value="battery1">Battery 1 Only</option>';
-      html += '<option value="battery2">Battery 2 Only</option>';
-      html += '<option value="battery3">Battery 3 Only</option>';
-      html += '</select>';
-      html += '</div>';
-      html += '</div>';
-      html += '<canvas id="tempChart"></canvas>';
-      html += '</div>';
-      
-      html += '<div class="chart-container">';
-      html += '<div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">';
-      html += '<h3 style="margin: 0;">Individual Battery Voltages (Past Hour)</h3>';
-      html += '<div style="display: flex; align-items: center; gap: 10px;">';
-      html += '<label for="voltageSelector" class="chart-selector-label">View:</label>';
-      html += '<select id="voltageSelector" onchange="changeBatteryView(' + "'voltage'" + ', this.value)" class="chart-selector">';
-      html += '<option value="all">All Batteries</option>';
-      html += '<option value="battery1">Battery 1 Only</option>';
-      html += '<option value="battery2">Battery 2 Only</option>';
-      html += '<option value="battery3">Battery 3 Only</option>';
-      html += '</select>';
-      html += '</div>';
-      html += '</div>';
-      html += '<canvas id="voltageChart"></canvas>';
-      html += '</div>';
-      
-      html += '<div class="chart-container">';
-      html += '<h3>Cell Voltage Balance</h3>';
-      html += '<canvas id="cellBalanceChart"></canvas>';
-      html += '</div>';
-      
-      container.innerHTML = html;
-      
-      // Create charts
-      createCharts();
-      
-      // Update overview cards and battery cards with actual data
-      updateOverviewCards();
-      updateBatteryCards();
+    .btn-login {
+      width: 100%;
+      padding: 14px;
+      background: linear-gradient(135deg, var(--accent-color) 0%, #6b73ff 100%);
+      color: white;
+      border: none;
+      border-radius: 8px;
+      font-size: 16px;
+      font-weight: 600;
+      cursor: pointer;
+      transition: transform 0.2s, box-shadow 0.2s;
     }
     
-    function updateOverviewCards() {
-      if (!batteryData) return;
-      
-      document.getElementById('total-soc').textContent = (batteryData.total.soc || 0) + '%';
-      document.getElementById('total-power').textContent = formatPower(batteryData.total.power);
-      document.getElementById('total-voltage').textContent = (batteryData.total.voltage || 0).toFixed(1) + 'V';
-      document.getElementById('total-temperature').textContent = (batteryData.total.temperature || 0).toFixed(1) + '°F';
-      document.getElementById('total-current').textContent = (batteryData.total.current || 0).toFixed(1) + 'A';
+    .btn-login:hover {
+      transform: translateY(-2px);
+      box-shadow: 0 6px 20px rgba(143, 163, 232, 0.4);
     }
     
-    function updateBatteryCards() {
-      if (!batteryData) return;
-      
-      const container = document.getElementById('battery-cards');
-      let html = '';
-      
-      batteryData.batteries.forEach(battery => {
-        html += renderBatteryCard(battery);
-      });
-      
-      container.innerHTML = html;
+    .btn-login:focus {
+      outline: none;
+      box-shadow: 0 0 0 3px rgba(143, 163, 232, 0.3);
     }
     
-    function renderOverviewCard(label, value, color) {
-      const colors = {
-        success: '#27ae60',
-        warning: '#f39c12',
-        danger: '#e74c3c',
-        info: '#3498db',
-        accent: '#667eea'
-      };
-      
-      return '<div class="card">' +
-        '<h3 style="color: ' + (colors[color] || colors.accent) + '">' + label + '</h3>' +
-        '<div class="stat-value">' + value + '</div>' +
-        '</div>';
+    .btn-login:active {
+      transform: translateY(0);
     }
     
-    function renderBatteryCard(battery) {
-      const cellDiff = (battery.cellVoltage.highest - battery.cellVoltage.lowest).toFixed(3);
+    .error-message {
+      background: rgba(248, 113, 113, 0.1);
+      border: 1px solid var(--danger-color);
+      color: var(--danger-color);
+      padding: 12px;
+      border-radius: 8px;
+      margin-bottom: 20px;
+      font-size: 14px;
+      display: none;
+    }
+    
+    .error-message.show {
+      display: block;
+    }
+    
+    .footer {
+      text-align: center;
+      margin-top: 20px;
+      color: var(--text-muted);
+      font-size: 12px;
+    }
+    
+    /* High contrast mode support */
+    @media (prefers-contrast: high) {
+      :root {
+        --border-color: #666;
+        --text-primary: #ffffff;
+        --text-secondary: #cccccc;
+      }
       
-      return '<div class="battery-card">' +
-        '<div class="health-badge">' + (battery.soh || 100) + '% Health</div>' +
-        '<h4>Battery ' + battery.id + '</h4>' +
-        '<div class="stat-grid">' +
-          '<div class="stat-item">' +
-            '<div class="stat-item-value">' + (battery.voltage || 0).toFixed(1) + 'V</div>' +
-            '<div class="stat-item-label">Voltage</div>' +
-          '</div>' +
-          '<div class="stat-item">' +
-            '<div class="stat-item-value">' + (battery.current || 0).toFixed(1) + 'A</div>' +
-            '<div class="stat-item-label">Current</div>' +
-          '</div>' +
-          '<div class="stat-item">' +
-            '<div class="stat-item-value">' + formatPower(battery.power) + '</div>' +
-            '<div class="stat-item-label">Power</div>' +
-          '</div>' +
-          '<div class="stat-item">' +
-            '<div class="stat-item-value">' + (battery.temperature || 0).toFixed(1) + '°F</div>' +
-            '<div class="stat-item-label">Temperature</div>' +
-          '</div>' +
-          '<div class="stat-item">' +
-            '<div class="stat-item-value">' + (battery.soc || 0) + '%</div>' +
-            '<div class="stat-item-label">SOC</div>' +
-          '</div>' +
-          '<div class="stat-item">' +
-            '<div class="stat-item-value">' + (battery.cellVoltage.average || 0).toFixed(3) + 'V</div>' +
-            '<div class="stat-item-label">Avg Cell</div>' +
-          '</div>' +
-          '<div class="stat-item">' +
-            '<div class="stat-item-value">' + (battery.cellVoltage.highest || 0).toFixed(3) + 'V</div>' +
-            '<div class="stat-item-label">Max Cell</div>' +
-          '</div>' +
-          '<div class="stat-item">' +
-            '<div class="stat-item-value">' + cellDiff + 'V</div>' +
-            '<div class="stat-item-label">Difference</div>' +
-          '</div>' +
-        '</div>' +
-        '</div>';
+      .form-group input:focus {
+        box-shadow: 0 0 0 3px rgba(255, 255, 255, 0.3);
+      }
     }
     
-    function formatPower(power) {
-      if (!power) return '0W';
-      const abs = Math.abs(power);
-      if (abs >= 1000) {
-        return (power / 1000).toFixed(2) + 'kW';
+    /* Reduced motion support */
+    @media (prefers-reduced-motion: reduce) {
+      * {
+        transition: none !important;
+        animation: none !important;
       }
-      return Math.round(power) + 'W';
     }
     
-    function createCharts() {
-      // Debug: Check if we have historical data
-      console.log('Creating charts...');
-      console.log('Power history battery_1:', batteryData.history.power.battery_1?.length || 0, 'points');
-      console.log('Power history battery_2:', batteryData.history.power.battery_2?.length || 0, 'points');
-      console.log('Power history battery_3:', batteryData.history.power.battery_3?.length || 0, 'points');
-      console.log('Temp history battery_1:', batteryData.history.temperature.battery_1?.length || 0, 'points');
-      console.log('Voltage history battery_1:', batteryData.history.voltage.battery_1?.length || 0, 'points');
-      
-      // Debug: Show sample data
-      if (batteryData.history.power.battery_1 && batteryData.history.power.battery_1.length > 0) {
-        console.log('Sample battery 1 power data:', JSON.stringify(batteryData.history.power.battery_1[0], null, 2));
+    /* Mobile responsive */
+    @media (max-width: 480px) {
+      .login-container {
+        padding: 30px 20px;
+        margin: 10px;
       }
       
-      // Debug: Check filtered data
-      const filteredPower1 = filterLastHour(batteryData.history.power.battery_1);
-      console.log('Filtered power 1 data:', filteredPower1?.length || 0, 'points');
-      if (filteredPower1 && filteredPower1.length > 0) {
-        console.log('Sample filtered data:', JSON.stringify(filteredPower1[0], null, 2));
+      .logo h1 {
+        font-size: 24px;
       }
+    }
+  </style>
+</head>
+<body>
+  <div class="login-container">
+    <div class="logo">
+      <h1><span class="sun-icon">☀️</span>Solar Dashboard</h1>
+      <p>Login to access your system</p>
+    </div>
+    
+    <div class="error-message" id="errorMessage"></div>
+    
+    <form id="loginForm">
+      <div class="form-group">
+        <label for="username">Username</label>
+        <input type="text" id="username" name="username" required autocomplete="username">
+      </div>
       
-      // Power Flow Chart (Line Chart)
-      const powerCtx = document.getElementById('powerChart').getContext('2d');
-      charts.power = new Chart(powerCtx, {
-        type: 'line',
-        data: {
-          datasets: [
-            {
-              label: 'Battery 1',
-              data: filterLastHour(batteryData.history.power.battery_1).map(point => ({
-                timestamp: new Date(point.timestamp),
-                value: point.value
-              })),
-              backgroundColor: 'rgba(39, 174, 96, 0.1)',
-              borderColor: '#27ae60',
-              borderWidth: 2,
-              tension: 0.4,
-              fill: true
-            },
-            {
-              label: 'Battery 2',
-              data: filterLastHour(batteryData.history.power.battery_2).map(point => ({
-                timestamp: new Date(point.timestamp),
-                value: point.value
-              })),
-              backgroundColor: 'rgba(52, 152, 219, 0.1)',
-              borderColor: '#3498db',
-              borderWidth: 2,
-              tension: 0.4,
-              fill: true
-            },
-            {
-              label: 'Battery 3',
-              data: filterLastHour(batteryData.history.power.battery_3).map(point => ({
-                timestamp: new Date(point.timestamp),
-                value: point.value
-              })),
-              backgroundColor: 'rgba(243, 156, 18, 0.1)',
-              borderColor: '#f39c12',
-              borderWidth: 2,
-              tension: 0.4,
-              fill: true
-            }
-          ]
-        },
-        options: getChartOptions('Power (W)')
-      });
+      <div class="form-group">
+        <label for="password">Password</label>
+        <input type="password" id="password" name="password" required autocomplete="current-password">
+      </div>
       
-      // Temperature Chart (Line Chart)
-      const tempCtx = document.getElementById('tempChart').getContext('2d');
-      charts.temp = new Chart(tempCtx, {
-        type: 'line',
-        data: {
-          datasets: [
-            {
-              label: 'Battery 1',
-              data: filterLastHour(batteryData.history.temperature.battery_1).map(point => ({
-                timestamp: new Date(point.timestamp),
-                value: point.value
-              })),
-              backgroundColor: 'rgba(39, 174, 96, 0.1)',
-              borderColor: '#27ae60',
-              borderWidth: 2,
-              tension: 0.4,
-              fill: true
-            },
-            {
-              label: 'Battery 2',
-              data: filterLastHour(batteryData.history.temperature.battery_2).map(point => ({
-                timestamp: new Date(point.timestamp),
-                value: point.value
-              })),
-              backgroundColor: 'rgba(52, 152, 219, 0.1)',
-              borderColor: '#3498db',
-              borderWidth: 2,
-              tension: 0.4,
-              fill: true
-            },
-            {
-              label: 'Battery 3',
-              data: filterLastHour(batteryData.history.temperature.battery_3).map(point => ({
-                timestamp: new Date(point.timestamp),
-                value: point.value
-              })),
-              backgroundColor: 'rgba(243, 156, 18, 0.1)',
-              borderColor: '#f39c12',
-              borderWidth: 2,
-              tension: 0.4,
-              fill: true
-            }
-          ]
-        },
-        options: getChartOptions('Temperature (°F)')
-      });
+      <button type="submit" class="btn-login" id="loginBtn">Login</button>
+    </form>
+    
+    <div class="footer">
+      Protected by JWT Authentication
+    </div>
+  </div>
+  
+  <script>
+    const form = document.getElementById('loginForm');
+    const errorMessage = document.getElementById('errorMessage');
+    const loginBtn = document.getElementById('loginBtn');
+    
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
       
-      // Voltage Chart (Line Chart)
-      const voltageCtx = document.getElementById('voltageChart').getContext('2d');
-      charts.voltage = new Chart(voltageCtx, {
-        type: 'line',
-        data: {
-          datasets: [
-            {
-              label: 'Battery 1',
-              data: filterLastHour(batteryData.history.voltage.battery_1).map(point => ({
-                timestamp: new Date(point.timestamp),
-                value: point.value
-              })),
-              backgroundColor: 'rgba(39, 174, 96, 0.1)',
-              borderColor: '#27ae60',
-              borderWidth: 2,
-              tension: 0.4,
-              fill: true
-            },
-            {
-              label: 'Battery 2',
-              data: filterLastHour(batteryData.history.voltage.battery_2).map(point => ({
-                timestamp: new Date(point.timestamp),
-                value: point.value
-              })),
-              backgroundColor: 'rgba(52, 152, 219, 0.1)',
-              borderColor: '#3498db',
-              borderWidth: 2,
-              tension: 0.4,
-              fill: true
-            },
-            {
-              label: 'Battery 3',
-              data: filterLastHour(batteryData.history.voltage.battery_3).map(point => ({
-                timestamp: new Date(point.timestamp),
-                value: point.value
-              })),
-              backgroundColor: 'rgba(243, 156, 18, 0.1)',
-              borderColor: '#f39c12',
-              borderWidth: 2,
-              tension: 0.4,
-              fill: true
-            }
-          ]
-        },
-        options: getChartOptions('Voltage (V)')
-      });
+      const username = document.getElementById('username').value;
+      const password = document.getElementById('password').value;
       
-      // Cell Balance Chart (bar chart showing current cell voltages)
-      const cellCtx = document.getElementById('cellBalanceChart').getContext('2d');
-      charts.cellBalance = new Chart(cellCtx, {
-        type: 'bar',
-        data: {
-          labels: ['Battery 1 Avg', 'Battery 1 Max', 'Battery 1 Min',
-                   'Battery 2 Avg', 'Battery 2 Max', 'Battery 2 Min',
-                   'Battery 3 Avg', 'Battery 3 Max', 'Battery 3 Min'],
-          datasets: [{
-            label: 'Cell Voltage (V)',
-            data: [
-              batteryData.batteries[0].cellVoltage.average,
-              batteryData.batteries[0].cellVoltage.highest,
-              batteryData.batteries[0].cellVoltage.lowest,
-              batteryData.batteries[1].cellVoltage.average,
-              batteryData.batteries[1].cellVoltage.highest,
-              batteryData.batteries[1].cellVoltage.lowest,
-              batteryData.batteries[2].cellVoltage.average,
-              batteryData.batteries[2].cellVoltage.highest,
-              batteryData.batteries[2].cellVoltage.lowest
-            ],
-            backgroundColor: [
-              '#27ae60', '#2ecc71', '#229954',
-              '#3498db', '#5dade2', '#2874a6',
-              '#f39c12', '#f5b041', '#d68910'
-            ]
-          }]
-        },
-        options: {
-          responsive: true,
-          maintainAspectRatio: false,
-          plugins: {
-            legend: { display: false },
-            title: { display: false }
-          },
-          scales: {
-            y: {
-              beginAtZero: false,
-              min: 3.2,
-              max: 3.6,
-              ticks: { color: '#a0a0a0' },
-              grid: { color: 'rgba(255, 255, 255, 0.1)' }
-            },
-            x: {
-              ticks: { color: '#a0a0a0', font: { size: 10 } },
-              grid: { display: false }
-            }
-          }
+      errorMessage.classList.remove('show');
+      loginBtn.disabled = true;
+      loginBtn.textContent = 'Logging in...';
+      
+      try {
+        const response = await fetch('/api/auth/login', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ username, password })
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+          window.location.href = '/';
+        } else {
+          errorMessage.textContent = data.error || 'Login failed';
+          errorMessage.classList.add('show');
+          loginBtn.disabled = false;
+          loginBtn.textContent = 'Login';
         }
+      } catch (error) {
+        errorMessage.textContent = 'Network error. Please try again.';
+        errorMessage.classList.add('show');
+        loginBtn.disabled = false;
+        loginBtn.textContent = 'Login';
+      }
+    });
+  </script>
+</body>
+</html>
+  `);
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REST API ENDPOINTS
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Provide JSON API for dashboard to fetch data
+// POLLING: Dashboard polls /data every 3 seconds for real-time updates
+// SECURITY: All endpoints below require authentication via JWT
+
+/**
+ * GET /data - Returns current MQTT data snapshot
+ * USED BY: Dashboard JavaScript (fetched every 3 seconds)
+ * RETURNS: cachedData (latest value for each topic), weather, status, mqttError (last connection failure)
+ * RELATIONSHIP: Returns data from MQTT message handler (cachedData object)
+ */
+app.get('/data', authenticateToken, (req, res) => {
+  if (Object.keys(cachedData).length === 0) {
+    return res.status(503).json({
+      error: 'No data available yet',
+      status: connectionStatus,
+      mqttError: mqttLastError,
+      messageCount: messageCount
+    });
+  }
+  
+  res.json({
+    data: cachedData,
+    lastUpdate: lastUpdate,
+    messageCount: messageCount,
+    status: connectionStatus,
+    mqttError: mqttLastError,
+    staleAfterMinutes: alertSettings.staleData.minutes,
+    topics: Object.keys(cachedData).length,
+    weather: weatherData,
+    chargerState: chargerState
+  });
+});
+
+/**
+ * GET /data/stream - Server-Sent Events push of live changes
+ * USED BY: Dashboard (updateData fallback) and battery page (refreshBatteryData fallback)
+ * QUERY:
+ *   channels    - Comma-separated subset of LIVE_CHANNELS
+ *                 (default: topics,charger,alert,weather,status)
+ *   lastEventId - Resume point when the Last-Event-ID header can't be sent
+ *                 (e.g. a brand new EventSource after a fallback to polling)
+ * IMPACT: Replays buffered events after the resume point, or sends a snapshot
+ *         if the client is new or too far behind
+ */
+app.get('/data/stream', authenticateToken, (req, res) => {
+  const requested = req.query.channels
+    ? String(req.query.channels).split(',').map(c => c.trim()).filter(Boolean)
+    : LIVE_DEFAULT_CHANNELS;
+  const unknown = requested.filter(c => !LIVE_CHANNELS.includes(c));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown channel(s): ${unknown.join(', ')}. Valid: ${LIVE_CHANNELS.join(', ')}` });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: 5000\n\n`);
+  
+  const client = { res: res, channels: new Set(requested) };
+  
+  // Resume only if nothing the client missed has fallen out of the buffer
+  const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10);
+  const oldestId = liveEventLog.length > 0 ? liveEventLog[0].id : liveEventId + 1;
+  if (!isNaN(lastEventId) && lastEventId <= liveEventId && lastEventId >= oldestId - 1) {
+    liveEventLog
+      .filter(entry => entry.id > lastEventId && client.channels.has(entry.event))
+      .forEach(entry => writeLiveFrame(client, formatLiveEvent(entry)));
+  } else {
+    writeLiveFrame(client, formatLiveEvent(buildLiveSnapshot(client.channels)));
+  }
+  
+  liveClients.add(client);
+  console.log(`📡 Live stream client connected (${liveClients.size} active)`);
+  
+  req.on('close', () => {
+    liveClients.delete(client);
+    console.log(`📡 Live stream client disconnected (${liveClients.size} active)`);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROMETHEUS METRICS
+// ═══════════════════════════════════════════════════════════════════════════
+// PURPOSE: Let Prometheus/Grafana scrape live and derived values
+// FORMAT: Prometheus text exposition format 0.0.4
+//
+// TOPIC MAPPING (numeric cachedData values only):
+//   solar_assistant/inverter_1/pv_power/state → solarassistant_inverter_value{inverter="1",metric="pv_power"}
+//   solar_assistant/battery_2/voltage/state   → solarassistant_battery_value{battery="2",metric="voltage"}
+//   solar_assistant/total/battery_power/state → solarassistant_total_value{metric="battery_power"}
+//   anything else                             → solarassistant_topic_value{topic="..."}
+
+/**
+ * Escape a Prometheus label value
+ */
+function escapeMetricLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Build the /metrics response body
+ * RELATIONSHIP: Reads cachedData plus getPowerBalance(), getDailyEnergyProduced(),
+ *               getDailyEnergyConsumed(), chargerState, messageCount, connectionStatus
+ * @returns {string} - Exposition text
+ */
+function buildPrometheusMetrics() {
+  const families = {
+    solarassistant_inverter_value: { help: 'Latest numeric MQTT value per inverter topic', type: 'gauge', samples: [] },
+    solarassistant_battery_value: { help: 'Latest numeric MQTT value per battery pack topic', type: 'gauge', samples: [] },
+    solarassistant_total_value: { help: 'Latest numeric MQTT value per system total topic', type: 'gauge', samples: [] },
+    solarassistant_topic_value: { help: 'Latest numeric MQTT value for other topics', type: 'gauge', samples: [] }
+  };
+  
+  Object.keys(cachedData).sort().forEach(topic => {
+    const value = parseFloat(cachedData[topic].value);
+    if (!isFinite(value)) return;
+    
+    const device = topic.match(/^[^/]+\/(inverter|battery)_(\d+)\/(.+)\/state$/);
+    const total = topic.match(/^[^/]+\/total\/(.+)\/state$/);
+    if (device) {
+      families[`solarassistant_${device[1]}_value`].samples.push({
+        labels: { [device[1]]: device[2], metric: device[3] },
+        value: value
       });
+    } else if (total) {
+      families.solarassistant_total_value.samples.push({ labels: { metric: total[1] }, value: value });
+    } else {
+      families.solarassistant_topic_value.samples.push({ labels: { topic: topic }, value: value });
+    }
+  });
+  
+  const powerBalance = getPowerBalance();
+  const addSingle = (name, help, type, value) => {
+    if (value === null || value === undefined || !isFinite(value)) return;
+    families[name] = { help: help, type: type, samples: [{ labels: {}, value: value }] };
+  };
+  
+  addSingle('solarassistant_power_balance_watts', 'Solar plus external charger minus load (getPowerBalance)', 'gauge',
+    powerBalance === 'N/A' ? null : powerBalance);
+  addSingle('solarassistant_energy_produced_today_kwh', 'Solar energy produced today', 'gauge', parseFloat(getDailyEnergyProduced()));
+  addSingle('solarassistant_energy_consumed_today_kwh', 'Load energy consumed today', 'gauge', parseFloat(getDailyEnergyConsumed()));
+  addSingle('solarassistant_charger_on', 'Whether the app believes the external charger is on (1 = on)', 'gauge', chargerState.isOn ? 1 : 0);
+  addSingle('solarassistant_mqtt_messages_total', 'MQTT messages received since the app started', 'counter', messageCount);
+  addSingle('solarassistant_mqtt_connected', 'MQTT broker connection state (1 = connected)', 'gauge', mqttConnectionState === 'Connected' ? 1 : 0);
+  addSingle('solarassistant_data_stale', 'SolarAssistant data is stale (1 = no data for staleData.minutes)', 'gauge', staleDataState.stale ? 1 : 0);
+  addSingle('solarassistant_last_message_timestamp_seconds', 'Unix time of the last MQTT message', 'gauge',
+    lastUpdate ? lastUpdate.getTime() / 1000 : null);
+  addSingle('solarassistant_live_stream_clients', 'Browsers connected to /data/stream', 'gauge', liveClients.size);
+  
+  // Every energy account, both ways it is measured (see ENERGY ACCOUNTING)
+  const energyAccounts = getDailyEnergyAccounts().accounts;
+  families.solarassistant_energy_today_kwh = {
+    help: 'Energy today per account (method: reported = the total shown, counter, integrated)',
+    type: 'gauge',
+    samples: Object.keys(energyAccounts).flatMap(name => [['reported', 'kwh'], ['counter', 'counterKwh'], ['integrated', 'integratedKwh']]
+      .filter(([, field]) => energyAccounts[name][field] !== null)
+      .map(([method, field]) => ({ labels: { account: name, method: method }, value: energyAccounts[name][field] })))
+  };
+  
+  families.solarassistant_mqtt_status = {
+    help: 'MQTT connection status text (always 1)',
+    type: 'gauge',
+    samples: [{ labels: { status: mqttConnectionState }, value: 1 }]
+  };
+  
+  let output = '';
+  Object.keys(families).forEach(name => {
+    const family = families[name];
+    if (family.samples.length === 0) return;
+    output += `# HELP ${name} ${family.help}\n`;
+    output += `# TYPE ${name} ${family.type}\n`;
+    family.samples.forEach(sample => {
+      const labels = Object.keys(sample.labels)
+        .map(key => `${key}="${escapeMetricLabel(sample.labels[key])}"`)
+        .join(',');
+      output += `${name}${labels ? '{' + labels + '}' : ''} ${sample.value}\n`;
+    });
+  });
+  return output;
+}
+
+/**
+ * GET /metrics - Prometheus scrape endpoint
+ * AUTH: METRICS_TOKEN (see authenticateMetricsToken), not the dashboard login
+ */
+app.get('/metrics', authenticateMetricsToken, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(buildPrometheusMetrics());
+});
+
+/**
+ * GET /data/history - Returns time-series data for charts and external tools
+ * USED BY: Dashboard charts, battery page charts, user scripts
+ * QUERY:
+ *   topics     - Comma-separated topics, full or short ('inverter_1/pv_power')
+ *                (default: all tracked topics)
+ *   from, to   - ISO8601 or epoch ms (default: last HOT_CACHE_HOURS until now)
+ *   resolution - 'auto' (default), 'raw', or a bucket size like '5m', '2h', '1d'
+ *   agg        - Which aggregate fills `value`: avg (default), min, max or last
+ * RETURNS: { data: { topic: [points or buckets] }, topics, from, to, resolution,
+ *            agg, bucket: { sizeMs, source, alignment, timestamp }, dataPoints, ... }
+ *          Buckets carry min/max/avg/last/count (plus energyInWh/energyOutWh for
+ *          power topics); empty buckets are omitted
+ * RELATIONSHIP: Data from MQTT → history store → This endpoint → Chart.js
+ */
+app.get('/data/history', authenticateToken, (req, res) => {
+  const parseTime = (input, fallback) => {
+    if (input === undefined || input === '') return fallback;
+    const ms = /^\d+$/.test(input) ? parseInt(input, 10) : new Date(input).getTime();
+    return isNaN(ms) ? null : ms;
+  };
+  
+  const toMs = parseTime(req.query.to, Date.now());
+  const fromMs = parseTime(req.query.from, Date.now() - HOT_CACHE_HOURS * 60 * 60 * 1000);
+  
+  if (fromMs === null || toMs === null || fromMs > toMs) {
+    return res.status(400).json({ error: 'Invalid from/to range' });
+  }
+  
+  // Topics
+  let topics = getTrackedTopics();
+  if (req.query.topics) {
+    topics = [...new Set(String(req.query.topics).split(',').filter(name => name.trim()).map(normalizeHistoryTopic))];
+    // Untracked topics stay queryable while they have history (on disk or still in the hot cache)
+    const knownTopics = new Set([...getTrackedTopics(), ...listStoredTopics(), ...Object.keys(historicalData)]);
+    const unknownTopics = topics.filter(topic => !knownTopics.has(topic));
+    if (unknownTopics.length > 0) {
+      return res.status(400).json({ error: 'Unknown topics (no history): ' + unknownTopics.join(', ') });
+    }
+  }
+  
+  // Aggregate
+  const agg = req.query.agg || 'avg';
+  if (!['avg', 'min', 'max', 'last'].includes(agg)) {
+    return res.status(400).json({ error: 'agg must be one of avg, min, max, last' });
+  }
+  
+  // Resolution → bucket size and the tier the buckets are built from
+  const requestedResolution = req.query.resolution || 'auto';
+  let resolution;
+  let bucketMs;
+  let source;
+  
+  if (requestedResolution === 'auto') {
+    source = selectHistoryTier(fromMs, toMs);
+    resolution = source;
+    bucketMs = source === 'raw' ? null : HISTORY_TIERS[source].bucketMs;
+  } else if (requestedResolution === 'raw') {
+    if (fromMs < Date.now() - HISTORY_TIERS.raw.retentionDays * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `Raw data is only kept for ${HISTORY_TIERS.raw.retentionDays} days; use a coarser resolution` });
+    }
+    source = 'raw';
+    resolution = 'raw';
+    bucketMs = null;
+  } else {
+    bucketMs = parseResolution(requestedResolution);
+    if (bucketMs === null) {
+      return res.status(400).json({ error: 'resolution must be auto, raw, or a size like 5m, 2h, 1d (minimum 1m)' });
     }
+    source = selectSourceTier(bucketMs, fromMs);
+    if (source === null) {
+      return res.status(400).json({ error: `Resolution ${requestedResolution} is not available that far back; use a coarser resolution` });
+    }
+    resolution = requestedResolution;
+  }
+  
+  const expectedPoints = (toMs - fromMs) / (bucketMs || ARCHIVE_INTERVAL);
+  if (expectedPoints > HISTORY_MAX_BUCKETS) {
+    return res.status(400).json({ error: `Range would return more than ${HISTORY_MAX_BUCKETS} points per topic; use a coarser resolution` });
+  }
+  
+  // '1d' is always served from the daily tier so days start at midnight in the configured timezone
+  const useTierBuckets = source !== 'raw' && bucketMs === HISTORY_TIERS[source].bucketMs;
+  const data = {};
+  
+  topics.forEach(topic => {
+    let series = readTierRange(source, topic, fromMs, toMs);
     
-    function getChartOptions(yLabel) {
-      return {
-        responsive: true,
-        maintainAspectRatio: false,
-        parsing: {
-          xAxisKey: 'timestamp',
-          yAxisKey: 'value'
-        },
-        plugins: {
-          legend: {
-            display: true,
-            position: 'top',
-            labels: { color: '#a0a0a0' }
-          },
-          tooltip: {
-            mode: 'index',
-            intersect: false,
-            filter: function(tooltipItem) {
-              // Only show tooltips for visible datasets
-              return !tooltipItem.dataset.hidden;
-            }
-          }
-        },
-        scales: {
-          x: {
-            type: 'time',
-            time: {
-              unit: 'minute',
-              displayFormats: { minute: 'HH:mm' }
-            },
-            ticks: { color: '#a0a0a0' },
-            grid: { color: 'rgba(255, 255, 255, 0.1)' }
-          },
-          y: {
-            beginAtZero: false,
-            ticks: { color: '#a0a0a0' },
-            grid: { color: 'rgba(255, 255, 255, 0.1)' },
-            title: {
-              display: true,
-              text: yLabel,
-              color: '#a0a0a0'
-            }
-          }
-        }
-      };
+    if (bucketMs !== null && !useTierBuckets) {
+      series = aggregateIntoBuckets(bucketMs, topic, series, Math.min(toMs, Date.now()))
+        .filter(bucket => new Date(bucket.timestamp).getTime() <= toMs);
     }
     
-    function getBarChartOptions(yLabel) {
-      return {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-          legend: {
-            display: true,
-            position: 'top',
-            labels: { color: '#a0a0a0' }
-          }
-        },
-        scales: {
-          x: {
-            type: 'time',
-            time: {
-              unit: 'minute',
-              displayFormats: { minute: 'HH:mm' }
-            },
-            ticks: { color: '#a0a0a0' },
-            grid: { display: false },
-            stacked: false,
-            offset: true
-          },
-          y: {
-            beginAtZero: true,
-            ticks: { color: '#a0a0a0' },
-            grid: { color: 'rgba(255, 255, 255, 0.1)' },
-            title: {
-              display: true,
-              text: yLabel,
-              color: '#a0a0a0'
-            },
-            stacked: false
-          }
-        },
-        barPercentage: 0.6,
-        categoryPercentage: 0.8,
-        offset: true
-      };
+    if (bucketMs !== null && agg !== 'avg') {
+      series = series.map(bucket => ({ ...bucket, value: bucket[agg] }));
     }
     
-    function filterLastHour(data) {
-      if (!data || data.length === 0) return [];
-      const oneHourAgo = Date.now() - (60 * 60 * 1000);
-      return data.filter(point => new Date(point.timestamp).getTime() > oneHourAgo);
+    data[topic] = series;
+  });
+  
+  res.json({
+    data: data,
+    topics: topics,
+    trackedTopics: getTrackedTopics(),
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    resolution: resolution,
+    agg: bucketMs === null ? null : agg,
+    bucket: {
+      sizeMs: bucketMs,                // null for raw points
+      source: source,                  // Tier the values were read from
+      alignment: bucketMs === null ? null : (useTierBuckets && source === '1d' ? 'local-midnight' : 'epoch'),
+      ...(useTierBuckets && source === '1d' && { timezone: getConfiguredTimezone() }),  // Whose midnight 'local-midnight' is
+      timestamp: bucketMs === null ? 'sample' : 'start'  // Bucket timestamps mark the start of the bucket
+    },
+    dataPoints: Object.values(data).reduce((sum, arr) => sum + arr.length, 0),
+    retentionDays: DATA_RETENTION_DAYS
+  });
+});
+
+/**
+ * API endpoint - get peak performance for time range
+ */
+app.get('/data/peak-performance', authenticateToken, (req, res) => {
+  const hours = parseFloat(req.query.hours) || null;
+  res.json({
+    peak: getPeakPerformance(hours)
+  });
+});
+
+/**
+ * API endpoint - get daily statistics
+ * RETURNS: energyProduced/energyConsumed (kWh strings), batteryRuntime, peaks,
+ *          date, trackingStartTime (when today's totals start) and energy -
+ *          every account with its counter and integrated totals (see getDailyEnergyAccounts)
+ */
+app.get('/data/daily-stats', authenticateToken, (req, res) => {
+  const energy = getDailyEnergyAccounts();
+  const timezone = energy.timezone;
+  const midnight = getZonedMidnight(energy.date);
+  const formatTime = ms => new Date(ms).toLocaleTimeString('en-US', { timeZone: timezone, hour: 'numeric', minute: '2-digit', hour12: true });
+  
+  // Totals reach back to midnight unless the solar counter only started today
+  let trackingStartTime = null;
+  if (['midnight', 'estimated'].includes(energy.accounts.pv?.start)) {
+    trackingStartTime = formatTime(midnight);
+  } else {
+    // Get earliest data point time for today on any inverter
+    const firstTimes = getInverterTopics('pv_power')
+      .map(topic => (historicalData[topic] || []).find(point => new Date(point.timestamp).getTime() >= midnight))
+      .filter(Boolean)
+      .map(point => new Date(point.timestamp).getTime());
+    if (firstTimes.length > 0) {
+      trackingStartTime = formatTime(Math.min(...firstTimes));
+    }
+  }
+  
+  res.json({
+    energyProduced: getDailyEnergyProduced(),
+    energyConsumed: getDailyEnergyConsumed(),
+    batteryRuntime: getBatteryRuntime(),
+    peakPerformance: getPeakPerformance(1), // Peak for past hour (default time period)
+    peakPower: dailyStats.peakPower,
+    date: dailyStats.date,
+    trackingStartTime: trackingStartTime || 'Just started',
+    energy: energy
+  });
+});
+
+/**
+ * GET /data/days - Per-day records from the energy ledger
+ * USED BY: Energy calendar on the dashboard, user scripts
+ * QUERY:
+ *   month    - 'YYYY-MM' (default: the current month in the configured timezone)
+ *   from, to - 'YYYY-MM-DD' range instead of a month (at most 366 days)
+ * RETURNS: { timezone, from, to, days: [records - see buildLedgerDay()] } -
+ *          days without a record (e.g. today, downtime) are left out
+ */
+app.get('/data/days', authenticateToken, (req, res) => {
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value + 'T00:00:00Z'));
+  const timezone = getConfiguredTimezone();
+  let from;
+  let to;
+  
+  if (req.query.from || req.query.to) {
+    from = String(req.query.from || '');
+    to = String(req.query.to || '');
+    if (!isDate(from) || !isDate(to) || from > to) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD with from <= to' });
     }
-    
-    function changeBatteryView(chartType, view) {
-      const chart = charts[chartType];
-      if (!chart) return;
-      
-      // Hide/show datasets based on selection
-      chart.data.datasets.forEach((dataset, index) => {
-        if (view === 'all') {
-          // Show all datasets
-          dataset.hidden = false;
-        } else if (view === 'battery1') {
-          // Show only Battery 1 (index 0)
-          dataset.hidden = (index !== 0);
-        } else if (view === 'battery2') {
-          // Show only Battery 2 (index 1)
-          dataset.hidden = (index !== 1);
-        } else if (view === 'battery3') {
-          // Show only Battery 3 (index 2)
-          dataset.hidden = (index !== 2);
-        }
-      });
-      
-      chart.update();
+    if (Date.parse(to) - Date.parse(from) > 365 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: 'Range is limited to 366 days' });
     }
+  } else {
+    const today = getZonedTimeParts(new Date(), timezone);
+    const month = String(req.query.month || formatDateKey(today).slice(0, 7));
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({ error: 'month must be YYYY-MM' });
+    }
+    const [year, monthNumber] = month.split('-').map(Number);
+    from = `${month}-01`;
+    to = `${month}-${String(new Date(Date.UTC(year, monthNumber, 0)).getUTCDate()).padStart(2, '0')}`;
+  }
+  
+  res.json({ timezone: timezone, from: from, to: to, days: getLedgerDays(from, to) });
+});
+
+/**
+ * API endpoint - get comprehensive battery data
+ * QUERY: history=false - Omit the `history` arrays (battery page polls without
+ *        them and charts from /data/history instead)
+ */
+/**
+ * Current values for the battery page
+ * USED BY: /data/battery, 'battery' events on /data/stream
+ * RETURNS: { total: {...}, batteries: [{ id, name, voltage, ..., cellVoltage, alerts }] } - one per discovered pack
+ *          alerts: active pack protection messages
+ */
+function getBatterySnapshot() {
+  return {
+    // Total battery metrics
+    total: {
+      soc: parseFloat(cachedData['solar_assistant/total/battery_state_of_charge/state']?.value) || null,
+      power: parseFloat(cachedData['solar_assistant/total/battery_power/state']?.value) || null,
+      temperature: parseFloat(cachedData['solar_assistant/total/battery_temperature/state']?.value) || null,
+      energyIn: parseFloat(cachedData['solar_assistant/total/battery_energy_in/state']?.value) || null,
+      energyOut: parseFloat(cachedData['solar_assistant/total/battery_energy_out/state']?.value) || null,
+      voltage: getInverterValue('battery_voltage') || null,
+      current: getSystemTotal('battery_current') || null,
+      alerts: Object.values(packAlertState).filter(alert => alert.battery === 'bank').map(alert => alert.message)
+    },
     
-    function updateBatteryValues() {
-      // Update overview cards and battery cards with latest data
-      updateOverviewCards();
-      updateBatteryCards();
-      
-      // Update charts
-      if (charts.power) {
-        charts.power.data.datasets[0].data = filterLastHour(batteryData.history.power.battery_1);
-        charts.power.data.datasets[1].data = filterLastHour(batteryData.history.power.battery_2);
-        charts.power.data.datasets[2].data = filterLastHour(batteryData.history.power.battery_3);
-        charts.power.update('none');
-      }
-      
-      if (charts.temp) {
-        charts.temp.data.datasets[0].data = filterLastHour(batteryData.history.temperature.battery_1);
-        charts.temp.data.datasets[1].data = filterLastHour(batteryData.history.temperature.battery_2);
-        charts.temp.data.datasets[2].data = filterLastHour(batteryData.history.temperature.battery_3);
-        charts.temp.update('none');
-      }
-      
-      if (charts.voltage) {
-        charts.voltage.data.datasets[0].data = filterLastHour(batteryData.history.voltage.battery_1);
-        charts.voltage.data.datasets[1].data = filterLastHour(batteryData.history.voltage.battery_2);
-        charts.voltage.data.datasets[2].data = filterLastHour(batteryData.history.voltage.battery_3);
-        charts.voltage.update('none');
-      }
-      
-      if (charts.cellBalance) {
-        charts.cellBalance.data.datasets[0].data = [
-          batteryData.batteries[0].cellVoltage.average,
-          batteryData.batteries[0].cellVoltage.highest,
-          batteryData.batteries[0].cellVoltage.lowest,
-          batteryData.batteries[1].cellVoltage.average,
-          batteryData.batteries[1].cellVoltage.highest,
-          batteryData.batteries[1].cellVoltage.lowest,
-          batteryData.batteries[2].cellVoltage.average,
-          batteryData.batteries[2].cellVoltage.highest,
-          batteryData.batteries[2].cellVoltage.lowest
-        ];
-        charts.cellBalance.update('none');
-      }
-    }
-  </script>
-</body>
-</html>
-  `);
+    // Individual battery data (every discovered pack)
+    batteries: getDeviceIds('battery').map(num => {
+      return {
+        id: num,
+        name: `Battery ${num}`,
+        voltage: parseFloat(cachedData[`solar_assistant/battery_${num}/voltage/state`]?.value) || null,
+        current: parseFloat(cachedData[`solar_assistant/battery_${num}/current/state`]?.value) || null,
+        power: parseFloat(cachedData[`solar_assistant/battery_${num}/power/state`]?.value) || null,
+        temperature: parseFloat(cachedData[`solar_assistant/battery_${num}/temperature/state`]?.value) || null,
+        soc: parseFloat(cachedData[`solar_assistant/battery_${num}/state_of_charge/state`]?.value) || null,
+        soh: parseFloat(cachedData[`solar_assistant/battery_${num}/state_of_health/state`]?.value) || null,
+        capacity: parseFloat(cachedData[`solar_assistant/battery_${num}/capacity/state`]?.value) || null,
+        chargeCapacity: parseFloat(cachedData[`solar_assistant/battery_${num}/charge_capacity/state`]?.value) || null,
+        cellVoltage: {
+          average: parseFloat(cachedData[`solar_assistant/battery_${num}/cell_voltage_-_average/state`]?.value) || null,
+          highest: parseFloat(cachedData[`solar_assistant/battery_${num}/cell_voltage_-_highest/state`]?.value) || null,
+          lowest: parseFloat(cachedData[`solar_assistant/battery_${num}/cell_voltage_-_lowest/state`]?.value) || null
+        },
+        alerts: Object.values(packAlertState).filter(alert => alert.battery === `battery_${num}`).map(alert => alert.message)
+      };
+    })
+  };
+}
+
+/**
+ * GET /data/solar-forecast - Rest-of-day solar outlook used by the charger
+ * RETURNS: outlook (see getSolarOutlook), deferral for the current SOC,
+ *          hourly forecast for the next 24h with expected PV watts, calibration info
+ */
+app.get('/data/solar-forecast', authenticateToken, (req, res) => {
+  const now = Date.now();
+  const soc = parseFloat(cachedData['solar_assistant/total/battery_state_of_charge/state']?.value);
+  const scale = getSolarScaleFactor();
+  
+  res.json({
+    enabled: !!alertSettings.chargerControl.forecast?.enabled,
+    timezone: getConfiguredTimezone(),
+    lastUpdate: solarForecast.lastUpdate,
+    calibration: {
+      samples: solarCalibration.samples.length,
+      minSamples: SOLAR_CALIBRATION_MIN_SAMPLES,
+      wattsPerIrradiance: scale ? Math.round(scale.wattsPerIrradiance * 1000) / 1000 : null,
+      source: scale ? scale.source : null
+    },
+    outlook: getSolarOutlook(now),
+    deferral: isNaN(soc) ? null : { soc: soc, ...getSolarDeferral(soc, now), outlook: undefined },
+    hourly: solarForecast.hourly
+      .filter(hour => hour.time > now && hour.time <= now + 24 * 60 * 60 * 1000)
+      .map(hour => ({
+        ...hour,
+        expectedPvWatts: scale ? Math.round(hour.solarRadiation * scale.wattsPerIrradiance) : null
+      }))
+  });
 });
 
 /**
- * GET /login - Login page
- * Serves login HTML (public route)
+ * GET /data/battery - Battery page data
+ * QUERY: history=false skips the 48h history arrays (charts use /data/history)
  */
-app.get('/login', (req, res) => {
-  res.send(`
-<!DOCTYPE html>
+app.get('/data/battery', authenticateToken, (req, res) => {
+  const batteryData = getBatterySnapshot();
+  
+  if (req.query.history !== 'false') {
+    // Historical data for charting
+    const ids = getDeviceIds('battery');
+    const byBattery = metric => ids.reduce((acc, num) => {
+      acc[`battery_${num}`] = historicalData[`solar_assistant/battery_${num}/${metric}/state`] || [];
+      return acc;
+    }, {});
+    batteryData.history = {
+      voltage: byBattery('voltage'),
+      current: byBattery('current'),
+      temperature: byBattery('temperature'),
+      power: byBattery('power'),
+      soc: byBattery('state_of_charge'),
+      totalPower: historicalData['solar_assistant/total/battery_power/state'] || [],
+      totalSoc: historicalData['solar_assistant/total/battery_state_of_charge/state'] || [],
+      totalTemp: historicalData['solar_assistant/total/battery_temperature/state'] || []
+    };
+  }
+  
+  res.json(batteryData);
+});
+
+/**
+ * GET /data/devices - Inverters and batteries discovered from the MQTT topics
+ * USED BY: Battery page, external tools
+ * RETURNS: { inverters, batteries, totals: { pvPower, loadPower, batteryCurrent }, autoTrack }
+ */
+app.get('/data/devices', authenticateToken, (req, res) => {
+  const total = metric => {
+    const value = getSystemTotal(metric);
+    return isNaN(value) ? null : value;
+  };
+  
+  res.json({
+    ...getDevices(),
+    totals: {
+      pvPower: total('pv_power'),
+      loadPower: total('load_power'),
+      batteryCurrent: total('battery_current')
+    },
+    autoTrack: alertSettings.deviceDiscovery.autoTrack
+  });
+});
+
+/**
+ * GET /data/staleness - How long ago each topic last published
+ * USED BY: External monitoring, troubleshooting a quiet SolarAssistant
+ * RETURNS: { staleAfterMinutes, state: staleDataState, lastMessage, watchTopics,
+ *            topics: [{ topic, ageSeconds, stale }] oldest first }
+ */
+app.get('/data/staleness', authenticateToken, (req, res) => {
+  const now = Date.now();
+  const limitSeconds = alertSettings.staleData.minutes * 60;
+  const topics = Object.keys(cachedData)
+    .map(topic => {
+      const ageSeconds = getTopicAgeSeconds(topic, now);
+      return { topic: topic, ageSeconds: ageSeconds, stale: ageSeconds > limitSeconds };
+    })
+    .sort((a, b) => b.ageSeconds - a.ageSeconds);
+  
+  res.json({
+    staleAfterMinutes: alertSettings.staleData.minutes,
+    state: staleDataState,
+    lastMessage: lastUpdate,
+    watchTopics: alertSettings.staleData.watchTopics,
+    topics: topics
+  });
+});
+
+/**
+ * GET /alerts/active - Alerts currently raised, with acknowledge/snooze state
+ * USED BY: Dashboard active alerts banner
+ * RETURNS: { alerts: [newest first, with `silenced`], quietHours: { enabled, active, digest }, snoozeMinutes }
+ */
+app.get('/alerts/active', authenticateToken, (req, res) => {
+  const now = Date.now();
+  const alerts = Object.values(activeAlerts)
+    .filter(alert => !alert.restored)
+    .map(alert => ({ ...alert, silenced: isAlertSilenced(alert, now) }))
+    .sort((a, b) => new Date(b.since) - new Date(a.since));
+  
+  res.json({
+    alerts: alerts,
+    quietHours: { enabled: !!alertSettings.quietHours.enabled, active: isQuietHours(now), digest: quietDigest.length },
+    snoozeMinutes: alertSettings.alertActions.snoozeMinutes
+  });
+});
+
+/**
+ * POST /alerts/acknowledge - Stop notifications for an active alert until it clears
+ * BODY: { key }
+ */
+app.post('/alerts/acknowledge', authenticateToken, (req, res) => {
+  const alert = acknowledgeAlert(String(req.body.key || ''), req.user.username);
+  if (!alert) {
+    return res.status(404).json({ success: false, error: 'Alert is not active (it may have cleared)' });
+  }
+  res.json({ success: true, alert: alert });
+});
+
+/**
+ * POST /alerts/snooze - Hold notifications for an active alert for a while
+ * BODY: { key, minutes } - minutes defaults to alertActions.snoozeMinutes
+ */
+app.post('/alerts/snooze', authenticateToken, (req, res) => {
+  const minutes = req.body.minutes === undefined ? alertSettings.alertActions.snoozeMinutes : parseFloat(req.body.minutes);
+  if (isNaN(minutes) || minutes < 1 || minutes > 10080) {
+    return res.status(400).json({ success: false, error: 'minutes must be between 1 and 10080 (7 days)' });
+  }
+  
+  const alert = snoozeAlert(String(req.body.key || ''), minutes, req.user.username);
+  if (!alert) {
+    return res.status(404).json({ success: false, error: 'Alert is not active (it may have cleared)' });
+  }
+  res.json({ success: true, alert: alert });
+});
+
+/**
+ * Small standalone page for the signed email links
+ */
+function renderAlertActionPage(title, body) {
+  return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Solar Dashboard - Login</title>
+  <title>${escapeHtml(title)} - SolarAssistant</title>
   <style>
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
-    
-    :root {
-      --bg-gradient-start: #1a1a2e;
-      --bg-gradient-end: #16213e;
-      --card-bg: #1e1e2e;
-      --text-primary: #f0f0f0;
-      --text-secondary: #d0d0d0;
-      --text-muted: #a0a0a0;
-      --border-color: #404050;
-      --accent-color: #8fa3e8;
-      --shadow-sm: 0 4px 12px rgba(0, 0, 0, 0.4);
-      --shadow-lg: 0 10px 30px rgba(0, 0, 0, 0.5);
-      --success-color: #4ade80;
-      --warning-color: #fbbf24;
-      --danger-color: #f87171;
-      --solar-color: #fbbf24;
-      --battery-color: #4ade80;
-      --load-color: #60a5fa;
-    }
-    
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-      background: linear-gradient(135deg, var(--bg-gradient-start) 0%, var(--bg-gradient-end) 100%);
-      min-height: 100vh;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      padding: 20px;
-      color: var(--text-primary);
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; margin: 0; display: flex; align-items: center; justify-content: center; }
+    .card { background: white; border-radius: 15px; padding: 30px; max-width: 420px; width: 90%; box-shadow: 0 10px 40px rgba(0,0,0,0.2); text-align: center; }
+    h1 { font-size: 22px; color: #333; }
+    p { color: #555; }
+    button { background: #667eea; color: white; border: none; border-radius: 8px; padding: 12px 24px; font-size: 16px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * GET /alerts/action - Confirmation page for an acknowledge/snooze email link
+ * SECURITY: No login - the HMAC signature and expiry (see verifyAlertAction) are the credential
+ * NOTE: GET only shows a button; the change is a POST so mail scanners that
+ *       prefetch links can't acknowledge alerts
+ */
+app.get('/alerts/action', (req, res) => {
+  const problem = verifyAlertAction(req.query);
+  if (problem) {
+    return res.status(403).send(renderAlertActionPage('Link not valid', `<p>${escapeHtml(problem)}</p>`));
+  }
+  
+  const alert = activeAlerts[req.query.key];
+  if (!alert) {
+    return res.send(renderAlertActionPage('Alert already cleared', '<p>This alert is no longer active. Nothing to do.</p>'));
+  }
+  
+  const label = req.query.action === 'ack' ? 'Acknowledge' : `Snooze ${alertSettings.alertActions.snoozeMinutes} min`;
+  const fields = ['key', 'action', 'expires', 'sig']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+  res.send(renderAlertActionPage(label, `
+    <p>${escapeHtml(alert.message)}</p>
+    <p style="font-size: 13px;">Active since ${escapeHtml(new Date(alert.since).toLocaleString())}</p>
+    <form method="POST" action="/alerts/action">${fields}<button type="submit">${escapeHtml(label)}</button></form>`));
+});
+
+/**
+ * POST /alerts/action - Apply an acknowledge/snooze email link
+ */
+app.post('/alerts/action', express.urlencoded({ extended: false }), (req, res) => {
+  const problem = verifyAlertAction(req.body);
+  if (problem) {
+    return res.status(403).send(renderAlertActionPage('Link not valid', `<p>${escapeHtml(problem)}</p>`));
+  }
+  
+  const alert = req.body.action === 'ack'
+    ? acknowledgeAlert(req.body.key, 'email link')
+    : snoozeAlert(req.body.key, alertSettings.alertActions.snoozeMinutes, 'email link');
+  if (!alert) {
+    return res.send(renderAlertActionPage('Alert already cleared', '<p>This alert is no longer active. Nothing to do.</p>'));
+  }
+  
+  const done = req.body.action === 'ack'
+    ? 'No more notifications will be sent for this alert until it clears.'
+    : `Notifications are paused until ${new Date(alert.snoozedUntil).toLocaleTimeString()}. You will get one reminder then if it is still active.`;
+  res.send(renderAlertActionPage(req.body.action === 'ack' ? '👍 Acknowledged' : '💤 Snoozed', `<p>${escapeHtml(alert.message)}</p><p>${escapeHtml(done)}</p>`));
+});
+
+/**
+ * GET /settings/alerts/history - Query the persistent alert log
+ * USED BY: Settings page Alert History, user scripts
+ * QUERY:
+ *   type, category, severity - Comma-separated filters (default: any)
+ *   from, to                 - ISO8601 or epoch ms (default: all time)
+ *   limit, offset            - Page size (default 50, max 500) and start
+ *   format                   - 'csv' downloads every matching entry instead of a page
+ * RETURNS: { history: [entries, newest first], total, offset, limit, types, categories, severities }
+ */
+app.get('/settings/alerts/history', authenticateToken, (req, res) => {
+  const parseTime = input => {
+    if (input === undefined || input === '') return undefined;
+    const ms = /^\d+$/.test(input) ? parseInt(input, 10) : new Date(input).getTime();
+    return isNaN(ms) ? null : ms;
+  };
+  const parseList = input => input ? String(input).split(',').map(item => item.trim()).filter(Boolean) : [];
+  
+  const filter = {
+    types: parseList(req.query.type),
+    categories: parseList(req.query.category),
+    severities: parseList(req.query.severity),
+    from: parseTime(req.query.from),
+    to: parseTime(req.query.to)
+  };
+  
+  if (filter.from === null || filter.to === null || (filter.from && filter.to && filter.from > filter.to)) {
+    return res.status(400).json({ error: 'Invalid from/to range' });
+  }
+  const unknownTypes = filter.types.filter(type => !ALERT_EVENT_TYPES[type]);
+  if (unknownTypes.length > 0) {
+    return res.status(400).json({ error: 'Unknown event types: ' + unknownTypes.join(', ') });
+  }
+  const unknownSeverities = filter.severities.filter(severity => !NOTIFICATION_SEVERITIES.includes(severity));
+  if (unknownSeverities.length > 0) {
+    return res.status(400).json({ error: 'severity must be one of ' + NOTIFICATION_SEVERITIES.join(', ') });
+  }
+  
+  const entries = queryAlertLog(filter);
+  
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="alert_log_${new Date().toISOString().slice(0, 10)}.csv"`);
+    return res.send(formatAlertLogCsv(entries));
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  
+  res.json({
+    history: entries.slice(offset, offset + limit),
+    total: entries.length,
+    offset: offset,
+    limit: limit,
+    types: ALERT_EVENT_TYPES,
+    categories: NOTIFICATION_CATEGORIES,
+    severities: NOTIFICATION_SEVERITIES
+  });
+});
+
+/**
+ * HTTP headers with their values masked - they usually carry tokens
+ * USED BY: getMaskedAlertSettings() (charger and notification webhooks)
+ */
+function maskHeaderValues(headers) {
+  return Object.fromEntries(Object.keys(headers || {}).map(name => [name, '***']));
+}
+
+/**
+ * Put the saved values back into headers posted with masked values
+ * RULE: A '***' value keeps the saved value of the same header (names compared
+ *       case-insensitively); a header that wasn't saved before is dropped
+ */
+function restoreMaskedHeaders(headers, saved) {
+  const savedByName = Object.fromEntries(Object.entries(saved || {}).map(([name, value]) => [name.toLowerCase(), value]));
+  const restored = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    if (value !== '***') {
+      restored[name] = value;
+    } else if (savedByName[name.toLowerCase()] !== undefined) {
+      restored[name] = savedByName[name.toLowerCase()];
     }
-    
-    .login-container {
-      background: var(--card-bg);
-      border: 1px solid var(--border-color);
-      border-radius: 16px;
-      box-shadow: var(--shadow-lg);
-      padding: 40px;
-      width: 100%;
-      max-width: 400px;
+  });
+  return restored;
+}
+
+/**
+ * alertSettings with secrets masked, for the settings API responses
+ * NOTE: systemSettings MQTT fields are the effective values (including the .env defaults)
+ */
+function getMaskedAlertSettings() {
+  const mqttSettings = getMqttConnectionSettings();
+  return {
+    ...alertSettings,
+    sendgridApiKey: alertSettings.sendgridApiKey ? '***' + alertSettings.sendgridApiKey.slice(-8) : null, // Mask API key
+    systemSettings: {
+      ...alertSettings.systemSettings,
+      mqttBroker: mqttSettings.broker,
+      mqttUsername: mqttSettings.username,
+      mqttPassword: mqttSettings.password ? '***' : '',
+      mqttClientId: mqttSettings.clientId,
+      mqttCaFile: mqttSettings.caFile,
+      mqttCertFile: mqttSettings.certFile,
+      mqttKeyFile: mqttSettings.keyFile,
+      mqttRejectUnauthorized: mqttSettings.rejectUnauthorized
+    },
+    chargerControl: {
+      ...alertSettings.chargerControl,
+      iftttWebhookKey: alertSettings.chargerControl.iftttWebhookKey ? '***' + alertSettings.chargerControl.iftttWebhookKey.slice(-8) : null,
+      webhook: {
+        ...alertSettings.chargerControl.webhook,
+        headers: maskHeaderValues(alertSettings.chargerControl.webhook?.headers)
+      },
+      relay: {
+        ...alertSettings.chargerControl.relay,
+        password: alertSettings.chargerControl.relay?.password ? '***' : ''
+      }
+    },
+    notifications: {
+      ...alertSettings.notifications,
+      channels: {
+        ...alertSettings.notifications.channels,
+        smtp: { ...alertSettings.notifications.channels.smtp, password: alertSettings.notifications.channels.smtp.password ? '***' : '' },
+        push: { ...alertSettings.notifications.channels.push, token: alertSettings.notifications.channels.push.token ? '***' : '' },
+        webhook: { ...alertSettings.notifications.channels.webhook, headers: maskHeaderValues(alertSettings.notifications.channels.webhook.headers) }
+      }
     }
-    
-    .logo {
-      text-align: center;
-      margin-bottom: 30px;
+  };
+}
+
+/**
+ * Validate a systemSettings block from POST /settings/alerts
+ * RETURNS: { error } or { values } with only the fields that were sent, normalized
+ */
+function validateSystemSettings(input) {
+  const values = {};
+  
+  if (input.mqttBroker !== undefined) {
+    const broker = String(input.mqttBroker).trim();
+    let url;
+    try {
+      url = new URL(broker);
+    } catch (error) {
+      return { error: 'MQTT broker must be a URL like mqtt://192.168.1.228:1883' };
     }
-    
-    .logo h1 {
-      color: var(--text-primary);
-      font-size: 28px;
-      margin-bottom: 8px;
-      font-weight: 700;
+    if (!['mqtt:', 'mqtts:', 'tcp:', 'ssl:', 'ws:', 'wss:'].includes(url.protocol) || !url.hostname) {
+      return { error: 'MQTT broker must use mqtt://, mqtts://, tcp://, ssl://, ws:// or wss://' };
     }
-    
-    .logo .sun-icon {
-      display: inline-block;
-      font-size: 24px;
-      margin-right: 10px;
-      color: var(--solar-color);
+    // Saving the .env broker keeps following .env
+    values.mqttBroker = broker === DEFAULT_MQTT_BROKER ? null : broker;
+  }
+  
+  if (input.mqttTopic !== undefined) {
+    const topic = String(input.mqttTopic).trim();
+    const levels = topic.split('/');
+    const badWildcard = levels.some((level, i) =>
+      (level.includes('#') && (level !== '#' || i !== levels.length - 1)) ||
+      (level.includes('+') && level !== '+'));
+    if (!topic || badWildcard) {
+      return { error: 'MQTT topic must be a valid subscription, e.g. solar_assistant/# (# only as the last level, + as a whole level)' };
+    }
+    // Cards, alerts, charger control and reports all read solar_assistant/... topics
+    const coversSolarAssistant = levels[0] === '#' ||
+      (['solar_assistant', '+'].includes(levels[0]) && levels[1] === '#');
+    if (!coversSolarAssistant) {
+      return { error: `MQTT topic "${topic}" must receive every solar_assistant/... topic - the dashboard, alerts, charger control and reports read them by that prefix. Use solar_assistant/# or a broader filter such as #` };
+    }
+    values.mqttTopic = topic;
+  }
+  
+  // Credentials - saving the .env value keeps following .env
+  if (input.mqttUsername !== undefined) {
+    const username = String(input.mqttUsername).trim();
+    values.mqttUsername = username === MQTT_ENV_OPTIONS.username ? null : username;
+  }
+  // Password: '' or '***' = unchanged, clearMqttPassword = connect without one (overrides .env)
+  if (input.clearMqttPassword === true) {
+    values.mqttPassword = MQTT_ENV_OPTIONS.password ? '' : null;
+  } else if (input.mqttPassword !== undefined && input.mqttPassword !== '' && input.mqttPassword !== '***') {
+    const password = String(input.mqttPassword);
+    values.mqttPassword = password === MQTT_ENV_OPTIONS.password ? null : password;
+  }
+  if (input.mqttClientId !== undefined) {
+    const clientId = String(input.mqttClientId).trim();
+    if (clientId.length > 64 || /\s/.test(clientId)) {
+      return { error: 'MQTT client ID must be at most 64 characters without spaces' };
     }
-    
-    .logo p {
-      color: var(--text-secondary);
-      font-size: 14px;
+    values.mqttClientId = clientId === MQTT_ENV_OPTIONS.clientId ? null : clientId;
+  }
+  
+  const certificateFields = { mqttCaFile: ['caFile', 'CA certificate'], mqttCertFile: ['certFile', 'client certificate'], mqttKeyFile: ['keyFile', 'client key'] };
+  for (const [field, [envKey, label]] of Object.entries(certificateFields)) {
+    if (input[field] === undefined) continue;
+    const file = String(input[field]).trim();
+    if (file) {
+      try {
+        fs.accessSync(file, fs.constants.R_OK);
+      } catch (error) {
+        return { error: `MQTT ${label} ${file} is not readable by the app (${error.code})` };
+      }
     }
-    
-    .form-group {
-      margin-bottom: 20px;
+    values[field] = file === MQTT_ENV_OPTIONS[envKey] ? null : file;
+  }
+  const certFile = values.mqttCertFile !== undefined ? values.mqttCertFile : alertSettings.systemSettings?.mqttCertFile;
+  const keyFile = values.mqttKeyFile !== undefined ? values.mqttKeyFile : alertSettings.systemSettings?.mqttKeyFile;
+  if (!(certFile ?? MQTT_ENV_OPTIONS.certFile) !== !(keyFile ?? MQTT_ENV_OPTIONS.keyFile)) {
+    return { error: 'MQTT client certificate and client key must be set together' };
+  }
+  if (input.mqttRejectUnauthorized !== undefined) {
+    const rejectUnauthorized = input.mqttRejectUnauthorized !== false && input.mqttRejectUnauthorized !== 'false';
+    values.mqttRejectUnauthorized = rejectUnauthorized === MQTT_ENV_OPTIONS.rejectUnauthorized ? null : rejectUnauthorized;
+  }
+  
+  if (input.latitude !== undefined) {
+    const latitude = parseFloat(input.latitude);
+    if (isNaN(latitude) || latitude < -90 || latitude > 90) {
+      return { error: 'Latitude must be between -90 and 90' };
     }
-    
-    .form-group label {
-      display: block;
-      color: var(--text-primary);
-      font-weight: 600;
-      margin-bottom: 8px;
-      font-size: 14px;
+    values.latitude = latitude;
+  }
+  if (input.longitude !== undefined) {
+    const longitude = parseFloat(input.longitude);
+    if (isNaN(longitude) || longitude < -180 || longitude > 180) {
+      return { error: 'Longitude must be between -180 and 180' };
     }
-    
-    .form-group input {
-      width: 100%;
-      padding: 12px 16px;
-      border: 2px solid var(--border-color);
-      border-radius: 8px;
-      font-size: 14px;
-      background: var(--card-bg);
-      color: var(--text-primary);
-      transition: border-color 0.3s, box-shadow 0.3s;
+    values.longitude = longitude;
+  }
+  
+  if (input.timezone !== undefined) {
+    const timezone = String(input.timezone).trim();
+    if (!isValidTimezone(timezone)) {
+      return { error: `Unknown timezone "${timezone}" - use an IANA name like America/Phoenix` };
     }
-    
-    .form-group input:focus {
-      outline: none;
-      border-color: var(--accent-color);
-      box-shadow: 0 0 0 3px rgba(143, 163, 232, 0.1);
+    values.timezone = timezone;
+  }
+  
+  if (input.zipCode !== undefined) values.zipCode = String(input.zipCode).trim().slice(0, 10);
+  if (input.locationName !== undefined) values.locationName = String(input.locationName).trim().slice(0, 200);
+  
+  return { values: values };
+}
+
+/**
+ * Store validated systemSettings and apply them live
+ * CALLED BY: POST /settings/alerts
+ * IMPACT: Reconnects/resubscribes MQTT, refreshes weather for a new location
+ *         (and drops PV calibration samples taken somewhere else)
+ * RETURNS: { mqtt: 'reconnecting'|'resubscribed'|null, weather: boolean }
+ */
+function applySystemSettings(values) {
+  const previous = getWeatherLocation();
+  alertSettings.systemSettings = { ...alertSettings.systemSettings, ...values };
+  const location = getWeatherLocation();
+  const moved = location.latitude !== previous.latitude || location.longitude !== previous.longitude;
+  
+  if (moved) {
+    console.log(`📍 Weather location changed to ${location.latitude}, ${location.longitude}`);
+    if (Math.abs(location.latitude - previous.latitude) > 0.1 || Math.abs(location.longitude - previous.longitude) > 0.1) {
+      solarCalibration.samples = [];
     }
+    fetchWeatherData();
+  }
+  
+  return { mqtt: applyMqttSettings(), weather: moved };
+}
+
+/**
+ * GET /settings/alerts - Returns alert settings and system state
+ * USED BY: Dashboard Settings modal
+ * SECURITY: Masks API keys (only shows last 8 characters)
+ * RETURNS: alertSettings, alertState, chargerState, alertHistory
+ */
+app.get('/settings/alerts', authenticateToken, (req, res) => {
+  res.json({
+    settings: getMaskedAlertSettings(),
+    state: alertState,
+    chargerState: chargerState,
+    history: alertHistory.slice(0, 10),
+    mqtt: { status: connectionStatus, error: mqttLastError }
+  });
+});
+
+/**
+ * POST /settings/alerts - Update alert settings
+ * USED BY: Dashboard Settings modal "Save Settings" button
+ * IMPACT: Modifies alertSettings object and saves to SETTINGS_FILE
+ * SECURITY: Validates and sanitizes input before saving
+ * RELATIONSHIP: Updated settings immediately affect alert logic and charger control
+ */
+app.post('/settings/alerts', authenticateToken, (req, res) => {
+  try {
+    const { enabled, fromEmail, toEmail, lowThreshold, highThreshold, criticalThreshold, sendgridApiKey, chargerControl, systemSettings, deviceDiscovery, staleData, batteryProtection, notifications, quietHours, alertActions, escalation, dailySummary, weeklySummary, monthlySummary, reportArchive } = req.body;
     
-    .form-group input::placeholder {
-      color: var(--text-muted);
+    // Validate the stale data watchdog before changing anything
+    if (staleData) {
+      const minutes = staleData.minutes === undefined ? alertSettings.staleData.minutes : parseFloat(staleData.minutes);
+      if (isNaN(minutes) || minutes < 1 || minutes > 1440) {
+        return res.status(400).json({ success: false, error: 'staleData.minutes must be between 1 and 1440' });
+      }
+      if (staleData.watchTopics !== undefined && !Array.isArray(staleData.watchTopics)) {
+        return res.status(400).json({ success: false, error: 'staleData.watchTopics must be a list of topics' });
+      }
     }
     
-    .btn-login {
-      width: 100%;
-      padding: 14px;
-      background: linear-gradient(135deg, var(--accent-color) 0%, #6b73ff 100%);
-      color: white;
-      border: none;
-      border-radius: 8px;
-      font-size: 16px;
-      font-weight: 600;
-      cursor: pointer;
-      transition: transform 0.2s, box-shadow 0.2s;
+    // Validate pack protection limits
+    let protectionValues = null;
+    if (batteryProtection) {
+      protectionValues = { ...alertSettings.batteryProtection };
+      for (const field of ['maxTemp', 'minTemp', 'maxCellSpreadMv', 'maxSocDivergence']) {
+        if (batteryProtection[field] === undefined) continue;
+        const value = parseFloat(batteryProtection[field]);
+        if (isNaN(value)) {
+          return res.status(400).json({ success: false, error: `batteryProtection.${field} must be a number` });
+        }
+        protectionValues[field] = value;
+      }
+      if (protectionValues.minTemp >= protectionValues.maxTemp) {
+        return res.status(400).json({ success: false, error: 'batteryProtection.minTemp must be below maxTemp' });
+      }
+      if (protectionValues.maxCellSpreadMv < 10 || protectionValues.maxCellSpreadMv > 1000) {
+        return res.status(400).json({ success: false, error: 'batteryProtection.maxCellSpreadMv must be between 10 and 1000' });
+      }
+      if (protectionValues.maxSocDivergence < 1 || protectionValues.maxSocDivergence > 100) {
+        return res.status(400).json({ success: false, error: 'batteryProtection.maxSocDivergence must be between 1 and 100' });
+      }
+      if (batteryProtection.enabled !== undefined) protectionValues.enabled = !!batteryProtection.enabled;
+      if (batteryProtection.forceChargerOff !== undefined) protectionValues.forceChargerOff = !!batteryProtection.forceChargerOff;
     }
     
-    .btn-login:hover {
-      transform: translateY(-2px);
-      box-shadow: 0 6px 20px rgba(143, 163, 232, 0.4);
+    let notificationValues = null;
+    if (notifications) {
+      const result = validateNotificationSettings(notifications);
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+      }
+      notificationValues = result.values;
     }
     
-    .btn-login:focus {
-      outline: none;
-      box-shadow: 0 0 0 3px rgba(143, 163, 232, 0.3);
+    let quietHoursValues = null;
+    if (quietHours) {
+      const merged = { ...alertSettings.quietHours, ...quietHours };
+      const problem = validateScheduleWindow(merged, false);
+      if (problem) {
+        return res.status(400).json({ success: false, error: `quietHours ${problem}` });
+      }
+      quietHoursValues = { enabled: !!merged.enabled, days: [...new Set(merged.days)].sort(), start: merged.start.trim(), end: merged.end.trim() };
+    }
+    
+    let actionValues = null;
+    if (alertActions) {
+      actionValues = { ...alertSettings.alertActions };
+      const numbers = { snoozeMinutes: [1, 10080], linkValidHours: [1, 720] };
+      for (const [field, [min, max]] of Object.entries(numbers)) {
+        if (alertActions[field] === undefined) continue;
+        const value = parseFloat(alertActions[field]);
+        if (isNaN(value) || value < min || value > max) {
+          return res.status(400).json({ success: false, error: `alertActions.${field} must be between ${min} and ${max}` });
+        }
+        actionValues[field] = value;
+      }
     }
     
-    .btn-login:active {
-      transform: translateY(0);
+    let escalationValues = null;
+    if (escalation) {
+      const result = validateEscalationSettings(escalation);
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+      }
+      escalationValues = result.values;
     }
     
-    .error-message {
-      background: rgba(248, 113, 113, 0.1);
-      border: 1px solid var(--danger-color);
-      color: var(--danger-color);
-      padding: 12px;
-      border-radius: 8px;
-      margin-bottom: 20px;
-      font-size: 14px;
-      display: none;
+    let summaryValues = null;
+    if (dailySummary) {
+      summaryValues = { ...alertSettings.dailySummary };
+      if (dailySummary.enabled !== undefined) summaryValues.enabled = !!dailySummary.enabled;
+      if (dailySummary.sendTime !== undefined) {
+        if (parseTimeOfDay(dailySummary.sendTime) === null) {
+          return res.status(400).json({ success: false, error: 'dailySummary.sendTime must be HH:MM' });
+        }
+        summaryValues.sendTime = String(dailySummary.sendTime).trim();
+      }
+      if (dailySummary.schedule !== undefined) {
+        const schedule = dailySummary.schedule === null ? '' : String(dailySummary.schedule).trim();
+        const problem = schedule ? validateCronExpression(schedule) : null;
+        if (problem) {
+          return res.status(400).json({ success: false, error: `dailySummary.schedule: ${problem}` });
+        }
+        summaryValues.schedule = schedule || null;
+      }
+      if (dailySummary.timezone !== undefined) {
+        if (!isValidTimezone(dailySummary.timezone)) {
+          return res.status(400).json({ success: false, error: `Unknown timezone "${dailySummary.timezone}"` });
+        }
+        summaryValues.timezone = dailySummary.timezone;
+      }
     }
     
-    .error-message.show {
-      display: block;
+    const periodSummaryValues = {};
+    for (const [key, input] of [['weeklySummary', weeklySummary], ['monthlySummary', monthlySummary]]) {
+      if (!input) continue;
+      const values = { ...alertSettings[key] };
+      if (input.enabled !== undefined) values.enabled = !!input.enabled;
+      if (input.schedule !== undefined) {
+        const schedule = String(input.schedule || '').trim();
+        const problem = schedule ? validateCronExpression(schedule) : 'a schedule is required';
+        if (problem) {
+          return res.status(400).json({ success: false, error: `${key}.schedule: ${problem}` });
+        }
+        values.schedule = schedule;
+      }
+      periodSummaryValues[key] = values;
     }
     
-    .footer {
-      text-align: center;
-      margin-top: 20px;
-      color: var(--text-muted);
-      font-size: 12px;
+    let reportArchiveValues = null;
+    if (reportArchive && reportArchive.retentionDays !== undefined) {
+      let retention = reportArchive.retentionDays;
+      if (retention !== null && retention !== '') {
+        retention = Number(retention);
+        if (!Number.isInteger(retention) || retention < 1) {
+          return res.status(400).json({ success: false, error: 'reportArchive.retentionDays must be a whole number of days, or empty to keep reports forever' });
+        }
+      } else {
+        retention = null;
+      }
+      reportArchiveValues = { ...alertSettings.reportArchive, retentionDays: retention };
     }
     
-    /* High contrast mode support */
-    @media (prefers-contrast: high) {
-      :root {
-        --border-color: #666;
-        --text-primary: #ffffff;
-        --text-secondary: #cccccc;
-      }
-      
-      .form-group input:focus {
-        box-shadow: 0 0 0 3px rgba(255, 255, 255, 0.3);
+    let criticalValue;
+    if (criticalThreshold !== undefined) {
+      criticalValue = criticalThreshold === null || criticalThreshold === '' ? null : parseFloat(criticalThreshold);
+      const low = lowThreshold !== undefined ? parseFloat(lowThreshold) : alertSettings.lowThreshold;
+      if (criticalValue !== null && (isNaN(criticalValue) || criticalValue < 0 || criticalValue >= low)) {
+        return res.status(400).json({ success: false, error: `criticalThreshold must be between 0 and the low threshold (${low}%), or null to turn it off` });
       }
     }
     
-    /* Reduced motion support */
-    @media (prefers-reduced-motion: reduce) {
-      * {
-        transition: none !important;
-        animation: none !important;
+    let chargerControlValues = null;
+    if (chargerControl) {
+      const result = validateChargerControlSettings(chargerControl);
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
       }
+      chargerControlValues = result.values;
     }
     
-    /* Mobile responsive */
-    @media (max-width: 480px) {
-      .login-container {
-        padding: 30px 20px;
-        margin: 10px;
-      }
-      
-      .logo h1 {
-        font-size: 24px;
+    // Validate System Configuration up front - it's applied after the save
+    let systemValues = null;
+    if (systemSettings) {
+      const result = validateSystemSettings(systemSettings);
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
       }
+      systemValues = result.values;
     }
-  </style>
-</head>
-<body>
-  <div class="login-container">
-    <div class="logo">
-      <h1><span class="sun-icon">☀️</span>Solar Dashboard</h1>
-      <p>Login to access your system</p>
-    </div>
-    
-    <div class="error-message" id="errorMessage"></div>
     
-    <form id="loginForm">
-      <div class="form-group">
-        <label for="username">Username</label>
-        <input type="text" id="username" name="username" required autocomplete="username">
-      </div>
-      
-      <div class="form-group">
-        <label for="password">Password</label>
-        <input type="password" id="password" name="password" required autocomplete="current-password">
-      </div>
-      
-      <button type="submit" class="btn-login" id="loginBtn">Login</button>
-    </form>
+    if (enabled !== undefined) alertSettings.enabled = enabled;
+    if (fromEmail) alertSettings.fromEmail = fromEmail;
+    if (toEmail) alertSettings.toEmail = toEmail;
+    if (lowThreshold !== undefined) alertSettings.lowThreshold = parseFloat(lowThreshold);
+    if (highThreshold !== undefined) alertSettings.highThreshold = parseFloat(highThreshold);
+    if (criticalValue !== undefined) alertSettings.criticalThreshold = criticalValue;
+    if (sendgridApiKey && sendgridApiKey !== '***') alertSettings.sendgridApiKey = sendgridApiKey;
     
-    <div class="footer">
-      Protected by JWT Authentication
-    </div>
-  </div>
-  
-  <script>
-    const form = document.getElementById('loginForm');
-    const errorMessage = document.getElementById('errorMessage');
-    const loginBtn = document.getElementById('loginBtn');
+    if (chargerControlValues) {
+      alertSettings.chargerControl = chargerControlValues;
+      subscribeChargerTopics();
+    }
     
-    form.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      
-      const username = document.getElementById('username').value;
-      const password = document.getElementById('password').value;
-      
-      errorMessage.classList.remove('show');
-      loginBtn.disabled = true;
-      loginBtn.textContent = 'Logging in...';
-      
-      try {
-        const response = await fetch('/api/auth/login', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ username, password })
-        });
-        
-        const data = await response.json();
-        
-        if (response.ok) {
-          window.location.href = '/';
-        } else {
-          errorMessage.textContent = data.error || 'Login failed';
-          errorMessage.classList.add('show');
-          loginBtn.disabled = false;
-          loginBtn.textContent = 'Login';
-        }
-      } catch (error) {
-        errorMessage.textContent = 'Network error. Please try again.';
-        errorMessage.classList.add('show');
-        loginBtn.disabled = false;
-        loginBtn.textContent = 'Login';
+    if (staleData) {
+      if (staleData.enabled !== undefined) alertSettings.staleData.enabled = !!staleData.enabled;
+      if (staleData.minutes !== undefined) alertSettings.staleData.minutes = parseFloat(staleData.minutes);
+      if (staleData.watchTopics !== undefined) {
+        alertSettings.staleData.watchTopics = [...new Set(staleData.watchTopics
+          .map(topic => String(topic).trim())
+          .filter(Boolean)
+          .map(normalizeHistoryTopic))];
       }
+    }
+    
+    if (deviceDiscovery && deviceDiscovery.autoTrack !== undefined) {
+      alertSettings.deviceDiscovery.autoTrack = !!deviceDiscovery.autoTrack;
+    }
+    
+    if (notificationValues) alertSettings.notifications = notificationValues;
+    if (quietHoursValues) alertSettings.quietHours = quietHoursValues;
+    if (actionValues) alertSettings.alertActions = actionValues;
+    if (escalationValues) alertSettings.escalation = escalationValues;
+    if (summaryValues) alertSettings.dailySummary = summaryValues;
+    Object.assign(alertSettings, periodSummaryValues);
+    if (reportArchiveValues) alertSettings.reportArchive = reportArchiveValues;
+    
+    if (protectionValues) {
+      alertSettings.batteryProtection = protectionValues;
+      // Turning the checks off drops active pack alerts; new limits apply on the next reading
+      if (!protectionValues.enabled) packAlertState = {};
+    }
+    
+    const applied = systemValues ? applySystemSettings(systemValues) : { mqtt: null, weather: false };
+    
+    // New report times or timezone take effect now, not after the next run
+    rescheduleAllJobs();
+    
+    saveAlertSettings();
+    
+    res.json({
+      success: true,
+      applied: applied,
+      settings: getMaskedAlertSettings()
     });
-  </script>
-</body>
-</html>
-  `);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-// ═══════════════════════════════════════════════════════════════════════════
-// REST API ENDPOINTS
-// ═══════════════════════════════════════════════════════════════════════════
-// PURPOSE: Provide JSON API for dashboard to fetch data
-// POLLING: Dashboard polls /data every 3 seconds for real-time updates
-// SECURITY: All endpoints below require authentication via JWT
-
 /**
- * GET /data - Returns current MQTT data snapshot
- * USED BY: Dashboard JavaScript (fetched every 3 seconds)
- * RETURNS: cachedData (latest value for each topic), weather, status
- * RELATIONSHIP: Returns data from MQTT message handler (cachedData object)
+ * GET /settings/scheduler - Scheduled jobs with their next run
+ * USED BY: Settings page (Daily Email Reports)
+ * RETURNS: { timezone, jobs: [{ name, label, cron, timezone, nextRun, nextRunLocal, lastRun, lastError, running }] }
  */
-app.get('/data', authenticateToken, (req, res) => {
-  if (Object.keys(cachedData).length === 0) {
-    return res.status(503).json({
-      error: 'No data available yet',
-      status: connectionStatus,
-      messageCount: messageCount
-    });
-  }
-  
-  res.json({
-    data: cachedData,
-    lastUpdate: lastUpdate,
-    messageCount: messageCount,
-    status: connectionStatus,
-    topics: Object.keys(cachedData).length,
-    weather: weatherData,
-    chargerState: chargerState
-  });
+app.get('/settings/scheduler', authenticateToken, (req, res) => {
+  res.json({ timezone: getConfiguredTimezone(), jobs: getScheduledJobs() });
 });
 
 /**
- * GET /data/history - Returns time-series data for charts
- * USED BY: Dashboard on initial page load
- * RETURNS: historicalData arrays for TRACKED_TOPICS
- * RELATIONSHIP: Data from MQTT → historicalData → This endpoint → Chart.js
- * NOTE: Can be large (365 days * 5 topics * ~86400 data points/day)
+ * GET /settings/tracked-topics - List tracked topics and topics available to track
+ * USED BY: Settings page "Tracked Topics" section, dashboard custom topic chart
+ * RETURNS: trackedTopics with cache stats, availableTopics (numeric cachedData
+ *          topics not yet tracked), defaults and limits
  */
-app.get('/data/history', authenticateToken, (req, res) => {
+app.get('/settings/tracked-topics', authenticateToken, (req, res) => {
+  const trackedTopics = alertSettings.trackedTopics.map(entry => ({
+    ...entry,
+    currentValue: cachedData[entry.topic] ? cachedData[entry.topic].value : null,
+    pointsInCache: historicalData[entry.topic] ? historicalData[entry.topic].length : 0
+  }));
+  
+  const availableTopics = Object.keys(cachedData)
+    .filter(topic => !getTopicTracking(topic) && !isNaN(parseFloat(cachedData[topic].value)))
+    .sort();
+  
   res.json({
-    data: historicalData,
-    trackedTopics: TRACKED_TOPICS,
-    dataPoints: Object.values(historicalData).reduce((sum, arr) => sum + arr.length, 0),
-    retentionDays: DATA_RETENTION_DAYS
+    trackedTopics: trackedTopics,
+    availableTopics: availableTopics,
+    defaults: {
+      archiveIntervalSeconds: ARCHIVE_INTERVAL / 1000,
+      retentionDays: null
+    },
+    limits: {
+      archiveIntervalSeconds: { min: 10, max: 3600 },
+      retentionDays: { min: 1, max: HISTORY_TIERS['1d'].retentionDays }
+    }
   });
 });
 
 /**
- * API endpoint - get peak performance for time range
+ * POST /settings/tracked-topics - Start tracking a topic or update its settings
+ * USED BY: Settings page "Tracked Topics" section
+ * BODY: { topic, archiveIntervalSeconds?, retentionDays? (null = tier defaults) }
+ * IMPACT: Takes effect on the next MQTT message - no restart needed
+ * VALIDATION: New topics must currently be publishing a numeric value
  */
-app.get('/data/peak-performance', authenticateToken, (req, res) => {
-  const hours = parseFloat(req.query.hours) || null;
-  res.json({
-    peak: getPeakPerformance(hours)
-  });
+app.post('/settings/tracked-topics', authenticateToken, (req, res) => {
+  try {
+    const { archiveIntervalSeconds, retentionDays } = req.body;
+    const topic = req.body.topic ? normalizeHistoryTopic(String(req.body.topic)) : null;
+    
+    if (!topic) {
+      return res.status(400).json({ success: false, error: 'topic is required' });
+    }
+    
+    const existing = getTopicTracking(topic);
+    if (!existing && (!cachedData[topic] || isNaN(parseFloat(cachedData[topic].value)))) {
+      return res.status(400).json({ success: false, error: `${topic} is not publishing a numeric value` });
+    }
+    
+    const interval = archiveIntervalSeconds === undefined
+      ? (existing ? existing.archiveIntervalSeconds : ARCHIVE_INTERVAL / 1000)
+      : parseInt(archiveIntervalSeconds, 10);
+    if (isNaN(interval) || interval < 10 || interval > 3600) {
+      return res.status(400).json({ success: false, error: 'archiveIntervalSeconds must be between 10 and 3600' });
+    }
+    
+    let retention = retentionDays === undefined ? (existing ? existing.retentionDays : null) : retentionDays;
+    if (retention !== null && retention !== '') {
+      retention = parseInt(retention, 10);
+      if (isNaN(retention) || retention < 1 || retention > HISTORY_TIERS['1d'].retentionDays) {
+        return res.status(400).json({ success: false, error: `retentionDays must be between 1 and ${HISTORY_TIERS['1d'].retentionDays}, or empty for defaults` });
+      }
+    } else {
+      retention = null;
+    }
+    
+    setTopicTracking(topic, interval, retention);
+    
+    res.json({ success: true, tracking: getTopicTracking(topic) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 /**
- * API endpoint - get daily statistics
+ * POST /settings/tracked-topics/remove - Stop tracking a topic
+ * USED BY: Settings page "Tracked Topics" section
+ * BODY: { topic }
+ * NOTE: History already on disk is kept until it ages out
  */
-app.get('/data/daily-stats', authenticateToken, (req, res) => {
-  // Get earliest data point time for today
-  let earliestTime = null;
-  const topic = 'solar_assistant/inverter_1/pv_power/state';
-  if (historicalData[topic] && historicalData[topic].length > 0) {
-    const today = new Date().toDateString();
-    const todayData = historicalData[topic].filter(point => {
-      return new Date(point.timestamp).toDateString() === today;
-    });
-    if (todayData.length > 0) {
-      earliestTime = new Date(todayData[0].timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+app.post('/settings/tracked-topics/remove', authenticateToken, (req, res) => {
+  try {
+    const topic = req.body.topic ? normalizeHistoryTopic(String(req.body.topic)) : null;
+    
+    if (!topic || !getTopicTracking(topic)) {
+      return res.status(404).json({ success: false, error: 'Topic is not tracked' });
     }
+    
+    removeTopicTracking(topic);
+    
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
+});
+
+/**
+ * GET /settings/alert-rules - List alert rules with their live state
+ * USED BY: Settings page "Alert Rules" section
+ * RETURNS: rules (each with state: { active, conditionSince, lastTriggeredAt,
+ *          lastClearedAt, lastValue }), sources (derived metrics and numeric
+ *          cachedData topics), conditions, severities, timezone
+ */
+app.get('/settings/alert-rules', authenticateToken, (req, res) => {
+  const rules = alertSettings.alertRules.map(rule => {
+    const state = alertRuleState[rule.id];
+    return {
+      ...rule,
+      description: describeAlertRuleCondition(rule),
+      currentValue: getAlertRuleValue(rule.source),
+      state: state ? {
+        active: state.active,
+        conditionSince: state.conditionSince ? new Date(state.conditionSince).toISOString() : null,
+        lastTriggeredAt: state.lastTriggeredAt,
+        lastClearedAt: state.lastClearedAt,
+        lastValue: state.lastValue
+      } : null
+    };
+  });
+  
+  const topics = Object.keys(cachedData)
+    .filter(topic => !isNaN(parseFloat(cachedData[topic].value)))
+    .sort();
   
   res.json({
-    energyProduced: getDailyEnergyProduced(),
-    energyConsumed: getDailyEnergyConsumed(),
-    batteryRuntime: getBatteryRuntime(),
-    peakPerformance: getPeakPerformance(1), // Peak for past hour (default time period)
-    peakPower: dailyStats.peakPower,
-    date: dailyStats.date,
-    trackingStartTime: earliestTime || 'Just started'
+    rules: rules,
+    sources: {
+      derived: Object.keys(DERIVED_METRICS).map(key => ({ key: key, label: DERIVED_METRICS[key].label })),
+      topics: topics
+    },
+    conditions: ALERT_RULE_CONDITIONS,
+    severities: Object.keys(ALERT_RULE_SEVERITIES),
+    timezone: getConfiguredTimezone()
   });
 });
 
 /**
- * API endpoint - get comprehensive battery data
+ * POST /settings/alert-rules - Create a rule, or update the rule with the given id
+ * USED BY: Settings page "Alert Rules" section
+ * BODY: { id?, name, enabled, source, condition, threshold, thresholdHigh?,
+ *         rateWindowMinutes?, sustainMinutes, hysteresis, cooldownMinutes,
+ *         severity, recipients, window? }
+ * IMPACT: Applies on the next MQTT message - editing a rule restarts its
+ *         evaluation but keeps the cooldown
  */
-app.get('/data/battery', authenticateToken, (req, res) => {
-  // Get current values for all battery metrics
-  const batteryData = {
-    // Total battery metrics
-    total: {
-      soc: parseFloat(cachedData['solar_assistant/total/battery_state_of_charge/state']?.value) || null,
-      power: parseFloat(cachedData['solar_assistant/total/battery_power/state']?.value) || null,
-      temperature: parseFloat(cachedData['solar_assistant/total/battery_temperature/state']?.value) || null,
-      energyIn: parseFloat(cachedData['solar_assistant/total/battery_energy_in/state']?.value) || null,
-      energyOut: parseFloat(cachedData['solar_assistant/total/battery_energy_out/state']?.value) || null,
-      voltage: parseFloat(cachedData['solar_assistant/inverter_1/battery_voltage/state']?.value) || null,
-      current: parseFloat(cachedData['solar_assistant/inverter_1/battery_current/state']?.value) || null
-    },
+app.post('/settings/alert-rules', authenticateToken, (req, res) => {
+  try {
+    const index = req.body.id ? alertSettings.alertRules.findIndex(rule => rule.id === req.body.id) : -1;
+    if (req.body.id && index === -1) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
     
-    // Individual battery data
-    batteries: [1, 2, 3].map(num => {
-      return {
-        id: num,
-        voltage: parseFloat(cachedData[`solar_assistant/battery_${num}/voltage/state`]?.value) || null,
-        current: parseFloat(cachedData[`solar_assistant/battery_${num}/current/state`]?.value) || null,
-        power: parseFloat(cachedData[`solar_assistant/battery_${num}/power/state`]?.value) || null,
-        temperature: parseFloat(cachedData[`solar_assistant/battery_${num}/temperature/state`]?.value) || null,
-        soc: parseFloat(cachedData[`solar_assistant/battery_${num}/state_of_charge/state`]?.value) || null,
-        soh: parseFloat(cachedData[`solar_assistant/battery_${num}/state_of_health/state`]?.value) || null,
-        capacity: parseFloat(cachedData[`solar_assistant/battery_${num}/capacity/state`]?.value) || null,
-        chargeCapacity: parseFloat(cachedData[`solar_assistant/battery_${num}/charge_capacity/state`]?.value) || null,
-        cellVoltage: {
-          average: parseFloat(cachedData[`solar_assistant/battery_${num}/cell_voltage_-_average/state`]?.value) || null,
-          highest: parseFloat(cachedData[`solar_assistant/battery_${num}/cell_voltage_-_highest/state`]?.value) || null,
-          lowest: parseFloat(cachedData[`solar_assistant/battery_${num}/cell_voltage_-_lowest/state`]?.value) || null
-        }
-      };
-    }),
+    const existing = index === -1 ? null : alertSettings.alertRules[index];
+    const result = validateAlertRule(req.body, existing);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
     
-    // Historical data for charting
-    history: {
-      voltage: [1, 2, 3].reduce((acc, num) => {
-        acc[`battery_${num}`] = historicalData[`solar_assistant/battery_${num}/voltage/state`] || [];
-        return acc;
-      }, {}),
-      current: [1, 2, 3].reduce((acc, num) => {
-        acc[`battery_${num}`] = historicalData[`solar_assistant/battery_${num}/current/state`] || [];
-        return acc;
-      }, {}),
-      temperature: [1, 2, 3].reduce((acc, num) => {
-        acc[`battery_${num}`] = historicalData[`solar_assistant/battery_${num}/temperature/state`] || [];
-        return acc;
-      }, {}),
-      power: [1, 2, 3].reduce((acc, num) => {
-        acc[`battery_${num}`] = historicalData[`solar_assistant/battery_${num}/power/state`] || [];
-        return acc;
-      }, {}),
-      soc: [1, 2, 3].reduce((acc, num) => {
-        acc[`battery_${num}`] = historicalData[`solar_assistant/battery_${num}/state_of_charge/state`] || [];
-        return acc;
-      }, {}),
-      totalPower: historicalData['solar_assistant/total/battery_power/state'] || [],
-      totalSoc: historicalData['solar_assistant/total/battery_state_of_charge/state'] || [],
-      totalTemp: historicalData['solar_assistant/total/battery_temperature/state'] || []
+    if (existing) {
+      alertSettings.alertRules[index] = result.rule;
+      const previous = alertRuleState[result.rule.id];
+      if (previous) {
+        alertRuleState[result.rule.id] = {
+          active: false, conditionSince: null, lastTriggeredAt: previous.lastTriggeredAt,
+          lastClearedAt: previous.lastClearedAt, lastValue: null, samples: []
+        };
+      }
+      clearActiveAlert(`rule:${result.rule.id}`);
+    } else {
+      alertSettings.alertRules.push(result.rule);
     }
-  };
-  
-  res.json(batteryData);
+    saveAlertSettings();
+    
+    console.log(`🚨 Alert rule ${existing ? 'updated' : 'added'}: ${result.rule.name}`);
+    res.json({ success: true, rule: result.rule });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 /**
- * API endpoint - get alert history
+ * POST /settings/alert-rules/remove - Delete a rule
+ * USED BY: Settings page "Alert Rules" section
+ * BODY: { id }
+ * NOTE: An active rule is dropped without a 'rule_cleared' entry
  */
-app.get('/settings/alerts/history', authenticateToken, (req, res) => {
-  res.json({
-    history: alertHistory.slice(0, 10) // Return last 10 alerts
-  });
+app.post('/settings/alert-rules/remove', authenticateToken, (req, res) => {
+  try {
+    const index = alertSettings.alertRules.findIndex(rule => rule.id === req.body.id);
+    if (index === -1) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+    
+    const [removed] = alertSettings.alertRules.splice(index, 1);
+    delete alertRuleState[removed.id];
+    clearActiveAlert(`rule:${removed.id}`);
+    saveAlertSettings();
+    
+    console.log(`🗑️ Alert rule removed: ${removed.name}`);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 /**
- * GET /settings/alerts - Returns alert settings and system state
- * USED BY: Dashboard Settings modal
- * SECURITY: Masks API keys (only shows last 8 characters)
- * RETURNS: alertSettings, alertState, chargerState, alertHistory
+ * GET /settings/notifications - Channels, categories and routing
+ * USED BY: Settings page "Notification Channels" section
+ * RETURNS: channels (masked config + label + problem), categories, routing
+ *          (resolved channel list per category)
  */
-app.get('/settings/alerts', authenticateToken, (req, res) => {
+app.get('/settings/notifications', authenticateToken, (req, res) => {
+  const masked = getMaskedAlertSettings().notifications;
+  const channels = {};
+  Object.keys(NOTIFICATION_CHANNELS).forEach(name => {
+    channels[name] = {
+      ...masked.channels[name],
+      label: NOTIFICATION_CHANNELS[name].label,
+      problem: NOTIFICATION_CHANNELS[name].validate(alertSettings.notifications.channels[name])
+    };
+  });
+  
   res.json({
-    settings: {
-      ...alertSettings,
-      sendgridApiKey: alertSettings.sendgridApiKey ? '***' + alertSettings.sendgridApiKey.slice(-8) : null, // Mask API key
-      chargerControl: {
-        ...alertSettings.chargerControl,
-        iftttWebhookKey: alertSettings.chargerControl.iftttWebhookKey ? '***' + alertSettings.chargerControl.iftttWebhookKey.slice(-8) : null
-      }
-    },
-    state: alertState,
-    chargerState: chargerState,
-    history: alertHistory.slice(0, 10)
+    channels: channels,
+    categories: NOTIFICATION_CATEGORIES,
+    routing: alertSettings.notifications.routing,
+    resolved: Object.fromEntries(Object.keys(NOTIFICATION_CATEGORIES).map(category => [category, getNotificationRoute(category)]))
   });
 });
 
 /**
- * POST /settings/alerts - Update alert settings
- * USED BY: Dashboard Settings modal "Save Settings" button
- * IMPACT: Modifies alertSettings object and saves to SETTINGS_FILE
- * SECURITY: Validates and sanitizes input before saving
- * RELATIONSHIP: Updated settings immediately affect alert logic and charger control
+ * POST /settings/notifications/test - Send a test message through one channel
+ * USED BY: Test button next to each channel on the settings page
+ * BODY: { channel, config? } - config (unsaved form values) is merged over the saved channel settings
+ * NOTE: Ignores the channel's enabled flag, routing and the master alert switch
  */
-app.post('/settings/alerts', authenticateToken, (req, res) => {
+app.post('/settings/notifications/test', authenticateToken, async (req, res) => {
   try {
-    const { enabled, fromEmail, toEmail, lowThreshold, highThreshold, sendgridApiKey, chargerControl } = req.body;
-    
-    if (enabled !== undefined) alertSettings.enabled = enabled;
-    if (fromEmail) alertSettings.fromEmail = fromEmail;
-    if (toEmail) alertSettings.toEmail = toEmail;
-    if (lowThreshold !== undefined) alertSettings.lowThreshold = parseFloat(lowThreshold);
-    if (highThreshold !== undefined) alertSettings.highThreshold = parseFloat(highThreshold);
-    if (sendgridApiKey && sendgridApiKey !== '***') alertSettings.sendgridApiKey = sendgridApiKey;
-    
-    // Update charger control settings
-    if (chargerControl) {
-      if (chargerControl.enabled !== undefined) alertSettings.chargerControl.enabled = chargerControl.enabled;
-      if (chargerControl.lowThreshold !== undefined) alertSettings.chargerControl.lowThreshold = parseFloat(chargerControl.lowThreshold);
-      if (chargerControl.highThreshold !== undefined) alertSettings.chargerControl.highThreshold = parseFloat(chargerControl.highThreshold);
-      if (chargerControl.plugName) alertSettings.chargerControl.plugName = chargerControl.plugName;
-      if (chargerControl.maxTemp !== undefined) alertSettings.chargerControl.maxTemp = parseFloat(chargerControl.maxTemp);
-      if (chargerControl.iftttWebhookKey && chargerControl.iftttWebhookKey !== '***') {
-        alertSettings.chargerControl.iftttWebhookKey = chargerControl.iftttWebhookKey;
-      }
-    }
-    
-    saveAlertSettings();
-    
-    res.json({
-      success: true,
-      settings: {
-        ...alertSettings,
-        sendgridApiKey: alertSettings.sendgridApiKey ? '***' + alertSettings.sendgridApiKey.slice(-8) : null,
-        chargerControl: {
-          ...alertSettings.chargerControl,
-          iftttWebhookKey: alertSettings.chargerControl.iftttWebhookKey ? '***' + alertSettings.chargerControl.iftttWebhookKey.slice(-8) : null
-        }
-      }
+    const name = req.body.channel;
+    if (!NOTIFICATION_CHANNELS[name]) {
+      return res.status(400).json({ success: false, error: `channel must be one of ${Object.keys(NOTIFICATION_CHANNELS).join(', ')}` });
+    }
+    
+    const saved = alertSettings.notifications.channels[name];
+    const config = { ...saved, ...(req.body.config || {}) };
+    if (name === 'smtp' && (!config.password || config.password === '***')) config.password = saved.password;
+    if (name === 'push' && (!config.token || config.token === '***')) config.token = saved.token;
+    if (name === 'webhook' && config.headers && typeof config.headers === 'object') {
+      config.headers = restoreMaskedHeaders(config.headers, saved.headers);
+    }
+    
+    console.log(`🧪 TEST: Sending test notification via ${NOTIFICATION_CHANNELS[name].label}...`);
+    const result = await sendToChannel(name, config, {
+      category: 'test',
+      severity: 'info',
+      subject: '🧪 Test Notification - SolarAssistant Dashboard',
+      message: `This is a test message sent via ${NOTIFICATION_CHANNELS[name].label}.\n\nTime: ${new Date().toLocaleString()}`,
+      html: null,
+      to: [],
+      timestamp: new Date().toISOString()
     });
+    
+    res.json({ success: result.ok, message: result.detail });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -3905,12 +12560,13 @@ app.post('/settings/alerts', authenticateToken, (req, res) => {
 app.post('/settings/alerts/test', authenticateToken, async (req, res) => {
   try {
     const currentSOC = cachedData['solar_assistant/total/battery_state_of_charge/state']?.value || 'N/A';
-    const currentPV = cachedData['solar_assistant/inverter_1/pv_power/state']?.value || 'N/A';
-    const currentLoad = cachedData['solar_assistant/inverter_1/load_power/state']?.value || 'N/A';
+    const currentPV = isNaN(getSystemTotal('pv_power')) ? 'N/A' : getSystemTotal('pv_power');
+    const currentLoad = isNaN(getSystemTotal('load_power')) ? 'N/A' : getSystemTotal('load_power');
     
-    const result = await sendEmailAlert(
+    const result = await sendNotification('test',
       '🧪 Test Alert - SolarAssistant Dashboard',
-      `This is a test email from your SolarAssistant Dashboard.\\n\\nCurrent Status:\\n- Battery SOC: ${currentSOC}%\\n- Solar Power: ${currentPV}W\\n- Load Power: ${currentLoad}W\\n\\nTime: ${new Date().toLocaleString()}\\n\\nIf you received this email, your alert system is working correctly!`
+      `This is a test email from your SolarAssistant Dashboard.\n\nCurrent Status:\n- Battery SOC: ${currentSOC}%\n- Solar Power: ${currentPV}W\n- Load Power: ${currentLoad}W\n\nTime: ${new Date().toLocaleString()}\n\nIf you received this email, your alert system is working correctly!`,
+      { severity: 'info' }
     );
     
     if (result) {
@@ -3963,11 +12619,11 @@ app.post('/settings/alerts/test-threshold', authenticateToken, async (req, res)
 });
 
 /**
- * POST /settings/charger/test - Manually trigger IFTTT charger control
- * USED BY: Dashboard "Test Charger Control" buttons
- * IMPACT: Sends IFTTT webhook (battery_low or battery_charged event)
+ * POST /settings/charger/test - Manually send a charger command
+ * USED BY: Settings page "Test Charger Control" buttons
+ * IMPACT: Sends the ON/OFF command through the configured driver (see CHARGER_DRIVERS)
  * SIDE EFFECTS: Updates chargerState, sends email alert, saves to dailyStats
- * PURPOSE: Test IFTTT integration without waiting for actual battery thresholds
+ * PURPOSE: Test the driver setup without waiting for actual battery thresholds
  * @param {string} action - 'on' or 'off'
  */
 app.post('/settings/charger/test', authenticateToken, async (req, res) => {
@@ -3985,58 +12641,51 @@ app.post('/settings/charger/test', authenticateToken, async (req, res) => {
       });
     }
     
-    if (!alertSettings.chargerControl?.iftttWebhookKey) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'IFTTT webhook key is not configured.' 
-      });
+    const { error: driverError } = getChargerDriver();
+    if (driverError) {
+      return res.status(400).json({ success: false, message: driverError });
     }
     
-    const webhookKey = alertSettings.chargerControl.iftttWebhookKey;
-    const event = action === 'on' ? 'battery_low' : 'battery_charged';
-    const url = `https://maker.ifttt.com/trigger/${event}/with/key/${webhookKey}`;
+    console.log(`🧪 TEST: Sending charger ${action.toUpperCase()} command...`);
     
-    console.log(`🧪 TEST: Triggering charger ${action.toUpperCase()} via IFTTT...`);
-    
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        value1: 'Manual Test',
-        value2: new Date().toLocaleString(),
-        value3: action === 'on' ? 'Testing ON command' : 'Testing OFF command'
-      })
-    });
+    const socValue = parseFloat(cachedData['solar_assistant/total/battery_state_of_charge/state']?.value);
+    const result = await sendChargerCommand(action === 'on', { soc: isNaN(socValue) ? null : socValue, reason: 'Manual test' });
     
-    if (response.ok) {
+    if (result.ok) {
       // Update charger state
       chargerState.isOn = (action === 'on');
       chargerState.lastAction = action;
       chargerState.lastActionTime = Date.now();
       chargerState.lastActionReason = 'Manual test';
+      chargerState.desync = null;
+      chargerState.onSince = action === 'on' ? chargerState.lastActionTime : null;
+      chargerState.onRule = action === 'on' ? 'manual' : null;
       
       saveDailyStats();
       
-      console.log(`✅ TEST: Charger ${action.toUpperCase()} command sent successfully`);
+      console.log(`✅ TEST: Charger ${action.toUpperCase()} command sent successfully (${result.description})`);
+      recordAlertEvent('charger_manual', `Charger turned ${action.toUpperCase()} manually from settings`, {
+        soc: isNaN(socValue) ? null : socValue,
+        driver: result.label
+      });
+      clearActiveAlert('charger_failed');
       
       // Send email notification for test trigger
       const currentSOC = cachedData['solar_assistant/total/battery_state_of_charge/state']?.value || 'N/A';
       const emailSubject = action === 'on' 
         ? '🧪 Test: Battery Charger ON Command Sent' 
         : '🧪 Test: Battery Charger OFF Command Sent';
-      const emailMessage = action === 'on'
-        ? `A manual test command was sent to turn the battery charger ON via IFTTT.\n\nTrigger Event: battery_low\nCurrent Battery SOC: ${currentSOC}%\nPlug: ${alertSettings.chargerControl.plugName}\nTime: ${new Date().toLocaleString()}\n\nThis was a MANUAL TEST - not an automatic trigger.`
-        : `A manual test command was sent to turn the battery charger OFF via IFTTT.\n\nTrigger Event: battery_charged\nCurrent Battery SOC: ${currentSOC}%\nPlug: ${alertSettings.chargerControl.plugName}\nTime: ${new Date().toLocaleString()}\n\nThis was a MANUAL TEST - not an automatic trigger.`;
+      const emailMessage = `A manual test command was sent to turn the battery charger ${action.toUpperCase()} via ${result.label}.\n\nCommand: ${result.description}\nResult: ${result.detail}\nCurrent Battery SOC: ${currentSOC}%\nPlug: ${alertSettings.chargerControl.plugName}\nTime: ${new Date().toLocaleString()}\n\nThis was a MANUAL TEST - not an automatic trigger.`;
       
-      await sendEmailAlert(emailSubject, emailMessage);
+      await sendNotification('test', emailSubject, emailMessage, { severity: 'info' });
       
       res.json({ 
         success: true, 
-        message: `Charger ${action.toUpperCase()} command sent successfully!`,
+        message: `Charger ${action.toUpperCase()} command sent successfully! (${result.description})`,
         chargerState: chargerState
       });
     } else {
-      throw new Error(`IFTTT webhook returned status ${response.status}`);
+      throw new Error(result.detail);
     }
   } catch (error) {
     console.error('❌ TEST: Error testing charger control:', error.message);
@@ -4070,6 +12719,36 @@ app.post('/settings/daily-summary/test', authenticateToken, async (req, res) =>
   }
 });
 
+/**
+ * Test endpoints for the weekly and monthly summaries
+ * ROUTES: POST /settings/weekly-summary/test, POST /settings/monthly-summary/test
+ * NOTE: Sends the last complete period even while the report is turned off
+ */
+Object.keys(PERIOD_REPORTS).forEach(kind => {
+  app.post(`/settings/${kind}-summary/test`, authenticateToken, async (req, res) => {
+    try {
+      console.log(`🧪 TEST: Sending test ${kind} summary report...`);
+      
+      const success = await sendPeriodSummaryReport(kind, { test: true });
+      
+      if (success) {
+        res.json({ 
+          success: true, 
+          message: `Test ${kind} summary sent successfully! Check your email.` 
+        });
+      } else {
+        res.status(500).json({ 
+          success: false, 
+          message: `Failed to send ${kind} summary. Check console for details.` 
+        });
+      }
+    } catch (error) {
+      console.error(`❌ TEST: Error sending test ${kind} summary:`, error.message);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+});
+
 /**
  * Homepage - displays charts and current data
  * PROTECTED: Requires authentication, redirects to /login if not authenticated
@@ -4285,6 +12964,71 @@ app.get('/', requireAuth, (req, res) => {
       box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
     }
     
+    /* Energy calendar (days from /data/days) */
+    .energy-calendar {
+      display: grid;
+      grid-template-columns: repeat(7, 1fr);
+      gap: 6px;
+    }
+    
+    .calendar-weekday {
+      text-align: center;
+      font-size: 12px;
+      font-weight: 600;
+      color: var(--text-muted);
+    }
+    
+    .calendar-day {
+      position: relative;
+      min-height: 64px;
+      padding: 6px;
+      border: 1px solid var(--border-color);
+      border-radius: 8px;
+      font-size: 12px;
+      color: var(--text-muted);
+    }
+    
+    .calendar-day.has-record {
+      cursor: pointer;
+      color: var(--text-primary);
+    }
+    
+    .calendar-day.selected {
+      border-color: var(--accent-color);
+      box-shadow: 0 0 0 2px var(--accent-color);
+    }
+    
+    .calendar-day .day-weather {
+      position: absolute;
+      top: 4px;
+      right: 6px;
+    }
+    
+    .calendar-day .day-value {
+      margin-top: 8px;
+      font-size: 14px;
+      font-weight: 600;
+    }
+    
+    .calendar-detail {
+      margin-top: 15px;
+      font-size: 14px;
+      line-height: 1.6;
+      color: var(--text-secondary);
+    }
+    
+    @media (max-width: 768px) {
+      .calendar-day {
+        min-height: 48px;
+        padding: 4px;
+        font-size: 10px;
+      }
+      
+      .calendar-day .day-value {
+        font-size: 11px;
+      }
+    }
+    
     h1 {
       color: var(--text-primary);
       font-size: 32px;
@@ -4392,6 +13136,52 @@ app.get('/', requireAuth, (req, res) => {
       cursor: grabbing;
     }
     
+    .value-card.stale {
+      opacity: 0.6;
+    }
+    
+    .value-card.stale .updated {
+      color: var(--warning-color);
+      font-weight: 600;
+    }
+    
+    .active-alerts {
+      margin-bottom: 20px;
+    }
+    
+    .active-alert {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 10px 15px;
+      margin-bottom: 8px;
+      border-radius: 8px;
+      background: var(--card-bg);
+      border-left: 5px solid var(--warning-color);
+      box-shadow: 0 2px 6px rgba(0, 0, 0, 0.1);
+    }
+    
+    .active-alert.critical {
+      border-left-color: var(--danger-color);
+    }
+    
+    .active-alert.silenced {
+      opacity: 0.6;
+    }
+    
+    .active-alert .alert-text {
+      flex: 1;
+    }
+    
+    .active-alert button {
+      padding: 5px 10px;
+      border: 1px solid var(--border-color);
+      border-radius: 5px;
+      background: var(--card-bg);
+      color: var(--text-color);
+      cursor: pointer;
+    }
+    
     .value-card.sortable-ghost {
       opacity: 0.4;
     }
@@ -4699,6 +13489,31 @@ app.get('/', requireAuth, (req, res) => {
            transform: scale(1.1);
            box-shadow: 0 6px 16px rgba(39, 174, 96, 0.3);
          }
+    
+         .reports-btn {
+           position: absolute;
+           top: 20px;
+           right: 220px;
+           background: var(--card-bg);
+           color: #9b59b6;
+           border: 2px solid var(--border-color);
+           border-radius: 50%;
+           width: 40px;
+           height: 40px;
+           font-size: 20px;
+           cursor: pointer;
+           box-shadow: var(--shadow-sm);
+           transition: all 0.3s ease;
+           z-index: 1001;
+         }
+    
+         .reports-btn:hover {
+           background: #9b59b6;
+           color: white;
+           border-color: #9b59b6;
+           transform: scale(1.1);
+           box-shadow: 0 6px 16px rgba(155, 89, 182, 0.3);
+         }
 
          .settings-btn {
            position: absolute;
@@ -4751,6 +13566,14 @@ app.get('/', requireAuth, (req, res) => {
          }
          
          @media (max-width: 768px) {
+           .reports-btn {
+             top: 10px;
+             right: 98px;
+             width: 32px;
+             height: 32px;
+             font-size: 16px;
+           }
+           
            .battery-btn {
              top: 10px;
              right: 72px;
@@ -5082,6 +13905,7 @@ app.get('/', requireAuth, (req, res) => {
   <div class="container">
     <div class="header">
       <button class="theme-toggle-btn" onclick="toggleTheme()" title="Toggle Dark Mode">🌙</button>
+      <button class="reports-btn" onclick="window.location.href='/reports'" title="Report Archive">🗄️</button>
       <button class="battery-btn" onclick="window.location.href='/battery'" title="Battery Details">🔋</button>
       <button class="settings-btn" onclick="window.location.href='/settings-page'" title="Settings">⚙️</button>
       <button class="logout-btn" onclick="logout()" title="Logout">🚪</button>
@@ -5106,13 +13930,15 @@ app.get('/', requireAuth, (req, res) => {
         </div>
         <div class="status-item">
           <span class="status-label">Status:</span>
-          <span class="status-value ${connectionStatus === 'Connected' ? 'success' : 'warning'}">
+          <span id="mqtt-status" class="status-value ${connectionStatus === 'Connected' ? 'success' : 'warning'}"${mqttLastError ? ` title="${escapeHtml(mqttLastError.message)}"` : ''}>
             ${escapeHtml(connectionStatus)}
           </span>
         </div>
       </div>
     </div>
     
+      <div id="activeAlerts" class="active-alerts"></div>
+    
       <div class="current-values">
         <div class="value-card weather-card tooltip" data-topic="weather">
           <div class="help-icon" data-tooltip="Current weather conditions affecting solar production. Temperature, humidity, wind speed, cloud cover, and solar radiation intensity.">?</div>
@@ -5131,15 +13957,15 @@ app.get('/', requireAuth, (req, res) => {
           <div class="updated">Updated: ${weatherData.lastUpdate ? new Date(weatherData.lastUpdate).toLocaleTimeString() : 'Never'}</div>
         </div>
         
-        <div class="value-card pv-power tooltip" data-topic="solar_assistant/inverter_1/pv_power/state">
+        <div class="value-card pv-power tooltip" data-topic="solar_assistant/total/pv_power/state">
           <div class="help-icon" data-tooltip="Total power generated by all solar arrays combined. The chart below shows the percentage contribution of each array to the total output. This helps identify performance differences between arrays due to shading, orientation, or panel condition.">?</div>
           <div class="tooltip-popup">Total power generated by all solar arrays combined. The chart below shows the percentage contribution of each array to the total output. This helps identify performance differences between arrays due to shading, orientation, or panel condition.</div>
           <h3>☀️ Total Solar Power</h3>
           <div class="value">
-            <span class="value-number">${getCurrentValue('solar_assistant/inverter_1/pv_power/state')}</span>
+            <span class="value-number">${getCurrentTotal('pv_power')}</span>
             <span class="unit">W</span>
           </div>
-          <div class="updated">Updated: ${getUpdateTime('solar_assistant/inverter_1/pv_power/state')}</div>
+          <div class="updated">Updated: ${getTotalUpdateTime('pv_power')}</div>
         <div class="solar-array-chart">
           <div class="chart-bar" id="solarArrayChart">
             <div class="bar-segment array1" style="width: 0%; background-color: #20b2aa;"></div>
@@ -5149,15 +13975,15 @@ app.get('/', requireAuth, (req, res) => {
         </div>
         </div>
       
-      <div class="value-card pv-power tooltip" style="border-left-color: #20b2aa;" data-topic="solar_assistant/inverter_1/pv_power_1/state">
+      <div class="value-card pv-power tooltip" style="border-left-color: #20b2aa;" data-topic="solar_assistant/total/pv_power_1/state">
         <div class="help-icon" data-tooltip="Power generated by the first solar array. The progress bar below shows current performance as a percentage of the array's highest output in the past 24 hours. This helps monitor efficiency and identify when arrays are underperforming due to shading, dirt, or other issues.">?</div>
         <div class="tooltip-popup">Power generated by the first solar array. The progress bar below shows current performance as a percentage of the array's highest output in the past 24 hours. This helps monitor efficiency and identify when arrays are underperforming due to shading, dirt, or other issues.</div>
         <h3>☀️ Array 1 Power</h3>
         <div class="value">
-          <span class="value-number">${getCurrentValue('solar_assistant/inverter_1/pv_power_1/state')}</span>
+          <span class="value-number">${getCurrentTotal('pv_power_1')}</span>
           <span class="unit">W</span>
         </div>
-        <div class="updated">Updated: ${getUpdateTime('solar_assistant/inverter_1/pv_power_1/state')}</div>
+        <div class="updated">Updated: ${getTotalUpdateTime('pv_power_1')}</div>
         <div class="array-performance-chart">
           <div class="performance-bar" id="array1PerformanceChart">
             <div class="performance-fill array1" style="width: 0%; background-color: #20b2aa;"></div>
@@ -5166,15 +13992,15 @@ app.get('/', requireAuth, (req, res) => {
         </div>
       </div>
       
-      <div class="value-card pv-power tooltip" style="border-left-color: #8e44ad;" data-topic="solar_assistant/inverter_1/pv_power_2/state">
+      <div class="value-card pv-power tooltip" style="border-left-color: #8e44ad;" data-topic="solar_assistant/total/pv_power_2/state">
         <div class="help-icon" data-tooltip="Power generated by the second solar array. The progress bar below shows current performance as a percentage of the array's highest output in the past 24 hours. Compare with Array 1 to identify performance differences due to orientation, shading, panel condition, or maintenance needs.">?</div>
         <div class="tooltip-popup">Power generated by the second solar array. The progress bar below shows current performance as a percentage of the array's highest output in the past 24 hours. Compare with Array 1 to identify performance differences due to orientation, shading, panel condition, or maintenance needs.</div>
         <h3>☀️ Array 2 Power</h3>
         <div class="value">
-          <span class="value-number">${getCurrentValue('solar_assistant/inverter_1/pv_power_2/state')}</span>
+          <span class="value-number">${getCurrentTotal('pv_power_2')}</span>
           <span class="unit">W</span>
         </div>
-        <div class="updated">Updated: ${getUpdateTime('solar_assistant/inverter_1/pv_power_2/state')}</div>
+        <div class="updated">Updated: ${getTotalUpdateTime('pv_power_2')}</div>
         <div class="array-performance-chart">
           <div class="performance-bar" id="array2PerformanceChart">
             <div class="performance-fill array2" style="width: 0%; background-color: #8e44ad;"></div>
@@ -5200,15 +14026,15 @@ app.get('/', requireAuth, (req, res) => {
         </div>
       </div>
       
-      <div class="value-card load-power tooltip" data-topic="solar_assistant/inverter_1/load_power/state">
+      <div class="value-card load-power tooltip" data-topic="solar_assistant/total/load_power/state">
         <div class="help-icon" data-tooltip="Total power consumption of all connected loads (appliances, lights, etc.). This is the power your home is currently using.">?</div>
         <div class="tooltip-popup">Total power consumption of all connected loads (appliances, lights, etc.). This is the power your home is currently using.</div>
         <h3>⚡ Load Power</h3>
         <div class="value">
-          <span class="value-number">${getCurrentValue('solar_assistant/inverter_1/load_power/state')}</span>
+          <span class="value-number">${getCurrentTotal('load_power')}</span>
           <span class="unit">W</span>
         </div>
-        <div class="updated">Updated: ${getUpdateTime('solar_assistant/inverter_1/load_power/state')}</div>
+        <div class="updated">Updated: ${getTotalUpdateTime('load_power')}</div>
       </div>
     </div>
     
@@ -5222,7 +14048,7 @@ app.get('/', requireAuth, (req, res) => {
           <span class="value-number" id="energyProduced">${getDailyEnergyProduced()}</span>
           <span class="unit">kWh</span>
         </div>
-        <div class="updated" id="energyProducedLabel">Since 8:33 AM (full day from midnight tomorrow)</div>
+        <div class="updated" id="energyProducedLabel">Initializing...</div>
       </div>
       
       <div class="value-card tooltip" style="border-left: 3px solid #e74c3c;" data-topic="daily-energy-consumed">
@@ -5233,7 +14059,7 @@ app.get('/', requireAuth, (req, res) => {
           <span class="value-number" id="energyConsumed">${getDailyEnergyConsumed()}</span>
           <span class="unit">kWh</span>
         </div>
-        <div class="updated" id="energyConsumedLabel">Since 8:33 AM (full day from midnight tomorrow)</div>
+        <div class="updated" id="energyConsumedLabel">Initializing...</div>
       </div>
       
       <div class="value-card tooltip" style="border-left: 3px solid #16a085;" data-topic="battery-runtime">
@@ -5256,15 +14082,15 @@ app.get('/', requireAuth, (req, res) => {
         <div class="updated" id="peakProductionLabel">Select time period</div>
       </div>
       
-      <div class="value-card tooltip" style="border-left: 3px solid #9b59b6;" data-topic="solar_assistant/inverter_1/battery_voltage/state">
+      <div class="value-card tooltip" style="border-left: 3px solid #9b59b6;" data-topic="solar_assistant/total/battery_voltage/state">
         <div class="help-icon" data-tooltip="Battery bank voltage measured in volts (V). Higher voltage indicates more charge. Typical range: 48-58V for 48V systems.">?</div>
         <div class="tooltip-popup">Battery bank voltage measured in volts (V). Higher voltage indicates more charge. Typical range: 48-58V for 48V systems.</div>
         <h3>🔋 Battery Voltage</h3>
         <div class="value">
-          <span class="value-number">${cachedData['solar_assistant/inverter_1/battery_voltage/state']?.value || 'N/A'}</span>
+          <span class="value-number">${getCurrentInverterValue('battery_voltage')}</span>
           <span class="unit">V</span>
         </div>
-        <div class="updated">Updated ${cachedData['solar_assistant/inverter_1/battery_voltage/state']?.timestamp ? new Date(cachedData['solar_assistant/inverter_1/battery_voltage/state'].timestamp).toLocaleTimeString() : 'N/A'}</div>
+        <div class="updated">Updated ${getTotalUpdateTime('battery_voltage')}</div>
       </div>
       
       <div class="value-card tooltip" id="powerBalanceCard" style="border-left: 3px solid #3498db;">
@@ -5314,6 +14140,40 @@ app.get('/', requireAuth, (req, res) => {
           <canvas id="loadPowerChart"></canvas>
         </div>
       </div>
+      
+      <div class="chart-wrapper">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px;">
+          <h2 id="customTopicTitle" style="margin: 0;">📈 Tracked Topic</h2>
+          <div style="display: flex; align-items: center; gap: 10px;">
+            <label for="customTopicSelector" class="chart-selector-label">Topic:</label>
+            <select id="customTopicSelector" onfocus="loadTrackedTopicOptions()" onchange="updateCustomTopicChart()" class="chart-selector">
+              <option value="">--- Select a Topic ---</option>
+            </select>
+          </div>
+        </div>
+        <div class="chart-container" id="customTopicChartContainer" style="display: none;">
+          <canvas id="customTopicChart"></canvas>
+        </div>
+      </div>
+      
+      <div class="chart-wrapper">
+        <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px; margin-bottom: 15px;">
+          <h2 style="margin: 0;">📅 Energy Calendar</h2>
+          <div style="display: flex; align-items: center; gap: 10px;">
+            <select id="calendarMetric" onchange="renderEnergyCalendar()" class="chart-selector">
+              <option value="pvKwh">Solar</option>
+              <option value="loadKwh">Load</option>
+              <option value="batteryInKwh">Battery In</option>
+              <option value="batteryOutKwh">Battery Out</option>
+            </select>
+            <button class="chart-selector" onclick="changeCalendarMonth(-1)" title="Previous month">‹</button>
+            <span id="calendarMonthLabel" class="chart-selector-label"></span>
+            <button class="chart-selector" onclick="changeCalendarMonth(1)" title="Next month">›</button>
+          </div>
+        </div>
+        <div class="energy-calendar" id="energyCalendar"></div>
+        <div class="calendar-detail" id="calendarDayDetail">Select a day to see its details</div>
+      </div>
     </div>
   </div>
   
@@ -5322,9 +14182,46 @@ app.get('/', requireAuth, (req, res) => {
     let pvPowerChart = null;
     let batterySocChart = null;
     let loadPowerChart = null;
+    let customTopicChart = null;
     let lastUpdateTime = null;
     let currentTimeRange = { min: null, max: null };
     
+    // Topics shown on the history charts and the server-side bucket size per
+    // time period (keeps each chart at roughly 100 points)
+    // NOTE: Inverter metrics are charted as the sum over every inverter known
+    //       when the page loaded (see withInverterHistoryTotals)
+    const INVERTER_IDS = ${JSON.stringify(getInverterIds())};
+    const INVERTER_TOTAL_METRICS = ['pv_power', 'pv_power_1', 'pv_power_2', 'load_power'];
+    const CHART_TOPICS = INVERTER_IDS
+      .flatMap(id => INVERTER_TOTAL_METRICS.map(metric => 'inverter_' + id + '/' + metric))
+      .concat(['total/battery_state_of_charge']);
+    const PERIOD_RESOLUTIONS = {
+      '1hour': 'raw',
+      '12hours': '5m',
+      '24hours': '15m',
+      '48hours': '30m',
+      '7days': '2h',
+      '1month': '6h',
+      '1year': '1d'
+    };
+    
+    const PERIOD_HOURS = {
+      '1hour': 1,
+      '12hours': 12,
+      '24hours': 24,
+      '48hours': 48,
+      '7days': 168,
+      '1month': 720,
+      '1year': 8760
+    };
+    
+    function buildHistoryUrl(period, startTime, endTime, topics = CHART_TOPICS) {
+      return '/data/history?topics=' + encodeURIComponent(topics.join(',')) +
+        '&from=' + startTime.toISOString() +
+        '&to=' + endTime.toISOString() +
+        '&resolution=' + (PERIOD_RESOLUTIONS[period] || 'auto');
+    }
+    
     // Dark Mode Toggle
     function toggleTheme() {
       const currentTheme = document.documentElement.getAttribute('data-theme');
@@ -5639,6 +14536,9 @@ app.get('/', requireAuth, (req, res) => {
     // Load theme on page load
     loadTheme();
     
+    // Populate the tracked topic chart selector
+    loadTrackedTopicOptions();
+    
     // Fetch historical data and create charts
     fetch('/data/history')
       .then(response => response.json())
@@ -5664,17 +14564,104 @@ app.get('/', requireAuth, (req, res) => {
           })
           .catch(error => console.error('Error loading initial data:', error));
         
-        // Start polling for updates
-        startPolling();
+        // Start live updates (falls back to polling)
+        startLiveUpdates();
       })
       .catch(error => {
         console.error('Error loading historical data:', error);
       });
     
-    // Poll for new data every 3 seconds for real-time display
+    // Live state built from /data/stream events (same shape as the /data response)
+    let liveData = null;
+    let liveSource = null;
+    let lastLiveEventId = null;
+    let pollTimer = null;
+    let lastDailyStatsUpdate = 0;
+    let lastRenderedData = null;
+    let staleAfterMinutes = ${alertSettings.staleData.minutes};
+    
+    // Subscribe to pushed updates; poll /data while the stream is unavailable
+    function startLiveUpdates() {
+      if (!window.EventSource) {
+        startPolling();
+        return;
+      }
+      
+      let url = '/data/stream?channels=topics,charger,alert,weather,status';
+      if (lastLiveEventId !== null) url += '&lastEventId=' + lastLiveEventId;
+      liveSource = new EventSource(url);
+      
+      liveSource.addEventListener('snapshot', event => {
+        lastLiveEventId = event.lastEventId;
+        liveData = JSON.parse(event.data);
+        stopPolling();
+        renderLiveData(liveData);
+      });
+      
+      liveSource.addEventListener('topics', event => {
+        lastLiveEventId = event.lastEventId;
+        if (!liveData) return;
+        const update = JSON.parse(event.data);
+        Object.assign(liveData.data, update.data);
+        liveData.lastUpdate = update.lastUpdate;
+        liveData.messageCount = update.messageCount;
+        stopPolling();
+        renderLiveData(liveData);
+      });
+      
+      liveSource.addEventListener('charger', event => {
+        lastLiveEventId = event.lastEventId;
+        if (!liveData) return;
+        liveData.chargerState = JSON.parse(event.data);
+        window.chargerState = liveData.chargerState;
+        updatePowerBalance(liveData.data);
+      });
+      
+      liveSource.addEventListener('weather', event => {
+        lastLiveEventId = event.lastEventId;
+        if (!liveData) return;
+        liveData.weather = JSON.parse(event.data);
+        updateWeatherCard(liveData.weather);
+      });
+      
+      liveSource.addEventListener('alert', event => {
+        lastLiveEventId = event.lastEventId;
+        JSON.parse(event.data).alerts.forEach(alert => console.log('🔔 Alert:', alert.message));
+        loadActiveAlerts();
+      });
+      
+      liveSource.addEventListener('status', event => {
+        lastLiveEventId = event.lastEventId;
+        const payload = JSON.parse(event.data);
+        if (liveData) {
+          liveData.status = payload.status;
+          liveData.mqttError = payload.error;
+        }
+        updateConnectionStatus(payload.status, payload.error);
+      });
+      
+      liveSource.onerror = () => {
+        // Keep the dashboard fresh while the browser retries the stream
+        startPolling();
+        if (liveSource.readyState === EventSource.CLOSED) {
+          // Server rejected the stream (e.g. expired login) - try again later
+          liveSource = null;
+          setTimeout(startLiveUpdates, 30000);
+        }
+      };
+    }
+    
+    // Poll for new data every 3 seconds (fallback when the stream is down)
     function startPolling() {
-      // Update data every 3 seconds for real-time display
-      setInterval(updateData, 3000);
+      if (pollTimer) return;
+      console.log('Live stream unavailable - polling /data');
+      pollTimer = setInterval(updateData, 3000);
+    }
+    
+    function stopPolling() {
+      if (!pollTimer) return;
+      clearInterval(pollTimer);
+      pollTimer = null;
     }
     
     // Update data without page refresh
@@ -5682,56 +14669,282 @@ app.get('/', requireAuth, (req, res) => {
       fetch('/data')
         .then(response => response.json())
         .then(currentData => {
-          const data = currentData.data;
-          const timestamp = new Date();
-          
-          // Update value cards
-          updateValueCard('solar_assistant/inverter_1/pv_power/state', data);
-          updateValueCard('solar_assistant/inverter_1/pv_power_1/state', data);
-          updateValueCard('solar_assistant/inverter_1/pv_power_2/state', data);
-          updateValueCard('solar_assistant/total/battery_state_of_charge/state', data);
-          updateBatteryStatusChart(data['solar_assistant/total/battery_state_of_charge/state']);
-          updateValueCard('solar_assistant/total/battery_power/state', data);
-          updateValueCard('solar_assistant/inverter_1/load_power/state', data);
-          updateValueCard('solar_assistant/inverter_1/battery_voltage/state', data);
-          
-          // Store charger state globally for power balance calculation
-          if (currentData.chargerState) {
-            window.chargerState = currentData.chargerState;
-          }
-          
-          updatePowerBalance(data);
-          
-          // Update solar array chart
-          updateSolarArrayChart(data);
-          
-          // Update array performance charts
-          updateArrayPerformanceCharts(data);
-          
-          // Update weather card
-          if (currentData.weather) {
-            updateWeatherCard(currentData.weather);
-          }
-          
-          // Update daily statistics
-          updateDailyStatsDisplay();
-          
-          
-          // Add new data points to charts (only add if significantly different time)
-          if (!lastUpdateTime || (timestamp - lastUpdateTime) >= 5000) {
-            addDataPointToChart(pvPowerChart, 0, 'solar_assistant/inverter_1/pv_power/state', data, timestamp);
-            addDataPointToChart(pvPowerChart, 1, 'solar_assistant/inverter_1/pv_power_1/state', data, timestamp);
-            addDataPointToChart(pvPowerChart, 2, 'solar_assistant/inverter_1/pv_power_2/state', data, timestamp);
-            addDataPointToChart(batterySocChart, 0, 'solar_assistant/total/battery_state_of_charge/state', data, timestamp);
-            addDataPointToChart(loadPowerChart, 0, 'solar_assistant/inverter_1/load_power/state', data, timestamp);
-            lastUpdateTime = timestamp;
-          }
+          if (currentData.data) renderLiveData(currentData);
+          else if (currentData.status) updateConnectionStatus(currentData.status, currentData.mqttError);
         })
         .catch(error => {
           console.error('Error updating data:', error);
         });
     }
     
+    // Dim cards whose topic has not published for staleAfterMinutes
+    // NOTE: Also runs on a timer - a stale topic sends no updates to trigger it
+    function markStaleCards(data) {
+      if (!data) return;
+      const now = Date.now();
+      document.querySelectorAll('.value-card[data-topic]').forEach(card => {
+        const entry = data[card.getAttribute('data-topic')];
+        if (!entry || !entry.timestamp) return;
+        const ageMinutes = (now - new Date(entry.timestamp).getTime()) / 60000;
+        const stale = ageMinutes > staleAfterMinutes;
+        const updatedDiv = card.querySelector('.updated');
+        if (stale) {
+          card.classList.add('stale');
+          if (updatedDiv) updatedDiv.textContent = '⏸️ Stale - no data for ' + Math.round(ageMinutes) + ' min';
+        } else if (card.classList.contains('stale')) {
+          card.classList.remove('stale');
+          if (updatedDiv) updatedDiv.textContent = 'Updated: ' + new Date(entry.timestamp).toLocaleTimeString();
+        }
+      });
+    }
+    setInterval(() => {
+      if (lastRenderedData) markStaleCards(withInverterTotals(lastRenderedData.data));
+    }, 30000);
+    
+    // Active alert banner with Acknowledge / Snooze buttons (from /alerts/active)
+    let snoozeMinutes = 60;
+    function loadActiveAlerts() {
+      fetch('/alerts/active')
+        .then(response => response.json())
+        .then(result => {
+          const container = document.getElementById('activeAlerts');
+          if (!container || !result.alerts) return;
+          snoozeMinutes = result.snoozeMinutes || snoozeMinutes;
+          container.innerHTML = '';
+          result.alerts.forEach(alert => {
+            const row = document.createElement('div');
+            row.className = 'active-alert' + (alert.severity === 'critical' ? ' critical' : '') + (alert.silenced ? ' silenced' : '');
+            const text = document.createElement('div');
+            text.className = 'alert-text';
+            let status = '';
+            if (alert.acknowledgedAt) status = ' (acknowledged by ' + alert.acknowledgedBy + ')';
+            else if (alert.snoozedUntil && new Date(alert.snoozedUntil) > new Date()) status = ' (snoozed until ' + new Date(alert.snoozedUntil).toLocaleTimeString() + ')';
+            if (alert.escalationLevel) status += ' - escalated to tier ' + alert.escalationLevel;
+            text.textContent = (alert.severity === 'critical' ? '🚨 ' : '⚠️ ') + alert.message + status;
+            row.appendChild(text);
+            if (!alert.acknowledgedAt) {
+              row.appendChild(createAlertButton('✓ Acknowledge', () => updateActiveAlert('/alerts/acknowledge', { key: alert.key })));
+              row.appendChild(createAlertButton('💤 Snooze ' + snoozeMinutes + 'm', () => updateActiveAlert('/alerts/snooze', { key: alert.key, minutes: snoozeMinutes })));
+            }
+            container.appendChild(row);
+          });
+          if (result.quietHours && result.quietHours.active) {
+            const note = document.createElement('div');
+            note.className = 'active-alert silenced';
+            note.textContent = '🌙 Quiet hours - ' + result.quietHours.digest + ' alert(s) held for the digest';
+            container.appendChild(note);
+          }
+        })
+        .catch(error => console.error('Error loading active alerts:', error));
+    }
+    
+    function createAlertButton(label, onClick) {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.onclick = onClick;
+      return button;
+    }
+    
+    function updateActiveAlert(url, body) {
+      fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+        .then(response => response.json())
+        .then(result => {
+          if (result.error) alert('❌ ' + result.error);
+          loadActiveAlerts();
+        })
+        .catch(error => alert('❌ Error: ' + error.message));
+    }
+    loadActiveAlerts();
+    setInterval(loadActiveAlerts, 60000);
+    
+    // Energy calendar - one cell per day of the month from the energy ledger (/data/days)
+    const CALENDAR_COLORS = {
+      pvKwh: '243, 156, 18',
+      loadKwh: '52, 152, 219',
+      batteryInKwh: '39, 174, 96',
+      batteryOutKwh: '231, 76, 60'
+    };
+    let calendarMonth = null;   // 'YYYY-MM' shown, null = current month (server timezone)
+    let calendarData = null;    // Last /data/days response
+    let selectedCalendarDay = null;
+    
+    function loadEnergyCalendar() {
+      fetch('/data/days' + (calendarMonth ? '?month=' + calendarMonth : ''))
+        .then(response => response.json())
+        .then(result => {
+          if (result.error) throw new Error(result.error);
+          calendarData = result;
+          calendarMonth = result.from.slice(0, 7);
+          renderEnergyCalendar();
+        })
+        .catch(error => console.error('Error loading the energy calendar:', error));
+    }
+    
+    function changeCalendarMonth(step) {
+      if (!calendarMonth) return;
+      const parts = calendarMonth.split('-').map(Number);
+      const date = new Date(Date.UTC(parts[0], parts[1] - 1 + step, 1));
+      calendarMonth = date.toISOString().slice(0, 7);
+      selectedCalendarDay = null;
+      loadEnergyCalendar();
+    }
+    
+    function renderEnergyCalendar() {
+      const container = document.getElementById('energyCalendar');
+      if (!container || !calendarData) return;
+      const metric = document.getElementById('calendarMetric').value;
+      const parts = calendarMonth.split('-').map(Number);
+      const first = new Date(Date.UTC(parts[0], parts[1] - 1, 1));
+      const daysInMonth = new Date(Date.UTC(parts[0], parts[1], 0)).getUTCDate();
+      const records = {};
+      calendarData.days.forEach(day => { records[day.date] = day; });
+      const maxValue = Math.max(0, ...calendarData.days.map(day => day[metric] || 0));
+      
+      document.getElementById('calendarMonthLabel').textContent = first.toLocaleDateString('en-US', { timeZone: 'UTC', month: 'long', year: 'numeric' });
+      container.innerHTML = '';
+      ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].forEach(name => {
+        const header = document.createElement('div');
+        header.className = 'calendar-weekday';
+        header.textContent = name;
+        container.appendChild(header);
+      });
+      for (let i = 0; i < first.getUTCDay(); i++) {
+        container.appendChild(document.createElement('div'));
+      }
+      
+      for (let day = 1; day <= daysInMonth; day++) {
+        const date = calendarMonth + '-' + String(day).padStart(2, '0');
+        const record = records[date];
+        const cell = document.createElement('div');
+        cell.className = 'calendar-day' + (record ? ' has-record' : '') + (date === selectedCalendarDay ? ' selected' : '');
+        const number = document.createElement('div');
+        number.textContent = day;
+        cell.appendChild(number);
+        
+        if (record) {
+          const value = record[metric];
+          if (value !== null && maxValue > 0) {
+            cell.style.background = 'rgba(' + CALENDAR_COLORS[metric] + ', ' + (0.1 + 0.5 * value / maxValue).toFixed(2) + ')';
+          }
+          if (record.weather) {
+            const weather = document.createElement('span');
+            weather.className = 'day-weather';
+            weather.textContent = record.weather.icon;
+            weather.title = record.weather.description;
+            cell.appendChild(weather);
+          }
+          const amount = document.createElement('div');
+          amount.className = 'day-value';
+          amount.textContent = value !== null ? value.toFixed(1) + ' kWh' : '--';
+          cell.appendChild(amount);
+          cell.onclick = () => {
+            selectedCalendarDay = date;
+            renderEnergyCalendar();
+          };
+        }
+        container.appendChild(cell);
+      }
+      
+      showCalendarDay(records[selectedCalendarDay]);
+    }
+    
+    function showCalendarDay(record) {
+      const detail = document.getElementById('calendarDayDetail');
+      if (!record) {
+        detail.textContent = 'Select a day to see its details';
+        return;
+      }
+      const kwh = (value, source) => value !== null ? value.toFixed(2) + ' kWh' + (source === 'integrated' ? ' (from power)' : '') : '--';
+      const peak = entry => entry ? entry.watts + 'W at ' + new Date(entry.time).toLocaleTimeString('en-US', { timeZone: record.timezone, hour: 'numeric', minute: '2-digit' }) : '--';
+      const lines = [
+        '📅 ' + new Date(record.date + 'T12:00:00Z').toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }),
+        '☀️ Solar: ' + kwh(record.pvKwh, record.sources.pvKwh) + record.pvArrays.map(entry => ' | Inverter ' + entry.inverter + ' array ' + entry.array + ': ' + entry.kwh.toFixed(2) + ' kWh').join(''),
+        '⚡ Load: ' + kwh(record.loadKwh, record.sources.loadKwh),
+        '🔋 Battery: ' + kwh(record.batteryInKwh, record.sources.batteryInKwh) + ' in, ' + kwh(record.batteryOutKwh, record.sources.batteryOutKwh) + ' out' +
+          (record.soc ? ' | SOC ' + record.soc.min + '% - ' + record.soc.max + '%' : ''),
+        '🌟 Peak solar: ' + peak(record.peakPv) + ' | Peak load: ' + peak(record.peakLoad)
+      ];
+      if (record.weather) {
+        lines.push(record.weather.icon + ' ' + record.weather.description + ', ' + record.weather.temperatureMin + '-' + record.weather.temperatureMax + '°F, ' +
+          record.weather.cloudCover + '% clouds, ' + record.weather.solarRadiation + ' kWh/m² sun');
+      }
+      detail.innerHTML = '';
+      lines.forEach(line => {
+        const row = document.createElement('div');
+        row.textContent = line;
+        detail.appendChild(row);
+      });
+    }
+    loadEnergyCalendar();
+    setInterval(loadEnergyCalendar, 60 * 60 * 1000); // Picks up the new record after midnight
+    
+    // MQTT status in the header - the last failure reason is in the tooltip
+    function updateConnectionStatus(status, error) {
+      const element = document.getElementById('mqtt-status');
+      if (!element) return;
+      element.textContent = status;
+      element.className = 'status-value ' + (status === 'Connected' ? 'success' : 'warning');
+      element.title = error ? error.message + (error.hint ? ' - ' + error.hint : '') : '';
+    }
+    
+    // Render a /data-shaped object (from polling or the live stream)
+    function renderLiveData(currentData) {
+      const data = withInverterTotals(currentData.data);
+      const timestamp = new Date();
+      lastRenderedData = currentData;
+      if (currentData.staleAfterMinutes) staleAfterMinutes = currentData.staleAfterMinutes;
+      if (currentData.status) updateConnectionStatus(currentData.status, currentData.mqttError);
+      markStaleCards(data);
+      
+      // Update value cards
+      updateValueCard('solar_assistant/total/pv_power/state', data);
+      updateValueCard('solar_assistant/total/pv_power_1/state', data);
+      updateValueCard('solar_assistant/total/pv_power_2/state', data);
+      updateValueCard('solar_assistant/total/battery_state_of_charge/state', data);
+      updateBatteryStatusChart(data['solar_assistant/total/battery_state_of_charge/state']);
+      updateValueCard('solar_assistant/total/battery_power/state', data);
+      updateValueCard('solar_assistant/total/load_power/state', data);
+      updateValueCard('solar_assistant/total/battery_voltage/state', data);
+      
+      // Store charger state globally for power balance calculation
+      if (currentData.chargerState) {
+        window.chargerState = currentData.chargerState;
+      }
+      
+      updatePowerBalance(data);
+      
+      // Update solar array chart
+      updateSolarArrayChart(data);
+      
+      // Update array performance charts
+      updateArrayPerformanceCharts(data);
+      
+      // Update weather card
+      if (currentData.weather) {
+        updateWeatherCard(currentData.weather);
+      }
+      
+      // Update daily statistics (kWh totals change slowly - no need to fetch on every push)
+      if (timestamp - lastDailyStatsUpdate >= 30000) {
+        updateDailyStatsDisplay();
+        lastDailyStatsUpdate = timestamp;
+      }
+      
+      // Add new data points to charts (only add if significantly different time)
+      if (!lastUpdateTime || (timestamp - lastUpdateTime) >= 5000) {
+        addDataPointToChart(pvPowerChart, 0, 'solar_assistant/total/pv_power/state', data, timestamp);
+        addDataPointToChart(pvPowerChart, 1, 'solar_assistant/total/pv_power_1/state', data, timestamp);
+        addDataPointToChart(pvPowerChart, 2, 'solar_assistant/total/pv_power_2/state', data, timestamp);
+        addDataPointToChart(batterySocChart, 0, 'solar_assistant/total/battery_state_of_charge/state', data, timestamp);
+        addDataPointToChart(loadPowerChart, 0, 'solar_assistant/total/load_power/state', data, timestamp);
+        lastUpdateTime = timestamp;
+      }
+    }
+    
     // Helper function to update daily statistics display
     function updateDailyStatsDisplay() {
       fetch('/data/daily-stats')
@@ -5795,6 +15008,84 @@ app.get('/', requireAuth, (req, res) => {
     }
 
     // Helper function to update value cards
+    // System-wide value of an inverter metric: total/<metric> if published,
+    // else the sum over inverter_N (same rule as getSystemTotal on the server)
+    // RETURNS: { value, timestamp } or null
+    function getInverterTotal(data, metric) {
+      const total = data['solar_assistant/total/' + metric + '/state'];
+      if (total && !isNaN(parseFloat(total.value))) return total;
+      
+      const pattern = new RegExp('^solar_assistant/inverter_\\\\d+/' + metric + '/state$');
+      let result = null;
+      Object.keys(data).forEach(topic => {
+        if (!pattern.test(topic)) return;
+        const value = parseFloat(data[topic].value);
+        if (isNaN(value)) return;
+        if (!result) {
+          result = { value: value, timestamp: data[topic].timestamp };
+        } else {
+          result.value += value;
+          if (data[topic].timestamp > result.timestamp) result.timestamp = data[topic].timestamp;
+        }
+      });
+      return result;
+    }
+    
+    // Copy of live data with solar_assistant/total/<metric>/state filled in for
+    // the inverter metrics the cards and charts show (battery voltage is shared,
+    // so it takes the first inverter's reading instead of a sum)
+    function withInverterTotals(data) {
+      const result = { ...data };
+      INVERTER_TOTAL_METRICS.forEach(metric => {
+        const total = getInverterTotal(data, metric);
+        if (total) result['solar_assistant/total/' + metric + '/state'] = total;
+      });
+      const voltageTopic = 'solar_assistant/total/battery_voltage/state';
+      if (!result[voltageTopic]) {
+        const inverterTopic = INVERTER_IDS
+          .map(id => 'solar_assistant/inverter_' + id + '/battery_voltage/state')
+          .find(topic => data[topic]);
+        if (inverterTopic) result[voltageTopic] = data[inverterTopic];
+      }
+      return result;
+    }
+    
+    // Add the inverters' history of a metric into one series: every point
+    // carries the sum of each inverter's latest value so far (same rule as
+    // sumHistorySeries on the server)
+    function sumInverterSeries(data, metric) {
+      const seriesList = INVERTER_IDS
+        .map(id => data['solar_assistant/inverter_' + id + '/' + metric + '/state'])
+        .filter(series => series && series.length > 0);
+      if (seriesList.length <= 1) return seriesList[0];
+      
+      const events = [];
+      seriesList.forEach((series, index) => series.forEach(point => {
+        events.push({ index: index, ms: new Date(point.timestamp).getTime(), value: parseFloat(point.value) || 0 });
+      }));
+      events.sort((a, b) => a.ms - b.ms);
+      
+      const latest = seriesList.map(() => 0);
+      const summed = [];
+      events.forEach((event, i) => {
+        latest[event.index] = event.value;
+        if (i + 1 < events.length && events[i + 1].ms === event.ms) return;
+        summed.push({ timestamp: new Date(event.ms).toISOString(), value: latest.reduce((sum, value) => sum + value, 0) });
+      });
+      return summed;
+    }
+    
+    // Copy of /data/history data with solar_assistant/total/<metric>/state
+    // series summed over every inverter
+    function withInverterHistoryTotals(data) {
+      const result = { ...data };
+      INVERTER_TOTAL_METRICS.forEach(metric => {
+        const series = sumInverterSeries(data, metric);
+        if (series) result['solar_assistant/total/' + metric + '/state'] = series;
+      });
+      return result;
+    }
+    
     function updateValueCard(topic, data) {
       if (data[topic] && data[topic].value !== null && data[topic].value !== undefined) {
         const value = parseFloat(data[topic].value);
@@ -5861,13 +15152,13 @@ app.get('/', requireAuth, (req, res) => {
     
     // Helper function to update power balance card with dynamic colors and arrows
     function updatePowerBalance(data) {
-      const solarTopic = 'solar_assistant/inverter_1/pv_power/state';
-      const loadTopic = 'solar_assistant/inverter_1/load_power/state';
+      const solarTotal = getInverterTotal(data, 'pv_power');
+      const loadTotal = getInverterTotal(data, 'load_power');
       const batteryPowerTopic = 'solar_assistant/total/battery_power/state';
       
-      if (data[solarTopic] && data[loadTopic]) {
-        const solarPower = parseFloat(data[solarTopic].value);
-        const loadPower = parseFloat(data[loadTopic].value);
+      if (solarTotal && loadTotal) {
+        const solarPower = parseFloat(solarTotal.value);
+        const loadPower = parseFloat(loadTotal.value);
         const batteryPower = data[batteryPowerTopic] ? parseFloat(data[batteryPowerTopic].value) : 0;
         
         if (!isNaN(solarPower) && !isNaN(loadPower)) {
@@ -5922,8 +15213,8 @@ app.get('/', requireAuth, (req, res) => {
     
     // Helper function to update solar array chart
     function updateSolarArrayChart(data) {
-      const array1Topic = 'solar_assistant/inverter_1/pv_power_1/state';
-      const array2Topic = 'solar_assistant/inverter_1/pv_power_2/state';
+      const array1Topic = 'solar_assistant/total/pv_power_1/state';
+      const array2Topic = 'solar_assistant/total/pv_power_2/state';
       
       console.log('Updating solar array chart with data:', data);
       
@@ -5971,8 +15262,8 @@ app.get('/', requireAuth, (req, res) => {
     
     // Helper function to update array performance charts
     function updateArrayPerformanceCharts(data) {
-      const array1Topic = 'solar_assistant/inverter_1/pv_power_1/state';
-      const array2Topic = 'solar_assistant/inverter_1/pv_power_2/state';
+      const array1Topic = 'solar_assistant/total/pv_power_1/state';
+      const array2Topic = 'solar_assistant/total/pv_power_2/state';
       
       console.log('Updating array performance charts with data:', data);
       
@@ -6138,11 +15429,11 @@ app.get('/', requireAuth, (req, res) => {
           break;
       }
       
-      // Fetch historical data and create charts with filtered data
-      fetch('/data/history')
+      // Fetch historical data for the selected range and create charts
+      fetch(buildHistoryUrl(period, startTime, now))
         .then(response => response.json())
         .then(historyData => {
-          const data = historyData.data;
+          const data = withInverterHistoryTotals(historyData.data);
           
           // Data filtering and reduction function
           function filterAndReduce(topicData, maxPoints = 100) {
@@ -6243,8 +15534,8 @@ app.get('/', requireAuth, (req, res) => {
           // Create PV Power Chart
           const datasets = [];
           
-          if (data['solar_assistant/inverter_1/pv_power/state']) {
-            const pvTotalData = filterAndReduce(data['solar_assistant/inverter_1/pv_power/state'], 100);
+          if (data['solar_assistant/total/pv_power/state']) {
+            const pvTotalData = filterAndReduce(data['solar_assistant/total/pv_power/state'], 100);
             datasets.push({
               label: 'Total Solar Power (W)',
               data: pvTotalData,
@@ -6259,8 +15550,8 @@ app.get('/', requireAuth, (req, res) => {
             });
           }
           
-          if (data['solar_assistant/inverter_1/pv_power_1/state']) {
-            const pv1Data = filterAndReduce(data['solar_assistant/inverter_1/pv_power_1/state'], 80);
+          if (data['solar_assistant/total/pv_power_1/state']) {
+            const pv1Data = filterAndReduce(data['solar_assistant/total/pv_power_1/state'], 80);
             datasets.push({
               label: 'Array 1 Power (W)',
               data: pv1Data,
@@ -6275,8 +15566,8 @@ app.get('/', requireAuth, (req, res) => {
             });
           }
           
-          if (data['solar_assistant/inverter_1/pv_power_2/state']) {
-            const pv2Data = filterAndReduce(data['solar_assistant/inverter_1/pv_power_2/state'], 80);
+          if (data['solar_assistant/total/pv_power_2/state']) {
+            const pv2Data = filterAndReduce(data['solar_assistant/total/pv_power_2/state'], 80);
             datasets.push({
               label: 'Array 2 Power (W)',
               data: pv2Data,
@@ -6368,8 +15659,8 @@ app.get('/', requireAuth, (req, res) => {
           }
           
           // Create Load Power Chart
-          if (data['solar_assistant/inverter_1/load_power/state']) {
-            const loadData = filterAndReduce(data['solar_assistant/inverter_1/load_power/state'], 100);
+          if (data['solar_assistant/total/load_power/state']) {
+            const loadData = filterAndReduce(data['solar_assistant/total/load_power/state'], 100);
             
             loadPowerChart = new Chart(document.getElementById('loadPowerChart'), {
               type: 'line',
@@ -6450,6 +15741,8 @@ app.get('/', requireAuth, (req, res) => {
         return;
       }
       
+      updateCustomTopicChart();
+      
       const now = new Date();
       let startTime;
       
@@ -6551,10 +15844,10 @@ app.get('/', requireAuth, (req, res) => {
       currentTimeRange.max = now;
       
       // Re-fetch historical data from server to get full dataset for selected time range
-      fetch('/data/history')
+      fetch(buildHistoryUrl(period, startTime, now))
         .then(response => response.json())
         .then(historyData => {
-          const data = historyData.data;
+          const data = withInverterHistoryTotals(historyData.data);
           
           // Helper function to filter and reduce data
           function filterAndReduce(topicData, maxPoints) {
@@ -6585,9 +15878,9 @@ app.get('/', requireAuth, (req, res) => {
           
           // Update PV Power Chart datasets
           if (pvPowerChart) {
-            const pvTotalData = filterAndReduce(data['solar_assistant/inverter_1/pv_power/state'], 100);
-            const pv1Data = filterAndReduce(data['solar_assistant/inverter_1/pv_power_1/state'], 80);
-            const pv2Data = filterAndReduce(data['solar_assistant/inverter_1/pv_power_2/state'], 80);
+            const pvTotalData = filterAndReduce(data['solar_assistant/total/pv_power/state'], 100);
+            const pv1Data = filterAndReduce(data['solar_assistant/total/pv_power_1/state'], 80);
+            const pv2Data = filterAndReduce(data['solar_assistant/total/pv_power_2/state'], 80);
             
             pvPowerChart.data.datasets[0].data = pvTotalData;
             if (pvPowerChart.data.datasets[1]) pvPowerChart.data.datasets[1].data = pv1Data;
@@ -6616,7 +15909,7 @@ app.get('/', requireAuth, (req, res) => {
           
           // Update Load Power Chart
           if (loadPowerChart) {
-            const loadData = filterAndReduce(data['solar_assistant/inverter_1/load_power/state'], 100);
+            const loadData = filterAndReduce(data['solar_assistant/total/load_power/state'], 100);
             
             loadPowerChart.data.datasets[0].data = loadData;
             loadPowerChart.options.scales.x.min = startTime;
@@ -6669,6 +15962,116 @@ app.get('/', requireAuth, (req, res) => {
       console.log('Time period changed to:', period, 'Time range:', startTime, 'to', now);
     }
     
+    // Refresh the tracked topic dropdown so topics added in Settings show up
+    // without reloading the dashboard
+    function loadTrackedTopicOptions() {
+      fetch('/settings/tracked-topics')
+        .then(response => response.json())
+        .then(data => {
+          const selector = document.getElementById('customTopicSelector');
+          if (!selector || !data.trackedTopics) return;
+          
+          const selected = selector.value;
+          let options = '<option value="">--- Select a Topic ---</option>';
+          data.trackedTopics.forEach(entry => {
+            const label = entry.topic.replace('solar_assistant/', '').replace('/state', '');
+            options += '<option value="' + entry.topic + '"' + (entry.topic === selected ? ' selected' : '') + '>' + label + '</option>';
+          });
+          selector.innerHTML = options;
+        })
+        .catch(error => {
+          console.error('Error loading tracked topics:', error);
+        });
+    }
+    
+    // Draw the user-selected tracked topic for the current time period
+    function updateCustomTopicChart() {
+      const selector = document.getElementById('customTopicSelector');
+      const period = document.getElementById('timePeriod').value;
+      const container = document.getElementById('customTopicChartContainer');
+      const title = document.getElementById('customTopicTitle');
+      const topic = selector ? selector.value : '';
+      
+      if (!topic || !period) {
+        if (container) container.style.display = 'none';
+        return;
+      }
+      
+      const now = new Date();
+      const startTime = new Date(now.getTime() - (PERIOD_HOURS[period] || 1) * 60 * 60 * 1000);
+      const label = topic.replace('solar_assistant/', '').replace('/state', '');
+      
+      fetch(buildHistoryUrl(period, startTime, now, [topic]))
+        .then(response => response.json())
+        .then(historyData => {
+          const points = (historyData.data[topic] || []).map(item => ({
+            x: new Date(item.timestamp),
+            y: item.value
+          }));
+          
+          if (customTopicChart) {
+            customTopicChart.destroy();
+          }
+          
+          customTopicChart = new Chart(document.getElementById('customTopicChart'), {
+            type: 'line',
+            data: {
+              datasets: [{
+                label: label,
+                data: points,
+                borderColor: '#9b59b6',
+                backgroundColor: 'rgba(155, 89, 182, 0.1)',
+                fill: true,
+                tension: 0.3,
+                borderWidth: 2,
+                pointRadius: 0,
+                pointHoverRadius: 4,
+                spanGaps: true
+              }]
+            },
+            options: {
+              responsive: true,
+              maintainAspectRatio: false,
+              interaction: {
+                intersect: false,
+                mode: 'index'
+              },
+              plugins: {
+                legend: {
+                  display: false
+                }
+              },
+              scales: {
+                x: {
+                  type: 'time',
+                  min: startTime,
+                  max: now,
+                  time: {
+                    tooltipFormat: 'MMM d, yyyy h:mm a'
+                  },
+                  ticks: {
+                    autoSkip: true,
+                    maxTicksLimit: 8
+                  }
+                },
+                y: {
+                  title: {
+                    display: true,
+                    text: label
+                  }
+                }
+              }
+            }
+          });
+          
+          if (title) title.textContent = '📈 ' + label;
+          if (container) container.style.display = 'block';
+        })
+        .catch(error => {
+          console.error('Error loading tracked topic history:', error);
+        });
+    }
+    
     // Function to update peak performance based on time period
     function updatePeakPerformance(period) {
       const timeRangeMap = {
@@ -6811,8 +16214,8 @@ app.get('/', requireAuth, (req, res) => {
             historyHTML += '<tbody>';
             
             data.history.forEach(alert => {
-              const alertType = alert.type === 'low' ? '⚠️ Low' : '✅ Recovered';
-              const alertColor = alert.type === 'low' ? '#f87171' : '#4ade80';
+              const alertType = alert.type === 'low' ? '⚠️ Low' : alert.type === 'recovered' ? '✅ Recovered' : alert.type;
+              const alertColor = alert.type === 'low' || alert.severity === 'critical' ? '#f87171' : alert.severity === 'warning' ? '#fbbf24' : '#4ade80';
               const time = new Date(alert.timestamp).toLocaleString();
               historyHTML += '<tr>';
               historyHTML += '<td class="time-cell">' + time + '</td>';
@@ -6858,8 +16261,7 @@ app.get('/', requireAuth, (req, res) => {
         },
         dailySummary: {
           enabled: document.getElementById('dailySummaryEnabled').checked,
-          sendTime: document.getElementById('dailySummaryTime').value,
-          timezone: 'America/Phoenix'
+          sendTime: document.getElementById('dailySummaryTime').value
         }
       };
       
@@ -7004,26 +16406,15 @@ app.get('/', requireAuth, (req, res) => {
         });
     }
     
+    // Next run as scheduled on the server (saved settings, configured timezone)
     function updateNextSummaryTime() {
-      const sendTime = document.getElementById('dailySummaryTime').value;
-      const enabled = document.getElementById('dailySummaryEnabled').checked;
-      
-      if (!enabled) {
-        document.getElementById('nextSummaryTime').textContent = 'Disabled';
-        return;
-      }
-      
-      const now = new Date();
-      const [hours, minutes] = sendTime.split(':');
-      const todaySendTime = new Date(now);
-      todaySendTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-      
-      const tomorrowSendTime = new Date(todaySendTime);
-      tomorrowSendTime.setDate(tomorrowSendTime.getDate() + 1);
-      
-      const nextSendTime = now < todaySendTime ? todaySendTime : tomorrowSendTime;
-      
-      document.getElementById('nextSummaryTime').textContent = nextSendTime.toLocaleString();
+      fetch('/settings/scheduler')
+        .then(response => response.json())
+        .then(data => {
+          const job = data.jobs.find(entry => entry.name === 'daily_summary');
+          document.getElementById('nextSummaryTime').textContent = job && job.nextRunLocal ? job.nextRunLocal : 'Disabled';
+        })
+        .catch(error => console.error('Error loading the daily summary schedule:', error));
     }
     
     // Update next summary time when time changes
@@ -7295,6 +16686,33 @@ function getCurrentValue(topic) {
   return '-';
 }
 
+/**
+ * Get the current system-wide value of an inverter metric (all inverters)
+ */
+function getCurrentTotal(metric) {
+  const value = getSystemTotal(metric);
+  return isNaN(value) ? '-' : Math.round(value);
+}
+
+/**
+ * Get the current reading of a shared inverter quantity (e.g. battery_voltage)
+ */
+function getCurrentInverterValue(metric) {
+  const value = getInverterValue(metric);
+  return isNaN(value) ? 'N/A' : value;
+}
+
+/**
+ * Get the last update time of an inverter metric on any inverter (or its total topic)
+ */
+function getTotalUpdateTime(metric) {
+  const timestamps = [`solar_assistant/total/${metric}/state`, ...getInverterTopics(metric)]
+    .map(topic => cachedData[topic]?.timestamp)
+    .filter(Boolean)
+    .sort();
+  return timestamps.length > 0 ? new Date(timestamps.pop()).toLocaleTimeString() : 'N/A';
+}
+
 /**
  * Get last update time for a topic
  */
@@ -7367,12 +16785,13 @@ https.createServer(SSL_OPTIONS, app).listen(PORT, () => {
 // ═══════════════════════════════════════════════════════════════════════════
 // PURPOSE: Save data before exiting to prevent loss
 // TRIGGERED BY: Ctrl+C (SIGINT signal)
-// IMPACT: Saves historicalData and dailyStats before closing MQTT connection
+// IMPACT: Flushes pending history points and dailyStats before closing MQTT connection
 
 process.on('SIGINT', () => {
   console.log('\n🛑 Shutting down...');
-  saveHistoricalData(); // Save data before exiting
+  saveHistoricalData(); // Flush buffered history points before exiting
   saveDailyStats(); // Save daily stats before exiting
-  client.end();
+  saveAlertState(); // Save active alerts and the quiet hours digest
+  if (client) client.end();
   process.exit(0);
 });
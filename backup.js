@@ -3,24 +3,8 @@
 const fs = require('fs');
 const path = require('path');
 
-// Files to backup
-const DATA_FILES = [
-  'alert_settings.json',
-  'daily_stats.json',
-  'data_history.json',
-  'package.json'
-];
-
-// Sensitive files to backup (contains API keys and SSL certificates)
-const SENSITIVE_FILES = [
-  '.env'
-];
-
-// SSL certificate files to backup
-const SSL_FILES = [
-  'ssl/server.crt',
-  'ssl/server.conf'
-];
+// Files and directories to backup
+const { DATA_FILES, DATA_DIRS, SENSITIVE_FILES, SSL_FILES } = require('./backup_files');
 
 // Backup directory
 const BACKUP_DIR = path.join(__dirname, 'backups');
@@ -60,6 +44,21 @@ try {
     }
   });
   
+  // Copy each data directory to backup folder
+  DATA_DIRS.forEach(dir => {
+    const sourcePath = path.join(__dirname, dir);
+    const destPath = path.join(backupFolder, dir);
+    
+    if (fs.existsSync(sourcePath)) {
+      fs.cpSync(sourcePath, destPath, { recursive: true });
+      console.log(`✅ Backed up ${dir}/`);
+      backedUpCount++;
+    } else {
+      console.log(`⚠️  Skipped ${dir}/ (not found)`);
+      skippedCount++;
+    }
+  });
+  
   // Backup sensitive files (API keys, etc.)
   console.log('\n🔐 Backing up sensitive configuration...');
   SENSITIVE_FILES.forEach(file => {
@@ -104,6 +103,7 @@ try {
   // Create backup metadata
   const allFiles = [
     ...DATA_FILES.filter(file => fs.existsSync(path.join(__dirname, file))),
+    ...DATA_DIRS.filter(dir => fs.existsSync(path.join(__dirname, dir))),
     ...SENSITIVE_FILES.filter(file => fs.existsSync(path.join(__dirname, file))),
     ...SSL_FILES.filter(file => fs.existsSync(path.join(__dirname, file)))
   ];
@@ -0,0 +1,34 @@
+// Files and directories covered by backup.js and restore.js
+// NOTE: Both scripts read these lists - add new data files here so every
+//       backup can also be restored
+
+// Data files
+const DATA_FILES = [
+  'alert_settings.json',
+  'alert_state.json',
+  'daily_stats.json',
+  'data_history.json',
+  'solar_calibration.json',
+  'package.json'
+];
+
+// Data directories (copied recursively)
+const DATA_DIRS = [
+  'data_history',
+  'alert_log',
+  'reports',
+  'energy_ledger'
+];
+
+// Sensitive files (contains API keys)
+const SENSITIVE_FILES = [
+  '.env'
+];
+
+// SSL certificate files
+const SSL_FILES = [
+  'ssl/server.crt',
+  'ssl/server.conf'
+];
+
+module.exports = { DATA_FILES, DATA_DIRS, SENSITIVE_FILES, SSL_FILES };
@@ -3,6 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { DATA_FILES, DATA_DIRS, SENSITIVE_FILES, SSL_FILES } = require('./backup_files');
 
 const BACKUP_DIR = path.join(__dirname, 'backups');
 
@@ -88,9 +89,6 @@ function performRestore(backup) {
     const beforeRestoreDir = path.join(BACKUP_DIR, `before_restore_${Date.now()}`);
     fs.mkdirSync(beforeRestoreDir, { recursive: true });
     
-    const DATA_FILES = ['alert_settings.json', 'daily_stats.json', 'data_history.json', 'package.json'];
-    const SENSITIVE_FILES = ['.env'];
-    const SSL_FILES = ['ssl/server.crt', 'ssl/server.conf'];
     let restoredCount = 0;
     let skippedCount = 0;
     let sensitiveCount = 0;
@@ -106,6 +104,14 @@ function performRestore(backup) {
       }
     });
     
+    DATA_DIRS.forEach(dir => {
+      const currentPath = path.join(__dirname, dir);
+      if (fs.existsSync(currentPath)) {
+        fs.cpSync(currentPath, path.join(beforeRestoreDir, dir), { recursive: true });
+        console.log(`  ✓ Saved current ${dir}/`);
+      }
+    });
+    
     // Backup current sensitive files (if they exist)
     SENSITIVE_FILES.forEach(file => {
       const currentPath = path.join(__dirname, file);
@@ -146,6 +152,22 @@ function performRestore(backup) {
       }
     });
     
+    DATA_DIRS.forEach(dir => {
+      const sourcePath = path.join(backup.path, dir);
+      const destPath = path.join(__dirname, dir);
+      
+      if (fs.existsSync(sourcePath)) {
+        // Replace rather than merge so removed segments don't linger
+        fs.rmSync(destPath, { recursive: true, force: true });
+        fs.cpSync(sourcePath, destPath, { recursive: true });
+        console.log(`✅ Restored ${dir}/`);
+        restoredCount++;
+      } else {
+        console.log(`⚠️  Skipped ${dir}/ (not in backup)`);
+        skippedCount++;
+      }
+    });
+    
     // Restore sensitive files (API keys, etc.)
     console.log('\n🔐 Restoring sensitive configuration...');
     SENSITIVE_FILES.forEach(file => {